@@ -8,8 +8,17 @@ const ConfigManager = require('./lib/configManager');
 const RpcManager = require('./lib/rpcManager');
 const TokenManager = require('./lib/tokenManager');
 const AbiManager = require('./lib/abiManager');
+const CallTree = require('./lib/callTree');
+const ParamNormalizer = require('./lib/paramNormalizer');
+const CalldataVerifier = require('./lib/calldataVerifier');
+const { SourceUnit } = require('./lib/solidityEmitter');
+const { StructRegistry } = require('./lib/abiTypes');
 const TraceParser = require('./lib/traceParser');
 const FoundryGenerator = require('./lib/foundryGenerator');
+const TraceFetcher = require('./lib/traceFetcher');
+const Cli = require('./lib/cli');
+const { TraceAdapterRegistry } = require('./lib/adapters');
+const { CallbackTemplateRegistry } = require('./lib/callbackTemplates');
 
 // Import API classes
 const FourByteAPI = require('./api_helpers/fourByteApi');
@@ -30,6 +39,10 @@ class PhalconTraceParser {
         // Initialize token manager with dependencies
         this.tokenManager = new TokenManager(this.configManager, this.rpcManager);
 
+        // Initialize trace input adapters and the RPC trace fetcher
+        this.traceAdapters = new TraceAdapterRegistry();
+        this.traceFetcher = new TraceFetcher(this.configManager, this.rpcManager);
+
         // Initialize API clients
         this.fourByteApi = new FourByteAPI();
         this.etherfaceApi = new EtherfaceAPI();
@@ -58,15 +71,17 @@ class PhalconTraceParser {
     }
 
     /**
-     * Main processing function
-     * @param {string} traceFile - Path to trace file
-     * @param {string|null} mainAddress - Main contract address
-     * @param {string|null} outputFile - Output file path
-     * @param {number|null} blockNumber - Block number for forking
+     * Load a trace from a file, or fetch it over RPC when only a transaction hash is given
+     * @param {string|null} traceFile - Path to trace file
      * @param {string|null} txHash - Transaction hash
+     * @param {Object} options - Loading options
+     * @param {string} options.format - Input trace format (phalcon, foundry, tenderly, callTracer); detected when omitted
+     * @param {string} options.chain - Chain name used to pick the RPC URL
+     * @param {string} options.rpcUrl - RPC URL to fetch the trace from
+     * @returns {Promise<Object>} Trace data in the internal model
      */
-    async process(traceFile, mainAddress = null, outputFile = null, blockNumber = null, txHash = null) {
-        try {
+    async loadTrace(traceFile, txHash = null, options = {}) {
+        if (traceFile) {
             console.log(`Processing trace file: ${traceFile}`);
 
             // Validate input file
@@ -74,141 +89,296 @@ class PhalconTraceParser {
                 throw new Error(`Trace file not found: ${traceFile}`);
             }
 
-            // Load and parse trace data
-            const traceData = JSON.parse(fs.readFileSync(traceFile, 'utf8'));
+            // Load trace data and normalize it into the internal model
+            const rawTrace = JSON.parse(fs.readFileSync(traceFile, 'utf8'));
+            const traceData = this.traceAdapters.normalize(rawTrace, options.format || null);
             console.log('Trace data loaded successfully');
+            return traceData;
+        }
 
-            // Extract transaction hash from trace if not provided
-            if (!txHash) {
-                txHash = this.traceParser.extractTransactionHashFromTrace(traceData);
-            }
+        if (txHash) {
+            // Fetch the trace from the chain's RPC node
+            console.log(`Processing transaction: ${txHash}`);
+            const chainName = options.chain || process.env.CHAIN || 'ethereum';
+            const traceData = await this.traceFetcher.fetchTrace(txHash, chainName, options.rpcUrl || null);
+            console.log('Trace data fetched successfully');
+            return traceData;
+        }
 
-            // Determine main address if not provided
-            if (!mainAddress || mainAddress === '0xd649A0876453Fc7626569B28E364262192874E18') {
-                mainAddress = await this._determineMainAddress(traceData, txHash);
-            }
+        throw new Error('Either a trace file or a transaction hash is required');
+    }
 
-            if (!mainAddress) {
-                throw new Error('Could not determine main address from trace and none provided');
-            }
+    /**
+     * Main processing function
+     * Given lists of traces or hashes, the transactions are replayed in order as the steps of one test
+     * @param {string|Array<string>|null} traceFile - Path to trace file(s); when null the trace of txHash is fetched over RPC
+     * @param {string|Array<string>|null} mainAddress - Main contract address, for all transactions or one per transaction
+     * @param {string|null} outputFile - Output file path
+     * @param {number|null} blockNumber - Block number for forking
+     * @param {string|Array<string>|null} txHash - Transaction hash(es), one per trace file
+     * @param {Object} options - Generation options passed to FoundryGenerator.generateFoundryTest
+     * @param {string} options.format - Input trace format (phalcon, foundry, tenderly, callTracer); detected when omitted
+     * @param {string|Array<string>} options.chain - Chain name, for all transactions or one per transaction
+     *   (defaults to the CHAIN environment variable, then ethereum); several chains fork each one in the same test
+     * @param {string|Array<string>} options.rpcUrl - RPC URL, for all transactions or one per transaction
+     *   (defaults to RpcManager.getEnhancedRpcUrl for the chain)
+     * @param {boolean} options.dryRun - Generate the test without writing any file
+     * @param {string} options.outDir - Scaffold a Foundry project in this directory; outputFile is then relative to it
+     * @param {boolean} options.force - Overwrite existing files
+     * @returns {Promise<Object>} Generated test content, output path, written files, main address, block number, chain and calldata fidelity report
+     * @throws {Error} When the trace cannot be loaded or the test cannot be generated
+     */
+    async process(traceFile, mainAddress = null, outputFile = null, blockNumber = null, txHash = null, options = {}) {
+        const toList = value => Array.isArray(value) ? value : (value ? [value] : []);
+        const traceFiles = toList(traceFile);
+        const txHashes = toList(txHash);
+        const mainAddresses = Array.isArray(mainAddress) ? mainAddress : null;
+        const count = Math.max(traceFiles.length, txHashes.length, 1);
+
+        if ([traceFiles, txHashes, mainAddresses || []].some(list => list.length > 0 && list.length !== count)) {
+            throw new Error(`Expected one trace file, transaction hash and main address per transaction (${count} transactions)`);
+        }
 
-            console.log(`Main address: ${mainAddress}`);
-
-            // Determine chain and RPC URL
-            const chainName = process.env.CHAIN || 'ethereum';
-            let rpcUrl = await this.rpcManager.getEnhancedRpcUrl(chainName);
-
-            // Fetch transaction details if available
-            let txDetails = null;
-            if (txHash) {
-                console.log(`Fetching transaction details for ${txHash}...`);
-                txDetails = await this.tokenManager.fetchTransactionDetails(txHash, rpcUrl);
-                if (txDetails) {
-                    console.log(`Transaction found at block ${txDetails.blockNumber}`);
-                    if (!blockNumber) {
-                        blockNumber = txDetails.blockNumber;
-                    }
-                }
+        // Determine chain and RPC URL of every transaction
+        const chainNames = toList(options.chain);
+        const rpcUrls = toList(options.rpcUrl);
+        if ([chainNames, rpcUrls].some(list => list.length > 1 && list.length !== count)) {
+            throw new Error(`Expected one chain and RPC URL, or one per transaction (${count} transactions)`);
+        }
+        const chainOf = index => (chainNames[index] || chainNames[0] || process.env.CHAIN || 'ethereum').toLowerCase();
+        const chains = Array.from({ length: count }, (_, index) => chainOf(index));
+        if (rpcUrls.length === 1 && count > 1 && new Set(chains).size > 1) {
+            throw new Error('Transactions on different chains need one RPC URL per transaction');
+        }
+
+        const rpcUrlsByChain = new Map();
+        const transactions = [];
+        for (let index = 0; index < count; index++) {
+            if (count > 1) {
+                console.log(`\nTransaction ${index + 1}/${count}`);
             }
+            const chain = chains[index];
+            const givenRpcUrl = rpcUrls[index] || rpcUrls[0] || null;
+            if (!givenRpcUrl && !rpcUrlsByChain.has(chain)) {
+                rpcUrlsByChain.set(chain, await this.rpcManager.getEnhancedRpcUrl(chain));
+            }
+            const transactionRpcUrl = givenRpcUrl || rpcUrlsByChain.get(chain);
+
+            const transaction = await this._loadTransaction(
+                traceFiles[index] || null,
+                txHashes[index] || null,
+                mainAddresses ? mainAddresses[index] : mainAddress,
+                transactionRpcUrl,
+                { ...options, chain, rpcUrl: givenRpcUrl || undefined }
+            );
+            transactions.push({ ...transaction, chain, rpcUrl: transactionRpcUrl });
+        }
+
+        const [chainName] = chains;
+        const rpcUrl = transactions[0].rpcUrl;
+
+        const [first] = transactions;
+        mainAddress = first.mainAddress;
+        if (!blockNumber && first.txDetails) {
+            blockNumber = first.txDetails.blockNumber;
+        }
 
-            // Get current block number if needed
-            if (!blockNumber) {
-                try {
-                    const validatedUrls = await this.rpcManager.getValidatedRpcUrls(chainName, 1);
-                    if (validatedUrls.length > 0) {
-                        const { ethers } = require('ethers');
-                        const provider = new ethers.JsonRpcProvider(validatedUrls[0]);
-                        const currentBlock = await provider.getBlockNumber();
-                        blockNumber = currentBlock - 1; // Use previous block for safety
-                        console.log(`Using block ${blockNumber} for forking`);
-                    }
-                } catch (error) {
-                    console.warn('Could not fetch current block number, using default forking');
-                    blockNumber = null;
+        // Get current block number if needed
+        if (!blockNumber) {
+            try {
+                const validatedUrls = rpcUrls.length > 0 ? [rpcUrl] : await this.rpcManager.getValidatedRpcUrls(chainName, 1);
+                if (validatedUrls.length > 0) {
+                    const { ethers } = require('ethers');
+                    const provider = new ethers.JsonRpcProvider(validatedUrls[0]);
+                    const currentBlock = await provider.getBlockNumber();
+                    provider.destroy();
+                    blockNumber = currentBlock - 1; // Use previous block for safety
+                    console.log(`Using block ${blockNumber} for forking`);
                 }
+            } catch (error) {
+                console.warn('Could not fetch current block number, using default forking');
+                blockNumber = null;
             }
+        }
 
-            // Update chain detection from RPC URL if needed
-            const detectedChain = this.configManager.detectChainFromRpc(rpcUrl);
-            if (detectedChain !== chainName) {
-                console.log(`Detected chain: ${detectedChain} from RPC URL`);
-            }
+        // Update chain detection from RPC URL if needed
+        const detectedChain = this.configManager.detectChainFromRpc(rpcUrl);
+        if (detectedChain !== chainName) {
+            console.log(`Detected chain: ${detectedChain} from RPC URL`);
+        }
 
-            // Generate Foundry test
-            console.log('Generating Foundry test...');
-            const testContent = await this.foundryGenerator.generateFoundryTest(
-                traceData, mainAddress, blockNumber, rpcUrl
-            );
+        // Generate Foundry test
+        console.log('Generating Foundry test...');
+        const testContent = transactions.length === 1
+            ? await this.foundryGenerator.generateFoundryTest(
+                first.traceData, mainAddress, blockNumber, rpcUrl, { ...options, txHash: first.txHash, txDetails: first.txDetails }
+            )
+            : await this.foundryGenerator.generateIncidentTest(transactions, blockNumber, rpcUrl, options);
+
+        const testPath = outputFile || 'test/TraceReproduction.t.sol';
+        const testOutputPath = options.outDir ? path.join(options.outDir, testPath) : testPath;
+        const result = {
+            testContent, testOutputPath, mainAddress, blockNumber, chain: chainName, files: [],
+            fidelity: this.foundryGenerator.fidelityReport
+        };
 
+        if (options.dryRun) {
+            console.log('\nDry run: no files written');
+            console.log(`\n${this.foundryGenerator.formatFidelityReport()}`);
+            return result;
+        }
+
+        if (options.outDir) {
+            // A self-contained Foundry project, written only where nothing exists yet
+            if (path.isAbsolute(testPath) || path.relative(options.outDir, testOutputPath).startsWith('..')) {
+                throw new Error(`Test path must be relative to the output directory: ${testPath}`);
+            }
+            const files = this.foundryGenerator.generateProjectFiles(testContent, testPath);
+            result.files = this._writeProjectFiles(options.outDir, files, !!options.force);
+        } else {
             // Write test file
-            const testOutputPath = outputFile || 'test/TraceReproduction.t.sol';
             this._ensureDirectoryExists(path.dirname(testOutputPath));
             fs.writeFileSync(testOutputPath, testContent);
             console.log(`Test written to: ${testOutputPath}`);
 
             // Generate supporting files
-            await this._generateSupportingFiles();
-
-            console.log('\n✅ Trace processing completed successfully!');
-            console.log('\nGenerated files:');
-            console.log('- test/TraceReproduction.t.sol - Main test contract');
-            console.log('- foundry.toml - Foundry configuration');
-            console.log('- .env.example - Environment variables template');
-            console.log('- package.json - Project metadata');
-            console.log('- README.md - Setup instructions');
-
-            console.log('\nNext steps:');
-            console.log('1. Copy .env.example to .env and configure your RPC URLs');
-            console.log('2. Run: forge install');
-            console.log('3. Run: forge test -vvv');
-
-        } catch (error) {
-            console.error('❌ Error processing trace:', error.message);
-            if (process.env.DEBUG) {
-                console.error('Stack trace:', error.stack);
+            result.files = [testOutputPath, ...this._generateSupportingFiles(!!options.force)];
+        }
+
+        console.log('\n✅ Trace processing completed successfully!');
+        console.log('\nGenerated files:');
+        result.files.forEach(file => console.log(`- ${file}`));
+
+        console.log('\nNext steps:');
+        const steps = [
+            'Copy .env.example to .env and configure your RPC URLs',
+            'Run: forge install foundry-rs/forge-std --no-git',
+            'Run: forge test -vvv'
+        ];
+        if (options.outDir) {
+            steps.unshift(`Run: cd ${options.outDir}`);
+        }
+        steps.forEach((step, index) => console.log(`${index + 1}. ${step}`));
+
+        console.log(`\n${this.foundryGenerator.formatFidelityReport()}`);
+
+        return result;
+    }
+
+    /**
+     * Load one transaction of an incident: its trace, hash, main address and details
+     * @param {string|null} traceFile - Path to trace file
+     * @param {string|null} txHash - Transaction hash
+     * @param {string|null} mainAddress - Main contract address
+     * @param {string} rpcUrl - RPC URL
+     * @param {Object} options - Loading options
+     * @returns {Promise<Object>} Transaction with traceData, txHash, mainAddress and txDetails
+     * @throws {Error} When the trace cannot be loaded or no main address can be determined
+     * @private
+     */
+    async _loadTransaction(traceFile, txHash, mainAddress, rpcUrl, options = {}) {
+        const traceData = await this.loadTrace(traceFile, txHash, options);
+
+        // Extract transaction hash from trace if not provided
+        if (!txHash) {
+            txHash = this.traceParser.extractTransactionHashFromTrace(traceData);
+        }
+
+        // Determine main address if not provided
+        if (!mainAddress) {
+            mainAddress = await this._determineMainAddress(traceData, txHash, rpcUrl);
+        }
+
+        if (!mainAddress) {
+            throw new Error('Could not determine main address from trace and none provided');
+        }
+
+        console.log(`Main address: ${mainAddress}`);
+
+        // Fetch transaction details if available
+        let txDetails = null;
+        if (txHash) {
+            console.log(`Fetching transaction details for ${txHash}...`);
+            txDetails = await this.tokenManager.fetchTransactionDetails(txHash, rpcUrl);
+            if (txDetails) {
+                console.log(`Transaction found at block ${txDetails.blockNumber}`);
             }
-            process.exit(1);
         }
+
+        return { traceData, txHash, mainAddress, txDetails };
     }
 
     /**
-     * Generate supporting project files
+     * Generate supporting project files in the current directory
+     * Existing files are kept unless forced, so running from inside another project never clobbers it
+     * @param {boolean} force - Overwrite existing files
+     * @returns {Array<string>} Written file paths
      * @private
      */
-    async _generateSupportingFiles() {
+    _generateSupportingFiles(force = false) {
         console.log('Generating supporting files...');
 
-        // Generate foundry.toml
-        const foundryToml = this.foundryGenerator.generateFoundryToml();
-        fs.writeFileSync('foundry.toml', foundryToml);
+        const files = new Map([
+            ['foundry.toml', this.foundryGenerator.generateFoundryToml()],
+            ['.env.example', this.foundryGenerator.generateEnvExample()],
+            ['package.json', this.foundryGenerator.generatePackageJson()],
+            ['README.md', this.foundryGenerator.generateReadme()]
+        ]);
+
+        const written = [];
+        for (const [file, content] of files) {
+            if (!force && fs.existsSync(file)) {
+                console.log(`Keeping existing ${file} (use --force to overwrite)`);
+                continue;
+            }
+            fs.writeFileSync(file, content);
+            written.push(file);
+        }
 
-        // Generate .env.example
-        const envExample = this.foundryGenerator.generateEnvExample();
-        fs.writeFileSync('.env.example', envExample);
+        console.log('Supporting files generated successfully');
+        return written;
+    }
 
-        // Generate package.json
-        const packageJson = this.foundryGenerator.generatePackageJson();
-        fs.writeFileSync('package.json', packageJson);
+    /**
+     * Write a generated project, refusing to overwrite anything unless forced
+     * Every target is checked before the first write, so a refused run leaves the directory untouched
+     * @param {string} outDir - Project directory
+     * @param {Map<string, string>} files - Project-relative path to file content
+     * @param {boolean} force - Overwrite existing files
+     * @returns {Array<string>} Written file paths
+     * @throws {Error} When files already exist and force is not set
+     * @private
+     */
+    _writeProjectFiles(outDir, files, force = false) {
+        const targets = Array.from(files.keys()).map(file => path.join(outDir, file));
+        const existing = targets.filter(target => fs.existsSync(target));
+
+        if (existing.length > 0 && !force) {
+            throw new Error(`Refusing to overwrite existing files (use --force to overwrite): ${existing.join(', ')}`);
+        }
 
-        // Generate README.md
-        const readme = this.foundryGenerator.generateReadme();
-        fs.writeFileSync('README.md', readme);
+        Array.from(files.values()).forEach((content, index) => {
+            this._ensureDirectoryExists(path.dirname(targets[index]));
+            fs.writeFileSync(targets[index], content);
+        });
 
-        console.log('Supporting files generated successfully');
+        console.log(`Foundry project written to: ${outDir}`);
+        return targets;
     }
 
     /**
      * Determine main address from trace data
      * @param {Object} traceData - Trace data
      * @param {string|null} txHash - Transaction hash
+     * @param {string|null} rpcUrl - RPC URL used to fetch the transaction
      * @returns {Promise<string|null>} Main address or null
      * @private
      */
-    async _determineMainAddress(traceData, txHash) {
+    async _determineMainAddress(traceData, txHash, rpcUrl = null) {
         // If we have transaction hash, fetch transaction details
         if (txHash) {
             try {
-                const txDetails = await this.tokenManager.fetchTransactionDetails(txHash);
+                const txDetails = await this.tokenManager.fetchTransactionDetails(txHash, rpcUrl);
                 if (txDetails && txDetails.from) {
                     console.log(`Determined main address from transaction: ${txDetails.from}`);
                     return txDetails.from;
@@ -222,28 +392,11 @@ class PhalconTraceParser {
         const { dataMap } = traceData;
         if (!dataMap) return null;
 
-        // Find the most frequent 'from' address in invocations
-        const fromAddresses = new Map();
-
-        for (const entry of Object.values(dataMap)) {
-            if (entry.invocations) {
-                for (const invocation of entry.invocations) {
-                    if (invocation.from) {
-                        const addr = invocation.from.toLowerCase();
-                        fromAddresses.set(addr, (fromAddresses.get(addr) || 0) + 1);
-                    }
-                }
-            }
-        }
-
-        if (fromAddresses.size > 0) {
-            // Return the most frequent from address
-            const sortedAddresses = Array.from(fromAddresses.entries())
-                .sort(([,a], [,b]) => b - a);
-
-            const mainAddr = sortedAddresses[0][0];
-            console.log(`Determined main address from trace analysis: ${mainAddr}`);
-            return mainAddr;
+        // Default to the transaction sender: the caller of the root call
+        const sender = this.traceParser.buildCallTree(traceData).getSender();
+        if (sender) {
+            console.log(`Determined main address from the root call: ${sender}`);
+            return sender;
         }
 
         return null;
@@ -296,42 +449,11 @@ class PhalconTraceParser {
 
 /**
  * Main execution function
+ * @returns {Promise<number>} Exit code
  */
 async function main() {
-    const args = process.argv.slice(2);
-
-    if (args.length === 0) {
-        console.log(`
-PhalconTraceParser - Convert transaction traces to Foundry tests
-
-Usage:
-  node index.js <trace-file> [main-address] [output-file] [block-number] [tx-hash]
-
-Examples:
-  node index.js trace.json
-  node index.js trace.json 0x742d35Cc6634C0532925a3b8D89d0B9b5d7d50b5
-  node index.js trace.json 0x742d35Cc6634C0532925a3b8D89d0B9b5d7d50b5 test/MyTest.t.sol
-  node index.js trace.json 0x742d35Cc6634C0532925a3b8D89d0B9b5d7d50b5 test/MyTest.t.sol 18500000
-  node index.js trace.json 0x742d35Cc6634C0532925a3b8D89d0B9b5d7d50b5 test/MyTest.t.sol 18500000 0xabc123...
-
-Environment Variables:
-  CHAIN=ethereum          # Target chain (ethereum, base, arbitrum, polygon, optimism, bsc, avalanche)
-  RPC_URL=...            # RPC endpoint URL
-  DEBUG=true             # Enable debug output
-
-Supported Chains:
-  ethereum, base, arbitrum, polygon, optimism, bsc, avalanche
-
-For more information, see README.md
-        `);
-        process.exit(1);
-    }
-
-    const [traceFile, mainAddress, outputFile, blockNumberStr, txHash] = args;
-    const blockNumber = blockNumberStr ? parseInt(blockNumberStr) : null;
-
-    const parser = new PhalconTraceParser();
-    await parser.process(traceFile, mainAddress, outputFile, blockNumber, txHash);
+    const cli = new Cli(() => new PhalconTraceParser());
+    return cli.run(process.argv.slice(2));
 }
 
 // Export for use as module
@@ -341,18 +463,29 @@ module.exports = {
     RpcManager,
     TokenManager,
     AbiManager,
+    CallTree,
+    ParamNormalizer,
+    CalldataVerifier,
+    SourceUnit,
+    StructRegistry,
+    TraceAdapterRegistry,
+    CallbackTemplateRegistry,
+    TraceFetcher,
     TraceParser,
+    Cli,
     FoundryGenerator,
     // Legacy compatibility
-    generateFoundryTest: async (traceData, mainAddress, blockNumber, rpcUrl) => {
+    generateFoundryTest: async (traceData, mainAddress, blockNumber, rpcUrl, options) => {
         const parser = new PhalconTraceParser();
-        return await parser.foundryGenerator.generateFoundryTest(traceData, mainAddress, blockNumber, rpcUrl);
+        return await parser.foundryGenerator.generateFoundryTest(traceData, mainAddress, blockNumber, rpcUrl, options);
     }
 };
 
 // Run if called directly
 if (require.main === module) {
-    main().catch(error => {
+    main().then(exitCode => {
+        process.exit(exitCode);
+    }).catch(error => {
         console.error('Error:', error.message);
         process.exit(1);
     });
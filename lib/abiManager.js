@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { ethers } = require('ethers');
+const { parseType, canonicalType, isIdentifier, StructRegistry } = require('./abiTypes');
 
 /**
  * ABI and Function Signature Manager
@@ -65,6 +66,29 @@ class AbiManager {
         return null;
     }
 
+    /**
+     * Find a function in the known ABI of a contract
+     * @param {string} address - Contract address
+     * @param {string} signature - Function signature, compared in canonical form
+     * @returns {Object|null} ABI function entry (inputs, outputs, stateMutability) or null
+     */
+    findAbiFunction(address, signature) {
+        const contractInfo = address ? this.knownContracts.get(address.toLowerCase()) : null;
+        const open = signature.indexOf('(');
+        if (!contractInfo || open <= 0) return null;
+
+        const canonical = entry => `${entry.name}(${(entry.inputs || []).map(input => canonicalType(parseType(input))).join(',')})`;
+        try {
+            const wanted = canonical({
+                name: signature.slice(0, open),
+                inputs: this.parseParameterTypes(signature.slice(open + 1, -1))
+            });
+            return contractInfo.abi.find(entry => entry.type === 'function' && canonical(entry) === wanted) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Calculate function selector from signature
      * @param {string} signature - Function signature (e.g., "transfer(address,uint256)")
@@ -143,7 +167,7 @@ class AbiManager {
                         const decoded = funcInterface.decodeFunctionData(func.name, callData);
                         return {
                             name: func.name,
-                            signature: `${func.name}(${func.inputs.map(i => i.type).join(',')})`,
+                            signature: `${func.name}(${func.inputs.map(input => canonicalType(parseType(input))).join(',')})`,
                             inputs: func.inputs,
                             decodedData: decoded
                         };
@@ -247,41 +271,24 @@ class AbiManager {
 
     /**
      * Fix interface signature for Solidity compatibility
+     * Tuples become structs declared in the registry, and reference types get a calldata location
      * @param {string} signature - Function signature
-     * @param {Set} structDefinitions - Set to collect struct definitions
+     * @param {StructRegistry} structs - Registry declaring the structs of the test
+     * @param {Array<Object>|null} params - Decoded parameters of a call, whose names name the structs and fields
      * @returns {string} Fixed signature
      */
-    fixInterfaceSignature(signature, structDefinitions = new Set()) {
-        // Handle complex tuple types by converting them to structs
-        let fixedSignature = signature;
-
-        // Find tuple parameters and replace with struct names
-        const tupleRegex = /\(([^)]+)\)/g;
-        let match;
-        let structIndex = 0;
-
-        while ((match = tupleRegex.exec(signature)) !== null) {
-            const tupleContent = match[1];
-
-            // Only convert complex tuples (with multiple fields)
-            if (tupleContent.includes(',')) {
-                const structName = `Param${structIndex}Struct`;
-                const structFields = this.parseParameterTypes(tupleContent);
-
-                // Create struct definition
-                const structDef = `struct ${structName} {\n${
-                    structFields.map((field, idx) => `        ${field} field${idx};`).join('\n')
-                }\n    }`;
-
-                structDefinitions.add(structDef);
-
-                // Replace tuple with struct name
-                fixedSignature = fixedSignature.replace(match[0], structName);
-                structIndex++;
-            }
-        }
+    fixInterfaceSignature(signature, structs = new StructRegistry(), params = null) {
+        const open = signature.indexOf('(');
+        if (open <= 0 || !signature.endsWith(')')) return signature;
+
+        const types = this.parseParameterTypes(signature.slice(open + 1, -1));
+        const fixedTypes = types.map((type, index) => {
+            const param = params && params[index];
+            const parsed = (param && param.type && structs.typeOf({ ...param, type })) || structs.typeOf({ type });
+            return (parsed && structs.solidityType(parsed, 'calldata', param && param.name)) || type;
+        });
 
-        return fixedSignature;
+        return `${signature.slice(0, open)}(${fixedTypes.join(',')})`;
     }
 
     /**
@@ -320,6 +327,190 @@ class AbiManager {
         return params;
     }
 
+    /**
+     * Split CREATE/CREATE2 input into init code and ABI-encoded constructor arguments
+     * Solidity appends the constructor arguments after the CBOR metadata that closes the init code
+     * @param {string} creationData - Creation input (init code followed by constructor arguments)
+     * @param {string|null} constructorArguments - Constructor arguments hex if the trace already provides them
+     * @returns {Object} Object with initCode and constructorArgs as 0x-prefixed hex
+     */
+    splitCreationData(creationData, constructorArguments = null) {
+        const data = (creationData || '0x').toLowerCase().replace(/^0x/, '');
+        const knownArgs = (constructorArguments || '').toLowerCase().replace(/^0x/, '');
+
+        if (knownArgs && data.endsWith(knownArgs)) {
+            return {
+                initCode: `0x${data.slice(0, data.length - knownArgs.length)}`,
+                constructorArgs: `0x${knownArgs}`
+            };
+        }
+
+        // Find the last solc metadata trailer: "solc" version marker followed by the 2-byte metadata length
+        const metadataRegex = /64736f6c6343[0-9a-f]{6}00[0-9a-f]{2}/g;
+        let end = -1;
+        let match;
+        while ((match = metadataRegex.exec(data)) !== null) {
+            if (match.index % 2 === 0) {
+                end = match.index + match[0].length;
+            }
+        }
+
+        const remainder = end >= 0 ? data.slice(end) : '';
+        if (end < 0 || remainder.length % 64 !== 0) {
+            return { initCode: `0x${data}`, constructorArgs: '0x' };
+        }
+
+        return {
+            initCode: `0x${data.slice(0, end)}`,
+            constructorArgs: `0x${remainder}`
+        };
+    }
+
+    /**
+     * Decode constructor arguments into parameters
+     * Without known types each 32-byte word becomes an address when it looks like one and uint256 otherwise,
+     * so abi.encode of the decoded values always reproduces the original bytes
+     * @param {string} argsHex - ABI-encoded constructor arguments
+     * @param {Array<string>|null} types - Constructor parameter types if known
+     * @returns {Array<Object>} Parameters array with type, name and value
+     */
+    decodeConstructorArguments(argsHex, types = null) {
+        const data = (argsHex || '0x').replace(/^0x/, '');
+        if (!data) return [];
+
+        if (types && types.length > 0) {
+            try {
+                const decoded = ethers.AbiCoder.defaultAbiCoder().decode(types, `0x${data}`);
+                return types.map((type, index) => ({
+                    type,
+                    name: `arg${index}`,
+                    value: decoded[index]?.toString()
+                }));
+            } catch (error) {
+                console.warn(`Failed to decode constructor arguments as (${types.join(',')}): ${error.message}`);
+            }
+        }
+
+        const params = [];
+        for (let offset = 0; offset + 64 <= data.length; offset += 64) {
+            const word = data.slice(offset, offset + 64);
+            const looksLikeAddress = word.startsWith('0'.repeat(24)) && !word.slice(24, 32).match(/^0+$/);
+
+            params.push(looksLikeAddress
+                ? { type: 'address', name: `arg${params.length}`, value: `0x${word.slice(24)}` }
+                : { type: 'uint256', name: `arg${params.length}`, value: BigInt(`0x${word}`).toString() });
+        }
+
+        return params;
+    }
+
+    /**
+     * Work out which event parameters are indexed by matching them against the log
+     * Indexed parameters must reproduce the topics in order and the rest must ABI-encode to the log data
+     * @param {Array<Object>} params - Decoded event parameters with type and value
+     * @param {Array<string>} topics - Log topics, topic0 being the event signature hash
+     * @param {string} logData - Log data
+     * @returns {Array<boolean>|null} Indexed flag per parameter, or null when no layout reproduces the log
+     */
+    inferIndexedEventParams(params, topics, logData) {
+        const indexedCount = (topics || []).length - 1;
+        if (indexedCount < 0 || indexedCount > params.length) return null;
+
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+        const data = (logData || '0x').toLowerCase();
+
+        const matchesTopic = (param, topic) => {
+            try {
+                const isStatic = !/^(string|bytes)$|\[|\(|tuple/.test(param.type);
+                const encoded = isStatic
+                    ? coder.encode([param.type], [this._normalizeAbiValue(param.type, param.value)])
+                    : ethers.keccak256(this._encodeIndexedDynamicValue(param));
+                return encoded.toLowerCase() === topic.toLowerCase();
+            } catch (error) {
+                return false;
+            }
+        };
+
+        const matchesData = (dataParams) => {
+            try {
+                const encoded = coder.encode(
+                    dataParams.map(param => param.type),
+                    dataParams.map(param => this._normalizeAbiValue(param.type, param.value))
+                );
+                return encoded.toLowerCase() === data;
+            } catch (error) {
+                return false;
+            }
+        };
+
+        // Try every choice of indexed parameters; events have few enough parameters for this to be cheap
+        const choose = (start, remaining, chosen) => {
+            if (remaining === 0) {
+                const indexed = params.map((_, index) => chosen.includes(index));
+                const topicsMatch = chosen.every((paramIndex, topicIndex) => matchesTopic(params[paramIndex], topics[topicIndex + 1]));
+                return topicsMatch && matchesData(params.filter((_, index) => !indexed[index])) ? indexed : null;
+            }
+
+            for (let index = start; index <= params.length - remaining; index++) {
+                const result = choose(index + 1, remaining - 1, [...chosen, index]);
+                if (result) return result;
+            }
+            return null;
+        };
+
+        return choose(0, indexedCount, []);
+    }
+
+    /**
+     * Create Solidity event declaration
+     * @param {string} name - Event name
+     * @param {Array<Object>} params - Event parameters with type and name
+     * @param {Array<boolean>} indexed - Indexed flag per parameter
+     * @returns {string} Solidity event declaration
+     */
+    createEventDeclaration(name, params, indexed) {
+        const declaredParams = params.map((param, index) => {
+            const parts = [param.type];
+            if (indexed[index]) parts.push('indexed');
+            if (isIdentifier(param.name)) {
+                parts.push(param.name);
+            }
+            return parts.join(' ');
+        });
+
+        return `event ${name}(${declaredParams.join(', ')});`;
+    }
+
+    /**
+     * Normalize a decoded trace value into something ethers can encode
+     * Phalcon renders integers with thousands separators
+     * @param {string} type - ABI type
+     * @param {*} value - Decoded value
+     * @returns {*} Encodable value
+     * @private
+     */
+    _normalizeAbiValue(type, value) {
+        if (/^u?int\d*$/.test(type)) {
+            return BigInt(String(value).replace(/,/g, ''));
+        }
+        if (type === 'bool') {
+            return value === true || String(value).toLowerCase() === 'true';
+        }
+        return value;
+    }
+
+    /**
+     * Encode an indexed dynamic value the way it is hashed into a topic
+     * @param {Object} param - Parameter with type and value
+     * @returns {string} Hex bytes whose keccak256 is the topic
+     * @private
+     */
+    _encodeIndexedDynamicValue(param) {
+        if (param.type === 'string') return ethers.hexlify(ethers.toUtf8Bytes(String(param.value)));
+        if (param.type === 'bytes') return param.value;
+        throw new Error(`Indexed ${param.type} values cannot be re-encoded`);
+    }
+
     /**
      * Create Solidity interface from function signature
      * @param {Object} signature - Signature object
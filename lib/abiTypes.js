@@ -0,0 +1,321 @@
+const { Scope } = require('./solidityEmitter');
+
+// Identifiers that cannot be used as names in generated declarations
+const SOLIDITY_RESERVED_NAMES = new Set([
+    'address', 'bool', 'string', 'bytes', 'byte', 'mapping', 'event', 'function', 'contract', 'interface',
+    'library', 'struct', 'enum', 'return', 'returns', 'memory', 'storage', 'calldata', 'indexed', 'anonymous',
+    'public', 'private', 'external', 'internal', 'payable', 'view', 'pure', 'constant', 'immutable',
+    'emit', 'new', 'delete', 'this', 'super', 'true', 'false', 'error', 'type', 'in', 'of', 'default'
+]);
+
+// Names the generated test imports from forge-std, which structs must not shadow
+const IMPORTED_NAMES = ['Test', 'Vm', 'console', 'console2'];
+
+/**
+ * ABI Types Module
+ * Parses ABI types into a tree: elementary types, fixed-size and dynamic arrays, and tuples whose
+ * components may be named. Types come from signatures ("(address,uint256)[]", "tuple(address to,uint256)")
+ * or from ABI JSON parameters with their components. The StructRegistry turns the tuples of a test into
+ * Solidity structs, declaring each distinct struct once however many functions use it.
+ *
+ * A type is one of:
+ * - { kind: 'elementary', type: 'uint256' }
+ * - { kind: 'array', element: type, length: 3 } (length null when dynamic)
+ * - { kind: 'tuple', components: [{ name: 'amount', type }] } (name '' when unknown)
+ */
+
+/**
+ * Check whether a name can be used as an identifier in generated code
+ * @param {string} name - Name
+ * @returns {boolean} True for valid, unreserved identifiers
+ */
+function isIdentifier(name) {
+    return typeof name === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !SOLIDITY_RESERVED_NAMES.has(name);
+}
+
+/**
+ * Split a component list at its top-level commas
+ * @param {string} text - Components without the enclosing parentheses
+ * @returns {Array<string>} Trimmed components
+ * @private
+ */
+function splitComponents(text) {
+    const components = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of text) {
+        if (char === '(' || char === '[') depth++;
+        if (char === ')' || char === ']') depth--;
+        if (char === ',' && depth === 0) {
+            components.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    if (current.trim() !== '' || components.length > 0) {
+        components.push(current.trim());
+    }
+    return components;
+}
+
+/**
+ * Parse an ABI type
+ * @param {string|Object} type - Type string, or an ABI parameter with type and components
+ * @param {Array<Object>|null} components - ABI components of a 'tuple' type
+ * @returns {Object} Type tree
+ * @throws {Error} If the type is empty or its parentheses do not match
+ */
+function parseType(type, components = null) {
+    if (type && typeof type === 'object') {
+        return parseType(type.type, type.components);
+    }
+
+    const text = String(type || '').trim();
+    if (!text) {
+        throw new Error('Empty ABI type');
+    }
+
+    // The last dimension is the outermost one: uint256[2][] is a dynamic array of uint256[2]
+    const array = text.match(/^([\s\S]*)\[(\d*)\]$/);
+    if (array) {
+        return { kind: 'array', element: parseType(array[1], components), length: array[2] === '' ? null : Number(array[2]) };
+    }
+
+    if (text === 'tuple') {
+        return {
+            kind: 'tuple',
+            components: (components || []).map(component => ({ name: component.name || '', type: parseType(component) }))
+        };
+    }
+    if (text.startsWith('tuple(')) {
+        return parseType(text.slice('tuple'.length), components);
+    }
+    if (text.startsWith('(')) {
+        if (!text.endsWith(')')) {
+            throw new Error(`Unbalanced ABI type: ${text}`);
+        }
+        return {
+            kind: 'tuple',
+            components: splitComponents(text.slice(1, -1)).map((component, index) => {
+                // Components may be named, as in human-readable ABIs: (address token, uint256 amount)
+                const named = component.match(/^([\s\S]*[\w)\]])\s+([A-Za-z_$][\w$]*)$/);
+                const abiComponent = components && components[index];
+                return {
+                    name: (named ? named[2] : '') || (abiComponent && abiComponent.name) || '',
+                    type: parseType(named ? named[1] : component, abiComponent ? abiComponent.components : null)
+                };
+            })
+        };
+    }
+
+    // Data locations and names after an elementary type are no part of it
+    const [elementary] = text.split(/\s+/);
+    const aliases = { uint: 'uint256', int: 'int256', byte: 'bytes1' };
+    return { kind: 'elementary', type: aliases[elementary] || elementary };
+}
+
+/**
+ * Get the canonical ABI spelling of a type, as used in signatures
+ * @param {Object} type - Type tree
+ * @returns {string} Canonical type, e.g. (address,uint256)[]
+ */
+function canonicalType(type) {
+    if (type.kind === 'array') {
+        return `${canonicalType(type.element)}[${type.length === null ? '' : type.length}]`;
+    }
+    if (type.kind === 'tuple') {
+        return `(${type.components.map(component => canonicalType(component.type)).join(',')})`;
+    }
+    return type.type;
+}
+
+/**
+ * Check whether values of a type need a data location in Solidity
+ * @param {Object} type - Type tree
+ * @returns {boolean} True for arrays, structs, bytes and string
+ */
+function isReferenceType(type) {
+    return type.kind !== 'elementary' || type.type === 'bytes' || type.type === 'string';
+}
+
+/**
+ * Turn a value decoded by ethers into a decoded parameter
+ * Tuples become component parameters named after the ABI, the way the trace decodes them
+ * @param {string|Object} input - ABI type or parameter
+ * @param {*} value - Decoded value (ethers Result for tuples and arrays)
+ * @param {string} name - Parameter name
+ * @returns {Object} Parameter with name, canonical type and value
+ */
+function decodedParam(input, value, name = '') {
+    const type = parseType(input);
+    const decodedValue = (valueType, item) => {
+        if (item === undefined || item === null) return item;
+        if (valueType.kind === 'tuple') {
+            return valueType.components.map((component, index) => ({
+                name: component.name,
+                type: canonicalType(component.type),
+                value: decodedValue(component.type, item[index])
+            }));
+        }
+        if (valueType.kind === 'array') {
+            return Array.from(item, element => decodedValue(valueType.element, element));
+        }
+        return typeof item === 'bigint' ? item.toString() : item;
+    };
+
+    return { name, type: canonicalType(type), value: decodedValue(type, value) };
+}
+
+/**
+ * The structs of one generated test
+ * Tuples become structs named after the parameter or component that holds them (Order, SwapParams,
+ * Leg for the elements of legs[]).
+ * Fields are named after the tuple's components, field0..N where they have no usable name.
+ * Tuples with the same fields share one struct, across every function and interface of the test.
+ */
+class StructRegistry {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Forget every struct, before generating another test
+     * @param {Array<string>} reserved - Further names structs must not take, e.g. the generated contracts
+     */
+    reset(reserved = []) {
+        this.scope = new Scope();
+        new Set([...IMPORTED_NAMES, ...reserved]).forEach(name => this.scope.claim(name));
+        // Field list (type and name of every field) → struct
+        this.structs = new Map();
+    }
+
+    /**
+     * Get the type of a decoded parameter, naming tuple components after its value
+     * Trace decoders name components in the value ({ name, type, value }) rather than in the type
+     * @param {Object} param - Parameter with type and value, and ABI components if any
+     * @returns {Object|null} Type tree, or null when the type is unknown
+     */
+    typeOf(param) {
+        if (!param || !param.type) return null;
+        try {
+            return this._nameComponents(parseType(param.type, param.components), param.value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the Solidity type of a type tree, declaring the structs its tuples need
+     * @param {Object} type - Type tree
+     * @param {string|null} location - Data location added to reference types ('memory', 'calldata')
+     * @param {string} hint - Name of the parameter holding the value, which names its struct
+     * @returns {string|null} Solidity type, or null when a tuple component has no known type
+     */
+    solidityType(type, location = null, hint = '') {
+        const name = this._typeName(type, hint);
+        if (name === null) return null;
+        return location && isReferenceType(type) ? `${name} ${location}` : name;
+    }
+
+    /**
+     * Get the struct of a tuple, declaring it on first use
+     * @param {Object} type - Tuple type tree
+     * @param {string} hint - Name of the parameter or component holding the tuple
+     * @returns {string|null} Struct name, or null when a component has no known type
+     */
+    structName(type, hint = '') {
+        const types = type.components.map(component => this._typeName(component.type, component.name));
+        if (types.length === 0 || types.includes(null)) return null;
+
+        const names = new Set();
+        const fields = type.components.map((component, index) => {
+            const name = isIdentifier(component.name) && !names.has(component.name) ? component.name : `field${index}`;
+            names.add(name);
+            return { type: types[index], name };
+        });
+
+        const key = fields.map(field => `${field.type} ${field.name}`).join(',');
+        if (!this.structs.has(key)) {
+            const base = String(hint || '').replace(/[^A-Za-z0-9_]/g, '');
+            const name = /^[A-Za-z]/.test(base) ? `${base[0].toUpperCase()}${base.slice(1)}` : 'Struct';
+            this.structs.set(key, { name: this.scope.declare(name), fields });
+        }
+        return this.structs.get(key).name;
+    }
+
+    /**
+     * Get the declarations of every struct, each after the structs it contains
+     * @returns {Array<string>} Struct declarations
+     */
+    declarations() {
+        return Array.from(this.structs.values(), struct =>
+            `struct ${struct.name} {\n${struct.fields.map(field => `    ${field.type} ${field.name};`).join('\n')}\n}`
+        );
+    }
+
+    /**
+     * Get the Solidity name of a type without data location
+     * @param {Object} type - Type tree
+     * @param {string} hint - Name of the parameter or component holding the value
+     * @returns {string|null} Type name, or null when a tuple component has no known type
+     * @private
+     */
+    _typeName(type, hint) {
+        if (!type) return null;
+        if (type.kind === 'array') {
+            // Elements of orders[] are each an Order
+            const element = this._typeName(type.element, /[^s]s$/.test(hint || '') ? hint.slice(0, -1) : hint);
+            return element === null ? null : `${element}[${type.length === null ? '' : type.length}]`;
+        }
+        if (type.kind === 'tuple') {
+            return this.structName(type, hint);
+        }
+        return type.type;
+    }
+
+    /**
+     * Name the components of a tuple type after a decoded value
+     * Bare 'tuple' types take their components, types included, from the value
+     * @param {Object} type - Type tree
+     * @param {*} value - Decoded value; tuple components are { name, type, value }
+     * @returns {Object|null} Type tree, or null when a component has no known type
+     * @private
+     */
+    _nameComponents(type, value) {
+        if (type.kind === 'array') {
+            const [first] = Array.isArray(value) ? value : [];
+            const element = first === undefined ? type.element : this._nameComponents(type.element, first);
+            return element && { ...type, element };
+        }
+        if (type.kind !== 'tuple') {
+            return type;
+        }
+
+        const items = Array.isArray(value) ? value : [];
+        const isComponent = item => item && typeof item === 'object' && !Array.isArray(item) && 'value' in item;
+        if (type.components.length === 0) {
+            if (items.length === 0 || !items.every(item => isComponent(item) && item.type)) return null;
+            return this._nameComponents(parseType(`(${items.map(item => item.type).join(',')})`), items);
+        }
+
+        const components = type.components.map((component, index) => {
+            const item = items[index];
+            if (!isComponent(item)) return component;
+            const componentType = this._nameComponents(component.type, item.value);
+            return componentType && { name: component.name || item.name || '', type: componentType };
+        });
+        return components.includes(null) ? null : { ...type, components };
+    }
+}
+
+module.exports = {
+    parseType,
+    canonicalType,
+    isReferenceType,
+    isIdentifier,
+    decodedParam,
+    StructRegistry
+};
@@ -0,0 +1,167 @@
+const TraceBuilder = require('./traceBuilder');
+
+/**
+ * Geth callTracer Adapter
+ * Normalizes debug_traceTransaction output produced with { tracer: 'callTracer' }
+ * (optionally with { withLog: true }) into the internal trace model.
+ * Also accepts the bundle assembled by TraceFetcher, { transactionHash, callTrace, prestate, stateDiff },
+ * where prestate and stateDiff are prestateTracer results without and with { diffMode: true }
+ */
+class CallTracerAdapter {
+    constructor() {
+        this.name = 'callTracer';
+    }
+
+    /**
+     * Check whether raw JSON is a callTracer frame
+     * @param {Object} raw - Parsed trace JSON
+     * @returns {boolean} True if the root looks like a callTracer frame
+     */
+    detect(raw) {
+        return this._isFrame(raw) || (!!raw && this._isFrame(raw.callTrace));
+    }
+
+    /**
+     * Normalize a callTracer frame tree
+     * @param {Object} raw - Root callTracer frame, or a TraceFetcher bundle
+     * @returns {Object} Trace data
+     */
+    normalize(raw) {
+        const builder = new TraceBuilder(this.name);
+
+        if (this._isFrame(raw)) {
+            this._addFrame(builder, null, raw);
+        } else {
+            builder.transactionHash = raw.transactionHash || null;
+            this._addBundle(builder, raw);
+        }
+
+        return builder.build();
+    }
+
+    /**
+     * Check whether an object is a callTracer frame
+     * @param {Object} frame - Candidate frame
+     * @returns {boolean} True if it looks like a callTracer frame
+     * @private
+     */
+    _isFrame(frame) {
+        return !!frame
+            && typeof frame.type === 'string'
+            && typeof frame.from === 'string'
+            && (typeof frame.input === 'string' || Array.isArray(frame.calls));
+    }
+
+    /**
+     * Add a TraceFetcher bundle, placing prestateTracer storage inside the calls that touched it
+     * The prestateTracer only reports storage per transaction: each read is placed in the first call
+     * running in the contract's storage context, each write in the last successful one
+     * @param {TraceBuilder} builder - Trace builder
+     * @param {Object} bundle - { callTrace, prestate, stateDiff }
+     * @private
+     */
+    _addBundle(builder, bundle) {
+        const pendingReads = new Map(Object.entries(bundle.prestate || {})
+            .map(([contract, account]) => [contract.toLowerCase(), account.storage || {}]));
+        const writers = new Map();
+
+        const rootId = this._addFrame(builder, null, bundle.callTrace, (id, frame) => {
+            const operation = (frame.type || '').toUpperCase();
+            // Delegated code runs on the calling contract's storage
+            const context = ((operation === 'DELEGATECALL' || operation === 'CALLCODE' ? frame.from : frame.to) || '').toLowerCase();
+
+            if (pendingReads.has(context)) {
+                this._addReads(builder, id, context, pendingReads.get(context));
+                pendingReads.delete(context);
+            }
+            if (!frame.error && operation !== 'STATICCALL') {
+                writers.set(context, id);
+            }
+        });
+
+        for (const [contract, storage] of pendingReads) {
+            this._addReads(builder, rootId, contract, storage);
+        }
+
+        const pre = (bundle.stateDiff && bundle.stateDiff.pre) || {};
+        // Accounts missing from post were not modified; slots missing from a modified account's post were cleared
+        for (const [contract, account] of Object.entries((bundle.stateDiff && bundle.stateDiff.post) || {})) {
+            const prevStorage = (pre[contract] && pre[contract].storage) || {};
+            const postStorage = account.storage || {};
+            const keys = new Set([...Object.keys(prevStorage), ...Object.keys(postStorage)]);
+            const writerId = writers.has(contract.toLowerCase()) ? writers.get(contract.toLowerCase()) : rootId;
+
+            for (const key of keys) {
+                const prev = TraceBuilder.toWord(prevStorage[key] || '0x0');
+                const current = TraceBuilder.toWord(postStorage[key] || '0x0');
+                if (prev !== current) {
+                    builder.addSlotWrite(writerId, { contract, key, prev, current });
+                }
+            }
+        }
+    }
+
+    /**
+     * Add the pre-transaction storage of a contract as slot reads
+     * @param {TraceBuilder} builder - Trace builder
+     * @param {number} parentId - Invocation node id
+     * @param {string} contract - Contract address
+     * @param {Object} storage - Slot to value map
+     * @private
+     */
+    _addReads(builder, parentId, contract, storage) {
+        for (const [key, value] of Object.entries(storage)) {
+            builder.addSlotRead(parentId, { contract, key, value });
+        }
+    }
+
+    /**
+     * Add a frame, its logs and its sub-calls in execution order
+     * @param {TraceBuilder} builder - Trace builder
+     * @param {number|null} parentId - Parent node id
+     * @param {Object} frame - callTracer frame
+     * @param {Function|null} onCreate - Called with the node id and frame before the frame's logs and sub-calls are added
+     * @returns {number} Node id
+     * @private
+     */
+    _addFrame(builder, parentId, frame, onCreate = null) {
+        const id = builder.addInvocation(parentId, {
+            from: frame.from,
+            to: frame.to,
+            operation: frame.type,
+            input: frame.input,
+            output: frame.output,
+            value: frame.value,
+            gasUsed: frame.gasUsed,
+            error: frame.error || null,
+            decodedMethod: null
+        });
+        if (onCreate) onCreate(id, frame);
+
+        const calls = frame.calls || [];
+        const logs = frame.logs || [];
+        let logIndex = 0;
+
+        // A log's position is the number of sub-calls the frame made before emitting it
+        const addLogsBefore = (callIndex) => {
+            while (logIndex < logs.length) {
+                const log = logs[logIndex];
+                const position = log.position !== undefined ? Number(log.position) : calls.length;
+                if (position > callIndex) break;
+
+                builder.addEvent(id, { address: log.address, topics: log.topics, data: log.data });
+                logIndex++;
+            }
+        };
+
+        calls.forEach((call, index) => {
+            addLogsBefore(index);
+            this._addFrame(builder, id, call, onCreate);
+        });
+        addLogsBefore(calls.length);
+
+        return id;
+    }
+}
+
+module.exports = CallTracerAdapter;
@@ -0,0 +1,131 @@
+const TraceBuilder = require('./traceBuilder');
+
+/**
+ * Foundry Adapter
+ * Normalizes Foundry call trace arenas, as printed by `cast run --json` or found in the
+ * traces of `forge test --json`, into the internal trace model
+ */
+class FoundryAdapter {
+    constructor() {
+        this.name = 'foundry';
+    }
+
+    /**
+     * Check whether raw JSON is a Foundry trace arena
+     * @param {Object} raw - Parsed trace JSON
+     * @returns {boolean} True if an arena can be found
+     */
+    detect(raw) {
+        return !!this._findArena(raw);
+    }
+
+    /**
+     * Normalize a Foundry trace arena
+     * @param {Object} raw - Parsed trace JSON
+     * @returns {Object} Trace data
+     */
+    normalize(raw) {
+        const arena = this._findArena(raw);
+        const builder = new TraceBuilder(this.name);
+
+        const roots = arena.filter(node => node.parent === null || node.parent === undefined);
+        for (const root of roots) {
+            this._addNode(builder, null, root, arena);
+        }
+
+        return builder.build();
+    }
+
+    /**
+     * Find the arena in the known output layouts
+     * `forge test --json` and older `cast run --json` wrap arenas in [kind, { arena }] pairs;
+     * the execution arena is the one holding the replayed transaction
+     * @param {Object|Array} raw - Parsed trace JSON
+     * @returns {Array|null} Arena nodes
+     * @private
+     */
+    _findArena(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        if (Array.isArray(raw.arena)) return raw.arena;
+
+        const pairs = Array.isArray(raw) ? raw : Array.isArray(raw.traces) ? raw.traces : null;
+        if (!pairs) return null;
+
+        const arenas = pairs
+            .filter(pair => Array.isArray(pair) && pair[1] && Array.isArray(pair[1].arena))
+            .map(([kind, trace]) => ({ kind, arena: trace.arena }));
+        if (arenas.length === 0) return null;
+
+        const execution = arenas.find(entry => entry.kind === 'Execution');
+        return (execution || arenas[arenas.length - 1]).arena;
+    }
+
+    /**
+     * Add an arena node with its logs and children in execution order
+     * @param {TraceBuilder} builder - Trace builder
+     * @param {number|null} parentId - Parent node id
+     * @param {Object} node - Arena node
+     * @param {Array} arena - All arena nodes
+     * @private
+     */
+    _addNode(builder, parentId, node, arena) {
+        const trace = node.trace || {};
+        const id = builder.addInvocation(parentId, {
+            from: trace.caller,
+            to: trace.address,
+            operation: trace.kind,
+            input: trace.data,
+            output: trace.output,
+            value: trace.value,
+            gasUsed: trace.gas_used,
+            error: trace.success === false ? (trace.decoded?.return_data || 'reverted') : null,
+            decodedMethod: this._toDecodedMethod(trace)
+        });
+
+        const children = node.children || [];
+        const logs = node.logs || [];
+        // Delegated code emits logs from the calling contract's context
+        const kind = (trace.kind || '').toUpperCase();
+        const emitter = kind === 'DELEGATECALL' || kind === 'CALLCODE' ? trace.caller : trace.address;
+
+        // ordering interleaves logs and sub-calls; without it, logs are placed after the calls
+        const ordering = Array.isArray(node.ordering) && node.ordering.length > 0
+            ? node.ordering
+            : [...children.map((_, index) => ({ Call: index })), ...logs.map((_, index) => ({ Log: index }))];
+
+        for (const item of ordering) {
+            if (item.Call !== undefined) {
+                const child = arena[children[item.Call]];
+                if (child) this._addNode(builder, id, child, arena);
+            } else if (item.Log !== undefined && logs[item.Log]) {
+                const rawLog = logs[item.Log].raw_log || logs[item.Log];
+                builder.addEvent(id, { address: emitter, topics: rawLog.topics, data: rawLog.data });
+            }
+        }
+    }
+
+    /**
+     * Convert Foundry's decoded call data into Phalcon's decodedMethod shape
+     * @param {Object} trace - Arena call trace
+     * @returns {Object|null} Decoded method
+     * @private
+     */
+    _toDecodedMethod(trace) {
+        const callData = trace.decoded?.call_data;
+        if (!callData || !callData.signature) return null;
+
+        const types = TraceBuilder.splitSignatureTypes(callData.signature);
+        return {
+            name: callData.signature.split('(')[0],
+            signature: callData.signature,
+            callParams: (callData.args || []).map((value, index) => ({
+                name: `param${index}`,
+                type: types[index] || 'bytes',
+                // Foundry annotates numbers with their scientific form, e.g. "1000000000000000000 [1e18]"
+                value: typeof value === 'string' ? value.replace(/\s+\[[^\]]*\]$/, '') : value
+            }))
+        };
+    }
+}
+
+module.exports = FoundryAdapter;
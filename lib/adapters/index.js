@@ -0,0 +1,122 @@
+const PhalconAdapter = require('./phalconAdapter');
+const FoundryAdapter = require('./foundryAdapter');
+const TenderlyAdapter = require('./tenderlyAdapter');
+const CallTracerAdapter = require('./callTracerAdapter');
+const TraceBuilder = require('./traceBuilder');
+
+/**
+ * Trace Adapter Registry
+ * Sniffs the format of a raw trace and normalizes it into the Phalcon-shaped model
+ * (dataMap/parentIdMap/mainTrace) consumed by TraceParser and FoundryGenerator.
+ * Adapters implement { name, detect(raw), normalize(raw) } and are tried in registration order.
+ */
+class TraceAdapterRegistry {
+    /**
+     * @param {Array<Object>|null} adapters - Adapters to register (defaults to the built-in ones)
+     */
+    constructor(adapters = null) {
+        this.adapters = [];
+
+        const initial = adapters || [
+            new PhalconAdapter(),
+            new FoundryAdapter(),
+            new TenderlyAdapter(),
+            new CallTracerAdapter()
+        ];
+        initial.forEach(adapter => this.register(adapter));
+    }
+
+    /**
+     * Register an adapter, replacing any adapter with the same name
+     * @param {Object} adapter - Adapter with name, detect and normalize
+     * @returns {TraceAdapterRegistry} This registry
+     */
+    register(adapter) {
+        if (!adapter || !adapter.name || typeof adapter.detect !== 'function' || typeof adapter.normalize !== 'function') {
+            throw new Error('Trace adapters must provide name, detect(raw) and normalize(raw)');
+        }
+
+        const existing = this.adapters.findIndex(registered => registered.name === adapter.name);
+        if (existing >= 0) {
+            this.adapters[existing] = adapter;
+        } else {
+            this.adapters.push(adapter);
+        }
+        return this;
+    }
+
+    /**
+     * Get an adapter by format name
+     * @param {string} name - Format name
+     * @returns {Object|null} Adapter or null
+     */
+    getAdapter(name) {
+        return this.adapters.find(adapter => adapter.name === name) || null;
+    }
+
+    /**
+     * Get the names of all registered formats
+     * @returns {Array<string>} Format names
+     */
+    getFormats() {
+        return this.adapters.map(adapter => adapter.name);
+    }
+
+    /**
+     * Detect the format of a raw trace
+     * @param {Object} raw - Parsed trace JSON
+     * @returns {string|null} Format name or null
+     */
+    detect(raw) {
+        const unwrapped = this._unwrap(raw);
+        const adapter = this.adapters.find(candidate => candidate.detect(unwrapped));
+        return adapter ? adapter.name : null;
+    }
+
+    /**
+     * Normalize a raw trace into the internal model
+     * @param {Object} raw - Parsed trace JSON
+     * @param {string|null} format - Format name, detected when omitted
+     * @returns {Object} Trace data
+     */
+    normalize(raw, format = null) {
+        const unwrapped = this._unwrap(raw);
+        const adapter = format
+            ? this.getAdapter(format)
+            : this.adapters.find(candidate => candidate.detect(unwrapped));
+
+        if (!adapter) {
+            throw new Error(format
+                ? `Unknown trace format: ${format} (supported: ${this.getFormats().join(', ')})`
+                : `Unrecognized trace format (supported: ${this.getFormats().join(', ')})`);
+        }
+
+        console.log(`Reading trace as ${adapter.name} format`);
+        return adapter.normalize(unwrapped);
+    }
+
+    /**
+     * Unwrap a JSON-RPC response envelope such as a saved debug_traceTransaction reply
+     * @param {Object} raw - Parsed trace JSON
+     * @returns {Object} Trace payload
+     * @private
+     */
+    _unwrap(raw) {
+        if (raw && raw.jsonrpc && raw.error) {
+            throw new Error(`Trace file holds a JSON-RPC error: ${raw.error.message || JSON.stringify(raw.error)}`);
+        }
+        if (raw && raw.jsonrpc && raw.result !== undefined) {
+            return raw.result;
+        }
+        return raw;
+    }
+}
+
+module.exports = {
+    TraceAdapterRegistry,
+    TraceBuilder,
+    PhalconAdapter,
+    FoundryAdapter,
+    TenderlyAdapter,
+    CallTracerAdapter
+};
@@ -0,0 +1,29 @@
+/**
+ * Phalcon Adapter
+ * Phalcon's dataMap export already is the internal trace model, so it passes through unchanged
+ */
+class PhalconAdapter {
+    constructor() {
+        this.name = 'phalcon';
+    }
+
+    /**
+     * Check whether raw JSON is a Phalcon trace
+     * @param {Object} raw - Parsed trace JSON
+     * @returns {boolean} True if the trace has a dataMap
+     */
+    detect(raw) {
+        return !!raw && typeof raw.dataMap === 'object' && raw.dataMap !== null;
+    }
+
+    /**
+     * Normalize a Phalcon trace
+     * @param {Object} raw - Parsed trace JSON
+     * @returns {Object} Trace data
+     */
+    normalize(raw) {
+        return raw;
+    }
+}
+
+module.exports = PhalconAdapter;
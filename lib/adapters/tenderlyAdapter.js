@@ -0,0 +1,182 @@
+const TraceBuilder = require('./traceBuilder');
+
+/**
+ * Tenderly Adapter
+ * Normalizes Tenderly transaction and simulation exports (the nested call_trace with decoded
+ * inputs, logs and state diffs) into the internal trace model
+ */
+class TenderlyAdapter {
+    constructor() {
+        this.name = 'tenderly';
+    }
+
+    /**
+     * Check whether raw JSON is a Tenderly export
+     * @param {Object} raw - Parsed trace JSON
+     * @returns {boolean} True if a call_trace can be found
+     */
+    detect(raw) {
+        return !!this._findTransactionInfo(raw);
+    }
+
+    /**
+     * Normalize a Tenderly export
+     * @param {Object} raw - Parsed trace JSON
+     * @returns {Object} Trace data
+     */
+    normalize(raw) {
+        const info = this._findTransactionInfo(raw);
+        const builder = new TraceBuilder(this.name);
+        builder.transactionHash = raw.hash || raw.transaction?.hash || info.transaction_id || null;
+
+        const calls = [];
+        const rootId = this._addCall(builder, null, info.call_trace, calls);
+
+        // Exports without per-call logs only list them for the whole transaction; each log is
+        // attached to the next unused call into its emitter so it lands inside the right subtree
+        if (!this._hasCallLogs(info.call_trace)) {
+            let cursor = 0;
+            let lastMatch = null;
+            for (const log of info.logs || []) {
+                const converted = this._toLog(log);
+                const emitter = (converted.address || '').toLowerCase();
+                const index = calls.findIndex((call, position) => position >= cursor && call.address === emitter);
+
+                if (index >= 0) {
+                    cursor = index + 1;
+                    lastMatch = calls[index];
+                }
+                const target = index >= 0 ? calls[index] : (lastMatch && lastMatch.address === emitter ? lastMatch : null);
+                builder.addEvent(target ? target.id : rootId, converted);
+            }
+        }
+
+        return builder.build();
+    }
+
+    /**
+     * Find the object holding call_trace in the known export layouts
+     * @param {Object} raw - Parsed trace JSON
+     * @returns {Object|null} Transaction info with call_trace
+     * @private
+     */
+    _findTransactionInfo(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+
+        const candidates = [raw, raw.transaction_info, raw.transaction?.transaction_info, raw.simulation?.transaction_info];
+        return candidates.find(candidate => candidate && typeof candidate.call_trace === 'object' && candidate.call_trace !== null) || null;
+    }
+
+    /**
+     * Add a call and its sub-calls
+     * @param {TraceBuilder} builder - Trace builder
+     * @param {number|null} parentId - Parent node id
+     * @param {Object} call - Tenderly call_trace entry
+     * @param {Array} calls - Collects successful state-changing calls as { id, address } in execution order
+     * @returns {number} Node id
+     * @private
+     */
+    _addCall(builder, parentId, call, calls) {
+        const id = builder.addInvocation(parentId, {
+            from: call.from,
+            to: call.to,
+            operation: call.call_type || call.type,
+            input: call.input,
+            output: call.output,
+            value: call.value,
+            gasUsed: call.gas_used,
+            error: call.error || call.error_reason || null,
+            decodedMethod: this._toDecodedMethod(call)
+        });
+
+        // Delegated code emits logs from the calling contract's context
+        const operation = (call.call_type || call.type || '').toUpperCase();
+        const context = operation === 'DELEGATECALL' || operation === 'CALLCODE' ? call.from : call.to;
+        if (!call.error && context && operation !== 'STATICCALL') {
+            calls.push({ id, address: context.toLowerCase() });
+        }
+
+        for (const log of call.logs || []) {
+            builder.addEvent(id, this._toLog(log));
+        }
+        for (const diff of call.state_diff || []) {
+            for (const slot of diff.raw || []) {
+                builder.addSlotWrite(id, { contract: slot.address, key: slot.key, prev: slot.original, current: slot.dirty });
+            }
+        }
+        for (const subCall of call.calls || []) {
+            this._addCall(builder, id, subCall, calls);
+        }
+
+        return id;
+    }
+
+    /**
+     * Check whether any call in the tree carries its own logs
+     * @param {Object} call - Tenderly call_trace entry
+     * @returns {boolean} True if logs are attached to calls
+     * @private
+     */
+    _hasCallLogs(call) {
+        return (call.logs || []).length > 0 || (call.calls || []).some(subCall => this._hasCallLogs(subCall));
+    }
+
+    /**
+     * Convert Tenderly's decoded input into Phalcon's decodedMethod shape
+     * @param {Object} call - Tenderly call_trace entry
+     * @returns {Object|null} Decoded method
+     * @private
+     */
+    _toDecodedMethod(call) {
+        if (!call.function_name || !Array.isArray(call.decoded_input)) return null;
+
+        const callParams = call.decoded_input.map((input, index) => this._toParam(input, index));
+        return {
+            name: call.function_name,
+            signature: `${call.function_name}(${callParams.map(param => param.type).join(',')})`,
+            callParams: callParams,
+            returnParams: (call.decoded_output || []).map((output, index) => this._toParam(output, index))
+        };
+    }
+
+    /**
+     * Convert a Tenderly log into a builder log
+     * @param {Object} log - Tenderly log with raw and decoded inputs
+     * @returns {Object} Log description
+     * @private
+     */
+    _toLog(log) {
+        const rawLog = log.raw || log;
+        const decoded = log.name && Array.isArray(log.inputs) && !log.anonymous;
+        const params = decoded ? log.inputs.map((input, index) => this._toParam(input, index)) : [];
+
+        return {
+            address: rawLog.address,
+            topics: rawLog.topics,
+            data: rawLog.data,
+            decodedLog: decoded ? {
+                name: log.name,
+                signature: `${log.name}(${params.map(param => param.type).join(',')})`,
+                params: params
+            } : null
+        };
+    }
+
+    /**
+     * Convert a Tenderly decoded value into a parameter
+     * @param {Object} input - Decoded value with soltype
+     * @param {number} index - Parameter position
+     * @returns {Object} Parameter with name, type and value
+     * @private
+     */
+    _toParam(input, index) {
+        const soltype = input.soltype || {};
+        return {
+            name: soltype.name || `param${index}`,
+            type: soltype.type || 'bytes',
+            value: typeof input.value === 'object' && input.value !== null ? input.value : String(input.value)
+        };
+    }
+}
+
+module.exports = TenderlyAdapter;
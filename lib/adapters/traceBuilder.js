@@ -0,0 +1,248 @@
+const NODE_TYPES = require('../callTree').NODE_TYPES;
+
+/**
+ * Trace Builder
+ * Assembles the Phalcon-shaped trace (dataMap, parentIdMap, mainTrace) that TraceParser and
+ * FoundryGenerator consume, so every input adapter only has to describe nodes in execution order
+ */
+class TraceBuilder {
+    /**
+     * @param {string} format - Name of the source format
+     */
+    constructor(format) {
+        this.format = format;
+        this.dataMap = {};
+        this.parentIdMap = {};
+        this.children = new Map();
+        this.depths = new Map();
+        this.roots = [];
+        this.nextId = 0;
+        this.transactionHash = null;
+    }
+
+    /**
+     * Add an invocation node
+     * @param {number|null} parentId - Parent invocation id (null for the root call)
+     * @param {Object} call - Call description
+     * @param {string} call.from - Sender address
+     * @param {string} call.to - Target (or created) address
+     * @param {string} call.operation - CALL, STATICCALL, DELEGATECALL, CREATE, CREATE2, ...
+     * @param {string} call.input - Full calldata (or init code for creations)
+     * @param {string} call.output - Return data (or runtime code for creations)
+     * @param {string|number|bigint} call.value - Wei value, decimal or hex
+     * @param {number|string} call.gasUsed - Gas used
+     * @param {string|null} call.error - Revert reason, if the call failed
+     * @param {Object|null} call.decodedMethod - Decoded method in Phalcon's shape
+     * @returns {number} Node id
+     */
+    addInvocation(parentId, call) {
+        const operation = (call.operation || 'CALL').toUpperCase();
+        const isCreate = operation === 'CREATE' || operation === 'CREATE2';
+        const input = TraceBuilder.normalizeHex(call.input);
+
+        // Phalcon keeps the selector apart from the arguments; creations carry the whole init code
+        const hasSelector = !isCreate && input.length >= 10;
+        const failed = !!call.error;
+
+        return this._addNode(parentId, operation === 'STATICCALL' ? NODE_TYPES.STATIC_INVOCATION : NODE_TYPES.INVOCATION, {
+            nodeType: NODE_TYPES.INVOCATION,
+            invocation: {
+                address: (call.to || '').toLowerCase(),
+                fromAddress: (call.from || '').toLowerCase(),
+                operation: operation,
+                selector: hasSelector ? input.slice(0, 10) : '',
+                callData: hasSelector ? `0x${input.slice(10)}` : input,
+                output: TraceBuilder.normalizeHex(call.output),
+                value: TraceBuilder.normalizeValue(call.value),
+                gasUsed: call.gasUsed !== undefined && call.gasUsed !== null ? Number(call.gasUsed) : 0,
+                decodedMethod: call.decodedMethod || null,
+                methodDecoded: !!call.decodedMethod,
+                status: !failed,
+                revert: failed,
+                revertMessage: failed ? String(call.error) : '',
+                errorInfo: ''
+            }
+        });
+    }
+
+    /**
+     * Add an event node
+     * @param {number} parentId - Invocation that emitted the log
+     * @param {Object} log - Log description
+     * @param {string} log.address - Emitting contract
+     * @param {Array<string>} log.topics - Log topics
+     * @param {string} log.data - Log data
+     * @param {Object|null} log.decodedLog - Decoded log in Phalcon's shape ({ name, signature, params })
+     * @returns {number} Node id
+     */
+    addEvent(parentId, log) {
+        return this._addNode(parentId, NODE_TYPES.EVENT, {
+            nodeType: NODE_TYPES.EVENT,
+            event: {
+                contract: (log.address || '').toLowerCase(),
+                topics: (log.topics || []).map(topic => topic.toLowerCase()),
+                logData: TraceBuilder.normalizeHex(log.data),
+                decodedLog: log.decodedLog || null,
+                logDecoded: !!log.decodedLog,
+                operation: 'EVENT',
+                revert: false,
+                status: true
+            }
+        });
+    }
+
+    /**
+     * Add a storage read node
+     * @param {number} parentId - Invocation that read the slot
+     * @param {Object} read - Read with contract, key and value
+     * @returns {number} Node id
+     */
+    addSlotRead(parentId, read) {
+        return this._addNode(parentId, NODE_TYPES.SLOT_READ, {
+            nodeType: NODE_TYPES.SLOT_READ,
+            slotReadData: {
+                contract: read.contract.toLowerCase(),
+                key: TraceBuilder.toWord(read.key),
+                value: TraceBuilder.toWord(read.value)
+            }
+        });
+    }
+
+    /**
+     * Add a storage write node
+     * @param {number} parentId - Invocation that wrote the slot
+     * @param {Object} write - Write with contract, key, prev and current
+     * @returns {number} Node id
+     */
+    addSlotWrite(parentId, write) {
+        return this._addNode(parentId, NODE_TYPES.SLOT_WRITE, {
+            nodeType: NODE_TYPES.SLOT_WRITE,
+            slotWriteData: {
+                contract: write.contract.toLowerCase(),
+                key: TraceBuilder.toWord(write.key),
+                prev: TraceBuilder.toWord(write.prev),
+                current: TraceBuilder.toWord(write.current)
+            }
+        });
+    }
+
+    /**
+     * Build the normalized trace
+     * @returns {Object} Trace data with dataMap, parentIdMap and mainTrace
+     */
+    build() {
+        const toTraceNode = (id) => ({
+            id: id,
+            order: id,
+            depth: this.depths.get(id),
+            type: this.dataMap[id].traceType,
+            children: (this.children.get(id) || []).map(toTraceNode)
+        });
+
+        const mainTrace = this.roots.map(toTraceNode);
+        for (const entry of Object.values(this.dataMap)) {
+            delete entry.traceType;
+        }
+
+        const traceData = {
+            format: this.format,
+            dataMap: this.dataMap,
+            parentIdMap: this.parentIdMap,
+            mainTrace: mainTrace
+        };
+        if (this.transactionHash) {
+            traceData.transactionHash = this.transactionHash;
+        }
+        return traceData;
+    }
+
+    /**
+     * Register a node
+     * @param {number|null} parentId - Parent node id
+     * @param {number} traceType - Node type as recorded in mainTrace
+     * @param {Object} entry - dataMap entry
+     * @returns {number} Node id
+     * @private
+     */
+    _addNode(parentId, traceType, entry) {
+        const id = this.nextId++;
+        this.dataMap[id] = { ...entry, traceType };
+
+        if (parentId === null || parentId === undefined) {
+            this.roots.push(id);
+            this.depths.set(id, 0);
+        } else {
+            this.parentIdMap[id] = parentId;
+            this.depths.set(id, this.depths.get(parentId) + 1);
+            if (!this.children.has(parentId)) {
+                this.children.set(parentId, []);
+            }
+            this.children.get(parentId).push(id);
+        }
+
+        return id;
+    }
+
+    /**
+     * Normalize a hex string to lowercase 0x-prefixed form
+     * @param {string|null|undefined} hex - Hex string
+     * @returns {string} Normalized hex ('0x' when empty)
+     */
+    static normalizeHex(hex) {
+        if (!hex) return '0x';
+        const body = String(hex).toLowerCase().replace(/^0x/, '');
+        return `0x${body}`;
+    }
+
+    /**
+     * Normalize a wei value to a decimal string
+     * @param {string|number|bigint|null|undefined} value - Decimal or 0x-prefixed hex value
+     * @returns {string} Decimal string
+     */
+    static normalizeValue(value) {
+        if (value === null || value === undefined || value === '' || value === '0x') return '0';
+        try {
+            return BigInt(value).toString();
+        } catch (error) {
+            return String(value).replace(/,/g, '');
+        }
+    }
+
+    /**
+     * Left-pad a hex quantity to a 32-byte word
+     * @param {string} hex - Hex quantity
+     * @returns {string} 0x-prefixed 32-byte word
+     */
+    static toWord(hex) {
+        return `0x${TraceBuilder.normalizeHex(hex).slice(2).padStart(64, '0')}`;
+    }
+
+    /**
+     * Split the parameter types out of a function or event signature
+     * @param {string} signature - Signature such as "transfer(address,uint256)"
+     * @returns {Array<string>} Top-level parameter types
+     */
+    static splitSignatureTypes(signature) {
+        const start = signature.indexOf('(');
+        const body = start >= 0 ? signature.slice(start + 1, signature.lastIndexOf(')')) : '';
+        const types = [];
+        let current = '';
+        let depth = 0;
+
+        for (const char of body) {
+            if (char === ',' && depth === 0) {
+                types.push(current.trim());
+                current = '';
+                continue;
+            }
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            current += char;
+        }
+        if (current.trim()) types.push(current.trim());
+
+        return types;
+    }
+}
+
+module.exports = TraceBuilder;
@@ -0,0 +1,430 @@
+/**
+ * Trace node types as used by Phalcon's dataMap (nodeType) and mainTrace (type)
+ */
+const NODE_TYPES = {
+    INVOCATION: 0,
+    EVENT: 1,
+    SLOT_READ: 3,
+    SLOT_WRITE: 4,
+    STATIC_INVOCATION: 5
+};
+
+/**
+ * Call Tree Module
+ * Reconstructs the real nested call tree of a trace from mainTrace/parentIdMap so that
+ * nesting, ordering and callback detection never have to be guessed from a flat dataMap
+ */
+class CallTree {
+    /**
+     * @param {Object} traceData - Trace data with dataMap and optional mainTrace/parentIdMap
+     */
+    constructor(traceData = {}) {
+        this.dataMap = traceData.dataMap || {};
+        this.nodes = new Map();
+        this.roots = [];
+
+        if (Array.isArray(traceData.mainTrace) && traceData.mainTrace.length > 0) {
+            this._buildFromMainTrace(traceData.mainTrace);
+        } else if (traceData.parentIdMap && Object.keys(traceData.parentIdMap).length > 0) {
+            this._buildFromParentIdMap(traceData.parentIdMap);
+        } else {
+            this._buildFlat();
+        }
+
+        this._sortChildren(this.roots);
+    }
+
+    /**
+     * Build a call tree from trace data
+     * @param {Object} traceData - Trace data object
+     * @returns {CallTree} Call tree
+     */
+    static fromTraceData(traceData) {
+        return new CallTree(traceData);
+    }
+
+    /**
+     * Get the sender address of an invocation
+     * @param {Object} invocation - Invocation data
+     * @returns {string|null} Lowercase sender address or null
+     */
+    static getFromAddress(invocation) {
+        const fromAddr = invocation && (invocation.from || invocation.fromAddress);
+        return fromAddr ? fromAddr.toLowerCase() : null;
+    }
+
+    /**
+     * Get the target address of an invocation
+     * @param {Object} invocation - Invocation data
+     * @returns {string|null} Lowercase target address or null
+     */
+    static getTargetAddress(invocation) {
+        const targetAddr = invocation && (invocation.to || invocation.address);
+        return targetAddr ? targetAddr.toLowerCase() : null;
+    }
+
+    /**
+     * Build nodes by walking Phalcon's mainTrace
+     * @param {Array} mainTrace - Nested mainTrace array
+     * @private
+     */
+    _buildFromMainTrace(mainTrace) {
+        const visit = (traceNode, parent) => {
+            const node = this._createNode(traceNode.id, this.dataMap[traceNode.id], {
+                depth: traceNode.depth,
+                order: traceNode.order,
+                type: traceNode.type
+            });
+            this._attach(node, parent);
+
+            for (const child of traceNode.children || []) {
+                visit(child, node);
+            }
+        };
+
+        for (const traceNode of mainTrace) {
+            visit(traceNode, null);
+        }
+    }
+
+    /**
+     * Build nodes from parentIdMap when mainTrace is not available
+     * @param {Object} parentIdMap - Map of node id to parent node id
+     * @private
+     */
+    _buildFromParentIdMap(parentIdMap) {
+        const ids = new Set([...Object.keys(this.dataMap), ...Object.keys(parentIdMap)]);
+
+        for (const id of ids) {
+            this.nodes.set(String(id), this._createNode(id, this.dataMap[id], { order: Number(id) }));
+        }
+
+        for (const node of this.nodes.values()) {
+            const parentId = parentIdMap[node.id];
+            const parent = parentId !== undefined ? this.nodes.get(String(parentId)) : null;
+            this._attach(node, parent || null);
+        }
+
+        const assignDepth = (node, depth) => {
+            node.depth = depth;
+            node.children.forEach(child => assignDepth(child, depth + 1));
+        };
+        // Phalcon's synthetic -1 node represents the transaction sender, so real calls start at depth 0
+        this.roots.forEach(root => assignDepth(root, Number(root.id) < 0 ? -1 : 0));
+    }
+
+    /**
+     * Build a flat tree (every entry is a root) for traces without nesting information
+     * @private
+     */
+    _buildFlat() {
+        const keys = Object.keys(this.dataMap).sort((a, b) => Number(a) - Number(b));
+
+        for (const key of keys) {
+            const entry = this.dataMap[key];
+            const invocations = entry && entry.invocations;
+
+            // Legacy entries may carry several invocations; each becomes its own node
+            if (Array.isArray(invocations) && invocations.length > 1) {
+                invocations.forEach((invocation, index) => {
+                    const node = this._createNode(`${key}:${index}`, { nodeType: NODE_TYPES.INVOCATION, invocation }, {
+                        order: Number(key),
+                        depth: 0
+                    });
+                    this._attach(node, null);
+                });
+                continue;
+            }
+
+            this._attach(this._createNode(key, entry, { order: Number(key), depth: 0 }), null);
+        }
+    }
+
+    /**
+     * Create a node from a dataMap entry
+     * @param {number|string} id - Node id
+     * @param {Object|undefined} entry - dataMap entry
+     * @param {Object} meta - Structural metadata (depth, order, type)
+     * @returns {Object} Tree node
+     * @private
+     */
+    _createNode(id, entry, meta = {}) {
+        const numericId = Number(id);
+        const invocation = entry
+            ? entry.invocation || (Array.isArray(entry.invocations) ? entry.invocations[0] : null) || null
+            : null;
+
+        const node = {
+            id: Number.isNaN(numericId) ? id : numericId,
+            parent: null,
+            children: [],
+            depth: meta.depth !== undefined ? meta.depth : 0,
+            order: meta.order !== undefined && !Number.isNaN(meta.order) ? meta.order : numericId,
+            nodeType: this._resolveNodeType(entry, meta.type),
+            invocation,
+            event: entry ? entry.event || null : null,
+            slotRead: entry ? entry.slotReadData || null : null,
+            slotWrite: entry ? entry.slotWriteData || null : null,
+            entry: entry || null
+        };
+
+        this.nodes.set(String(node.id), node);
+        return node;
+    }
+
+    /**
+     * Resolve the node type from the dataMap entry, falling back to mainTrace type
+     * @param {Object|undefined} entry - dataMap entry
+     * @param {number|undefined} traceType - mainTrace type
+     * @returns {number} Node type
+     * @private
+     */
+    _resolveNodeType(entry, traceType) {
+        if (entry && entry.nodeType !== undefined) return entry.nodeType;
+        if (entry && (entry.invocation || entry.invocations)) return NODE_TYPES.INVOCATION;
+        if (entry && entry.event) return NODE_TYPES.EVENT;
+        if (entry && entry.slotReadData) return NODE_TYPES.SLOT_READ;
+        if (entry && entry.slotWriteData) return NODE_TYPES.SLOT_WRITE;
+        if (traceType === NODE_TYPES.STATIC_INVOCATION) return NODE_TYPES.INVOCATION;
+        return traceType !== undefined ? traceType : NODE_TYPES.INVOCATION;
+    }
+
+    /**
+     * Attach node to parent (or register as root)
+     * @param {Object} node - Node to attach
+     * @param {Object|null} parent - Parent node
+     * @private
+     */
+    _attach(node, parent) {
+        node.parent = parent;
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            this.roots.push(node);
+        }
+    }
+
+    /**
+     * Sort children by execution order recursively
+     * @param {Array} nodes - Sibling nodes
+     * @private
+     */
+    _sortChildren(nodes) {
+        nodes.sort((a, b) => a.order - b.order);
+        nodes.forEach(node => this._sortChildren(node.children));
+    }
+
+    /**
+     * Get node by id
+     * @param {number|string} id - Node id
+     * @returns {Object|null} Node or null
+     */
+    getNode(id) {
+        return this.nodes.get(String(id)) || null;
+    }
+
+    /**
+     * Check whether a node carries an invocation
+     * @param {Object} node - Tree node
+     * @returns {boolean} True for call/create nodes
+     */
+    isInvocation(node) {
+        return !!node && node.nodeType === NODE_TYPES.INVOCATION && !!node.invocation;
+    }
+
+    /**
+     * Walk the tree depth-first in execution order
+     * @param {Function} visitor - Called with (node); return false to skip the node's children
+     * @param {Object|null} startNode - Node to start from (defaults to all roots)
+     */
+    walk(visitor, startNode = null) {
+        const visit = (node) => {
+            if (visitor(node) === false) return;
+            node.children.forEach(visit);
+        };
+
+        if (startNode) {
+            visit(startNode);
+        } else {
+            this.roots.forEach(visit);
+        }
+    }
+
+    /**
+     * Get all nodes in execution order
+     * @returns {Array} Ordered nodes
+     */
+    getOrderedNodes() {
+        const ordered = [];
+        this.walk(node => { ordered.push(node); });
+        return ordered;
+    }
+
+    /**
+     * Get all invocation nodes in execution order
+     * @returns {Array} Invocation nodes
+     */
+    getInvocations() {
+        return this.getOrderedNodes().filter(node => this.isInvocation(node));
+    }
+
+    /**
+     * Get all nodes of a given type in execution order
+     * @param {number} nodeType - One of NODE_TYPES
+     * @returns {Array} Matching nodes
+     */
+    getNodesByType(nodeType) {
+        return this.getOrderedNodes().filter(node => node.nodeType === nodeType);
+    }
+
+    /**
+     * Get ancestors of a node, nearest first
+     * @param {Object} node - Tree node
+     * @returns {Array} Ancestor nodes
+     */
+    getAncestors(node) {
+        const ancestors = [];
+        let current = node ? node.parent : null;
+        while (current) {
+            ancestors.push(current);
+            current = current.parent;
+        }
+        return ancestors;
+    }
+
+    /**
+     * Get all descendants of a node in execution order
+     * @param {Object} node - Tree node
+     * @returns {Array} Descendant nodes
+     */
+    getDescendants(node) {
+        const descendants = [];
+        node.children.forEach(child => this.walk(descendant => { descendants.push(descendant); }, child));
+        return descendants;
+    }
+
+    /**
+     * Get the nearest invocation ancestor of a node
+     * @param {Object} node - Tree node
+     * @returns {Object|null} Parent invocation node or null
+     */
+    getParentInvocation(node) {
+        return this.getAncestors(node).find(ancestor => this.isInvocation(ancestor)) || null;
+    }
+
+    /**
+     * Check whether a node's effects were rolled back because it or an enclosing frame reverted
+     * @param {Object} node - Tree node
+     * @returns {boolean} True if the node or one of its ancestors reverted
+     */
+    isReverted(node) {
+        return [node, ...this.getAncestors(node)].some(current => {
+            // Phalcon's synthetic sender node carries status false without having reverted
+            if (typeof current.id === 'number' && current.id < 0) return false;
+
+            const data = current.invocation || current.event;
+            return !!data && (data.revert === true || data.status === false);
+        });
+    }
+
+    /**
+     * Get the transaction sender: the caller of the root call, which is the first invocation with a sender
+     * @returns {string|null} Lowercase sender address or null
+     */
+    getSender() {
+        const root = this.getInvocations().find(node => CallTree.getFromAddress(node.invocation));
+        return root ? CallTree.getFromAddress(root.invocation) : null;
+    }
+
+    /**
+     * Get all invocations sent from an address, in execution order
+     * @param {string} address - Sender address
+     * @returns {Array} Invocation nodes
+     */
+    getCallsFrom(address) {
+        const target = address.toLowerCase();
+        return this.getInvocations().filter(node => CallTree.getFromAddress(node.invocation) === target);
+    }
+
+    /**
+     * Get the outermost invocations sent from an address (those not nested inside another call from it)
+     * @param {string} address - Sender address
+     * @returns {Array} Invocation nodes
+     */
+    getTopLevelCalls(address) {
+        const target = address.toLowerCase();
+        const calls = [];
+
+        this.walk(node => {
+            if (this.isInvocation(node) && CallTree.getFromAddress(node.invocation) === target) {
+                calls.push(node);
+                return false;
+            }
+            return true;
+        });
+
+        return calls;
+    }
+
+    /**
+     * Get invocations from an address made inside a node's subtree, without descending
+     * into calls that address itself made (those belong to deeper callbacks)
+     * @param {Object} node - Tree node whose subtree is searched
+     * @param {string} address - Sender address
+     * @returns {Array} Invocation nodes
+     */
+    getNestedCalls(node, address) {
+        const target = address.toLowerCase();
+        const calls = [];
+
+        for (const child of node.children) {
+            this.walk(descendant => {
+                if (this.isInvocation(descendant) && CallTree.getFromAddress(descendant.invocation) === target) {
+                    calls.push(descendant);
+                    return false;
+                }
+                return true;
+            }, child);
+        }
+
+        return calls;
+    }
+
+    /**
+     * Get the callbacks into an address: invocations of it made inside the subtree of one of its own calls
+     * Whatever their selector, these are the calls a contract it called makes back into it
+     * @param {string} address - Receiving address
+     * @returns {Array} Invocation nodes in execution order
+     */
+    getCallbacksInto(address) {
+        const target = address.toLowerCase();
+
+        return this.getInvocations().filter(node =>
+            CallTree.getTargetAddress(node.invocation) === target &&
+            CallTree.getFromAddress(node.invocation) !== target &&
+            this.getAncestors(node).some(ancestor =>
+                this.isInvocation(ancestor) && CallTree.getFromAddress(ancestor.invocation) === target
+            )
+        );
+    }
+
+    /**
+     * Get tree statistics
+     * @returns {Object} Node counts and maximum depth
+     */
+    getStats() {
+        const nodes = this.getOrderedNodes();
+        return {
+            totalNodes: nodes.length,
+            invocations: nodes.filter(node => this.isInvocation(node)).length,
+            events: nodes.filter(node => node.nodeType === NODE_TYPES.EVENT).length,
+            slotReads: nodes.filter(node => node.nodeType === NODE_TYPES.SLOT_READ).length,
+            slotWrites: nodes.filter(node => node.nodeType === NODE_TYPES.SLOT_WRITE).length,
+            maxDepth: nodes.reduce((max, node) => Math.max(max, node.depth), 0)
+        };
+    }
+}
+
+CallTree.NODE_TYPES = NODE_TYPES;
+
+module.exports = CallTree;
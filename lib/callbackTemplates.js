@@ -0,0 +1,378 @@
+const { ethers } = require('ethers');
+
+/**
+ * Low-level ERC-20 call used by repayment hooks, so templates need no token interface
+ * @param {string} token - Solidity expression of the token address
+ * @param {string} signature - ERC-20 function signature
+ * @param {string} args - Solidity arguments of the call
+ * @returns {Array<string>} Statements
+ * @private
+ */
+function tokenCall(token, signature, args) {
+    return [
+        `(bool repaid, ) = ${token}.call(abi.encodeWithSignature("${signature}", ${args}));`,
+        `require(repaid, "Repayment failed");`
+    ];
+}
+
+// Lenders that pull the repayment with transferFrom after the callback returns
+const approveRepayment = (token, amount) => tokenCall(token, 'approve(address,uint256)', `msg.sender, ${amount}`);
+// Lenders that check their balance after the callback returns
+const transferRepayment = (token, amount) => tokenCall(token, 'transfer(address,uint256)', `msg.sender, ${amount}`);
+
+/**
+ * Built-in callback templates
+ * A template describes the Solidity function a protocol calls back into:
+ * - name: callback type used as key in the callbacks map
+ * - protocol: human readable protocol name, used in the generated comment
+ * - signature: canonical signature; its selector is what traced callbacks are matched on
+ * - parameters: named Solidity parameters, matching the signature
+ * - returns: Solidity return type, or null
+ * - returnValue: expression returned at the end of the callback, or null
+ * - structs: struct declarations the parameters need
+ * - repayment: how the protocol is repaid
+ * - repay: statements repaying the loan, emitted when the trace recorded no calls inside the callback
+ * - reentrant: hooks the trace may re-enter through; their invocations are always told apart by entry order
+ * - note: what else the hook needs to be called at all
+ */
+const BUILT_IN_TEMPLATES = [
+    {
+        name: 'aave_flashloan',
+        aliases: ['generic_flashloan'],
+        protocol: 'Aave flash loan',
+        signature: 'executeOperation(address[],uint256[],uint256[],address,bytes)',
+        parameters: ['address[] calldata assets', 'uint256[] calldata amounts', 'uint256[] calldata premiums', 'address initiator', 'bytes calldata params'],
+        returns: 'bool',
+        returnValue: 'true',
+        repayment: 'the pool pulls amount + premium of every asset',
+        repay: [
+            'for (uint256 i = 0; i < assets.length; i++) {',
+            ...approveRepayment('assets[i]', 'amounts[i] + premiums[i]').map(line => `    ${line}`),
+            '}'
+        ]
+    },
+    {
+        name: 'aave_flashloan_simple',
+        protocol: 'Aave V3 simple flash loan',
+        signature: 'executeOperation(address,uint256,uint256,address,bytes)',
+        parameters: ['address asset', 'uint256 amount', 'uint256 premium', 'address initiator', 'bytes calldata params'],
+        returns: 'bool',
+        returnValue: 'true',
+        repayment: 'the pool pulls amount + premium',
+        repay: approveRepayment('asset', 'amount + premium')
+    },
+    {
+        name: 'erc3156_flashloan',
+        protocol: 'ERC-3156 flash loan (also Maker DssFlash flash mint)',
+        signature: 'onFlashLoan(address,address,uint256,uint256,bytes)',
+        parameters: ['address initiator', 'address token', 'uint256 amount', 'uint256 fee', 'bytes calldata data'],
+        returns: 'bytes32',
+        returnValue: 'keccak256("ERC3156FlashBorrower.onFlashLoan")',
+        repayment: 'the lender pulls amount + fee',
+        repay: approveRepayment('token', 'amount + fee')
+    },
+    {
+        name: 'maker_vat_dai_flashloan',
+        protocol: 'Maker DssFlash Vat DAI flash mint',
+        signature: 'onVatDaiFlashLoan(address,uint256,uint256,bytes)',
+        parameters: ['address initiator', 'uint256 amount', 'uint256 fee', 'bytes calldata data'],
+        returns: 'bytes32',
+        returnValue: 'keccak256("VatDaiFlashBorrower.onVatDaiFlashLoan")',
+        repayment: 'amount + fee of Vat DAI (rad) has to be moved back to the flash module with vat.move',
+        repay: []
+    },
+    {
+        name: 'euler_flashloan',
+        protocol: 'Euler flash loan',
+        signature: 'onFlashLoan(bytes)',
+        parameters: ['bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the borrowed amount has to be transferred back to the lender before returning',
+        repay: []
+    },
+    {
+        name: 'balancer_flashloan',
+        protocol: 'Balancer V2 flash loan',
+        signature: 'receiveFlashLoan(address[],uint256[],uint256[],bytes)',
+        parameters: ['address[] calldata tokens', 'uint256[] calldata amounts', 'uint256[] calldata feeAmounts', 'bytes calldata userData'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the Vault checks its balance, so amount + fee of every token goes back to it',
+        repay: [
+            'for (uint256 i = 0; i < tokens.length; i++) {',
+            ...transferRepayment('tokens[i]', 'amounts[i] + feeAmounts[i]').map(line => `    ${line}`),
+            '}'
+        ]
+    },
+    {
+        name: 'dydx_flashloan',
+        protocol: 'dYdX SoloMargin',
+        signature: 'callFunction(address,(address,uint256),bytes)',
+        parameters: ['address sender', 'AccountInfo calldata accountInfo', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        structs: ['struct AccountInfo { address owner; uint256 number; }'],
+        repayment: 'the Deposit action following the Call pulls the borrowed amount + 2 wei',
+        repay: []
+    },
+    {
+        name: 'uniswap_v2_call',
+        protocol: 'Uniswap V2 flash swap',
+        signature: 'uniswapV2Call(address,uint256,uint256,bytes)',
+        parameters: ['address sender', 'uint256 amount0', 'uint256 amount1', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the pair checks its reserves: the amounts plus the 0.3% fee go back to it',
+        repay: []
+    },
+    {
+        name: 'pancake_call',
+        protocol: 'PancakeSwap V2 flash swap',
+        signature: 'pancakeCall(address,uint256,uint256,bytes)',
+        parameters: ['address sender', 'uint256 amount0', 'uint256 amount1', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the pair checks its reserves: the amounts plus the 0.25% fee go back to it',
+        repay: []
+    },
+    {
+        name: 'dodo_dvm_flashloan',
+        protocol: 'DODO DVM flash loan',
+        signature: 'DVMFlashLoanCall(address,uint256,uint256,bytes)',
+        parameters: ['address sender', 'uint256 baseAmount', 'uint256 quoteAmount', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the pool checks its balances: baseAmount and quoteAmount go back to it',
+        repay: []
+    },
+    {
+        name: 'dodo_dpp_flashloan',
+        protocol: 'DODO DPP flash loan',
+        signature: 'DPPFlashLoanCall(address,uint256,uint256,bytes)',
+        parameters: ['address sender', 'uint256 baseAmount', 'uint256 quoteAmount', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the pool checks its balances: baseAmount and quoteAmount go back to it',
+        repay: []
+    },
+    {
+        name: 'dodo_dsp_flashloan',
+        protocol: 'DODO DSP flash loan',
+        signature: 'DSPFlashLoanCall(address,uint256,uint256,bytes)',
+        parameters: ['address sender', 'uint256 baseAmount', 'uint256 quoteAmount', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the pool checks its balances: baseAmount and quoteAmount go back to it',
+        repay: []
+    },
+    {
+        name: 'uniswap_v3_swap',
+        protocol: 'Uniswap V3 swap',
+        signature: 'uniswapV3SwapCallback(int256,int256,bytes)',
+        parameters: ['int256 amount0Delta', 'int256 amount1Delta', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the positive delta is owed to the pool',
+        repay: []
+    },
+    {
+        name: 'uniswap_v3_flash',
+        protocol: 'Uniswap V3 flash',
+        signature: 'uniswapV3FlashCallback(uint256,uint256,bytes)',
+        parameters: ['uint256 fee0', 'uint256 fee1', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the borrowed amounts plus fee0 and fee1 go back to the pool',
+        repay: []
+    },
+    {
+        name: 'pancake_v3_swap',
+        protocol: 'PancakeSwap V3 swap',
+        signature: 'pancakeV3SwapCallback(int256,int256,bytes)',
+        parameters: ['int256 amount0Delta', 'int256 amount1Delta', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the positive delta is owed to the pool',
+        repay: []
+    },
+    {
+        name: 'pancake_v3_flash',
+        protocol: 'PancakeSwap V3 flash',
+        signature: 'pancakeV3FlashCallback(uint256,uint256,bytes)',
+        parameters: ['uint256 fee0', 'uint256 fee1', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the borrowed amounts plus fee0 and fee1 go back to the pool',
+        repay: []
+    },
+    {
+        name: 'algebra_swap',
+        protocol: 'Algebra swap',
+        signature: 'algebraSwapCallback(int256,int256,bytes)',
+        parameters: ['int256 amount0Delta', 'int256 amount1Delta', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the positive delta is owed to the pool',
+        repay: []
+    },
+    {
+        name: 'algebra_flash',
+        protocol: 'Algebra flash',
+        signature: 'algebraFlashCallback(uint256,uint256,bytes)',
+        parameters: ['uint256 fee0', 'uint256 fee1', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'the borrowed amounts plus fee0 and fee1 go back to the pool',
+        repay: []
+    },
+    {
+        name: 'morpho_blue_callback',
+        protocol: 'Morpho Blue flash loan',
+        signature: 'onMorphoFlashLoan(uint256,bytes)',
+        parameters: ['uint256 assets', 'bytes calldata data'],
+        returns: null,
+        returnValue: null,
+        repayment: 'Morpho pulls the borrowed assets back, so the loan token has to be approved',
+        repay: []
+    },
+    {
+        name: 'erc777_tokens_received',
+        protocol: 'ERC777 tokensReceived',
+        signature: 'tokensReceived(address,address,address,uint256,bytes,bytes)',
+        parameters: ['address operator', 'address from', 'address to', 'uint256 amount', 'bytes calldata userData', 'bytes calldata operatorData'],
+        returns: null,
+        returnValue: null,
+        reentrant: true,
+        note: 'only called once this contract is registered as ERC777TokensRecipient in the ERC-1820 registry'
+    },
+    {
+        name: 'erc777_tokens_to_send',
+        protocol: 'ERC777 tokensToSend',
+        signature: 'tokensToSend(address,address,address,uint256,bytes,bytes)',
+        parameters: ['address operator', 'address from', 'address to', 'uint256 amount', 'bytes calldata userData', 'bytes calldata operatorData'],
+        returns: null,
+        returnValue: null,
+        reentrant: true,
+        note: 'only called once this contract is registered as ERC777TokensSender in the ERC-1820 registry'
+    },
+    {
+        name: 'erc721_received',
+        protocol: 'ERC721 onERC721Received',
+        signature: 'onERC721Received(address,address,uint256,bytes)',
+        parameters: ['address operator', 'address from', 'uint256 tokenId', 'bytes calldata data'],
+        returns: 'bytes4',
+        returnValue: 'this.onERC721Received.selector',
+        reentrant: true
+    },
+    {
+        name: 'erc1155_received',
+        protocol: 'ERC1155 onERC1155Received',
+        signature: 'onERC1155Received(address,address,uint256,uint256,bytes)',
+        parameters: ['address operator', 'address from', 'uint256 id', 'uint256 value', 'bytes calldata data'],
+        returns: 'bytes4',
+        returnValue: 'this.onERC1155Received.selector',
+        reentrant: true
+    },
+    {
+        name: 'erc1155_batch_received',
+        protocol: 'ERC1155 onERC1155BatchReceived',
+        signature: 'onERC1155BatchReceived(address,address,uint256[],uint256[],bytes)',
+        parameters: ['address operator', 'address from', 'uint256[] calldata ids', 'uint256[] calldata values', 'bytes calldata data'],
+        returns: 'bytes4',
+        returnValue: 'this.onERC1155BatchReceived.selector',
+        reentrant: true
+    }
+];
+
+/**
+ * Callback Template Registry
+ * Maps traced callbacks onto the Solidity functions that receive them. Templates are matched
+ * on the selector of their signature, so a callback with a familiar name but different
+ * parameters never gets a function it cannot be called through.
+ * New templates are added with register(); they replace built-in ones of the same name.
+ */
+class CallbackTemplateRegistry {
+    /**
+     * @param {Array<Object>|null} templates - Templates to register (defaults to the built-in ones)
+     */
+    constructor(templates = null) {
+        this.templates = [];
+        (templates || BUILT_IN_TEMPLATES).forEach(template => this.register(template));
+    }
+
+    /**
+     * Register a template, replacing any template with the same name
+     * @param {Object} template - Template with name, signature and parameters (see BUILT_IN_TEMPLATES)
+     * @returns {CallbackTemplateRegistry} This registry
+     */
+    register(template) {
+        if (!template || !template.name || !template.signature || !Array.isArray(template.parameters)) {
+            throw new Error('Callback templates must provide name, signature and parameters');
+        }
+
+        const normalized = {
+            aliases: [],
+            protocol: template.name,
+            returns: null,
+            returnValue: null,
+            structs: [],
+            repayment: null,
+            repay: [],
+            reentrant: false,
+            note: null,
+            ...template,
+            selector: ethers.id(template.signature).slice(0, 10)
+        };
+
+        const existing = this.templates.findIndex(registered => registered.name === template.name);
+        if (existing >= 0) {
+            this.templates[existing] = normalized;
+        } else {
+            this.templates.push(normalized);
+        }
+        return this;
+    }
+
+    /**
+     * Get a template by callback type
+     * @param {string} name - Template name or alias
+     * @returns {Object|null} Template or null
+     */
+    get(name) {
+        return this.templates.find(template => template.name === name || template.aliases.includes(name)) || null;
+    }
+
+    /**
+     * Find the template whose signature has a selector
+     * @param {string} selector - 4-byte selector
+     * @returns {Object|null} Template or null
+     */
+    findBySelector(selector) {
+        const target = (selector || '').toLowerCase();
+        return this.templates.find(template => template.selector === target) || null;
+    }
+
+    /**
+     * Find a template by the function name of its signature
+     * Only used when the trace carries no selector; the first registered match wins
+     * @param {string} functionName - Function name
+     * @returns {Object|null} Template or null
+     */
+    findByFunctionName(functionName) {
+        return this.templates.find(template => template.signature.split('(')[0] === functionName) || null;
+    }
+
+    /**
+     * Get the names of all registered templates
+     * @returns {Array<string>} Template names
+     */
+    getNames() {
+        return this.templates.map(template => template.name);
+    }
+}
+
+module.exports = {
+    CallbackTemplateRegistry,
+    BUILT_IN_TEMPLATES
+};
@@ -0,0 +1,247 @@
+const { ethers } = require('ethers');
+
+/**
+ * Calldata Verifier Module
+ * Checks that the Solidity arguments emitted for a call encode to the calldata the trace recorded.
+ * The emitted expressions are read back (literals, address constants, the main address, array locals),
+ * encoded with ethers from the call's signature and compared with the traced selector + arguments.
+ * Only expressions that compile as the parameter type are read: dynamic arrays must be array locals,
+ * and fixed-size array literals must type their first element
+ */
+class CalldataVerifier {
+    /**
+     * @param {ParamNormalizer} paramNormalizer - Normalizer splitting list literals
+     */
+    constructor(paramNormalizer) {
+        this.paramNormalizer = paramNormalizer;
+    }
+
+    /**
+     * Get the complete calldata of a traced invocation
+     * Phalcon keeps the selector apart from the arguments; other sources leave it on the calldata
+     * @param {Object} invocation - Invocation with selector and callData
+     * @returns {string} Lowercase calldata, selector included
+     */
+    getTracedCalldata(invocation) {
+        const callData = (invocation.callData || '0x').toLowerCase();
+        const selector = (invocation.selector || '').toLowerCase();
+
+        if (!/^0x[0-9a-f]{8}$/.test(selector) || callData.startsWith(selector)) {
+            return callData;
+        }
+        return `${selector}${callData.slice(2)}`;
+    }
+
+    /**
+     * Verify that a call's emitted arguments encode to the traced calldata
+     * @param {string} signature - Function signature the call is emitted with
+     * @param {Array<string>} expressions - Emitted Solidity argument expressions
+     * @param {string} tracedCalldata - Traced calldata, selector included
+     * @param {Object} context - How identifiers in the expressions resolve
+     * @param {Map} context.addressRegistry - Address registry (address → variable name)
+     * @param {string} context.mainAddress - Address of the caller
+     * @param {string} context.selfExpr - Expression the caller is spelled with, e.g. address(this) or MAIN_ADDRESS
+     * @param {Array<string>} context.statements - Statements emitted before the call, declaring its array locals
+     * @returns {{status: string, reason: string|null}} 'exact', 'mismatch', or 'unchecked' when nothing was traced
+     */
+    verify(signature, expressions, tracedCalldata, context) {
+        if (!tracedCalldata || tracedCalldata.length < 10) {
+            return { status: 'unchecked', reason: 'no traced calldata' };
+        }
+
+        let encoded;
+        try {
+            encoded = this.encode(signature, expressions, context);
+        } catch (error) {
+            return { status: 'mismatch', reason: error.shortMessage || error.message };
+        }
+
+        if (encoded === tracedCalldata.toLowerCase()) {
+            return { status: 'exact', reason: null };
+        }
+        if (encoded.slice(0, 10) !== tracedCalldata.slice(0, 10).toLowerCase()) {
+            return { status: 'mismatch', reason: `${signature} has selector ${encoded.slice(0, 10)}, traced ${tracedCalldata.slice(0, 10)}` };
+        }
+
+        // Report the first 32-byte argument word that differs
+        const word = Array.from({ length: Math.ceil((Math.max(encoded.length, tracedCalldata.length) - 10) / 64) }, (_, index) => index)
+            .find(index => encoded.substr(10 + index * 64, 64) !== tracedCalldata.substr(10 + index * 64, 64).toLowerCase());
+        return { status: 'mismatch', reason: `arguments differ from word ${word}` };
+    }
+
+    /**
+     * Encode a call from its signature and emitted argument expressions
+     * @param {string} signature - Function signature
+     * @param {Array<string>} expressions - Emitted Solidity argument expressions
+     * @param {Object} context - Address registry and main address, as for verify
+     * @returns {string} Lowercase calldata
+     */
+    encode(signature, expressions, context) {
+        const fragment = ethers.FunctionFragment.from(signature);
+        if (fragment.inputs.length !== expressions.length) {
+            throw new Error(`${signature} takes ${fragment.inputs.length} arguments, ${expressions.length} emitted`);
+        }
+
+        const constants = new Map(Array.from(context.addressRegistry || [], ([address, name]) => [name.toUpperCase(), address]));
+        const locals = this._readLocals(context.statements || []);
+        const values = fragment.inputs.map((input, index) =>
+            this._readExpression(expressions[index], input, { constants, locals, mainAddress: context.mainAddress, selfExpr: context.selfExpr })
+        );
+        return new ethers.Interface([fragment]).encodeFunctionData(fragment, values).toLowerCase();
+    }
+
+    /**
+     * Read the array locals emitted statements declare: `T[] memory name = new T[](n)`, then `name[i] = element`
+     * @param {Array<string>} statements - Emitted statements
+     * @returns {Map<string, Array<string>>} Local name → element expressions, undefined where never assigned
+     * @private
+     */
+    _readLocals(statements) {
+        const locals = new Map();
+
+        for (const statement of statements.map(line => line.trim())) {
+            const declaration = statement.match(/^[\w[\]]+\s+memory\s+(\w+)\s*=\s*new\s+[\w[\]]+\((\d+)\);$/);
+            const assignment = statement.match(/^(\w+)\[(\d+)\]\s*=\s*([\s\S]+);$/);
+            if (declaration) {
+                locals.set(declaration[1], new Array(Number(declaration[2])).fill(undefined));
+            } else if (assignment && locals.has(assignment[1]) && Number(assignment[2]) < locals.get(assignment[1]).length) {
+                locals.get(assignment[1])[Number(assignment[2])] = assignment[3];
+            }
+        }
+        return locals;
+    }
+
+    /**
+     * Read an emitted Solidity expression back into the value ethers encodes
+     * @param {string} expression - Solidity expression
+     * @param {ethers.ParamType} input - Parameter type
+     * @param {Object} context - Address constants (name → address), array locals, main address and its expression
+     * @returns {*} Value for ethers
+     * @private
+     */
+    _readExpression(expression, input, context) {
+        const text = expression.trim();
+
+        if (input.baseType === 'array') {
+            if (/^new\s+[\w[\]]+\[\]\(0\)$/.test(text)) return [];
+            if (context.locals.has(text)) {
+                const elements = context.locals.get(text);
+                if (elements.includes(undefined)) throw new Error(`${text} is not filled completely`);
+                return elements.map(element => this._readExpression(element, input.arrayChildren, context));
+            }
+            // Array literals have a fixed size, and the type of their first element
+            if (!text.startsWith('[') || !text.endsWith(']') || input.arrayLength === -1) {
+                throw new Error(`cannot read ${text} as ${input.type}`);
+            }
+            const elements = this.paramNormalizer.splitTopLevel(text.slice(1, -1));
+            if (elements.length !== input.arrayLength || !this._isTyped(elements[0], input.arrayChildren, context)) {
+                throw new Error(`cannot read ${text} as ${input.type}`);
+            }
+            return elements.map(element => this._readExpression(element, input.arrayChildren, context));
+        }
+
+        // Struct literals name their struct; a bare tuple is no struct
+        if (input.baseType === 'tuple') {
+            const match = text.match(/^[A-Za-z_]\w*\(([\s\S]*)\)$/);
+            const components = match ? this.paramNormalizer.splitTopLevel(match[1]) : [];
+            if (!match || components.length !== input.components.length) {
+                throw new Error(`cannot read ${text} as ${input.type}`);
+            }
+            return components.map((component, index) => this._readExpression(component, input.components[index], context));
+        }
+
+        if (input.type === 'address') {
+            if (text === context.selfExpr) return context.mainAddress;
+            if (/^0x[0-9a-fA-F]{40}$/.test(text)) return text.toLowerCase();
+            if (context.constants.has(text)) return context.constants.get(text);
+            throw new Error(`cannot read ${text} as address`);
+        }
+
+        if (/^u?int\d*$/.test(input.type)) {
+            const integer = text.match(/^(?:u?int\d*\((-?\d+)\)|(-?\d+))$/);
+            if (!integer) throw new Error(`cannot read ${text} as ${input.type}`);
+            return BigInt(integer[1] || integer[2]);
+        }
+
+        if (input.type === 'bool') {
+            if (text !== 'true' && text !== 'false') throw new Error(`cannot read ${text} as bool`);
+            return text === 'true';
+        }
+
+        if (/^bytes\d*$/.test(input.type)) {
+            const bytes = text.match(/^(?:bytes\d*\()?hex"([0-9a-fA-F]*)"\)?$/) || text.match(/^bytes\d+\((0x[0-9a-fA-F]*)\)$/);
+            if (bytes) return bytes[1].startsWith('0x') ? bytes[1] : `0x${bytes[1]}`;
+            const literal = this._unwrapCast(text, 'bytes');
+            if (input.type === 'bytes' && this._isStringLiteral(literal)) {
+                return ethers.hexlify(ethers.toUtf8Bytes(this._readStringLiteral(literal)));
+            }
+            throw new Error(`cannot read ${text} as ${input.type}`);
+        }
+
+        if (input.type === 'string' && this._isStringLiteral(this._unwrapCast(text, 'string'))) {
+            return this._readStringLiteral(this._unwrapCast(text, 'string'));
+        }
+
+        throw new Error(`cannot read ${text} as ${input.type}`);
+    }
+
+    /**
+     * Check whether an expression has the parameter type itself rather than a literal type,
+     * as the first element of an array literal must
+     * @param {string} text - Expression
+     * @param {ethers.ParamType} input - Parameter type
+     * @param {Object} context - As for _readExpression
+     * @returns {boolean} True when the expression is typed
+     * @private
+     */
+    _isTyped(text, input, context) {
+        const expression = text.trim();
+        if (input.baseType === 'array') {
+            if (context.locals.has(expression) || expression.startsWith('new ')) return true;
+            const [first] = this.paramNormalizer.splitTopLevel(expression.slice(1, -1));
+            return expression.startsWith('[') && first !== undefined && this._isTyped(first, input.arrayChildren, context);
+        }
+        // Struct literals, addresses and booleans have their type; other literals need a conversion
+        if (input.baseType === 'tuple' || input.type === 'address' || input.type === 'bool') return true;
+        return expression.startsWith(`${input.type}(`);
+    }
+
+    /**
+     * Strip a conversion to a type from an expression, e.g. string("gm") → "gm"
+     * @param {string} text - Expression
+     * @param {string} type - Type converted to
+     * @returns {string} The converted expression, or the expression itself when it is no such conversion
+     * @private
+     */
+    _unwrapCast(text, type) {
+        return text.startsWith(`${type}(`) && text.endsWith(')') ? text.slice(type.length + 1, -1) : text;
+    }
+
+    /**
+     * Check whether an expression is a (unicode) string literal
+     * @param {string} text - Expression
+     * @returns {boolean} True for string literals
+     * @private
+     */
+    _isStringLiteral(text) {
+        return /^(unicode)?"(?:[^"\\]|\\.)*"$/s.test(text);
+    }
+
+    /**
+     * Read a string literal, resolving its escapes
+     * @param {string} text - String literal
+     * @returns {string} String value
+     * @private
+     */
+    _readStringLiteral(text) {
+        const body = text.slice(text.indexOf('"') + 1, -1);
+        const escapes = { n: '\n', r: '\r', t: '\t', '"': '"', '\'': '\'', '\\': '\\' };
+
+        return body.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+            if (escape.length > 1) return String.fromCharCode(parseInt(escape.slice(1), 16));
+            return escapes[escape] !== undefined ? escapes[escape] : escape;
+        });
+    }
+}
+
+module.exports = CalldataVerifier;
@@ -0,0 +1,582 @@
+const { parseArgs } = require('util');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const CallTree = require('./callTree');
+
+const EXIT_CODES = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2
+};
+
+const SOURCE_OPTIONS = {
+    trace: { type: 'string', value: 'file', description: 'Trace file (Phalcon, Foundry, Tenderly or callTracer JSON)' },
+    tx: { type: 'string', value: 'hash', description: 'Fetch the trace with debug_traceTransaction instead of reading a file' },
+    format: { type: 'string', value: 'name', description: 'Trace format, detected when omitted (phalcon, foundry, tenderly, callTracer)' }
+};
+
+const NETWORK_OPTIONS = {
+    chain: { type: 'string', value: 'name', description: 'Chain name from config.json (default: $CHAIN or ethereum)' },
+    rpc: { type: 'string', value: 'url', description: 'RPC URL (default: chain environment variable, then Chainlist)' }
+};
+
+const COMMANDS = {
+    generate: {
+        summary: 'Generate a Foundry test reproducing a transaction (default command)',
+        usage: 'generate (--trace <file> | --tx <hash>)... [options]',
+        options: {
+            // Repeated in execution order, several transactions become the steps of one test
+            trace: { ...SOURCE_OPTIONS.trace, multiple: true, description: `${SOURCE_OPTIONS.trace.description}; repeat for multi-transaction incidents` },
+            tx: { ...SOURCE_OPTIONS.tx, multiple: true, description: `${SOURCE_OPTIONS.tx.description}; repeat for multi-transaction incidents` },
+            format: SOURCE_OPTIONS.format,
+            attacker: { type: 'string', multiple: true, value: 'address', description: 'Address whose calls are replayed (default: transaction sender); once, or once per transaction' },
+            out: { type: 'string', value: 'file', description: 'Test file to write (default: test/TraceReproduction.t.sol, relative to --out-dir when given)' },
+            'out-dir': { type: 'string', value: 'dir', description: 'Scaffold a self-contained Foundry project in this directory' },
+            force: { type: 'boolean', description: 'Overwrite existing files' },
+            block: { type: 'string', value: 'number', description: 'Fork block (default: transaction block, then latest - 1)' },
+            // Once per transaction for cross-chain incidents; each chain gets its own fork
+            chain: { ...NETWORK_OPTIONS.chain, multiple: true, description: `${NETWORK_OPTIONS.chain.description}; once, or once per transaction` },
+            rpc: { ...NETWORK_OPTIONS.rpc, multiple: true, description: `${NETWORK_OPTIONS.rpc.description}; once, or once per transaction` },
+            mode: { type: 'string', value: 'prank|exploit', description: 'Replay as pranked calls, or as a deployable Exploit contract' },
+            'attacker-contract': { type: 'string', value: 'address', description: 'Contract whose calls the Exploit contract replays (exploit mode)' },
+            'deploy-mode': { type: 'string', value: 'etch|create', description: 'How contracts created in the trace are deployed' },
+            'fork-at': { type: 'string', value: 'block|tx', description: 'Fork at the block number, or right before the transaction within its block' },
+            'expect-events': { type: 'boolean', description: 'Assert the traced events with vm.expectEmit' },
+            'group-by-contract': { type: 'boolean', description: 'Add a comment listing the calls per contract (calls still run in trace order)' },
+            'assert-storage': { type: 'boolean', description: 'Assert the traced final value of every written slot' },
+            'assert-storage-prev': { type: 'boolean', description: 'Assert the pre-transaction value of written slots in setUp' },
+            'verify-prestate': { type: 'string', value: 'warn|fail', description: 'Compare the fork with the storage the trace read' },
+            'dry-run': { type: 'boolean', description: 'Print the generated test instead of writing any file' }
+        }
+    },
+    inspect: {
+        summary: 'Summarize a trace: format, call tree, senders and top-level calls',
+        usage: 'inspect (--trace <file> | --tx <hash>) [--attacker <address>]',
+        options: {
+            ...SOURCE_OPTIONS,
+            attacker: { type: 'string', value: 'address', description: 'Address whose top-level calls are listed (default: transaction sender)' },
+            ...NETWORK_OPTIONS
+        }
+    },
+    signatures: {
+        summary: 'Look up function signatures for 4-byte selectors',
+        usage: 'signatures <selector...>',
+        options: {}
+    },
+    rpc: {
+        summary: 'List and validate the RPC URLs available for a chain',
+        usage: 'rpc [--chain <name>] [--rpc <url>] [--count <n>]',
+        options: {
+            ...NETWORK_OPTIONS,
+            count: { type: 'string', value: 'n', description: 'Number of candidate URLs to validate (default: 3)' }
+        }
+    },
+    cache: {
+        summary: 'Show or clear the lookup caches',
+        usage: 'cache [stats|clear]',
+        options: {}
+    }
+};
+
+/**
+ * Command Line Interface
+ * Parses named flags and subcommands and dispatches them to PhalconTraceParser.
+ * run() never exits the process; it resolves to an exit code: 0 on success,
+ * 1 when the command failed and 2 on invalid usage
+ */
+class Cli {
+    /**
+     * @param {Function} createParser - Factory returning a PhalconTraceParser (created on first use)
+     */
+    constructor(createParser) {
+        this.createParser = createParser;
+        this.parser = null;
+    }
+
+    /**
+     * Run the CLI
+     * @param {Array<string>} argv - Arguments without the node executable and script
+     * @returns {Promise<number>} Exit code
+     */
+    async run(argv) {
+        if (argv.length === 0) {
+            console.error(this.getHelp());
+            return EXIT_CODES.USAGE;
+        }
+        if (argv[0] === '--help' || argv[0] === '-h' || argv[0] === 'help') {
+            const topic = argv[1];
+            console.log(COMMANDS[topic] ? this.getCommandHelp(topic) : this.getHelp());
+            return EXIT_CODES.SUCCESS;
+        }
+
+        // Without a command name the arguments are generate's, e.g. `node index.js --trace trace.json`
+        const command = COMMANDS[argv[0]] ? argv[0] : 'generate';
+        const args = command === argv[0] ? argv.slice(1) : argv;
+
+        if (command === 'generate' && argv[0] !== 'generate' && !argv[0].startsWith('-') && !fs.existsSync(argv[0])) {
+            console.error(`Unknown command: ${argv[0]}\n\n${this.getHelp()}`);
+            return EXIT_CODES.USAGE;
+        }
+
+        let parsed;
+        try {
+            parsed = this._parse(command, args);
+        } catch (error) {
+            console.error(`${error.message}\n\n${this.getCommandHelp(command)}`);
+            return EXIT_CODES.USAGE;
+        }
+
+        if (parsed.values.help) {
+            console.log(this.getCommandHelp(command));
+            return EXIT_CODES.SUCCESS;
+        }
+
+        try {
+            const handler = `_${command}`;
+            return await this[handler](parsed.values, parsed.positionals);
+        } catch (error) {
+            if (error.usage) {
+                console.error(`${error.message}\n\n${this.getCommandHelp(command)}`);
+                return EXIT_CODES.USAGE;
+            }
+            console.error('❌ Error:', error.message);
+            if (process.env.DEBUG) {
+                console.error('Stack trace:', error.stack);
+            }
+            return EXIT_CODES.FAILURE;
+        }
+    }
+
+    /**
+     * Get the general help text
+     * @returns {string} Help text
+     */
+    getHelp() {
+        const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+        const commands = Object.entries(COMMANDS)
+            .map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`)
+            .join('\n');
+
+        return `PhalconTraceParser - Convert transaction traces to Foundry tests
+
+Usage:
+  node index.js <command> [options]
+  node index.js <trace-file> [attacker] [output-file] [block-number] [tx-hash]   (legacy form of generate)
+
+Commands:
+${commands}
+
+Run \`node index.js <command> --help\` for the options of a command.
+
+Examples:
+  node index.js generate --trace trace.json --attacker 0x742d35Cc6634C0532925a3b8D89d0B9b5d7d50b5
+  node index.js generate --tx 0xabc123... --chain base --rpc https://archive.node --out test/Exploit.t.sol
+  node index.js generate --trace trace.json --out-dir incidents/2024-01-euler
+  node index.js generate --tx 0xsetup... --tx 0xattack... --out-dir incidents/2024-01-euler
+  node index.js generate --tx 0xdeposit... --chain ethereum --tx 0xwithdraw... --chain base --out-dir incidents/bridge
+  node index.js inspect --trace trace.json
+  node index.js signatures 0xa9059cbb 0x095ea7b3
+
+Environment Variables:
+  CHAIN=ethereum          # Default chain (ethereum, base, arbitrum, polygon, optimism, bsc, avalanche)
+  RPC_URL=...             # RPC endpoint URL
+  DEBUG=true              # Print stack traces on errors
+
+Exit codes: 0 on success, 1 when the command failed, 2 on invalid usage.`;
+    }
+
+    /**
+     * Get the help text of a command
+     * @param {string} name - Command name
+     * @returns {string} Help text
+     */
+    getCommandHelp(name) {
+        const command = COMMANDS[name];
+        const flags = Object.entries(command.options).map(([option, spec]) => ({
+            flag: `--${option}${spec.value ? ` <${spec.value}>` : ''}`,
+            description: spec.description
+        }));
+        flags.push({ flag: '-h, --help', description: 'Show this help' });
+
+        const width = Math.max(...flags.map(entry => entry.flag.length));
+        const options = flags.map(entry => `  ${entry.flag.padEnd(width)}  ${entry.description}`).join('\n');
+
+        return `${command.summary}
+
+Usage:
+  node index.js ${command.usage}
+
+Options:
+${options}`;
+    }
+
+    /**
+     * Parse the arguments of a command
+     * @param {string} command - Command name
+     * @param {Array<string>} args - Command arguments
+     * @returns {Object} parseArgs result with values and positionals
+     * @private
+     */
+    _parse(command, args) {
+        const options = { help: { type: 'boolean', short: 'h' } };
+        for (const [name, spec] of Object.entries(COMMANDS[command].options)) {
+            options[name] = { type: spec.type, multiple: !!spec.multiple };
+        }
+
+        try {
+            return parseArgs({ args, options, allowPositionals: true, strict: true });
+        } catch (error) {
+            // parseArgs messages carry a hint about `--` that does not apply here
+            throw new Error(error.message.split('. To specify')[0]);
+        }
+    }
+
+    /**
+     * Get the PhalconTraceParser, creating it on first use
+     * @returns {PhalconTraceParser} Parser
+     * @private
+     */
+    _getParser() {
+        if (!this.parser) {
+            this.parser = this.createParser();
+        }
+        return this.parser;
+    }
+
+    /**
+     * generate: write (or print) a Foundry test for a trace
+     * @param {Object} values - Parsed flags
+     * @param {Array<string>} positionals - Legacy positional arguments
+     * @returns {Promise<number>} Exit code
+     * @private
+     */
+    async _generate(values, positionals) {
+        if (positionals.length > 5) {
+            throw this._usageError(`Unexpected argument: ${positionals[5]}`);
+        }
+
+        // Legacy form: <trace-file> [attacker] [output-file] [block-number] [tx-hash]
+        const [traceFile, attacker, out, block, tx] = positionals;
+        const flags = {
+            trace: values.trace || (traceFile ? [traceFile] : []),
+            attacker: values.attacker || (attacker ? [attacker] : []),
+            out: values.out || out,
+            block: values.block || block,
+            tx: values.tx || (tx ? [tx] : [])
+        };
+
+        if (flags.trace.length === 0 && flags.tx.length === 0) {
+            throw this._usageError('Either --trace <file> or --tx <hash> is required');
+        }
+
+        const count = Math.max(flags.trace.length, flags.tx.length);
+        const perTransaction = [flags.attacker, values.chain || [], values.rpc || []];
+        if ((flags.trace.length > 0 && flags.tx.length > 0 && flags.trace.length !== flags.tx.length) ||
+            perTransaction.some(list => list.length > 1 && list.length !== count)) {
+            throw this._usageError(`Give one --tx per --trace and one --attacker, --chain and --rpc, or one per transaction (${count} transactions)`);
+        }
+
+        const options = this._networkOptions(values);
+        if (values.format) options.format = this._validateFormat(values.format);
+        if (values.mode) options.mode = this._validateChoice('--mode', values.mode, ['prank', 'exploit']);
+        if (values['attacker-contract']) options.attackerContract = this._validateAddress('--attacker-contract', values['attacker-contract']);
+        if (values['deploy-mode']) options.deployMode = this._validateChoice('--deploy-mode', values['deploy-mode'], ['etch', 'create']);
+        if (values['fork-at']) options.forkAt = this._validateChoice('--fork-at', values['fork-at'], ['block', 'tx']);
+        if (values['verify-prestate']) options.verifyPrestate = this._validateChoice('--verify-prestate', values['verify-prestate'], ['warn', 'fail']);
+        if (values['expect-events']) options.expectEvents = true;
+        if (values['group-by-contract']) options.groupByContract = true;
+        if (values['assert-storage']) options.assertStorage = true;
+        if (values['assert-storage-prev']) options.assertStoragePrev = true;
+        if (values['dry-run']) options.dryRun = true;
+        if (values['out-dir']) options.outDir = values['out-dir'];
+        if (values.force) options.force = true;
+
+        const mainAddress = this._unwrap(flags.attacker.map(address => this._validateAddress('--attacker', address)));
+        const blockNumber = flags.block ? this._validateBlock(flags.block) : null;
+        const txHash = this._unwrap(flags.tx.map(hash => this._validateTxHash(hash)));
+
+        const result = await this._getParser().process(this._unwrap(flags.trace), mainAddress, flags.out || null, blockNumber, txHash, options);
+
+        if (options.dryRun) {
+            console.log(result.testContent);
+        }
+        return EXIT_CODES.SUCCESS;
+    }
+
+    /**
+     * inspect: print a summary of a trace
+     * @param {Object} values - Parsed flags
+     * @param {Array<string>} positionals - Optional trace file
+     * @returns {Promise<number>} Exit code
+     * @private
+     */
+    async _inspect(values, positionals) {
+        const traceFile = values.trace || positionals[0];
+        if (!traceFile && !values.tx) {
+            throw this._usageError('Either --trace <file> or --tx <hash> is required');
+        }
+
+        const options = this._networkOptions(values);
+        if (values.format) options.format = this._validateFormat(values.format);
+        const txHash = values.tx ? this._validateTxHash(values.tx) : null;
+        const attacker = values.attacker ? this._validateAddress('--attacker', values.attacker).toLowerCase() : null;
+
+        const parser = this._getParser();
+        const traceData = await parser.loadTrace(traceFile || null, txHash, options);
+        const callTree = parser.traceParser.buildCallTree(traceData);
+        const stats = callTree.getStats();
+
+        const callers = new Map();
+        for (const node of callTree.getInvocations()) {
+            const from = CallTree.getFromAddress(node.invocation);
+            if (from) callers.set(from, (callers.get(from) || 0) + 1);
+        }
+        const rankedCallers = Array.from(callers.entries()).sort(([, a], [, b]) => b - a);
+        const sender = callTree.getSender();
+        const main = attacker || sender || (rankedCallers[0] && rankedCallers[0][0]);
+
+        console.log(`\nFormat:       ${traceData.format || 'phalcon'}`);
+        console.log(`Transaction:  ${txHash || parser.traceParser.extractTransactionHashFromTrace(traceData) || 'unknown'}`);
+        console.log(`Sender:       ${sender || 'unknown'}`);
+        console.log(`Nodes:        ${stats.invocations} calls, ${stats.events} events, ${stats.slotReads} slot reads, ${stats.slotWrites} slot writes (max depth ${stats.maxDepth})`);
+
+        console.log('\nMost frequent callers:');
+        for (const [address, count] of rankedCallers.slice(0, 5)) {
+            console.log(`  ${address}  ${count} call${count === 1 ? '' : 's'}`);
+        }
+
+        if (main) {
+            const calls = callTree.getTopLevelCalls(main);
+            console.log(`\nTop-level calls of ${main}:`);
+            for (const node of calls) {
+                const invocation = node.invocation;
+                const method = invocation.decodedMethod && invocation.decodedMethod.signature
+                    ? invocation.decodedMethod.signature
+                    : invocation.selector || '(no calldata)';
+                const reverted = callTree.isReverted(node) ? '  [reverted]' : '';
+                const nested = callTree.getNestedCalls(node, main).length;
+                const callbacks = nested > 0 ? `  (${nested} calls back from ${main})` : '';
+                console.log(`  #${node.id} ${invocation.operation || 'CALL'} ${CallTree.getTargetAddress(invocation)} ${method}${callbacks}${reverted}`);
+            }
+        }
+
+        return EXIT_CODES.SUCCESS;
+    }
+
+    /**
+     * signatures: look up selectors in 4byte.directory and Etherface
+     * @param {Object} values - Parsed flags
+     * @param {Array<string>} positionals - Selectors
+     * @returns {Promise<number>} Exit code, 1 when a selector is unknown
+     * @private
+     */
+    async _signatures(values, positionals) {
+        if (positionals.length === 0) {
+            throw this._usageError('At least one selector is required');
+        }
+
+        const selectors = positionals.map(selector => {
+            const normalized = selector.toLowerCase().startsWith('0x') ? selector.toLowerCase() : `0x${selector.toLowerCase()}`;
+            if (!/^0x[0-9a-f]{8}$/.test(normalized)) {
+                throw this._usageError(`Invalid selector: ${selector}`);
+            }
+            return normalized;
+        });
+
+        const abiManager = this._getParser().abiManager;
+        let missing = 0;
+        for (const selector of selectors) {
+            const result = await abiManager.lookupFunctionSignatureWithFallback(selector);
+            if (result) {
+                console.log(`${selector}  ${result.textSignature}`);
+            } else {
+                console.log(`${selector}  not found`);
+                missing++;
+            }
+        }
+
+        return missing > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS;
+    }
+
+    /**
+     * rpc: validate the RPC URLs of a chain
+     * @param {Object} values - Parsed flags
+     * @returns {Promise<number>} Exit code, 1 when no URL works
+     * @private
+     */
+    async _rpc(values) {
+        const { chain, rpcUrl } = this._networkOptions(values);
+        const count = values.count !== undefined ? this._validateCount(values.count) : 3;
+        const parser = this._getParser();
+        const chainName = chain || process.env.CHAIN || 'ethereum';
+        const config = parser.configManager.getChainConfig(chainName);
+
+        const urls = rpcUrl ? [rpcUrl] : (await parser.rpcManager.getEnhancedRpcUrls(chainName)).slice(0, count);
+        console.log(`\nChain: ${chainName} (chain id ${config.chainId})`);
+
+        let working = 0;
+        for (const url of urls) {
+            const result = await parser.rpcManager.validateRpcUrl(url, config.chainId, 5000);
+            if (result.valid) {
+                working++;
+                console.log(`  ✅ ${url}  block ${result.blockNumber}`);
+            } else {
+                console.log(`  ❌ ${url}  ${result.error}`);
+            }
+        }
+
+        return working > 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+    }
+
+    /**
+     * cache: show or clear the lookup caches
+     * Caches live in memory, so they only cover lookups made by this process
+     * @param {Object} values - Parsed flags
+     * @param {Array<string>} positionals - Action (stats or clear)
+     * @returns {Promise<number>} Exit code
+     * @private
+     */
+    async _cache(values, positionals) {
+        const action = positionals[0] || 'stats';
+        this._validateChoice('cache action', action, ['stats', 'clear']);
+
+        const parser = this._getParser();
+        if (action === 'clear') {
+            parser.clearCaches();
+        } else {
+            console.log(JSON.stringify(parser.getStatus(), null, 2));
+        }
+        return EXIT_CODES.SUCCESS;
+    }
+
+    /**
+     * Collect the chain and RPC flags shared by several commands
+     * @param {Object} values - Parsed flags
+     * @returns {Object} Options with chain and rpcUrl when given
+     * @private
+     */
+    _networkOptions(values) {
+        const options = {};
+        // generate repeats them per transaction and passes several values on as lists
+        const toList = value => Array.isArray(value) ? value : [value];
+        if (values.chain) {
+            const supported = this._getParser().configManager.getSupportedChains();
+            options.chain = this._unwrap(toList(values.chain).map(chain => this._validateChoice('--chain', chain.toLowerCase(), supported)));
+        }
+        if (values.rpc) {
+            options.rpcUrl = this._unwrap(toList(values.rpc).map(rpc => {
+                if (!/^(https?|wss?):\/\/\S+$/.test(rpc)) {
+                    throw this._usageError(`Invalid --rpc URL: ${rpc}`);
+                }
+                return rpc;
+            }));
+        }
+        return options;
+    }
+
+    /**
+     * Collapse repeated flag values: none to null, one to the value itself, several to the list
+     * A single value keeps the single-transaction call; several are passed on as lists
+     * @param {Array<string>} list - Flag values
+     * @returns {string|Array<string>|null} Unwrapped value
+     * @private
+     */
+    _unwrap(list) {
+        return list.length === 0 ? null : (list.length === 1 ? list[0] : list);
+    }
+
+    /**
+     * Validate a trace format name
+     * @param {string} format - Format name
+     * @returns {string} Format name
+     * @private
+     */
+    _validateFormat(format) {
+        return this._validateChoice('--format', format, this._getParser().traceAdapters.getFormats());
+    }
+
+    /**
+     * Validate that a value is one of the allowed choices
+     * @param {string} flag - Flag name for the error message
+     * @param {string} value - Value
+     * @param {Array<string>} choices - Allowed values
+     * @returns {string} Value
+     * @private
+     */
+    _validateChoice(flag, value, choices) {
+        if (!choices.includes(value)) {
+            throw this._usageError(`Invalid ${flag}: ${value} (expected ${choices.join(', ')})`);
+        }
+        return value;
+    }
+
+    /**
+     * Validate an address flag
+     * @param {string} flag - Flag name for the error message
+     * @param {string} value - Address
+     * @returns {string} Address
+     * @private
+     */
+    _validateAddress(flag, value) {
+        if (!ethers.isAddress(value)) {
+            throw this._usageError(`Invalid ${flag} address: ${value}`);
+        }
+        return value;
+    }
+
+    /**
+     * Validate a block number
+     * @param {string} value - Block number
+     * @returns {number} Block number
+     * @private
+     */
+    _validateBlock(value) {
+        if (!/^\d+$/.test(value)) {
+            throw this._usageError(`Invalid --block number: ${value}`);
+        }
+        return parseInt(value, 10);
+    }
+
+    /**
+     * Validate a transaction hash
+     * @param {string} value - Transaction hash
+     * @returns {string} Transaction hash
+     * @private
+     */
+    _validateTxHash(value) {
+        if (!/^0x[0-9a-fA-F]{64}$/.test(value)) {
+            throw this._usageError(`Invalid --tx hash: ${value}`);
+        }
+        return value;
+    }
+
+    /**
+     * Validate a positive count
+     * @param {string} value - Count
+     * @returns {number} Count
+     * @private
+     */
+    _validateCount(value) {
+        if (!/^[1-9]\d*$/.test(value)) {
+            throw this._usageError(`Invalid --count: ${value}`);
+        }
+        return parseInt(value, 10);
+    }
+
+    /**
+     * Create an error reported as invalid usage (exit code 2)
+     * @param {string} message - Error message
+     * @returns {Error} Error flagged as a usage error
+     * @private
+     */
+    _usageError(message) {
+        const error = new Error(message);
+        error.usage = true;
+        return error;
+    }
+}
+
+Cli.EXIT_CODES = EXIT_CODES;
+Cli.COMMANDS = COMMANDS;
+
+module.exports = Cli;
@@ -1,5 +1,9 @@
 const fs = require('fs');
 const path = require('path');
+const { ethers } = require('ethers');
+const CallTree = require('./callTree');
+const { SourceUnit } = require('./solidityEmitter');
+const { parseType } = require('./abiTypes');
 
 /**
  * Foundry Test Generator Module
@@ -12,6 +16,8 @@ class FoundryGenerator {
         this.tokenManager = tokenManager;
         this.abiManager = abiManager;
         this.traceParser = traceParser;
+        // Calldata fidelity of every call in the last generated test
+        this.fidelityReport = [];
     }
 
     /**
@@ -20,81 +26,454 @@ class FoundryGenerator {
      * @param {string} mainAddress - Main contract address
      * @param {number|null} blockNumber - Block number for forking
      * @param {string|null} rpcUrl - RPC URL
+     * @param {Object} options - Generation options
+     * @param {string} options.mode - 'prank' replays calls as the main address, 'exploit' emits a deployable Exploit contract
+     * @param {string} options.attackerContract - Contract whose calls the Exploit contract replays (exploit mode)
+     * @param {string} options.deployMode - 'etch' places traced runtime bytecode, 'create' deploys the init code
+     * @param {boolean} options.expectEvents - Assert that the replay emits the traced logs with vm.expectEmit
+     * @param {boolean} options.assertStorage - Assert every slot the trace wrote holds its traced final value after the replay
+     * @param {boolean} options.assertStoragePrev - Assert the traced pre-transaction value of those slots in setUp
+     * @param {string} options.verifyPrestate - 'warn' or 'fail' when the fork differs from the storage the trace read
+     * @param {string} options.txHash - Transaction hash (defaults to the hash found in the trace)
+     * @param {string} options.forkAt - 'block' forks at the block number, 'tx' forks right before the transaction within its block
+     * @param {Object|null} options.txDetails - Already fetched TokenManager.fetchTransactionDetails result; null skips the transaction context
+     * @param {boolean} options.groupByContract - Add a comment listing the replayed calls per contract (execution order is unchanged)
      * @returns {Promise<string>} Generated Foundry test code
      */
-    async generateFoundryTest(traceData, mainAddress, blockNumber = null, rpcUrl = null) {
+    async generateFoundryTest(traceData, mainAddress, blockNumber = null, rpcUrl = null, options = {}) {
+        return this.generateIncidentTest(
+            [{ traceData, mainAddress, txHash: options.txHash, txDetails: options.txDetails }], blockNumber, rpcUrl, options
+        );
+    }
+
+    /**
+     * Generate one Foundry test replaying an ordered list of transactions
+     * Every transaction becomes a step with its own sender prank and block environment; addresses
+     * and interfaces are shared, and storage assertions check the state after the last step.
+     * Transactions on different chains each get a fork of their chain and switch to it with vm.selectFork
+     * @param {Array<Object>} transactions - Transactions in execution order
+     * @param {Object} transactions[].traceData - Parsed trace data
+     * @param {string} transactions[].mainAddress - Address whose calls are replayed
+     * @param {string} transactions[].txHash - Transaction hash (defaults to the hash found in the trace)
+     * @param {Object|null} transactions[].txDetails - Already fetched transaction details; null skips the transaction context
+     * @param {string} transactions[].chain - Chain the transaction ran on (defaults to the chain of its RPC URL)
+     * @param {string} transactions[].rpcUrl - RPC URL of that chain (defaults to rpcUrl, or the chain's configured RPC)
+     * @param {number|null} blockNumber - Block number for forking (the first transaction's position)
+     * @param {string|null} rpcUrl - RPC URL
+     * @param {Object} options - Generation options, as for generateFoundryTest
+     * @returns {Promise<string>} Generated Foundry test code
+     */
+    async generateIncidentTest(transactions, blockNumber = null, rpcUrl = null, options = {}) {
         rpcUrl = rpcUrl || await this.rpcManager.getEnhancedRpcUrl('ethereum');
-        const chain = this.configManager.detectChainFromRpc(rpcUrl);
-        const { dataMap } = traceData;
 
-        if (!mainAddress) {
+        if (transactions.length === 0) {
+            throw new Error('At least one transaction is required for test generation');
+        }
+        if (transactions.some(transaction => !transaction.mainAddress)) {
             throw new Error('Main address is required for test generation');
         }
+        if (options.mode === 'exploit' && transactions.length > 1) {
+            throw new Error('Exploit mode reproduces a single transaction; use prank mode for multi-transaction incidents');
+        }
 
-        console.log(`Generating Foundry test for ${mainAddress} on ${chain}${blockNumber ? ` at block ${blockNumber}` : ''}`);
+        const forks = await this._resolveForks(transactions, rpcUrl);
+        const crossChain = forks.size > 1;
+        const [chain] = forks.keys();
 
-        const contracts = new Map();
-        const methodCalls = [];
-        const addressRegistry = new Map();
-        const addressCounter = new Map();
+        const steps = transactions.length > 1 ? ` (${transactions.length} transactions)` : '';
+        console.log(`Generating Foundry test for ${transactions[0].mainAddress} on ${Array.from(forks.keys()).join(', ')}${blockNumber ? ` at block ${blockNumber}` : ''}${steps}`);
 
-        // Process trace data to extract contract interactions
-        await this._processTraceData(dataMap, mainAddress, contracts, methodCalls, addressRegistry, addressCounter);
+        // Structs are declared once per test, and never under the name of a generated contract
+        this.traceParser.structRegistry.reset(['TraceReproduction', 'Exploit']);
 
-        // Find callback ranges (flashloan patterns)
-        const callbackRanges = this._findCallbackRanges(dataMap, mainAddress);
-        let callbacks = new Map();
+        // Contracts and events are shared by every step, so each contract gets one interface;
+        // addresses are named per chain, so each address gets one variable on every chain it is used on
+        const shared = {
+            contracts: new Map(),
+            events: new Map()
+        };
 
-        // Process callback ranges to extract calls within them
-        for (const range of callbackRanges) {
-            const callbackData = await this.traceParser.extractCallsInFlashloanRange(
-                dataMap, range.startId, range.endId, mainAddress, contracts, addressRegistry, addressCounter
+        const collectedSteps = [];
+        for (const transaction of transactions) {
+            const fork = forks.get(this._getTransactionChain(transaction, rpcUrl));
+            const step = await this._collectStep(
+                transaction, { ...shared, addressRegistry: fork.addressRegistry, addressCounter: fork.addressCounter }, fork.rpcUrl, options
             );
+            collectedSteps.push({ ...step, chain: fork.chain, addressRegistry: fork.addressRegistry });
+        }
 
-            if (callbackData && callbackData.length > 0) {
-                if (range.type === 'flashloan') {
-                    const callbackType = this.traceParser.detectCallbackType(range.methodName, range.contractAddress, range.callData);
-                    callbacks.set(callbackType, callbackData);
-                } else {
-                    callbacks.set(range.type, callbackData);
+        const [firstStep] = collectedSteps;
+        const mainAddress = firstStep.mainAddress;
+        if (options.forkAt === 'tx' && !firstStep.txHash) {
+            console.warn(`⚠️  Transaction hash unknown, forking at ${blockNumber ? `block ${blockNumber}` : 'the latest block'} instead; ` +
+                'earlier transactions in the same block are not included');
+        }
+
+        const { contracts, events } = shared;
+        const { addressRegistry } = forks.get(chain);
+        const methodCalls = collectedSteps.flatMap(step => step.methodCalls);
+        const callbacks = this._mergeStepCallbacks(collectedSteps);
+        const storageChanges = this._mergeStorageChanges(collectedSteps);
+        // Later steps read state the replay itself produced, so only the first step's reads describe the fork
+        const prestateReads = firstStep.prestateReads;
+
+        if (collectedSteps.length > 1) {
+            // Senders and origins of later steps are pranked through their own variables
+            for (const step of collectedSteps.slice(1)) {
+                const fork = forks.get(step.chain);
+                for (const address of [step.mainAddress, step.txContext && step.txContext.origin]) {
+                    if (address && address.toLowerCase() !== mainAddress.toLowerCase()) {
+                        this._registerAddress(address, fork.addressRegistry, fork.addressCounter);
+                    }
                 }
             }
         }
 
-        // Fetch token information for all unique addresses
-        const uniqueAddresses = this._getUniqueAddresses(methodCalls, addressRegistry);
-        const tokenInfoMap = await this.tokenManager.batchFetchTokenInfo(uniqueAddresses, rpcUrl);
+        // Fetch token information for all unique addresses, from the chain they live on
+        const tokenInfoMap = new Map();
+        for (const fork of forks.values()) {
+            const forkCalls = collectedSteps.filter(step => step.chain === fork.chain).flatMap(step => step.methodCalls);
+            const uniqueAddresses = this._getUniqueAddresses(forkCalls, fork.addressRegistry);
+            fork.tokenInfoMap = await this.tokenManager.batchFetchTokenInfo(uniqueAddresses, fork.rpcUrl);
+            fork.tokenInfoMap.forEach((info, address) => tokenInfoMap.set(address, info));
+        }
+
+        if (crossChain) {
+            // Forks other than the first start where their chain's first step ran
+            for (const fork of forks.values()) {
+                const firstOnChain = collectedSteps.find(step => step.chain === fork.chain);
+                fork.txHash = firstOnChain.txHash;
+                fork.blockNumber = fork.chain === chain
+                    ? blockNumber
+                    : (firstOnChain.txContext && firstOnChain.txContext.blockNumber);
+            }
+        }
+
+        this.fidelityReport = this._collectFidelityReport(methodCalls, callbacks);
 
         // Generate the complete test
         return this._generateTestContent(
             mainAddress, chain, blockNumber, rpcUrl, contracts, methodCalls,
-            addressRegistry, tokenInfoMap, callbacks
+            addressRegistry, tokenInfoMap, callbacks, events, storageChanges, prestateReads,
+            { ...options, txHash: firstStep.txHash }, firstStep.txContext,
+            { steps: collectedSteps, forks: crossChain ? Array.from(forks.values()) : [] }
         );
     }
 
+    /**
+     * Resolve the chain and RPC URL of every transaction, in order of first use
+     * @param {Array<Object>} transactions - Transactions with optional chain and rpcUrl
+     * @param {string} rpcUrl - RPC URL of transactions without their own
+     * @returns {Promise<Map>} Chain name to fork with chain, rpcUrl, envVar, forkVar, addressRegistry and addressCounter
+     * @private
+     */
+    async _resolveForks(transactions, rpcUrl) {
+        const defaultChain = this.configManager.detectChainFromRpc(rpcUrl);
+        const forks = new Map();
+
+        for (const transaction of transactions) {
+            const chain = this._getTransactionChain(transaction, rpcUrl);
+            if (forks.has(chain)) continue;
+
+            const identifier = chain.replace(/\W/g, '_');
+            forks.set(chain, {
+                chain,
+                rpcUrl: transaction.rpcUrl || (chain === defaultChain ? rpcUrl : await this.rpcManager.getEnhancedRpcUrl(chain)),
+                envVar: this.configManager.getChainConfig(chain).envVars[0],
+                forkVar: `${identifier}Fork`,
+                addressRegistry: new Map(),
+                addressCounter: new Map()
+            });
+        }
+
+        // With several chains the same address can be a different contract on each, so variables are chain-qualified
+        if (forks.size > 1) {
+            for (const fork of forks.values()) {
+                fork.addressCounter.set('prefix', `${fork.chain.replace(/\W/g, '_')}_`);
+            }
+        }
+
+        return forks;
+    }
+
+    /**
+     * Get the chain a transaction ran on
+     * @param {Object} transaction - Transaction with optional chain and rpcUrl
+     * @param {string} rpcUrl - RPC URL of transactions without their own
+     * @returns {string} Chain name
+     * @private
+     */
+    _getTransactionChain(transaction, rpcUrl) {
+        if (transaction.chain) {
+            return transaction.chain.toLowerCase();
+        }
+        return this.configManager.detectChainFromRpc(transaction.rpcUrl || rpcUrl);
+    }
+
+    /**
+     * Extract everything one transaction contributes to the test
+     * @param {Object} transaction - Transaction with traceData, mainAddress, txHash and txDetails
+     * @param {Object} shared - Contracts, address registry, address counter and events shared by all steps on the same chain
+     * @param {string} rpcUrl - RPC URL
+     * @param {Object} options - Generation options
+     * @returns {Promise<Object>} Step with mainAddress, txHash, txContext, methodCalls, callbacks, storageChanges, prestateReads and createdAddresses
+     * @private
+     */
+    async _collectStep(transaction, shared, rpcUrl, options = {}) {
+        const { traceData } = transaction;
+        const { contracts, addressRegistry, addressCounter, events } = shared;
+        let mainAddress = transaction.mainAddress;
+        const methodCalls = [];
+
+        const txHash = transaction.txHash !== undefined ? transaction.txHash : this.traceParser.extractTransactionHashFromTrace(traceData);
+
+        // Reconstruct the call tree once; every consumer below works on it
+        const callTree = this.traceParser.buildCallTree(traceData);
+
+        // In exploit mode the replayed calls are the ones leaving the attacker contract
+        if (options.mode === 'exploit') {
+            mainAddress = options.attackerContract || this._resolveAttackerContract(callTree, mainAddress);
+            console.log(`Generating Exploit contract for attacker contract ${mainAddress}`);
+        }
+
+        // Process trace data to extract contract interactions
+        await this._processTraceData(callTree, mainAddress, contracts, methodCalls, addressRegistry, addressCounter, options);
+
+        // Pass earlier results on instead of their traced values
+        this.traceParser.linkReturnValues(this._sortByTraceOrder(methodCalls));
+
+        // Find the callbacks into the main address, whatever their selector
+        const callbackRanges = this._findCallbackRanges(callTree, mainAddress);
+        const callbacks = new Map();
+
+        // The body of a callback is the calls the main address makes while it runs; every
+        // invocation is kept in execution order, including callbacks nested in one another
+        for (const range of callbackRanges) {
+            const calls = await this.traceParser.extractCallsInCallback(
+                callTree, callTree.getNode(range.nodeId), mainAddress, contracts, addressRegistry, addressCounter
+            );
+            this.traceParser.linkReturnValues(calls);
+
+            if (!callbacks.has(range.type)) {
+                callbacks.set(range.type, []);
+            }
+            callbacks.get(range.type).push({
+                nodeId: range.nodeId,
+                caller: range.contractAddress,
+                selector: range.selector,
+                signature: range.signature,
+                output: range.output,
+                calls
+            });
+        }
+
+        // Addresses that differ in the replay: contracts it deploys anew and, in exploit mode, the
+        // attacker contract the Exploit contract stands in for
+        const relocated = this._getDeployedAddresses(methodCalls);
+        if (options.mode === 'exploit') {
+            relocated.add(mainAddress.toLowerCase());
+        }
+
+        // Attach the logs each replayed call has to reproduce
+        if (options.expectEvents) {
+            this._collectExpectedEvents(callTree, mainAddress, methodCalls, events, addressRegistry, addressCounter, relocated);
+        }
+
+        // Collect the storage transitions the replay has to reproduce
+        const storageChanges = options.assertStorage || options.assertStoragePrev
+            ? this._collectStorageChanges(callTree, mainAddress, methodCalls, addressRegistry, addressCounter, relocated)
+            : [];
+
+        // Storage the transaction observed, to catch forking at the wrong block
+        const prestateReads = options.verifyPrestate
+            ? this._collectPrestateReads(callTree, mainAddress, addressRegistry, addressCounter, relocated)
+            : [];
+
+        // Origin, gas price and block header of the traced transaction
+        const txContext = await this._resolveTransactionContext(rpcUrl, { txHash, txDetails: transaction.txDetails });
+
+        return {
+            mainAddress, txHash, txContext, methodCalls, callbacks, storageChanges, prestateReads,
+            createdAddresses: this._getCreatedAddresses(callTree)
+        };
+    }
+
+    /**
+     * Format a fidelity report, one line per call with a summary first
+     * @param {Array<Object>} report - Entries as collected in fidelityReport
+     * @returns {string} Report text
+     */
+    formatFidelityReport(report = this.fidelityReport) {
+        const statuses = [['exact', 'exact'], ['fallback', 'raw fallback'], ['raw', 'raw'], ['unchecked', 'unchecked']];
+        const summary = statuses
+            .map(([status, label]) => `${report.filter(entry => entry.status === status).length} ${label}`)
+            .join(', ');
+
+        const lines = report.map(entry => {
+            const mark = entry.status === 'exact' ? '✅' : entry.status === 'unchecked' ? '- ' : '⚠️ ';
+            const location = entry.callback ? ` in ${entry.callback}` : '';
+            const reason = entry.reason ? ` (${entry.reason})` : '';
+            return `  ${mark} ${entry.methodName} on ${this.traceParser.toChecksumAddress(entry.to)}${location}: ${entry.status}${reason}`;
+        });
+
+        return [`Calldata fidelity: ${summary}`, ...lines].join('\n');
+    }
+
+    /**
+     * Collect the calldata fidelity of every generated call
+     * Calls made directly come first, then the calls of each callback
+     * @param {Array} methodCalls - Method calls
+     * @param {Map} callbacks - Callback type to invocations
+     * @returns {Array<Object>} Entries with nodeId, to, methodName, callback, status and reason
+     * @private
+     */
+    _collectFidelityReport(methodCalls, callbacks) {
+        const entries = methodCalls.map(call => ({ call, callback: null }));
+        callbacks.forEach((invocations, type) => {
+            invocations.forEach(invocation => {
+                (invocation.calls || []).forEach(call => entries.push({ call, callback: type }));
+            });
+        });
+
+        return entries
+            .filter(({ call }) => call.fidelity)
+            .map(({ call, callback }) => ({
+                nodeId: call.nodeId !== undefined ? call.nodeId : null,
+                to: call.to,
+                methodName: call.methodName,
+                callback,
+                status: call.fidelity.status,
+                reason: call.fidelity.reason
+            }));
+    }
+
+    /**
+     * Merge the callbacks of every step
+     * The callback functions live on one contract for the whole test, so the invocations of
+     * each callback type are concatenated in step order, which is the order they run in
+     * @param {Array<Object>} steps - Collected steps
+     * @returns {Map} Callback type to invocations
+     * @private
+     */
+    _mergeStepCallbacks(steps) {
+        const callbacks = new Map();
+
+        for (const step of steps) {
+            for (const [callbackType, invocations] of step.callbacks.entries()) {
+                callbacks.set(callbackType, [...(callbacks.get(callbackType) || []), ...invocations]);
+            }
+        }
+
+        return callbacks;
+    }
+
+    /**
+     * Merge the storage changes of every step into net changes over the whole incident
+     * @param {Array<Object>} steps - Collected steps
+     * @returns {Array<Object>} Changes with the first step's prev and the last step's current value
+     * @private
+     */
+    _mergeStorageChanges(steps) {
+        if (steps.length === 1) {
+            return steps[0].storageChanges;
+        }
+
+        const changes = new Map();
+        // Contracts deployed by an earlier step did not exist at the fork either
+        const created = new Set();
+        for (const step of steps) {
+            // The same contract address on two chains holds unrelated storage
+            const chainPrefix = step.chain ? `${step.chain}:` : '';
+            step.createdAddresses.forEach(address => created.add(`${chainPrefix}${address}`));
+
+            for (const change of step.storageChanges) {
+                const slotId = `${chainPrefix}${change.contract}:${change.key.toLowerCase()}`;
+                if (!changes.has(slotId)) {
+                    const createdInTrace = change.createdInTrace || created.has(`${chainPrefix}${change.contract}`);
+                    changes.set(slotId, { ...change, chain: step.chain, createdInTrace });
+                    continue;
+                }
+                changes.get(slotId).current = change.current;
+                changes.get(slotId).relocated = changes.get(slotId).relocated || change.relocated;
+            }
+        }
+
+        return Array.from(changes.values());
+    }
+
+    /**
+     * Resolve the environment the traced transaction ran in
+     * @param {string} rpcUrl - RPC URL
+     * @param {Object} transaction - Transaction hash and already fetched details
+     * @returns {Promise<Object|null>} Origin, gas price and block fields, or null when the transaction is unknown
+     * @private
+     */
+    async _resolveTransactionContext(rpcUrl, transaction = {}) {
+        let txDetails = transaction.txDetails;
+        if (txDetails === undefined) {
+            txDetails = transaction.txHash ? await this.tokenManager.fetchTransactionDetails(transaction.txHash, rpcUrl) : null;
+        }
+
+        if (!txDetails || !txDetails.from) {
+            return null;
+        }
+
+        const block = txDetails.block || {};
+        return {
+            origin: txDetails.from,
+            gasPrice: txDetails.effectiveGasPrice || txDetails.gasPrice || null,
+            blockNumber: block.number ?? txDetails.blockNumber ?? null,
+            timestamp: block.timestamp ?? null,
+            baseFee: block.baseFeePerGas ?? null,
+            coinbase: block.coinbase || null,
+            prevRandao: block.prevRandao || null,
+            difficulty: block.difficulty ?? null
+        };
+    }
+
+    /**
+     * Resolve the attacker contract when the main address is the transaction sender
+     * If the sender made a single call into a contract that itself makes calls, that contract is the attacker
+     * @param {CallTree} callTree - Call tree of the trace
+     * @param {string} mainAddress - Main address (EOA or contract)
+     * @returns {string} Attacker contract address
+     * @private
+     */
+    _resolveAttackerContract(callTree, mainAddress) {
+        const topLevelCalls = callTree.getTopLevelCalls(mainAddress);
+        const targets = new Set(topLevelCalls.map(node => CallTree.getTargetAddress(node.invocation)));
+
+        // Only the transaction sender's calls sit directly under the trace root
+        const isSender = topLevelCalls.every(node => {
+            const parent = callTree.getParentInvocation(node);
+            return !parent || !CallTree.getFromAddress(parent.invocation);
+        });
+
+        if (!isSender || targets.size !== 1) {
+            return mainAddress;
+        }
+
+        const [target] = targets;
+        const makesCalls = topLevelCalls.some(node => callTree.getNestedCalls(node, target).length > 0);
+        return makesCalls ? target : mainAddress;
+    }
+
     /**
      * Process trace data to extract contract interactions
-     * @param {Object} dataMap - Trace data map
+     * Only the outermost calls of the main address are replayed directly; calls nested
+     * beneath them happen inside callbacks and are handled by the callback extraction
+     * @param {CallTree} callTree - Call tree of the trace
      * @param {string} mainAddress - Main contract address
      * @param {Map} contracts - Contracts map to populate
      * @param {Array} methodCalls - Method calls array to populate
      * @param {Map} addressRegistry - Address registry to populate
      * @param {Map} addressCounter - Address counter to populate
+     * @param {Object} options - Generation options
      * @private
      */
-    async _processTraceData(dataMap, mainAddress, contracts, methodCalls, addressRegistry, addressCounter) {
-        for (const [id, entry] of Object.entries(dataMap)) {
-            // Handle both plural and singular forms
-            const invocations = entry.invocations || (entry.invocation ? [entry.invocation] : []);
-            if (invocations.length === 0) continue;
-
-            for (const invocation of invocations) {
-                // Check both 'from' and 'fromAddress' fields
-                const fromAddr = invocation.from || invocation.fromAddress;
-                if (fromAddr && fromAddr.toLowerCase() === mainAddress.toLowerCase()) {
-                    await this._processInvocation(invocation, contracts, methodCalls, addressRegistry, addressCounter);
-                }
-            }
+    async _processTraceData(callTree, mainAddress, contracts, methodCalls, addressRegistry, addressCounter, options = {}) {
+        for (const node of callTree.getTopLevelCalls(mainAddress)) {
+            await this._processInvocation(node.invocation, contracts, methodCalls, addressRegistry, addressCounter, node, options);
         }
     }
 
@@ -105,9 +484,17 @@ class FoundryGenerator {
      * @param {Array} methodCalls - Method calls array
      * @param {Map} addressRegistry - Address registry
      * @param {Map} addressCounter - Address counter
+     * @param {Object|null} node - Call tree node of the invocation
+     * @param {Object} options - Generation options
      * @private
      */
-    async _processInvocation(invocation, contracts, methodCalls, addressRegistry, addressCounter) {
+    async _processInvocation(invocation, contracts, methodCalls, addressRegistry, addressCounter, node = null, options = {}) {
+        const operation = (invocation.operation || '').toUpperCase();
+        if (operation === 'CREATE' || operation === 'CREATE2') {
+            this._processDeployment(invocation, methodCalls, addressRegistry, addressCounter, node, options);
+            return;
+        }
+
         let methodName = 'unknown';
         let signature = 'unknown()';
         let params = [];
@@ -115,6 +502,7 @@ class FoundryGenerator {
 
         // Get the target address (handle both 'to' and 'address' fields)
         const targetAddress = invocation.to || invocation.address;
+        const tracedCalldata = this.traceParser.calldataVerifier.getTracedCalldata(invocation);
 
         // Try to decode the method call
         if (invocation.decodedMethod && invocation.decodedMethod.name) {
@@ -124,8 +512,8 @@ class FoundryGenerator {
         } else if (invocation.selector) {
             // Try to decode using ABI first
             const abi = this.abiManager.loadContractABI(targetAddress);
-            const decodedCall = abi && invocation.callData && invocation.callData !== '0x'
-                ? await this.abiManager.decodeFunctionCall(targetAddress, invocation.callData, abi)
+            const decodedCall = abi && tracedCalldata !== '0x'
+                ? await this.abiManager.decodeFunctionCall(targetAddress, tracedCalldata, abi)
                 : null;
 
             if (decodedCall) {
@@ -138,7 +526,7 @@ class FoundryGenerator {
                 if (apiResult) {
                     methodName = apiResult.functionName;
                     signature = apiResult.textSignature;
-                    params = await this._decodeParametersFromCallData(invocation.callData, apiResult);
+                    params = await this._decodeParametersFromCallData(tracedCalldata, apiResult);
                 } else {
                     // If no signature found, use raw call
                     console.log(`⚠️  Could not decode function ${invocation.selector} - will use raw calldata`);
@@ -146,399 +534,1395 @@ class FoundryGenerator {
                     useRawCall = true;
                 }
             }
-        } else if (invocation.callData && invocation.callData !== '0x') {
-            // No selector but has calldata (constructor or raw call)
-            console.log(`⚠️  No selector found, using raw calldata`);
-            methodName = 'unknownCall';
-            useRawCall = true;
+        } else if (invocation.callData && invocation.callData !== '0x') {
+            // No selector but has calldata (constructor or raw call)
+            console.log(`⚠️  No selector found, using raw calldata`);
+            methodName = 'unknownCall';
+            useRawCall = true;
+        }
+
+        const addressVar = this._registerAddress(targetAddress, addressRegistry, addressCounter);
+        const call = {
+            nodeId: node ? node.id : null,
+            order: node ? node.order : methodCalls.length,
+            to: targetAddress,
+            addressVar: addressVar,
+            methodName: methodName,
+            signature: useRawCall ? null : signature,
+            params: useRawCall ? null : this.traceParser.paramNormalizer.normalizeParams(params),
+            returnParams: useRawCall ? [] : this.traceParser.paramNormalizer.normalizeParams(invocation.decodedMethod?.returnParams || []),
+            value: invocation.value || '0',
+            operation: (invocation.operation || 'CALL').toUpperCase(),
+            gasUsed: invocation.gasUsed || 'unknown',
+            rawCalldata: useRawCall ? tracedCalldata : null  // Store raw calldata if using raw call
+        };
+
+        // Exploit contracts make the calls themselves; a pranked test spells the caller MAIN_ADDRESS
+        this.traceParser.verifyCallEncoding(call, invocation, addressRegistry, options.mode === 'exploit' ? 'address(this)' : 'MAIN_ADDRESS');
+
+        // Only update interface for calls emitted through it
+        if (call.signature && call.signature !== 'unknown()') {
+            this._updateContractInterface(targetAddress, call.signature, contracts);
+        }
+
+        methodCalls.push(call);
+    }
+
+    /**
+     * Process a CREATE/CREATE2 invocation into a deployment
+     * @param {Object} invocation - Invocation data (address is the created contract)
+     * @param {Array} methodCalls - Method calls array
+     * @param {Map} addressRegistry - Address registry
+     * @param {Map} addressCounter - Address counter
+     * @param {Object|null} node - Call tree node of the invocation
+     * @param {Object} options - Generation options
+     * @private
+     */
+    _processDeployment(invocation, methodCalls, addressRegistry, addressCounter, node = null, options = {}) {
+        const createdAddress = invocation.to || invocation.address;
+        const operation = invocation.operation.toUpperCase();
+        const runtimeCode = invocation.output && invocation.output !== '0x' ? invocation.output : null;
+
+        const { initCode, constructorArgs } = this.abiManager.splitCreationData(
+            invocation.callData, invocation.decodedMethod?.constructorArguments
+        );
+        const constructorParams = this.traceParser.paramNormalizer.normalizeParams(invocation.decodedMethod?.callParams?.length
+            ? invocation.decodedMethod.callParams
+            : this.abiManager.decodeConstructorArguments(constructorArgs));
+
+        // Etching needs cheatcodes and the traced runtime code; the Exploit contract must deploy for real
+        let deployMode = options.deployMode || (options.mode === 'exploit' ? 'create' : 'etch');
+        if (deployMode === 'etch' && (options.mode === 'exploit' || !runtimeCode)) {
+            console.log(`⚠️  Cannot etch ${createdAddress}, deploying its init code instead`);
+            deployMode = 'create';
+        }
+
+        const addressVar = this._registerAddress(createdAddress, addressRegistry, addressCounter);
+        // The deployer is the main address, which is spelled through its own expression
+        const deployer = (CallTree.getFromAddress(invocation) || '').toLowerCase();
+        constructorParams
+            .filter(param => param.type === 'address' && param.value && param.value.toLowerCase() !== deployer)
+            .forEach(param => this._registerAddress(param.value, addressRegistry, addressCounter));
+
+        methodCalls.push({
+            kind: 'deployment',
+            nodeId: node ? node.id : null,
+            order: node ? node.order : methodCalls.length,
+            to: createdAddress,
+            addressVar: addressVar,
+            methodName: operation === 'CREATE2' ? 'create2' : 'create',
+            operation: operation,
+            deployMode: deployMode,
+            initCode: initCode,
+            constructorParams: constructorParams,
+            runtimeCode: runtimeCode,
+            salt: invocation.salt || null,
+            constructorStorage: node ? this._collectConstructorStorage(node, createdAddress) : [],
+            value: invocation.value || '0',
+            gasUsed: invocation.gasUsed || 'unknown'
+        });
+    }
+
+    /**
+     * Collect the final storage values a constructor wrote to the contract it created
+     * @param {Object} node - Call tree node of the CREATE/CREATE2 invocation
+     * @param {string} createdAddress - Created contract address
+     * @returns {Array<Object>} Slot writes as { key, value }
+     * @private
+     */
+    _collectConstructorStorage(node, createdAddress) {
+        const slots = new Map();
+        const visit = (current) => {
+            const write = current.slotWrite;
+            if (write && write.contract && write.contract.toLowerCase() === createdAddress.toLowerCase()) {
+                slots.set(write.key, write.current);
+            }
+            current.children.forEach(visit);
+        };
+        node.children.forEach(visit);
+
+        return Array.from(slots.entries()).map(([key, value]) => ({ key, value }));
+    }
+
+    /**
+     * Collect the events every replayed call emitted in the trace
+     * Logs from the main address are left out because its own code is not part of the replay,
+     * and so are constructor logs of etched contracts
+     * @param {CallTree} callTree - Call tree of the trace
+     * @param {string} mainAddress - Main contract address
+     * @param {Array} methodCalls - Method calls to annotate with their events
+     * @param {Map} events - Event declarations per emitting contract to populate
+     * @param {Map} addressRegistry - Address registry
+     * @param {Map} addressCounter - Address counter
+     * @param {Set<string>} relocated - Addresses that differ in the replay
+     * @private
+     */
+    _collectExpectedEvents(callTree, mainAddress, methodCalls, events, addressRegistry, addressCounter, relocated = new Set()) {
+        for (const call of methodCalls) {
+            const node = call.nodeId !== null ? callTree.getNode(call.nodeId) : null;
+            if (!node || (call.kind === 'deployment' && call.deployMode === 'etch')) {
+                call.events = [];
+                continue;
+            }
+
+            call.events = this.traceParser.extractEmittedEvents(callTree, node)
+                .filter(event => event.contract !== mainAddress.toLowerCase());
+
+            for (const event of call.events) {
+                this._registerAddress(event.contract, addressRegistry, addressCounter);
+                // Address parameters are spelled through variables that follow the replay; other data is not
+                const data = this._isEmittableEvent(event)
+                    ? event.params.filter(param => !/^address(\[\d*\])*$/.test(param.type)).map(param => JSON.stringify(param.value))
+                    : [...event.topics, event.logData];
+                event.relocated = this._dependsOnAny(callTree, event.nodeId, data, relocated);
+                if (!this._isEmittableEvent(event)) continue;
+
+                event.params
+                    .filter(param => param.type === 'address' && param.value && param.value.toLowerCase() !== mainAddress.toLowerCase())
+                    .forEach(param => this._registerAddress(param.value, addressRegistry, addressCounter));
+
+                if (!events.has(event.contract)) {
+                    events.set(event.contract, new Set());
+                }
+                events.get(event.contract).add(this.abiManager.createEventDeclaration(event.name, event.params, event.indexed));
+            }
+        }
+    }
+
+    /**
+     * Collect the net storage changes made by the replayed calls, one entry per (contract, slot)
+     * prev comes from the first write to a slot and current from the last one
+     * @param {CallTree} callTree - Call tree of the trace
+     * @param {string} mainAddress - Main contract address
+     * @param {Array} methodCalls - Replayed method calls
+     * @param {Map} addressRegistry - Address registry
+     * @param {Map} addressCounter - Address counter
+     * @param {Set<string>} relocated - Addresses that differ in the replay
+     * @returns {Array<Object>} Changes with contract, key, prev, current, createdInTrace and relocated
+     * @private
+     */
+    _collectStorageChanges(callTree, mainAddress, methodCalls, addressRegistry, addressCounter, relocated = new Set()) {
+        const changes = new Map();
+        const createdInTrace = this._getCreatedAddresses(callTree);
+
+        for (const call of methodCalls) {
+            const node = call.nodeId !== null ? callTree.getNode(call.nodeId) : null;
+            if (!node) continue;
+
+            // The main address's own code is not replayed, so neither is its storage
+            const writes = this.traceParser.extractStorageWrites(callTree, node)
+                .filter(write => write.contract !== mainAddress.toLowerCase());
+
+            for (const write of writes) {
+                const slotId = `${write.contract}:${write.key.toLowerCase()}`;
+                if (!changes.has(slotId)) {
+                    this._registerAddress(write.contract, addressRegistry, addressCounter);
+                    changes.set(slotId, {
+                        contract: write.contract,
+                        key: write.key,
+                        prev: write.prev,
+                        current: write.current,
+                        createdInTrace: createdInTrace.has(write.contract),
+                        relocated: false
+                    });
+                }
+                const change = changes.get(slotId);
+                change.current = write.current;
+                change.relocated = change.relocated || this._dependsOnAny(callTree, write.nodeId, [write.prev, write.current], relocated);
+            }
+        }
+
+        return Array.from(changes.values());
+    }
+
+    /**
+     * Collect the pre-transaction storage values the trace read
+     * @param {CallTree} callTree - Call tree of the trace
+     * @param {string} mainAddress - Main address
+     * @param {Map} addressRegistry - Address registry
+     * @param {Map} addressCounter - Address counter
+     * @param {Set<string>} relocated - Addresses that differ in the replay, whose slots are not checked
+     * @returns {Array<Object>} Reads with contract, key and value
+     * @private
+     */
+    _collectPrestateReads(callTree, mainAddress, addressRegistry, addressCounter, relocated = new Set()) {
+        const createdInTrace = this._getCreatedAddresses(callTree);
+        const reads = this.traceParser.extractPrestateReads(callTree)
+            .filter(read => !createdInTrace.has(read.contract) && !relocated.has(read.contract))
+            .filter(read => !this._dependsOnAny(callTree, read.nodeId, [read.value], relocated));
+
+        // The main address is spelled MAIN_ADDRESS, not through a variable of its own
+        reads
+            .filter(read => read.contract !== mainAddress.toLowerCase())
+            .forEach(read => this._registerAddress(read.contract, addressRegistry, addressCounter));
+        return reads;
+    }
+
+    /**
+     * Check whether a slot access or log may depend on one of the given addresses
+     * Besides holding one, it does when any frame it happens in was sent by, runs at or was passed one of
+     * them: the replay changes msg.sender or address(this) there, and with them everything derived from
+     * them, such as balances keyed by the address or hashes over it
+     * @param {CallTree} callTree - Call tree of the trace
+     * @param {string|number} nodeId - Id of the slot access or log node
+     * @param {Array<string|null>} data - Values of the slot access or log
+     * @param {Set<string>} addresses - Lowercase addresses
+     * @returns {boolean} True if the entry may depend on one of the addresses
+     * @private
+     */
+    _dependsOnAny(callTree, nodeId, data, addresses) {
+        if (addresses.size === 0) return false;
+
+        const context = [...data];
+        for (const frame of callTree.getAncestors(callTree.getNode(nodeId)).filter(node => callTree.isInvocation(node))) {
+            context.push(CallTree.getFromAddress(frame.invocation), CallTree.getTargetAddress(frame.invocation), frame.invocation.callData);
+        }
+
+        return this._referencesAny(context, addresses);
+    }
+
+    /**
+     * Check whether any of some hex data contains one of the given addresses
+     * @param {Array<string|null>} data - Hex strings, addresses and JSON values
+     * @param {Set<string>} addresses - Lowercase addresses
+     * @returns {boolean} True if an address occurs in the data
+     * @private
+     */
+    _referencesAny(data, addresses) {
+        const haystack = data.filter(Boolean).join('').toLowerCase();
+        return Array.from(addresses).some(address => haystack.includes(address.replace(/^0x/, '')));
+    }
+
+    /**
+     * Get the contracts created by the transaction, which have no state before it
+     * @param {CallTree} callTree - Call tree of the trace
+     * @returns {Set<string>} Lowercase created addresses
+     * @private
+     */
+    _getCreatedAddresses(callTree) {
+        return new Set(callTree.getInvocations()
+            .filter(node => ['CREATE', 'CREATE2'].includes((node.invocation.operation || '').toUpperCase()))
+            .map(node => CallTree.getTargetAddress(node.invocation)));
+    }
+
+    /**
+     * Check whether an event can be re-emitted through its declaration
+     * Events with tuple parameters are replayed as raw logs instead
+     * @param {Object} event - Extracted event
+     * @returns {boolean} True if the event is decoded with plain parameter types
+     * @private
+     */
+    _isEmittableEvent(event) {
+        return !!event.name && event.params.every(param => param.type && !/tuple|\(/.test(param.type));
+    }
+
+    /**
+     * Convert ABI inputs to parameter format
+     * @param {Object} decodedCall - Decoded call data
+     * @returns {Array} Parameters array
+     * @private
+     */
+    _convertAbiInputsToParams(decodedCall) {
+        if (decodedCall.decodedData && decodedCall.inputs) {
+            return decodedCall.inputs.map((input, index) => ({
+                type: input.type,
+                name: input.name || `param${index}`,
+                value: decodedCall.decodedData[index]?.toString() || 'unknown'
+            }));
+        }
+        return [];
+    }
+
+    /**
+     * Decode parameters from call data using API result
+     * @param {string} callData - Call data
+     * @param {Object} apiResult - API result
+     * @returns {Promise<Array>} Parameters array
+     * @private
+     */
+    async _decodeParametersFromCallData(callData, apiResult) {
+        if (!callData || callData.length <= 10) {
+            return [];
+        }
+
+        try {
+            const { ethers } = require('ethers');
+            const paramData = '0x' + callData.slice(10);
+            const decodedParams = ethers.AbiCoder.defaultAbiCoder().decode(apiResult.parameters, paramData);
+
+            return apiResult.parameters.map((paramType, index) => ({
+                type: paramType,
+                name: `param${index}`,
+                value: decodedParams[index]?.toString() || 'unknown'
+            }));
+        } catch (error) {
+            console.warn(`Failed to decode parameters: ${error.message}`);
+            return [{ type: 'bytes', value: callData }];
+        }
+    }
+
+    /**
+     * Find callback ranges in the call tree
+     * Every invocation into the main address made inside one of its own calls is a callback;
+     * a range is that invocation's subtree, so it ends exactly where the callback returns
+     * @param {CallTree} callTree - Call tree of the trace
+     * @param {string} mainAddress - Main contract address
+     * @returns {Array} Callback ranges with a template type, type 'fallback' with the selector to dispatch on, or type 'receive' for calls without calldata
+     * @private
+     */
+    _findCallbackRanges(callTree, mainAddress) {
+        const callbackRanges = [];
+
+        for (const node of callTree.getCallbacksInto(mainAddress)) {
+            const invocation = node.invocation;
+            const signature = invocation.decodedMethod?.signature || null;
+            const selector = invocation.selector || (signature ? ethers.id(signature).slice(0, 10) : null);
+
+            // Plain value transfers carry no selector and land in receive()
+            const methodName = selector ? invocation.decodedMethod?.name || selector : 'receive';
+            const templateType = selector ? this.traceParser.resolveCallbackTemplate(methodName, invocation.selector) : 'receive';
+
+            callbackRanges.push({
+                type: templateType || 'fallback',
+                nodeId: node.id,
+                startId: node.order,
+                endId: node.order + callTree.getDescendants(node).length,
+                methodName: methodName,
+                selector: selector ? selector.toLowerCase() : null,
+                signature: signature,
+                contractAddress: CallTree.getFromAddress(invocation),
+                output: invocation.output || '0x'
+            });
+        }
+
+        return callbackRanges;
+    }
+
+    /**
+     * Get unique addresses from method calls and registry
+     * @param {Array} methodCalls - Method calls
+     * @param {Map} addressRegistry - Address registry
+     * @returns {Array} Unique addresses
+     * @private
+     */
+    _getUniqueAddresses(methodCalls, addressRegistry) {
+        const addresses = new Set();
+
+        // Add addresses from method calls
+        methodCalls.forEach(call => {
+            if (call.to) addresses.add(call.to);
+        });
+
+        // Add addresses from registry
+        addressRegistry.forEach((varName, address) => {
+            addresses.add(address);
+        });
+
+        return Array.from(addresses);
+    }
+
+    /**
+     * Generate complete test content
+     * @param {string} mainAddress - Main contract address
+     * @param {string} chain - Chain name
+     * @param {number|null} blockNumber - Block number
+     * @param {string} rpcUrl - RPC URL
+     * @param {Map} contracts - Contracts map
+     * @param {Array} methodCalls - Method calls
+     * @param {Map} addressRegistry - Address registry
+     * @param {Map} tokenInfoMap - Token info map
+     * @param {Map} callbacks - Callbacks map
+     * @param {Map} events - Event declarations per emitting contract
+     * @param {Array} storageChanges - Net storage changes of the replayed calls
+     * @param {Array} prestateReads - Storage values the trace read before changing them
+     * @param {Object} options - Generation options
+     * @param {Object|null} txContext - Environment of the traced transaction
+     * @param {Object|null} incident - Collected steps and, for cross-chain incidents, one fork per chain
+     * @param {Array<Object>} incident.steps - Collected steps; with more than one, each is replayed under its own environment
+     * @param {Array<Object>} incident.forks - Forks in order of first use, empty when every step runs on one chain
+     * @returns {string} Generated test content
+     * @private
+     */
+    _generateTestContent(mainAddress, chain, blockNumber, rpcUrl, contracts, methodCalls, addressRegistry, tokenInfoMap, callbacks, events = new Map(), storageChanges = [], prestateReads = [], options = {}, txContext = null, incident = null) {
+        const className = `TraceReproduction`;
+        const chainConfig = this.configManager.getChainConfig(chain);
+
+        // Emitting events declared in interfaces (emit IToken.Transfer(...)) needs 0.8.21
+        const unit = new SourceUnit({ license: 'MIT', pragma: events.size > 0 ? '^0.8.21' : '^0.8.19' });
+        unit.import('forge-std/Test.sol');
+        unit.import('forge-std/console.sol');
+
+        // Generate interfaces
+        this._generateInterfaces(unit, contracts, tokenInfoMap, events, this._collectSignatureCalls(methodCalls, callbacks));
+
+        const exploitMode = options.mode === 'exploit';
+        const steps = incident ? incident.steps : [];
+        const forks = incident ? incident.forks : [];
+        // Every step applies its own environment in the test function instead of setUp
+        const multiStep = steps.length > 1;
+
+        // Generate the attack contract that receives the callbacks
+        if (exploitMode) {
+            this._generateExploitContract(unit, methodCalls, addressRegistry, tokenInfoMap, mainAddress, contracts, callbacks, options);
+        }
+
+        // Generate main test contract
+        const testContract = unit.contract(className, ['Test']);
+
+        // Generate state variables (the Exploit contract owns its deployments in exploit mode)
+        if (forks.length > 0) {
+            this._generateForkStateVariables(testContract, forks, steps, mainAddress);
+        } else {
+            const deployedAddresses = exploitMode ? new Set() : this._getDeployedAddresses(methodCalls);
+            this._generateStateVariables(
+                testContract, addressRegistry, tokenInfoMap, mainAddress, deployedAddresses, txContext && !multiStep ? txContext.origin : null
+            );
+        }
+
+        if (exploitMode) {
+            testContract.variable('Exploit internal', 'exploit');
+        }
+
+        // Generate setup function
+        this._generateSetupFunction(
+            testContract, blockNumber, chainConfig.chainId, options, storageChanges, addressRegistry, mainAddress, prestateReads, multiStep ? null : txContext, forks
+        );
+
+        if (exploitMode) {
+            this._generateExploitTestFunction(testContract, methodCalls, addressRegistry, mainAddress, contracts, options, storageChanges, txContext);
+        } else {
+            // Generate callback functions if any
+            if (callbacks.size > 0) {
+                // Callbacks of cross-chain steps may name addresses of any chain
+                const callbackRegistry = forks.length > 0 ? this._mergeForkRegistries(forks) : addressRegistry;
+                this.traceParser.addCallbackFunctions(testContract, callbacks, contracts, callbackRegistry, mainAddress);
+            }
+
+            // Generate main test function
+            if (multiStep) {
+                this._generateStepsTestFunction(testContract, steps, addressRegistry, mainAddress, contracts, options, storageChanges, forks);
+            } else {
+                this._generateMainTestFunction(testContract, methodCalls, addressRegistry, mainAddress, contracts, options, storageChanges, txContext);
+            }
+        }
+
+        // Declared last, once every struct literal of the replay has been named
+        this.traceParser.structRegistry.declarations().forEach(declaration => unit.declaration(declaration));
+
+        return unit.render();
+    }
+
+    /**
+     * Collect the replayed calls of every function signature
+     * @param {Array} methodCalls - Method calls
+     * @param {Map} callbacks - Callback type to invocations
+     * @returns {Map} Signature to calls, in trace order
+     * @private
+     */
+    _collectSignatureCalls(methodCalls, callbacks) {
+        const signatureCalls = new Map();
+        const callbackCalls = [...callbacks.values()].flatMap(invocations => (invocations || []).flatMap(invocation => invocation.calls || []));
+
+        for (const call of [...methodCalls, ...callbackCalls]) {
+            if (!signatureCalls.has(call.signature)) {
+                signatureCalls.set(call.signature, []);
+            }
+            signatureCalls.get(call.signature).push(call);
+        }
+
+        return signatureCalls;
+    }
+
+    /**
+     * Generate Solidity interfaces
+     * Tuple parameters take their structs from the trace parser's registry, declared once at file level for the whole test
+     * @param {SourceUnit} unit - Source unit receiving the interfaces
+     * @param {Map} contracts - Contracts map
+     * @param {Map} tokenInfoMap - Token info map
+     * @param {Map} events - Event declarations per emitting contract
+     * @param {Map} signatureCalls - Replayed calls by signature, naming struct fields and typing the declarations
+     * @private
+     */
+    _generateInterfaces(unit, contracts, tokenInfoMap, events = new Map(), signatureCalls = new Map()) {
+        const structs = this.traceParser.structRegistry;
+        const processedInterfaces = new Set();
+
+        // Contracts that only emit events still need an interface to declare them
+        const addresses = [...contracts.keys()];
+        for (const address of events.keys()) {
+            if (!addresses.some(known => known.toLowerCase() === address)) {
+                addresses.push(address);
+            }
+        }
+
+        // Events are declared on whichever interface name their emitter resolves to
+        const eventsByInterface = new Map();
+        for (const [address, declarations] of events.entries()) {
+            const interfaceName = this._getInterfaceName(address, contracts);
+            if (!eventsByInterface.has(interfaceName)) {
+                eventsByInterface.set(interfaceName, new Set());
+            }
+            declarations.forEach(declaration => eventsByInterface.get(interfaceName).add(declaration));
+        }
+
+        for (const address of addresses) {
+            const signatures = contracts.get(address) || new Set();
+            const interfaceName = this._getInterfaceName(address, contracts);
+
+            if (processedInterfaces.has(interfaceName)) continue;
+            processedInterfaces.add(interfaceName);
+
+            const definition = unit.interface(interfaceName);
+
+            for (const declaration of eventsByInterface.get(interfaceName) || []) {
+                definition.declaration(declaration);
+            }
+            definition.blank();
+
+            for (const signature of signatures) {
+                const calls = (signatureCalls.get(signature) || [])
+                    .filter(call => this._getInterfaceName(call.to, contracts) === interfaceName);
+                definition.declaration(this._generateFunctionDeclaration(address, signature, calls));
+            }
+        }
+    }
+
+    /**
+     * Generate the interface declaration of a function
+     * A known ABI declares the mutability and return types; otherwise functions only ever reached by
+     * STATICCALL are view, functions sent value are payable, and the returns are the traced return parameters
+     * @param {string} address - Contract address, whose known ABI is consulted
+     * @param {string} signature - Function signature
+     * @param {Array} calls - Replayed calls of the function
+     * @returns {string} Function declaration
+     * @private
+     */
+    _generateFunctionDeclaration(address, signature, calls) {
+        const structs = this.traceParser.structRegistry;
+        const fixedSignature = this.abiManager.fixInterfaceSignature(signature, structs, calls.length > 0 ? calls[0].params : null);
+        const abiFunction = this.abiManager.findAbiFunction(address, signature);
+
+        let mutability = null;
+        let returnTypes = [];
+        if (abiFunction) {
+            mutability = abiFunction.stateMutability || (abiFunction.constant ? 'view' : null);
+            returnTypes = (abiFunction.outputs || []).map(output => structs.solidityType(parseType(output), 'memory', output.name));
+        } else {
+            if (calls.some(call => call.value && call.value !== '0')) {
+                mutability = 'payable';
+            } else if (calls.length > 0 && calls.every(call => call.operation === 'STATICCALL')) {
+                mutability = 'view';
+            }
+            const traced = calls.find(call => call.returnParams && call.returnParams.length > 0);
+            returnTypes = traced
+                ? traced.returnParams.map(returned => structs.solidityType(structs.typeOf(returned), 'memory', returned.name))
+                : [];
+        }
+
+        // Nonpayable is the default and has no keyword; a return type that cannot be spelled drops the returns
+        const attributes = ['external', ...(mutability && mutability !== 'nonpayable' ? [mutability] : [])].join(' ');
+        const returns = returnTypes.length > 0 && !returnTypes.includes(null) ? ` returns (${returnTypes.join(', ')})` : '';
+        return `function ${fixedSignature} ${attributes}${returns};`;
+    }
+
+    /**
+     * Get the interface name used for an address
+     * @param {string} address - Contract address
+     * @param {Map} contracts - Contracts map with signatures
+     * @returns {string} Interface name
+     * @private
+     */
+    _getInterfaceName(address, contracts) {
+        const key = [...contracts.keys()].find(known => known.toLowerCase() === address.toLowerCase());
+        const signatures = key ? Array.from(contracts.get(key)) : [];
+        return this.abiManager.generateInterfaceName(address, signatures);
+    }
+
+    /**
+     * Generate state variables
+     * @param {ContractDefinition} contract - Contract receiving the variables
+     * @param {Map} addressRegistry - Address registry
+     * @param {Map} tokenInfoMap - Token info map
+     * @param {string} mainAddress - Main contract address
+     * @param {Set<string>} deployedAddresses - Addresses assigned at deployment time instead of constants
+     * @param {string|null} txOrigin - Transaction sender, declared when it differs from the main address
+     * @private
+     */
+    _generateStateVariables(contract, addressRegistry, tokenInfoMap, mainAddress, deployedAddresses = new Set(), txOrigin = null) {
+        contract.comment('Addresses');
+        contract.variable('address constant', 'MAIN_ADDRESS', { value: this.traceParser.toChecksumAddress(mainAddress) });
+        if (txOrigin && txOrigin.toLowerCase() !== mainAddress.toLowerCase()) {
+            contract.variable('address constant', 'TX_ORIGIN', { value: this.traceParser.toChecksumAddress(txOrigin) });
+        }
+
+        this._generateAddressVariables(contract, addressRegistry, tokenInfoMap, deployedAddresses);
+        contract.blank();
+    }
+
+    /**
+     * Generate state variables of a cross-chain incident: the addresses of every chain and one fork id per chain
+     * @param {ContractDefinition} contract - Contract receiving the variables
+     * @param {Array<Object>} forks - Forks with chain, forkVar, addressRegistry and tokenInfoMap
+     * @param {Array<Object>} steps - Collected steps with their chain
+     * @param {string} mainAddress - Main contract address
+     * @private
+     */
+    _generateForkStateVariables(contract, forks, steps, mainAddress) {
+        contract.comment('Addresses');
+        contract.variable('address constant', 'MAIN_ADDRESS', { value: this.traceParser.toChecksumAddress(mainAddress) });
+
+        for (const fork of forks) {
+            const forkCalls = steps.filter(step => step.chain === fork.chain).flatMap(step => step.methodCalls);
+            contract.blank().comment(`Addresses on ${fork.chain}`);
+            this._generateAddressVariables(contract, fork.addressRegistry, fork.tokenInfoMap, this._getDeployedAddresses(forkCalls));
+        }
+
+        contract.blank().comment('Forks');
+        for (const fork of forks) {
+            contract.variable('uint256 internal', fork.forkVar);
+        }
+        contract.blank();
+    }
+
+    /**
+     * Generate one variable per registered address
+     * @param {ContractDefinition} contract - Contract receiving the variables
+     * @param {Map} addressRegistry - Address registry
+     * @param {Map} tokenInfoMap - Token info map
+     * @param {Set<string>} deployedAddresses - Addresses assigned at deployment time instead of constants
+     * @private
+     */
+    _generateAddressVariables(contract, addressRegistry, tokenInfoMap, deployedAddresses = new Set()) {
+        // Sort addresses by variable name for consistent output
+        const sortedAddresses = Array.from(addressRegistry.entries())
+            .sort(([, varA], [, varB]) => varA.localeCompare(varB));
+
+        for (const [address, varName] of sortedAddresses) {
+            const checksumAddress = this.traceParser.toChecksumAddress(address);
+
+            if (deployedAddresses.has(address.toLowerCase())) {
+                contract.variable('address internal', varName.toUpperCase(), { comment: `Deployed during replay (traced at ${checksumAddress})` });
+                continue;
+            }
+
+            contract.variable('address constant', varName.toUpperCase(), {
+                value: checksumAddress,
+                comment: this._generateAddressComment(address, tokenInfoMap.get(address))
+            });
+        }
+    }
+
+    /**
+     * Merge the address registries of every fork
+     * An address used on several chains keeps the variable of the first chain it was used on
+     * @param {Array<Object>} forks - Forks with addressRegistry
+     * @returns {Map} Address to variable name
+     * @private
+     */
+    _mergeForkRegistries(forks) {
+        const registry = new Map();
+        for (const fork of forks) {
+            for (const [address, varName] of fork.addressRegistry.entries()) {
+                if (!registry.has(address)) {
+                    registry.set(address, varName);
+                }
+            }
+        }
+        return registry;
+    }
+
+    /**
+     * Generate setup function
+     * @param {ContractDefinition} contract - Test contract
+     * @param {number|null} blockNumber - Block number
+     * @param {number} chainId - Chain ID
+     * @param {Object} options - Generation options
+     * @param {Array} storageChanges - Net storage changes of the replayed calls
+     * @param {Map} addressRegistry - Address registry
+     * @param {string|null} mainAddress - Main contract address
+     * @param {Array} prestateReads - Storage values the trace read before changing them
+     * @param {Object|null} txContext - Environment of the traced transaction
+     * @param {Array<Object>} forks - One fork per chain of a cross-chain incident, empty for a single chain
+     * @private
+     */
+    _generateSetupFunction(contract, blockNumber, chainId, options = {}, storageChanges = [], addressRegistry = new Map(), mainAddress = null, prestateReads = [], txContext = null, forks = []) {
+        const setup = contract.function({ name: 'setUp', attributes: ['public'] }).body;
+
+        if (forks.length > 0) {
+            this._generateForkCreation(setup, forks, options);
+        } else if (options.forkAt === 'tx' && options.txHash) {
+            setup.comment('Fork right before the traced transaction, after every earlier transaction in its block');
+            setup.statement(`vm.createSelectFork(vm.envString("RPC_URL"), bytes32(${options.txHash}))`);
+        } else {
+            if (options.forkAt === 'tx') {
+                setup.comment('Transaction hash unknown: earlier transactions in the block are not included');
+            }
+
+            if (blockNumber) {
+                setup.comment('Fork at specific block');
+                setup.statement(`vm.createFork(vm.envString("RPC_URL"), ${blockNumber})`);
+            } else {
+                setup.comment('Fork at latest block');
+                setup.statement('vm.createFork(vm.envString("RPC_URL"))');
+            }
+
+            setup.statement('vm.selectFork(0)');
+        }
+
+        if (txContext) {
+            setup.blank().comment(`Run under the original transaction's block and gas environment`);
+            this._generateEnvironmentSetup(setup, txContext);
+        }
+
+        if (options.verifyPrestate && prestateReads.length > 0) {
+            setup.blank().comment('The fork must hold the storage values the transaction read');
+            this._generatePrestateChecks(setup, prestateReads, options.verifyPrestate, addressRegistry, mainAddress);
+        }
+
+        if (options.assertStoragePrev && storageChanges.length > 0) {
+            setup.blank().comment('Storage must hold the traced values from before the transaction');
+            const existing = storageChanges.filter(change => !change.createdInTrace);
+            if (forks.length > 0) {
+                this._generateForkStorageAssertions(setup, existing, 'prev', forks, mainAddress, forks[0], true);
+            } else {
+                this._generateStorageAssertions(setup, existing, 'prev', addressRegistry, mainAddress, new Set());
+            }
+        }
+
+        setup.blank().comment('Setup test environment');
+        setup.statement('vm.label(MAIN_ADDRESS, "MainContract")');
+        setup.blank().comment('Deal some ETH to main address for gas');
+        setup.statement('vm.deal(MAIN_ADDRESS, 10 ether)');
+
+        if (options.mode === 'exploit') {
+            setup.blank().comment('Deploy the attack contract that stands in for MAIN_ADDRESS');
+            setup.statement('exploit = new Exploit()');
+            setup.statement('vm.label(address(exploit), "Exploit")');
+            setup.statement('vm.deal(address(exploit), 10 ether)');
+        }
+    }
+
+    /**
+     * Generate the statements creating one fork per chain and selecting the first chain's fork
+     * @param {Block} block - Block receiving the statements
+     * @param {Array<Object>} forks - Forks with chain, envVar, forkVar, blockNumber and txHash
+     * @param {Object} options - Generation options
+     * @private
+     */
+    _generateForkCreation(block, forks, options = {}) {
+        block.comment('One fork per chain; each step selects the fork of the chain it ran on');
+
+        for (const fork of forks) {
+            const rpc = `vm.envString("${fork.envVar}")`;
+            if (options.forkAt === 'tx' && fork.txHash) {
+                block.statement(`${fork.forkVar} = vm.createFork(${rpc}, bytes32(${fork.txHash}))`);
+            } else if (fork.blockNumber) {
+                block.statement(`${fork.forkVar} = vm.createFork(${rpc}, ${fork.blockNumber})`);
+            } else {
+                block.statement(`${fork.forkVar} = vm.createFork(${rpc})`, 'Block unknown, latest block');
+            }
+        }
+
+        block.statement(`vm.selectFork(${forks[0].forkVar})`);
+    }
+
+    /**
+     * Generate storage assertions of a cross-chain incident, each on the fork of its chain
+     * @param {Block} block - Block receiving the statements
+     * @param {Array} storageChanges - Changes with their chain
+     * @param {string} field - 'prev' or 'current'
+     * @param {Array<Object>} forks - Forks with chain, forkVar and addressRegistry
+     * @param {string} mainAddress - Main contract address
+     * @param {Object} selectedFork - Fork selected before the assertions
+     * @param {boolean} restore - Select that fork again afterwards
+     * @private
+     */
+    _generateForkStorageAssertions(block, storageChanges, field, forks, mainAddress, selectedFork, restore = false) {
+        let selected = selectedFork;
+
+        for (const fork of forks) {
+            const changes = storageChanges.filter(change => change.chain === fork.chain);
+            if (changes.length === 0) continue;
+
+            if (fork !== selected) {
+                block.statement(`vm.selectFork(${fork.forkVar})`);
+                selected = fork;
+            }
+            this._generateStorageAssertions(block, changes, field, fork.addressRegistry, mainAddress, new Set());
         }
 
-        // Register address and update interface
-        const addressVar = this._registerAddress(targetAddress, addressRegistry, addressCounter);
+        if (restore && selected !== selectedFork) {
+            block.statement(`vm.selectFork(${selectedFork.forkVar})`);
+        }
+    }
 
-        // Only update interface if we have a valid signature and not using raw call
-        if (!useRawCall && signature && signature !== 'unknown()') {
-            this._updateContractInterface(targetAddress, signature, contracts);
+    /**
+     * Generate the cheatcodes that put the fork into the traced transaction's block and gas environment
+     * @param {Block} block - Block receiving the statements
+     * @param {Object} txContext - Environment of the traced transaction
+     * @private
+     */
+    _generateEnvironmentSetup(block, txContext) {
+        if (txContext.blockNumber !== null) {
+            block.statement(`vm.roll(${txContext.blockNumber})`);
+        }
+        if (txContext.timestamp !== null) {
+            block.statement(`vm.warp(${txContext.timestamp})`);
+        }
+        if (txContext.baseFee !== null) {
+            block.statement(`vm.fee(${txContext.baseFee})`);
+        }
+        if (txContext.gasPrice !== null) {
+            block.statement(`vm.txGasPrice(${txContext.gasPrice})`);
+        }
+        if (txContext.coinbase) {
+            block.statement(`vm.coinbase(${this.traceParser.toChecksumAddress(txContext.coinbase)})`);
         }
 
-        // Add to method calls
-        methodCalls.push({
-            to: targetAddress,
-            addressVar: addressVar,
-            methodName: methodName,
-            signature: useRawCall ? null : signature,
-            params: useRawCall ? null : params,
-            value: invocation.value || '0',
-            gasUsed: invocation.gasUsed || 'unknown',
-            rawCalldata: useRawCall ? (invocation.callData || '0x') : null  // Store raw calldata if using raw call
-        });
+        // Before the merge the same opcode returned the difficulty, which is what the fork has to report
+        if (txContext.difficulty && txContext.difficulty !== '0') {
+            block.statement(`vm.prevrandao(bytes32(uint256(${txContext.difficulty})))`);
+        } else if (txContext.prevRandao) {
+            block.statement(`vm.prevrandao(bytes32(${txContext.prevRandao}))`);
+        }
     }
 
     /**
-     * Convert ABI inputs to parameter format
-     * @param {Object} decodedCall - Decoded call data
-     * @returns {Array} Parameters array
+     * Get the Solidity expression for the traced transaction's sender
+     * @param {Object} txContext - Environment of the traced transaction
+     * @param {string} mainAddress - Main contract address
+     * @returns {string} MAIN_ADDRESS or TX_ORIGIN
      * @private
      */
-    _convertAbiInputsToParams(decodedCall) {
-        if (decodedCall.decodedData && decodedCall.inputs) {
-            return decodedCall.inputs.map((input, index) => ({
-                type: input.type,
-                name: input.name || `param${index}`,
-                value: decodedCall.decodedData[index]?.toString() || 'unknown'
-            }));
+    _getOriginExpression(txContext, mainAddress) {
+        return txContext.origin.toLowerCase() === mainAddress.toLowerCase() ? 'MAIN_ADDRESS' : 'TX_ORIGIN';
+    }
+
+    /**
+     * Generate the standalone Exploit contract holding the attacker contract's calls and callbacks
+     * @param {SourceUnit} unit - Source unit receiving the contract
+     * @param {Array} methodCalls - Method calls made by the attacker contract
+     * @param {Map} addressRegistry - Address registry
+     * @param {Map} tokenInfoMap - Token info map
+     * @param {string} mainAddress - Attacker contract address from the trace
+     * @param {Map} contracts - Contracts map with signatures
+     * @param {Map} callbacks - Callbacks map
+     * @param {Object} options - Generation options
+     * @private
+     */
+    _generateExploitContract(unit, methodCalls, addressRegistry, tokenInfoMap, mainAddress, contracts, callbacks, options = {}) {
+        const exploit = unit.contract('Exploit');
+        this._generateStateVariables(exploit, addressRegistry, tokenInfoMap, mainAddress, this._getDeployedAddresses(methodCalls));
+        exploit.variable('address internal immutable', 'owner');
+
+        exploit.function({ name: 'constructor', attributes: ['payable'] }).body
+            .statement('owner = msg.sender');
+
+        const attack = exploit.function({ name: 'attack', attributes: ['external', 'payable'] }).body;
+        attack.statement('require(msg.sender == owner, "Not owner")').blank();
+        this._generateCallSequence(attack, methodCalls, addressRegistry, mainAddress, contracts, false, !!options.groupByContract, 'address(this)');
+
+        // Callbacks land on this contract, exactly like they did on the original attacker contract
+        if (callbacks.size > 0) {
+            this.traceParser.addCallbackFunctions(exploit, callbacks, contracts, addressRegistry, mainAddress);
+        }
+
+        // Ether arriving outside a traced transfer must not revert either
+        if (!callbacks.has('receive')) {
+            exploit.function({ name: 'receive', attributes: ['external', 'payable'] });
         }
-        return [];
     }
 
     /**
-     * Decode parameters from call data using API result
-     * @param {string} callData - Call data
-     * @param {Object} apiResult - API result
-     * @returns {Promise<Array>} Parameters array
+     * Generate the test function that runs the Exploit contract
+     * Cheatcodes are only available here, so every expected log is registered before attack()
+     * @param {ContractDefinition} contract - Test contract
+     * @param {Array} methodCalls - Method calls made by the attacker contract
+     * @param {Map} addressRegistry - Address registry
+     * @param {string} mainAddress - Attacker contract address from the trace
+     * @param {Map} contracts - Contracts map with signatures
+     * @param {Object} options - Generation options
+     * @param {Array} storageChanges - Net storage changes of the replayed calls
+     * @param {Object|null} txContext - Environment of the traced transaction
      * @private
      */
-    async _decodeParametersFromCallData(callData, apiResult) {
-        if (!callData || callData.length <= 10) {
-            return [];
+    _generateExploitTestFunction(contract, methodCalls = [], addressRegistry = new Map(), mainAddress = null, contracts = new Map(), options = {}, storageChanges = [], txContext = null) {
+        const testFunc = contract.function({ name: 'testReproduceTrace', attributes: ['public'] }).body;
+
+        const events = methodCalls.flatMap(call => call.events || []);
+        if (events.length > 0) {
+            // Contracts deployed by the Exploit contract live at different addresses than in the trace
+            this._generateEventExpectations(testFunc, events, addressRegistry, mainAddress, contracts, {
+                selfExpr: 'address(exploit)',
+                unresolved: this._getDeployedAddresses(methodCalls)
+            });
+            testFunc.blank();
         }
 
-        try {
-            const { ethers } = require('ethers');
-            const paramData = '0x' + callData.slice(10);
-            const decodedParams = ethers.AbiCoder.defaultAbiCoder().decode(apiResult.parameters, paramData);
+        if (txContext) {
+            testFunc.statement(`vm.prank(address(this), ${this._getOriginExpression(txContext, mainAddress)})`);
+        }
+        testFunc.statement('exploit.attack()');
 
-            return apiResult.parameters.map((paramType, index) => ({
-                type: paramType,
-                name: `param${index}`,
-                value: decodedParams[index]?.toString() || 'unknown'
-            }));
-        } catch (error) {
-            console.warn(`Failed to decode parameters: ${error.message}`);
-            return [{ type: 'bytes', value: callData }];
+        if (options.assertStorage && storageChanges.length > 0) {
+            testFunc.blank().comment('Storage must end up exactly as in the traced transaction');
+            this._generateStorageAssertions(
+                testFunc, storageChanges, 'current', addressRegistry, mainAddress, this._getDeployedAddresses(methodCalls)
+            );
         }
     }
 
     /**
-     * Find callback ranges in trace data
-     * @param {Object} dataMap - Trace data map
+     * Generate main test function
+     * @param {ContractDefinition} contract - Test contract
+     * @param {Array} methodCalls - Method calls
+     * @param {Map} addressRegistry - Address registry
      * @param {string} mainAddress - Main contract address
-     * @returns {Array} Array of callback ranges
+     * @param {Map} contracts - Contracts map with signatures
+     * @param {Object} options - Generation options
+     * @param {Array} storageChanges - Net storage changes of the replayed calls
+     * @param {Object|null} txContext - Environment of the traced transaction
      * @private
      */
-    _findCallbackRanges(dataMap, mainAddress) {
-        const callbackRanges = [];
-        const flashloanPatterns = ['flashloan', 'executeOperation', 'receiveFlashLoan', 'callFunction'];
-
-        for (const [id, entry] of Object.entries(dataMap)) {
-            // Handle both plural and singular forms
-            const invocations = entry.invocations || (entry.invocation ? [entry.invocation] : []);
-            if (invocations.length === 0) continue;
-
-            for (const invocation of invocations) {
-                // Check both 'from' and 'fromAddress' fields
-                const fromAddr = invocation.from || invocation.fromAddress;
-                const targetAddress = invocation.to || invocation.address;
-
-                if (fromAddr && fromAddr.toLowerCase() === mainAddress.toLowerCase()) {
-                    const methodName = invocation.decodedMethod?.name || invocation.selector || 'unknown';
-
-                    // Check for flashloan patterns
-                    if (flashloanPatterns.some(pattern => methodName.toLowerCase().includes(pattern.toLowerCase()))) {
-                        callbackRanges.push({
-                            type: 'flashloan',
-                            startId: parseInt(id),
-                            endId: parseInt(id) + 50, // Estimate callback range
-                            methodName: methodName,
-                            contractAddress: targetAddress,
-                            callData: invocation.callData
-                        });
-                    }
-                }
-            }
+    _generateMainTestFunction(contract, methodCalls, addressRegistry, mainAddress, contracts, options = {}, storageChanges = [], txContext = null) {
+        const testFunc = contract.function({ name: 'testReproduceTrace', attributes: ['public'] }).body;
+        if (txContext) {
+            testFunc.comment('Start prank as main address, with the original transaction sender as tx.origin');
+            testFunc.statement(`vm.startPrank(MAIN_ADDRESS, ${this._getOriginExpression(txContext, mainAddress)})`);
+        } else {
+            testFunc.comment('Start prank as main address');
+            testFunc.statement('vm.startPrank(MAIN_ADDRESS)');
         }
+        testFunc.blank();
+        this._generateCallSequence(
+            testFunc, methodCalls, addressRegistry, mainAddress, contracts, !!options.expectEvents, !!options.groupByContract
+        );
+        testFunc.statement('vm.stopPrank()');
 
-        return callbackRanges;
+        if (options.assertStorage && storageChanges.length > 0) {
+            testFunc.blank().comment('Storage must end up exactly as in the traced transaction');
+            this._generateStorageAssertions(testFunc, storageChanges, 'current', addressRegistry, mainAddress, new Set());
+        }
     }
 
     /**
-     * Get unique addresses from method calls and registry
-     * @param {Array} methodCalls - Method calls
+     * Generate the test function replaying several transactions one after the other
+     * @param {ContractDefinition} contract - Test contract
+     * @param {Array<Object>} steps - Collected steps in execution order
      * @param {Map} addressRegistry - Address registry
-     * @returns {Array} Unique addresses
+     * @param {string} mainAddress - Sender of the first transaction
+     * @param {Map} contracts - Contracts map with signatures
+     * @param {Object} options - Generation options
+     * @param {Array} storageChanges - Net storage changes over all steps
+     * @param {Array<Object>} forks - One fork per chain of a cross-chain incident, empty for a single chain
      * @private
      */
-    _getUniqueAddresses(methodCalls, addressRegistry) {
-        const addresses = new Set();
+    _generateStepsTestFunction(contract, steps, addressRegistry, mainAddress, contracts, options = {}, storageChanges = [], forks = []) {
+        // Every step runs in this one function, so the locals of all steps share its scope
+        const testFunc = contract.function({ name: 'testReproduceTrace', attributes: ['public'] }).body;
+
+        steps.forEach((step, index) => {
+            const { txContext } = step;
+            const fork = forks.find(candidate => candidate.chain === step.chain);
+            // Addresses of a cross-chain step are named by the registry of its chain
+            const stepRegistry = fork ? fork.addressRegistry : addressRegistry;
+            const sender = this._formatAddressExpression(step.mainAddress, stepRegistry, mainAddress, 'MAIN_ADDRESS');
+            const label = [step.txHash, txContext && txContext.blockNumber !== null ? `block ${txContext.blockNumber}` : null]
+                .filter(Boolean).join(' at ');
+
+            testFunc.blank();
+            testFunc.comment(`Step ${index + 1}/${steps.length}${label ? `: ${label}` : ''}${fork ? ` on ${fork.chain}` : ''}`);
+            if (fork) {
+                testFunc.statement(`vm.selectFork(${fork.forkVar})`);
+            }
 
-        // Add addresses from method calls
-        methodCalls.forEach(call => {
-            if (call.to) addresses.add(call.to);
-        });
+            if (txContext) {
+                const origin = this._formatAddressExpression(txContext.origin, stepRegistry, mainAddress, 'MAIN_ADDRESS');
+                this._generateEnvironmentSetup(testFunc, txContext);
+                testFunc.statement(`vm.startPrank(${sender}, ${origin})`);
+            } else {
+                testFunc.statement(`vm.startPrank(${sender})`);
+            }
+            testFunc.blank();
 
-        // Add addresses from registry
-        addressRegistry.forEach((varName, address) => {
-            addresses.add(address);
+            this._generateCallSequence(
+                testFunc, step.methodCalls, stepRegistry, mainAddress, contracts, !!options.expectEvents, !!options.groupByContract
+            );
+            testFunc.statement('vm.stopPrank()');
         });
 
-        return Array.from(addresses);
+        if (options.assertStorage && storageChanges.length > 0) {
+            testFunc.blank().comment('Storage must end up exactly as after the last traced transaction');
+            if (forks.length > 0) {
+                this._generateForkStorageAssertions(
+                    testFunc, storageChanges, 'current', forks, mainAddress, forks.find(fork => fork.chain === steps[steps.length - 1].chain)
+                );
+            } else {
+                this._generateStorageAssertions(testFunc, storageChanges, 'current', addressRegistry, mainAddress, new Set());
+            }
+        }
     }
 
     /**
-     * Generate complete test content
-     * @param {string} mainAddress - Main contract address
-     * @param {string} chain - Chain name
-     * @param {number|null} blockNumber - Block number
-     * @param {string} rpcUrl - RPC URL
-     * @param {Map} contracts - Contracts map
+     * Generate the statements replaying a sequence of calls
+     * Calls always run in trace order; grouping by contract only adds an overview comment
+     * @param {Block} block - Block receiving the statements
      * @param {Array} methodCalls - Method calls
      * @param {Map} addressRegistry - Address registry
-     * @param {Map} tokenInfoMap - Token info map
-     * @param {Map} callbacks - Callbacks map
-     * @returns {string} Generated test content
+     * @param {string} mainAddress - Main contract address
+     * @param {Map} contracts - Contracts map with signatures
+     * @param {boolean} expectEvents - Precede each call with the logs it has to emit
+     * @param {boolean} groupByContract - Start with a comment listing the calls per target contract
+     * @param {string} selfExpr - Expression standing in for the main address: MAIN_ADDRESS while pranking it
      * @private
      */
-    _generateTestContent(mainAddress, chain, blockNumber, rpcUrl, contracts, methodCalls, addressRegistry, tokenInfoMap, callbacks) {
-        const className = `TraceReproduction`;
-        const chainConfig = this.configManager.getChainConfig(chain);
-
-        let testContent = `// SPDX-License-Identifier: MIT\n`;
-        testContent += `pragma solidity ^0.8.19;\n\n`;
+    _generateCallSequence(block, methodCalls, addressRegistry, mainAddress, contracts, expectEvents = false, groupByContract = false, selfExpr = 'MAIN_ADDRESS') {
+        // Deployed contracts only get their address once the deployment has run
+        const pendingDeployments = this._getDeployedAddresses(methodCalls);
+        const orderedCalls = this._sortByTraceOrder(methodCalls);
 
-        testContent += `import "forge-std/Test.sol";\n`;
-        testContent += `import "forge-std/console.sol";\n\n`;
-
-        // Generate interfaces
-        testContent += this._generateInterfaces(contracts, tokenInfoMap);
+        if (groupByContract && orderedCalls.length > 0) {
+            this._generateCallsByContractComment(block, orderedCalls, addressRegistry);
+        }
 
-        // Generate main test contract
-        testContent += `contract ${className} is Test {\n`;
+        // Generate calls, with a header whenever the target changes
+        let previousTarget = null;
+        for (const call of orderedCalls) {
+            const target = call.to.toLowerCase();
+            if (target !== previousTarget) {
+                const addressVar = addressRegistry.get(target) || call.to;
+                block.blank().comment(`Calls to ${addressVar.toUpperCase()}`);
+                previousTarget = target;
+            }
 
-        // Generate state variables
-        testContent += this._generateStateVariables(addressRegistry, tokenInfoMap, mainAddress);
+            if (expectEvents && call.events && call.events.length > 0) {
+                this._generateEventExpectations(block, call.events, addressRegistry, mainAddress, contracts, {
+                    selfExpr,
+                    unresolved: pendingDeployments
+                });
+            }
+            this._generateSingleCall(block, call, addressRegistry, mainAddress, contracts, selfExpr);
+            if (call.kind === 'deployment') {
+                pendingDeployments.delete(target);
+            }
+        }
 
-        // Generate setup function
-        testContent += this._generateSetupFunction(blockNumber, chainConfig.chainId);
+        block.blank();
+    }
 
-        // Generate callback functions if any
-        if (callbacks.size > 0) {
-            testContent += this.traceParser.generateCallbackFunctions(callbacks, contracts, addressRegistry, mainAddress);
-        }
+    /**
+     * Sort method calls by their position in the trace, keeping extraction order for ties
+     * @param {Array} methodCalls - Method calls
+     * @returns {Array} Method calls in trace order
+     * @private
+     */
+    _sortByTraceOrder(methodCalls) {
+        const position = (call, index) => {
+            if (call.order !== undefined && call.order !== null && !Number.isNaN(Number(call.order))) {
+                return Number(call.order);
+            }
+            return call.nodeId !== undefined && call.nodeId !== null ? Number(call.nodeId) : index;
+        };
 
-        // Generate main test function
-        testContent += this._generateMainTestFunction(methodCalls, addressRegistry, mainAddress, contracts);
+        return methodCalls
+            .map((call, index) => ({ call, index, position: position(call, index) }))
+            .sort((a, b) => (a.position - b.position) || (a.index - b.index))
+            .map(entry => entry.call);
+    }
 
-        testContent += `}\n`;
+    /**
+     * Generate an overview comment of the calls made to each contract
+     * Steps are numbered in execution order, so the overview never implies a different order
+     * @param {Block} block - Block receiving the comment
+     * @param {Array} orderedCalls - Method calls in trace order
+     * @param {Map} addressRegistry - Address registry
+     * @private
+     */
+    _generateCallsByContractComment(block, orderedCalls, addressRegistry) {
+        const callsByAddress = new Map();
+        orderedCalls.forEach((call, index) => {
+            const target = call.to.toLowerCase();
+            if (!callsByAddress.has(target)) {
+                callsByAddress.set(target, []);
+            }
+            callsByAddress.get(target).push(`${call.kind === 'deployment' ? 'deploy' : call.methodName} (#${index + 1})`);
+        });
 
-        return testContent;
+        block.comment('Calls by contract (executed below in trace order):');
+        for (const [address, steps] of callsByAddress.entries()) {
+            const addressVar = addressRegistry.get(address) || address;
+            block.comment(`  ${addressVar.toUpperCase()}: ${steps.join(', ')}`);
+        }
+        block.blank();
     }
 
     /**
-     * Generate Solidity interfaces
-     * @param {Map} contracts - Contracts map
-     * @param {Map} tokenInfoMap - Token info map
-     * @returns {string} Generated interfaces
+     * Generate single method call
+     * @param {Block} block - Block receiving the statements
+     * @param {Object} call - Call data
+     * @param {Map} addressRegistry - Address registry
+     * @param {string} mainAddress - Main contract address
+     * @param {Map} contracts - Contracts map with signatures
+     * @param {string} selfExpr - Expression standing in for the main address
      * @private
      */
-    _generateInterfaces(contracts, tokenInfoMap) {
-        let interfaces = '';
-        const processedInterfaces = new Set();
+    _generateSingleCall(block, call, addressRegistry, mainAddress, contracts, selfExpr = 'MAIN_ADDRESS') {
+        if (call.kind === 'deployment') {
+            this._generateDeployment(block, call, addressRegistry, mainAddress, selfExpr);
+            return;
+        }
 
-        for (const [address, signatures] of contracts.entries()) {
-            const interfaceName = this.abiManager.generateInterfaceName(address, Array.from(signatures));
+        const addressVar = call.addressVar.toUpperCase();
+        const value = call.value && call.value !== '0' ? `{value: ${call.value}}` : '';
+        block.comment(call.methodName);
 
-            if (processedInterfaces.has(interfaceName)) continue;
-            processedInterfaces.add(interfaceName);
+        // If signature is unknown, or the decoded call does not encode to the trace, use raw calldata
+        if (!call.signature && call.rawCalldata !== null) {
+            block.comment(call.fidelity && call.fidelity.status === 'fallback'
+                ? `⚠️  ${call.fidelity.reason} when re-encoded - using raw calldata`
+                : '⚠️  Unknown function selector - using raw calldata');
+            const [success, result] = block.declareTuple(
+                [{ type: 'bool', name: 'success' }, { type: 'bytes memory', name: 'result' }],
+                `${addressVar}.call${value}(\n    ${this.traceParser.formatRawCalldata(call.rawCalldata)}\n)`
+            );
+            block.statement(`require(${success}, "Raw call failed")`);
+            block.statement(`console.logBytes(${result})`, 'Log the result for debugging');
+        } else if (call.signature) {
+            this.traceParser.emitInterfaceCall(block, call, contracts, addressRegistry, mainAddress, selfExpr);
+        }
 
-            interfaces += `interface ${interfaceName} {\n`;
+        block.blank();
+    }
 
-            const structDefinitions = new Set();
-            for (const signature of signatures) {
-                const fixedSignature = this.abiManager.fixInterfaceSignature(signature, structDefinitions);
-                interfaces += `    function ${fixedSignature} external;\n`;
+    /**
+     * Generate vm.expectEmit statements for the logs the next call has to emit
+     * @param {Block} block - Block receiving the statements
+     * @param {Array} events - Extracted events in emission order
+     * @param {Map} addressRegistry - Address registry
+     * @param {string} mainAddress - Main contract address
+     * @param {Map} contracts - Contracts map with signatures
+     * @param {Object} context - Expressions for the replaying contract
+     * @param {string} context.selfExpr - Expression standing in for the main address
+     * @param {Set<string>} context.unresolved - Addresses not known when the expectations are registered
+     * @private
+     */
+    _generateEventExpectations(block, events, addressRegistry, mainAddress, contracts, context) {
+        for (const event of events) {
+            const emitter = this._formatAddressExpression(event.contract, addressRegistry, mainAddress, context.selfExpr);
+            const label = event.name || `log from ${emitter}`;
+
+            if (event.relocated || this._eventReferencesAny(event, context.unresolved)) {
+                block.comment(`${label}: involves a contract deployed during replay, not asserted`);
+                continue;
             }
 
-            // Add struct definitions if any
-            if (structDefinitions.size > 0) {
-                interfaces += `\n    // Struct definitions\n`;
-                for (const structDef of structDefinitions) {
-                    interfaces += `    ${structDef}\n`;
-                }
+            const topicChecks = [1, 2, 3].map(index => index < event.topics.length);
+            const expectation = `vm.expectEmit(${topicChecks.join(', ')}, true, ${emitter})`;
+
+            if (this._isEmittableEvent(event)) {
+                const interfaceName = this._getInterfaceName(event.contract, contracts);
+                const args = event.params
+                    .map(param => this._formatEventParameter(param, addressRegistry, mainAddress, context.selfExpr, block))
+                    .join(', ');
+                block.statement(expectation);
+                block.statement(`emit ${interfaceName}.${event.name}(${args})`);
+                continue;
             }
 
-            interfaces += `}\n\n`;
+            // Undecoded logs are reproduced byte for byte
+            const topics = event.topics.map(topic => `, ${topic}`).join('');
+            block.comment(`Undecoded ${label}`);
+            block.statement(expectation);
+            const logData = block.declare('bytes memory', 'logData', `hex"${event.logData.replace(/^0x/, '')}"`);
+            block.block('assembly')
+                .line(`log${event.topics.length}(add(${logData}, 0x20), mload(${logData})${topics})`);
         }
-
-        return interfaces;
     }
 
     /**
-     * Generate state variables
+     * Generate vm.load assertions for storage slots
+     * @param {Block} block - Block receiving the statements
+     * @param {Array} storageChanges - Storage changes with contract, key, prev and current
+     * @param {string} field - Value to assert ('prev' or 'current')
      * @param {Map} addressRegistry - Address registry
-     * @param {Map} tokenInfoMap - Token info map
      * @param {string} mainAddress - Main contract address
-     * @returns {string} Generated state variables
+     * @param {Set<string>} unresolved - Contracts whose address is not known to the asserting contract
      * @private
      */
-    _generateStateVariables(addressRegistry, tokenInfoMap, mainAddress) {
-        let variables = `    // Addresses\n`;
-        variables += `    address constant MAIN_ADDRESS = ${this.traceParser.toChecksumAddress(mainAddress)};\n`;
+    _generateStorageAssertions(block, storageChanges, field, addressRegistry, mainAddress, unresolved) {
+        const skipped = new Set();
 
-        // Sort addresses by variable name for consistent output
-        const sortedAddresses = Array.from(addressRegistry.entries())
-            .sort(([, varA], [, varB]) => varA.localeCompare(varB));
+        for (const change of storageChanges) {
+            const target = this._formatAddressExpression(change.contract, addressRegistry, mainAddress || '', 'address(this)');
 
-        for (const [address, varName] of sortedAddresses) {
-            const tokenInfo = tokenInfoMap.get(address);
-            const comment = this._generateAddressComment(address, tokenInfo);
+            if (unresolved.has(change.contract)) {
+                if (!skipped.has(change.contract)) {
+                    skipped.add(change.contract);
+                    block.comment(`${target} is deployed during replay at a different address, its storage is not asserted`);
+                }
+                continue;
+            }
+            if (change.relocated) {
+                block.comment(`${target} slot ${change.key} involves an address that differs during replay, not asserted`);
+                continue;
+            }
 
-            variables += `    address constant ${varName.toUpperCase()} = ${this.traceParser.toChecksumAddress(address)};${comment}\n`;
+            block.statement(`assertEq(vm.load(${target}, bytes32(${change.key})), bytes32(${change[field]}), "${target} slot ${change.key}")`);
         }
-
-        variables += `\n`;
-        return variables;
     }
 
     /**
-     * Generate setup function
-     * @param {number|null} blockNumber - Block number
-     * @param {number} chainId - Chain ID
-     * @returns {string} Generated setup function
+     * Generate checks comparing the fork against the storage values the trace read
+     * @param {Block} block - Block receiving the statements
+     * @param {Array} prestateReads - Reads with contract, key and value
+     * @param {string} verifyMode - 'fail' asserts, 'warn' only logs mismatches
+     * @param {Map} addressRegistry - Address registry
+     * @param {string} mainAddress - Main contract address
      * @private
      */
-    _generateSetupFunction(blockNumber, chainId) {
-        let setup = `    function setUp() public {\n`;
+    _generatePrestateChecks(block, prestateReads, verifyMode, addressRegistry, mainAddress) {
+        for (const read of prestateReads) {
+            const target = this._formatAddressExpression(read.contract, addressRegistry, mainAddress || '', 'MAIN_ADDRESS');
+            const message = `Pre-state mismatch (wrong fork block?): ${target} slot ${read.key}`;
 
-        if (blockNumber) {
-            setup += `        // Fork at specific block\n`;
-            setup += `        vm.createFork(vm.envString("RPC_URL"), ${blockNumber});\n`;
-        } else {
-            setup += `        // Fork at latest block\n`;
-            setup += `        vm.createFork(vm.envString("RPC_URL"));\n`;
+            if (verifyMode === 'fail') {
+                block.statement(`assertEq(vm.load(${target}, bytes32(${read.key})), bytes32(${read.value}), "${message}")`);
+            } else {
+                block.if(`vm.load(${target}, bytes32(${read.key})) != bytes32(${read.value})`)
+                    .statement(`console.log("Warning: ${message}")`);
+            }
         }
+    }
 
-        setup += `        vm.selectFork(0);\n`;
-        setup += `        \n`;
-        setup += `        // Setup test environment\n`;
-        setup += `        vm.label(MAIN_ADDRESS, "MainContract");\n`;
-        setup += `        \n`;
-        setup += `        // Deal some ETH to main address for gas\n`;
-        setup += `        vm.deal(MAIN_ADDRESS, 10 ether);\n`;
-        setup += `    }\n\n`;
-
-        return setup;
+    /**
+     * Check whether an event mentions any of the given addresses
+     * @param {Object} event - Extracted event
+     * @param {Set<string>} addresses - Lowercase addresses
+     * @returns {boolean} True if the emitter, a topic or the log data contains one of the addresses
+     * @private
+     */
+    _eventReferencesAny(event, addresses) {
+        const haystack = [event.contract, ...event.topics, event.logData].join('').toLowerCase();
+        return Array.from(addresses).some(address => haystack.includes(address.replace(/^0x/, '')));
     }
 
     /**
-     * Generate main test function
-     * @param {Array} methodCalls - Method calls
+     * Format an address as a Solidity expression
+     * @param {string} address - Address
      * @param {Map} addressRegistry - Address registry
      * @param {string} mainAddress - Main contract address
-     * @param {Map} contracts - Contracts map with signatures
-     * @returns {string} Generated test function
+     * @param {string} selfExpr - Expression standing in for the main address
+     * @returns {string} Solidity address expression
      * @private
      */
-    _generateMainTestFunction(methodCalls, addressRegistry, mainAddress, contracts) {
-        let testFunc = `    function testReproduceTrace() public {\n`;
-        testFunc += `        // Start prank as main address\n`;
-        testFunc += `        vm.startPrank(MAIN_ADDRESS);\n\n`;
-
-        // Group calls by target address for better organization
-        const callsByAddress = new Map();
-        methodCalls.forEach(call => {
-            if (!callsByAddress.has(call.to)) {
-                callsByAddress.set(call.to, []);
-            }
-            callsByAddress.get(call.to).push(call);
-        });
-
-        // Generate calls
-        for (const [address, calls] of callsByAddress.entries()) {
-            const addressVar = addressRegistry.get(address.toLowerCase()) || address;
-            testFunc += `        // Calls to ${addressVar.toUpperCase()}\n`;
+    _formatAddressExpression(address, addressRegistry, mainAddress, selfExpr) {
+        const lowerAddr = address.toLowerCase();
+        if (lowerAddr === mainAddress.toLowerCase()) return selfExpr;
 
-            for (const call of calls) {
-                testFunc += this._generateSingleCall(call, addressRegistry, mainAddress, contracts);
-            }
+        const varName = addressRegistry.get(lowerAddr);
+        return varName ? varName.toUpperCase() : this.traceParser.toChecksumAddress(address);
+    }
 
-            testFunc += `\n`;
+    /**
+     * Format a decoded event parameter as a Solidity expression
+     * @param {Object} param - Event parameter with type and value
+     * @param {Map} addressRegistry - Address registry
+     * @param {string} mainAddress - Main contract address
+     * @param {string} selfExpr - Expression standing in for the main address
+     * @param {Block|null} block - Block the expectation is emitted in
+     * @returns {string} Solidity expression
+     * @private
+     */
+    _formatEventParameter(param, addressRegistry, mainAddress, selfExpr, block = null) {
+        if (param.type === 'address') {
+            return this._formatAddressExpression(param.value, addressRegistry, mainAddress, selfExpr);
         }
-
-        testFunc += `        vm.stopPrank();\n`;
-        testFunc += `    }\n`;
-
-        return testFunc;
+        return this.traceParser.formatParameterValueForCall(param, addressRegistry, mainAddress, null, null, { block, selfExpr });
     }
 
     /**
-     * Generate single method call
-     * @param {Object} call - Call data
+     * Generate a contract deployment
+     * @param {Block} block - Block receiving the statements
+     * @param {Object} call - Deployment data
      * @param {Map} addressRegistry - Address registry
      * @param {string} mainAddress - Main contract address
-     * @param {Map} contracts - Contracts map with signatures
-     * @returns {string} Generated call
+     * @param {string} selfExpr - Expression standing in for the main address
      * @private
      */
-    _generateSingleCall(call, addressRegistry, mainAddress, contracts) {
+    _generateDeployment(block, call, addressRegistry, mainAddress, selfExpr = 'MAIN_ADDRESS') {
         const addressVar = call.addressVar.toUpperCase();
-        let callCode = `        // ${call.methodName}\n`;
+        block.comment(`${call.operation} of ${addressVar}`);
 
-        // If signature is unknown, use raw calldata
-        if (!call.signature && call.rawCalldata !== null) {
-            // For empty calldata (0x), we need to construct the selector
-            let hexData = call.rawCalldata;
-            if (hexData === '0x' && call.methodName.startsWith('unknownFunction_0x')) {
-                // Construct calldata from selector
-                const selector = call.methodName.replace('unknownFunction_', '');
-                hexData = selector;
-            }
-
-            callCode += `        // ⚠️  Unknown function selector - using raw calldata\n`;
-            callCode += `        (bool success, bytes memory result) = ${addressVar}.call`;
-            if (call.value && call.value !== '0') {
-                callCode += `{value: ${call.value}}`;
-            }
-            callCode += `(\n`;
-            // Only slice if it starts with 0x
-            const dataToUse = hexData.startsWith('0x') ? hexData.slice(2) : hexData;
-            callCode += `            hex"${dataToUse}"\n`;
-            callCode += `        );\n`;
-            callCode += `        require(success, "Raw call failed");\n`;
-            callCode += `        console.logBytes(result); // Log the result for debugging\n\n`;
-        } else if (call.value && call.value !== '0') {
-            const formattedParams = this._formatCallParameters(call.params, addressRegistry, mainAddress);
-            callCode += `        (bool success, ) = ${addressVar}.call{value: ${call.value}}(\n`;
-            callCode += `            abi.encodeWithSignature("${call.signature}", ${formattedParams})\n`;
-            callCode += `        );\n`;
-            callCode += `        require(success, "Call failed");\n\n`;
-        } else if (call.signature) {
-            const formattedParams = this._formatCallParameters(call.params, addressRegistry, mainAddress);
-            // Use consolidated interface from contracts map
-            const contractSignatures = contracts.get(call.to) || new Set([call.signature]);
-            const interfaceName = this.abiManager.generateInterfaceName(call.to, Array.from(contractSignatures));
-            callCode += `        ${interfaceName}(${addressVar}).${call.methodName}(${formattedParams});\n\n`;
+        if (call.deployMode === 'etch') {
+            block.comment('Etch the traced runtime bytecode (constructor calls are not replayed)');
+            block.statement(`vm.etch(${addressVar}, hex"${call.runtimeCode.replace(/^0x/, '')}")`);
+
+            if (call.constructorStorage.length > 0) {
+                block.comment('Storage written by the constructor');
+                for (const { key, value } of call.constructorStorage) {
+                    block.statement(`vm.store(${addressVar}, bytes32(${key}), bytes32(${value}))`);
+                }
+            }
+
+            block.blank();
+            return;
+        }
+
+        const localName = call.addressVar.toLowerCase();
+        const initCode = call.initCode.replace(/^0x/, '');
+        const args = this._formatCallParameters(call.constructorParams, addressRegistry, mainAddress, { block, selfExpr });
+
+        const initCodeLocal = block.declare('bytes memory', `${localName}InitCode`,
+            `abi.encodePacked(\n    hex"${initCode}"${args ? `,\n    abi.encode(${args})` : ''}\n)`);
+        const deployedLocal = block.declare('address', `${localName}Deployed`);
+        const assembly = block.block('assembly');
+
+        const value = call.value && call.value !== '0' ? call.value : '0';
+        if (call.operation === 'CREATE2') {
+            const salt = call.salt || `0x${'0'.repeat(64)}`;
+            if (!call.salt) {
+                assembly.comment('Original salt is not part of the trace');
+            }
+            assembly.line(`${deployedLocal} := create2(${value}, add(${initCodeLocal}, 0x20), mload(${initCodeLocal}), ${salt})`);
+        } else {
+            assembly.line(`${deployedLocal} := create(${value}, add(${initCodeLocal}, 0x20), mload(${initCodeLocal}))`);
         }
 
-        return callCode;
+        block.statement(`require(${deployedLocal} != address(0), "Deployment of ${addressVar} failed")`);
+        block.comment('Later calls use the deployed instance instead of the traced address');
+        block.statement(`${addressVar} = ${deployedLocal}`);
+        block.blank();
+    }
+
+    /**
+     * Get the addresses that are deployed for real (and therefore not constants)
+     * @param {Array} methodCalls - Method calls
+     * @returns {Set<string>} Lowercase deployed addresses
+     * @private
+     */
+    _getDeployedAddresses(methodCalls) {
+        return new Set(methodCalls
+            .filter(call => call.kind === 'deployment' && call.deployMode === 'create')
+            .map(call => call.to.toLowerCase()));
     }
 
     /**
      * Generate address comment
      * @param {string} address - Address
      * @param {Object|null} tokenInfo - Token information
-     * @returns {string} Generated comment
+     * @returns {string|null} Comment text
      * @private
      */
     _generateAddressComment(address, tokenInfo) {
-        if (!tokenInfo) return '';
+        if (!tokenInfo) return null;
 
         if (tokenInfo.type === 'UniswapV2Pair') {
-            return ` // ${tokenInfo.name}`;
+            return tokenInfo.name;
         } else if (tokenInfo.type === 'ERC20') {
-            return ` // ${tokenInfo.name} (${tokenInfo.symbol})`;
+            return `${tokenInfo.name} (${tokenInfo.symbol})`;
         }
 
-        return ` // ${tokenInfo.name || 'Contract'}`;
+        return tokenInfo.name || 'Contract';
     }
 
     /**
@@ -546,14 +1930,15 @@ class FoundryGenerator {
      * @param {Array} params - Parameters
      * @param {Map} addressRegistry - Address registry
      * @param {string} mainAddress - Main contract address
+     * @param {Object} context - Block the call is emitted in and the expression of the main address there
      * @returns {string} Formatted parameters
      * @private
      */
-    _formatCallParameters(params, addressRegistry, mainAddress) {
+    _formatCallParameters(params, addressRegistry, mainAddress, context = {}) {
         if (!params || params.length === 0) return '';
 
         return params.map(param =>
-            this.traceParser.formatParameterValueForCall(param, addressRegistry, mainAddress)
+            this.traceParser.formatParameterValueForCall(param, addressRegistry, mainAddress, null, null, context)
         ).join(', ');
     }
 
@@ -561,7 +1946,7 @@ class FoundryGenerator {
      * Register address and return variable name
      * @param {string} address - Address to register
      * @param {Map} addressRegistry - Address registry
-     * @param {Map} addressCounter - Address counter
+     * @param {Map} addressCounter - Address counter (the optional 'prefix' entry starts every variable name)
      * @returns {string} Variable name
      * @private
      */
@@ -573,7 +1958,8 @@ class FoundryGenerator {
             counter++;
             addressCounter.set('total', counter);
 
-            const varName = `addr${counter}`;
+            // Cross-chain incidents qualify variables with their chain
+            const varName = `${addressCounter.get('prefix') || ''}addr${counter}`;
             addressRegistry.set(lowerAddr, varName);
         }
 
@@ -632,6 +2018,7 @@ src = "src"
 test = "test"
 out = "out"
 libs = ["lib"]
+remappings = ["forge-std/=lib/forge-std/src/"]
 rpc_endpoints = { ${rpcEndpoints} }
 
 [fmt]
@@ -641,6 +2028,46 @@ bracket_spacing = true
 int_types = "long"`;
     }
 
+    /**
+     * Generate remappings.txt so editors resolve forge-std like forge does
+     * @returns {string} Generated remappings.txt content
+     */
+    generateRemappings() {
+        return 'forge-std/=lib/forge-std/src/\n';
+    }
+
+    /**
+     * Generate .gitignore for a scaffolded project
+     * @returns {string} Generated .gitignore content
+     */
+    generateGitignore() {
+        return `out/
+cache/
+broadcast/
+.env
+`;
+    }
+
+    /**
+     * Lay out a self-contained Foundry project around a generated test
+     * forge-std itself is not vendored; the README explains how to install it into lib/
+     * @param {string} testContent - Generated test contract
+     * @param {string} testPath - Test file path relative to the project root
+     * @returns {Map<string, string>} Project-relative path to file content
+     */
+    generateProjectFiles(testContent, testPath = 'test/TraceReproduction.t.sol') {
+        return new Map([
+            ['foundry.toml', this.generateFoundryToml()],
+            ['remappings.txt', this.generateRemappings()],
+            ['.env.example', this.generateEnvExample()],
+            ['.gitignore', this.generateGitignore()],
+            ['package.json', this.generatePackageJson()],
+            ['README.md', this.generateReadme(testPath)],
+            ['src/.gitkeep', ''],
+            [testPath, testContent]
+        ]);
+    }
+
     /**
      * Generate .env.example file
      * @returns {string} Generated .env.example content
@@ -678,9 +2105,10 @@ CHAIN=ethereum`;
 
     /**
      * Generate README.md file
+     * @param {string} testPath - Test file path relative to the project root
      * @returns {string} Generated README.md content
      */
-    generateReadme() {
+    generateReadme(testPath = 'test/TraceReproduction.t.sol') {
         return `# Trace Reproduction Test
 
 This project reproduces a transaction trace using Foundry for testing and development.
@@ -710,21 +2138,23 @@ export CHAIN=polygon
 export CHAIN=optimism
 \`\`\`
 
-4. Generate the test with manual address:
+4. Generate the test:
 \`\`\`bash
-# Using command line argument
-node index.js path/to/trace.json 0xYourMainAddress
+# From a trace file, replaying the calls of a given address
+node index.js generate --trace path/to/trace.json --attacker 0xYourMainAddress
+
+# Or fetch the trace from an RPC node with the debug API
+node index.js generate --tx 0xYourTxHash --rpc https://your.archive.node
 
-# Or set in environment
-export MAIN_ADDRESS=0xYourMainAddress
-node index.js path/to/trace.json
+# All commands and options
+node index.js --help
 \`\`\`
 
 ## Running Tests
 
 \`\`\`bash
-# Install dependencies
-forge install
+# Install forge-std into lib/ (remapped by foundry.toml and remappings.txt)
+forge install foundry-rs/forge-std --no-git
 
 # Run tests
 forge test
@@ -745,8 +2175,8 @@ forge test --match-test testReproduceTrace -vvv --fork-url \\$BASE_RPC_URL
 
 ## Generated Files
 
-- \`test/TraceReproduction.t.sol\` - Main test contract
-- \`foundry.toml\` - Foundry configuration
+- \`${testPath}\` - Main test contract
+- \`foundry.toml\` and \`remappings.txt\` - Foundry configuration with the forge-std remapping
 - \`.env.example\` - Environment variables template
 - \`package.json\` - Project metadata
 
@@ -0,0 +1,263 @@
+/**
+ * Parameter Normalizer Module
+ * Turns decoded values, as displayed by Phalcon, Tenderly or ethers, into canonical typed data
+ * before any code is generated from them:
+ * - integers: decimal strings without thousands separators ("-12", "11907874713019104529057960")
+ * - addresses: lowercase hex
+ * - bool: booleans
+ * - bytes and bytesN: lowercase 0x-prefixed hex, bytesN right-padded to their size
+ * - strings: the string itself, escaped only when it is emitted
+ * - arrays: arrays of canonical elements
+ * - tuples: arrays of canonical component parameters ({ name, type, value })
+ * Normalizing is idempotent, so canonical parameters pass through unchanged.
+ */
+class ParamNormalizer {
+    /**
+     * Normalize a list of decoded parameters
+     * @param {Array<Object>|null} params - Parameters with name, type and value
+     * @returns {Array<Object>|null} Canonical parameters
+     */
+    normalizeParams(params) {
+        if (!Array.isArray(params)) return params;
+        return params.map(param => this.normalizeParam(param));
+    }
+
+    /**
+     * Normalize one decoded parameter
+     * @param {Object} param - Parameter with name, type and value
+     * @returns {Object} Parameter with canonical type and value
+     */
+    normalizeParam(param) {
+        if (!param || typeof param !== 'object') return param;
+
+        const type = this.normalizeType(param.type);
+        const normalized = { ...param, value: this.normalizeValue(type, param.value) };
+        if (type) {
+            normalized.type = type;
+        }
+        return normalized;
+    }
+
+    /**
+     * Normalize a Solidity type name (uint → uint256, tuple(...) → (...))
+     * @param {string} type - Type name
+     * @returns {string|null} Canonical type, or null when unknown
+     */
+    normalizeType(type) {
+        if (!type || typeof type !== 'string') return null;
+
+        const trimmed = type.replace(/\s+/g, '');
+        const array = this._splitArrayType(trimmed);
+        if (array) {
+            return `${this.normalizeType(array.elementType)}[${array.size}]`;
+        }
+        if (trimmed.startsWith('tuple(')) {
+            return this.normalizeType(trimmed.slice('tuple'.length));
+        }
+        if (trimmed.startsWith('(')) {
+            return `(${this.splitTopLevel(trimmed.slice(1, -1)).map(component => this.normalizeType(component)).join(',')})`;
+        }
+        if (trimmed === 'uint' || trimmed === 'int') {
+            return `${trimmed}256`;
+        }
+        return trimmed;
+    }
+
+    /**
+     * Normalize a value of a given type
+     * Values that cannot be read as the type are returned unchanged
+     * @param {string|null} type - Canonical type
+     * @param {*} value - Decoded value
+     * @returns {*} Canonical value
+     */
+    normalizeValue(type, value) {
+        if (value === undefined || value === null) return value;
+
+        const array = type ? this._splitArrayType(type) : null;
+        if (array) {
+            const elements = this._parseList(value);
+            return elements ? elements.map(element => this.normalizeValue(array.elementType, element)) : value;
+        }
+        if (type === 'tuple' || (type && type.startsWith('('))) {
+            return this._normalizeTuple(type, value);
+        }
+        if (/^u?int\d*$/.test(type || '')) {
+            return this._normalizeInteger(value);
+        }
+        if (type === 'address') {
+            return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value.trim()) ? value.trim().toLowerCase() : value;
+        }
+        if (type === 'bool') {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).trim().toLowerCase();
+            if (text === 'true' || text === '1') return true;
+            if (text === 'false' || text === '0') return false;
+            return value;
+        }
+        if (/^bytes\d+$/.test(type || '')) {
+            const hex = this._normalizeHex(value);
+            const size = Number(type.slice('bytes'.length));
+            return hex && hex.length - 2 <= size * 2 ? hex.padEnd(2 + size * 2, '0') : value;
+        }
+        if (type === 'bytes') {
+            return this._normalizeHex(value) || value;
+        }
+        if (type === 'string') {
+            return typeof value === 'string' ? value : String(value);
+        }
+
+        return value;
+    }
+
+    /**
+     * Split a comma separated list at its top level, ignoring commas inside brackets, parentheses and quotes
+     * @param {string} text - List without its enclosing brackets
+     * @returns {Array<string>} Trimmed items
+     */
+    splitTopLevel(text) {
+        const items = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === '\\') {
+                    current += char + (text[i + 1] || '');
+                    i++;
+                    continue;
+                }
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '[' || char === '(' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === ')' || char === '}') {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                items.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+
+        if (current.trim() !== '' || items.length > 0) {
+            items.push(current.trim());
+        }
+        return items;
+    }
+
+    /**
+     * Split an array type into its element type and size
+     * @param {string} type - Type name
+     * @returns {{elementType: string, size: string}|null} Element type and size ('' when dynamic), or null
+     * @private
+     */
+    _splitArrayType(type) {
+        const match = type.match(/^(.*)\[(\d*)\]$/);
+        return match ? { elementType: match[1], size: match[2] } : null;
+    }
+
+    /**
+     * Read a list value: an array, a JSON array or a bracketed display string
+     * @param {*} value - List value
+     * @returns {Array|null} Items, or null when the value is no list
+     * @private
+     */
+    _parseList(value) {
+        if (Array.isArray(value)) return value;
+        if (typeof value !== 'string') return null;
+
+        const text = value.trim();
+        if (!text.startsWith('[') || !text.endsWith(']')) return null;
+        try {
+            const parsed = JSON.parse(text);
+            if (Array.isArray(parsed)) return parsed;
+        } catch (error) {
+            // Display strings such as [0xabc..., 12] are not JSON
+        }
+        return this.splitTopLevel(text.slice(1, -1)).map(item => item.replace(/^["']|["']$/g, ''));
+    }
+
+    /**
+     * Normalize a tuple into its component parameters
+     * Components come as decoded parameters, positional values, or an object keyed by name
+     * (ethers results also carry every value under its index, which is skipped)
+     * @param {string} type - 'tuple' or the canonical tuple type
+     * @param {*} value - Tuple value
+     * @returns {Array<Object>|*} Component parameters, or the value when it is no tuple
+     * @private
+     */
+    _normalizeTuple(type, value) {
+        const componentTypes = type.startsWith('(') ? this.splitTopLevel(type.slice(1, -1)) : [];
+
+        let parsed = value;
+        if (typeof value === 'string') {
+            try {
+                parsed = JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        }
+
+        const entries = Array.isArray(parsed)
+            ? parsed.map((item, index) => ({ name: '', item, index }))
+            : parsed && typeof parsed === 'object'
+                ? Object.entries(parsed).filter(([key]) => !/^\d+$/.test(key)).map(([name, item], index) => ({ name, item, index }))
+                : null;
+        if (!entries) return value;
+
+        return entries.map(({ name, item, index }) => {
+            if (item && typeof item === 'object' && !Array.isArray(item) && 'value' in item) {
+                return this.normalizeParam({ ...item, type: item.type || componentTypes[index] });
+            }
+            const component = { name, value: item };
+            if (componentTypes[index]) {
+                component.type = componentTypes[index];
+            }
+            return this.normalizeParam(component);
+        });
+    }
+
+    /**
+     * Normalize an integer: thousands separators, hex, numbers and bigints become a decimal string
+     * @param {*} value - Integer value
+     * @returns {string|*} Decimal string, or the value when it is no integer
+     * @private
+     */
+    _normalizeInteger(value) {
+        if (typeof value === 'bigint') return value.toString();
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? BigInt(value).toString() : value;
+        }
+        if (typeof value !== 'string') return value;
+
+        const text = value.trim().replace(/[,_\s]/g, '');
+        if (/^-?0x[0-9a-fA-F]+$/.test(text)) {
+            const negative = text.startsWith('-');
+            const magnitude = BigInt(negative ? text.slice(1) : text);
+            return (negative ? -magnitude : magnitude).toString();
+        }
+        if (/^-?\d+$/.test(text)) {
+            return BigInt(text).toString();
+        }
+        return value;
+    }
+
+    /**
+     * Normalize hex data to lowercase with a 0x prefix
+     * @param {*} value - Hex value
+     * @returns {string|null} Hex string, or null when the value is no hex
+     * @private
+     */
+    _normalizeHex(value) {
+        if (typeof value !== 'string') return null;
+        const text = value.trim();
+        if (/^0x([0-9a-fA-F]{2})*$/.test(text)) return text.toLowerCase();
+        return null;
+    }
+}
+
+module.exports = ParamNormalizer;
@@ -0,0 +1,572 @@
+const INDENT = '    ';
+
+/**
+ * Solidity Emitter Module
+ * A small code model of the generated Solidity: source units, contracts and interfaces, functions,
+ * blocks of statements and the locals they declare. Rendering owns indentation and blank lines,
+ * and every block hands out local names that are unique in its scope, so generators never
+ * concatenate fragments and can neither mis-indent nor declare the same name twice
+ */
+
+/**
+ * Names declared in a contract, function or block
+ * A name is taken when this scope or any enclosing one declares it; sibling blocks may reuse names
+ */
+class Scope {
+    /**
+     * @param {Scope|null} parent - Enclosing scope
+     */
+    constructor(parent = null) {
+        this.parent = parent;
+        this.names = new Set();
+    }
+
+    /**
+     * Create a scope nested in this one
+     * @returns {Scope} Child scope
+     */
+    child() {
+        return new Scope(this);
+    }
+
+    /**
+     * Check whether a name is visible in this scope
+     * @param {string} name - Identifier
+     * @returns {boolean} True if this scope or an enclosing one declares it
+     */
+    has(name) {
+        return this.names.has(name) || (this.parent !== null && this.parent.has(name));
+    }
+
+    /**
+     * Declare a name, numbering it when it is already taken (result, result2, result3, ...)
+     * @param {string} name - Preferred identifier
+     * @returns {string} Declared identifier
+     */
+    declare(name) {
+        let unique = name;
+        for (let count = 2; this.has(unique); count++) {
+            unique = `${name}${count}`;
+        }
+        this.names.add(unique);
+        return unique;
+    }
+
+    /**
+     * Declare a name that others already refer to verbatim, such as a state variable
+     * @param {string} name - Identifier
+     * @returns {string} The identifier
+     * @throws {Error} If the name is already taken
+     */
+    claim(name) {
+        if (this.has(name)) {
+            throw new Error(`Identifier already declared: ${name}`);
+        }
+        this.names.add(name);
+        return name;
+    }
+}
+
+/**
+ * Indent a line or a multi-line fragment
+ * Continuation lines keep their indentation relative to the least indented one
+ * @param {string} text - Line, possibly spanning several lines
+ * @param {number} depth - Indentation level
+ * @returns {Array<string>} Indented lines
+ * @private
+ */
+function indentText(text, depth) {
+    const [first, ...rest] = text.split('\n');
+    const margin = Math.min(...rest.filter(line => line.trim()).map(line => line.match(/^ */)[0].length));
+    const prefix = INDENT.repeat(depth);
+
+    return [
+        `${prefix}${first}`,
+        ...rest.map(line => line.trim() ? `${prefix}${line.slice(Number.isFinite(margin) ? margin : 0)}` : '')
+    ];
+}
+
+/**
+ * Render a list of items, dropping blank lines at either end and collapsing repeated ones
+ * @param {Array<Object>} items - Items with text, blank or node
+ * @param {number} depth - Indentation level
+ * @returns {Array<string>} Lines
+ * @private
+ */
+function renderItems(items, depth) {
+    const lines = [];
+    for (const item of items) {
+        if (item.blank) {
+            if (lines.length > 0 && lines[lines.length - 1] !== '') {
+                lines.push('');
+            }
+        } else if (item.node) {
+            lines.push(...item.node.render(depth));
+        } else {
+            lines.push(...indentText(item.text, depth));
+        }
+    }
+
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+ * A sequence of statements sharing one scope
+ */
+class Block {
+    /**
+     * @param {Scope} scope - Scope of the locals declared in the block
+     */
+    constructor(scope = new Scope()) {
+        this.scope = scope;
+        this.items = [];
+    }
+
+    /**
+     * Add a line verbatim, e.g. an assembly instruction; it may span several lines
+     * @param {string} text - Line
+     * @returns {Block} This block
+     */
+    line(text) {
+        this.items.push({ text });
+        return this;
+    }
+
+    /**
+     * Add a statement
+     * @param {string} text - Statement without its semicolon
+     * @param {string|null} comment - Trailing comment
+     * @returns {Block} This block
+     */
+    statement(text, comment = null) {
+        return this.line(`${text};${comment ? ` // ${comment}` : ''}`);
+    }
+
+    /**
+     * Add a comment line
+     * @param {string} text - Comment text
+     * @returns {Block} This block
+     */
+    comment(text) {
+        return this.line(`// ${text}`);
+    }
+
+    /**
+     * Separate what follows with a blank line
+     * @returns {Block} This block
+     */
+    blank() {
+        this.items.push({ blank: true });
+        return this;
+    }
+
+    /**
+     * Declare a local
+     * @param {string} type - Type including its data location, e.g. `bytes memory`
+     * @param {string} name - Preferred name
+     * @param {string|null} value - Initial value, or null to declare without one
+     * @returns {string} Declared name
+     */
+    declare(type, name, value = null) {
+        const local = this.scope.declare(name);
+        this.statement(`${type} ${local}${value !== null ? ` = ${value}` : ''}`);
+        return local;
+    }
+
+    /**
+     * Declare several locals from a tuple, e.g. `(bool success, ) = target.call(data)`
+     * @param {Array<Object|null>} components - { type, name } per tuple component, null to leave it out
+     * @param {string} value - Tuple expression
+     * @returns {Array<string|null>} Declared names, null for components left out
+     */
+    declareTuple(components, value) {
+        const names = components.map(component => component ? this.scope.declare(component.name) : null);
+        const declarations = components.map((component, index) => component ? `${component.type} ${names[index]}` : '');
+        this.statement(`(${declarations.join(', ')}) = ${value}`);
+        return names;
+    }
+
+    /**
+     * Open a nested block, e.g. a bare `{ ... }`, `assembly { ... }` or `unchecked { ... }`
+     * @param {string|null} header - Text before the brace
+     * @returns {Block} Nested block
+     */
+    block(header = null) {
+        const nested = new Block(this.scope.child());
+        this.items.push({ node: new BlockStatement(header, nested) });
+        return nested;
+    }
+
+    /**
+     * Open an if statement
+     * @param {string} condition - Condition
+     * @returns {Block} Block run when the condition holds
+     */
+    if(condition) {
+        const statement = new IfStatement();
+        this.items.push({ node: statement });
+        return statement.branch(condition, this.scope.child());
+    }
+
+    /**
+     * Continue the if statement just added with an else-if branch
+     * @param {string} condition - Condition
+     * @returns {Block} Block run when the condition holds
+     */
+    elseIf(condition) {
+        return this._lastIfStatement().branch(condition, this.scope.child());
+    }
+
+    /**
+     * Close the if statement just added with an else branch
+     * @returns {Block} Block run when no condition holds
+     */
+    else() {
+        return this._lastIfStatement().branch(null, this.scope.child());
+    }
+
+    /**
+     * Check whether the block has any statement
+     * @returns {boolean} True if nothing but blank lines was added
+     */
+    isEmpty() {
+        return this.items.every(item => item.blank);
+    }
+
+    /**
+     * Render the statements
+     * @param {number} depth - Indentation level of the statements
+     * @returns {string} Lines, each ending with a newline
+     */
+    render(depth = 0) {
+        return renderItems(this.items, depth).map(line => `${line}\n`).join('');
+    }
+
+    /**
+     * Get the if statement the block ends with
+     * @returns {IfStatement} If statement
+     * @private
+     */
+    _lastIfStatement() {
+        const last = this.items[this.items.length - 1];
+        if (!last || !(last.node instanceof IfStatement)) {
+            throw new Error('else branches must follow an if statement');
+        }
+        return last.node;
+    }
+}
+
+/**
+ * A nested block with an optional header
+ * @private
+ */
+class BlockStatement {
+    constructor(header, body) {
+        this.header = header;
+        this.body = body;
+    }
+
+    render(depth) {
+        const open = this.header ? `${this.header} {` : '{';
+        return [
+            ...indentText(open, depth),
+            ...renderItems(this.body.items, depth + 1),
+            `${INDENT.repeat(depth)}}`
+        ];
+    }
+}
+
+/**
+ * An if statement with its else-if and else branches
+ * @private
+ */
+class IfStatement {
+    constructor() {
+        this.branches = [];
+    }
+
+    branch(condition, scope) {
+        const body = new Block(scope);
+        this.branches.push({ condition, body });
+        return body;
+    }
+
+    render(depth) {
+        const prefix = INDENT.repeat(depth);
+        const lines = [];
+        this.branches.forEach(({ condition, body }, index) => {
+            const keyword = condition === null ? 'else' : `${index === 0 ? 'if' : 'else if'} (${condition})`;
+            lines.push(index === 0 ? `${prefix}${keyword} {` : `${prefix}} ${keyword} {`);
+            lines.push(...renderItems(body.items, depth + 1));
+        });
+        lines.push(`${prefix}}`);
+        return lines;
+    }
+}
+
+/**
+ * A function, constructor, receive or fallback function
+ */
+class FunctionDefinition {
+    /**
+     * @param {Object} definition - Function header
+     * @param {string} definition.name - Function name, or 'constructor', 'receive' or 'fallback'
+     * @param {Array<string>} definition.params - Parameter declarations, e.g. `address[] calldata assets`
+     * @param {Array<string>} definition.attributes - Visibility, mutability and modifiers
+     * @param {string|null} definition.returns - Return types, without parentheses
+     * @param {boolean} definition.multilineParams - Put every parameter on its own line
+     * @param {Scope} contractScope - Scope of the enclosing contract
+     */
+    constructor({ name, params = [], attributes = [], returns = null, multilineParams = false }, contractScope = new Scope()) {
+        this.name = name;
+        this.params = params;
+        this.attributes = attributes;
+        this.returns = returns;
+        this.multilineParams = multilineParams;
+        this.comments = [];
+        this.body = new Block(contractScope.child());
+
+        // Parameters live in the same scope as the body's locals
+        for (const param of params) {
+            const match = param.trim().match(/\s([A-Za-z_$][\w$]*)$/);
+            if (match && !['memory', 'calldata', 'storage', 'payable'].includes(match[1])) {
+                this.body.scope.claim(match[1]);
+            }
+        }
+    }
+
+    /**
+     * Add a comment line above the function
+     * @param {string} text - Comment text
+     * @returns {FunctionDefinition} This function
+     */
+    comment(text) {
+        this.comments.push(text);
+        return this;
+    }
+
+    render(depth) {
+        const prefix = INDENT.repeat(depth);
+        const keyword = ['constructor', 'receive', 'fallback'].includes(this.name) ? this.name : `function ${this.name}`;
+        const params = this.multilineParams && this.params.length > 0
+            ? `(\n${this.params.map(param => `${INDENT}${param}`).join(',\n')}\n)`
+            : `(${this.params.join(', ')})`;
+        const attributes = [...this.attributes, ...(this.returns ? [`returns (${this.returns})`] : [])]
+            .map(attribute => ` ${attribute}`).join('');
+        const header = `${keyword}${params}${attributes}`;
+        const body = renderItems(this.body.items, depth + 1);
+
+        return [
+            ...this.comments.map(text => `${prefix}// ${text}`),
+            ...(body.length === 0
+                ? indentText(`${header} {}`, depth)
+                : [...indentText(`${header} {`, depth), ...body, `${prefix}}`])
+        ];
+    }
+}
+
+/**
+ * A contract or interface
+ * Functions are set apart from their neighbours by blank lines
+ */
+class ContractDefinition {
+    /**
+     * @param {string} kind - 'contract' or 'interface'
+     * @param {string} name - Contract name
+     * @param {Array<string>} bases - Inherited contracts
+     */
+    constructor(kind, name, bases = []) {
+        this.kind = kind;
+        this.name = name;
+        this.bases = bases;
+        this.scope = new Scope();
+        this.items = [];
+    }
+
+    /**
+     * Add a declaration verbatim, e.g. an event, a struct or an interface function
+     * @param {string} text - Declaration, possibly spanning several lines
+     * @returns {ContractDefinition} This contract
+     */
+    declaration(text) {
+        this.items.push({ text });
+        return this;
+    }
+
+    /**
+     * Add a comment line
+     * @param {string} text - Comment text
+     * @returns {ContractDefinition} This contract
+     */
+    comment(text) {
+        return this.declaration(`// ${text}`);
+    }
+
+    /**
+     * Separate what follows with a blank line
+     * @returns {ContractDefinition} This contract
+     */
+    blank() {
+        this.items.push({ blank: true });
+        return this;
+    }
+
+    /**
+     * Declare a state variable
+     * @param {string} type - Type and attributes, e.g. `address constant` or `uint256 internal`
+     * @param {string} name - Variable name, which code refers to verbatim
+     * @param {Object} options - Declaration options
+     * @param {string|null} options.value - Initial value
+     * @param {string|null} options.comment - Trailing comment
+     * @returns {string} Variable name
+     */
+    variable(type, name, { value = null, comment = null } = {}) {
+        this.scope.claim(name);
+        this.declaration(`${type} ${name}${value !== null ? ` = ${value}` : ''};${comment ? ` // ${comment}` : ''}`);
+        return name;
+    }
+
+    /**
+     * Create a function of this contract without adding it yet
+     * Lets a generator declare state the function turns out to need before the function itself
+     * @param {Object} definition - Function header, as for FunctionDefinition
+     * @returns {FunctionDefinition} Function
+     */
+    createFunction(definition) {
+        return new FunctionDefinition(definition, this.scope);
+    }
+
+    /**
+     * Add a function created with createFunction
+     * @param {FunctionDefinition} definition - Function
+     * @returns {FunctionDefinition} The function
+     */
+    addFunction(definition) {
+        this.items.push({ blank: true }, { node: definition }, { blank: true });
+        return definition;
+    }
+
+    /**
+     * Create and add a function
+     * @param {Object} definition - Function header, as for FunctionDefinition
+     * @returns {FunctionDefinition} Function
+     */
+    function(definition) {
+        return this.addFunction(this.createFunction(definition));
+    }
+
+    /**
+     * Render the members without the contract header
+     * @param {number} depth - Indentation level of the members
+     * @returns {string} Lines, each ending with a newline
+     */
+    renderMembers(depth = 1) {
+        return renderItems(this.items, depth).map(line => `${line}\n`).join('');
+    }
+
+    render(depth = 0) {
+        const inheritance = this.bases.length > 0 ? ` is ${this.bases.join(', ')}` : '';
+        return [
+            `${INDENT.repeat(depth)}${this.kind} ${this.name}${inheritance} {`,
+            ...renderItems(this.items, depth + 1),
+            `${INDENT.repeat(depth)}}`
+        ];
+    }
+}
+
+/**
+ * A Solidity file: license, pragma, imports, file-level declarations, then interfaces and contracts
+ */
+class SourceUnit {
+    /**
+     * @param {Object} header - File header
+     * @param {string} header.license - SPDX license identifier
+     * @param {string} header.pragma - Solidity version constraint
+     */
+    constructor({ license = 'MIT', pragma }) {
+        this.license = license;
+        this.pragma = pragma;
+        this.imports = [];
+        this.declarations = [];
+        this.definitions = [];
+    }
+
+    /**
+     * Import a file
+     * @param {string} path - Import path
+     * @returns {SourceUnit} This source unit
+     */
+    import(path) {
+        this.imports.push(path);
+        return this;
+    }
+
+    /**
+     * Add a file-level declaration, e.g. a struct shared by several interfaces
+     * @param {string} text - Declaration, possibly spanning several lines
+     * @returns {SourceUnit} This source unit
+     */
+    declaration(text) {
+        this.declarations.push(text);
+        return this;
+    }
+
+    /**
+     * Add an interface
+     * @param {string} name - Interface name
+     * @returns {ContractDefinition} Interface
+     */
+    interface(name) {
+        return this.add(new ContractDefinition('interface', name));
+    }
+
+    /**
+     * Add a contract
+     * @param {string} name - Contract name
+     * @param {Array<string>} bases - Inherited contracts
+     * @returns {ContractDefinition} Contract
+     */
+    contract(name, bases = []) {
+        return this.add(new ContractDefinition('contract', name, bases));
+    }
+
+    /**
+     * Add a contract or interface
+     * @param {ContractDefinition} definition - Definition
+     * @returns {ContractDefinition} The definition
+     * @throws {Error} If another definition has the same name
+     */
+    add(definition) {
+        if (this.definitions.some(known => known.name === definition.name)) {
+            throw new Error(`Identifier already declared: ${definition.name}`);
+        }
+        this.definitions.push(definition);
+        return definition;
+    }
+
+    /**
+     * Render the file
+     * @returns {string} Solidity source
+     */
+    render() {
+        const sections = [
+            [`// SPDX-License-Identifier: ${this.license}`, `pragma solidity ${this.pragma};`],
+            this.imports.map(path => `import "${path}";`),
+            ...this.declarations.map(text => indentText(text, 0)),
+            ...this.definitions.map(definition => definition.render(0))
+        ].filter(lines => lines.length > 0);
+
+        return sections.map(lines => lines.join('\n')).join('\n\n') + '\n';
+    }
+}
+
+module.exports = {
+    SourceUnit,
+    ContractDefinition,
+    FunctionDefinition,
+    Block,
+    Scope
+};
@@ -194,6 +194,7 @@ class TokenManager {
 
     /**
      * Fetch transaction details
+     * Includes the block header fields a replay needs to run under the original environment
      * @param {string} txHash - Transaction hash
      * @param {string|null} rpcUrl - Optional RPC URL
      * @returns {Promise<Object|null>} Transaction details or null
@@ -207,6 +208,13 @@ class TokenManager {
             if (!tx) return null;
 
             const receipt = await provider.getTransactionReceipt(txHash);
+            // The block only adds the replay environment, so the transaction details stand without it
+            const block = tx.blockNumber !== null
+                ? await provider.getBlock(tx.blockNumber).catch(error => {
+                    console.warn(`Failed to fetch block ${tx.blockNumber} for ${txHash}: ${error.message}`);
+                    return null;
+                })
+                : null;
 
             return {
                 hash: tx.hash,
@@ -217,11 +225,21 @@ class TokenManager {
                 gasPrice: tx.gasPrice?.toString(),
                 maxFeePerGas: tx.maxFeePerGas?.toString(),
                 maxPriorityFeePerGas: tx.maxPriorityFeePerGas?.toString(),
+                effectiveGasPrice: receipt?.gasPrice?.toString(),
                 nonce: tx.nonce,
                 blockNumber: tx.blockNumber,
                 blockHash: tx.blockHash,
                 status: receipt?.status,
-                gasUsed: receipt?.gasUsed?.toString()
+                gasUsed: receipt?.gasUsed?.toString(),
+                block: block ? {
+                    number: block.number,
+                    timestamp: block.timestamp,
+                    baseFeePerGas: block.baseFeePerGas?.toString() ?? null,
+                    coinbase: block.miner,
+                    prevRandao: block.prevRandao,
+                    difficulty: block.difficulty?.toString() ?? null,
+                    gasLimit: block.gasLimit.toString()
+                } : null
             };
 
         } catch (error) {
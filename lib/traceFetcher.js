@@ -0,0 +1,112 @@
+const { ethers } = require('ethers');
+const { CallTracerAdapter } = require('./adapters');
+
+/**
+ * Trace Fetcher
+ * Downloads a transaction trace from an RPC node with debug_traceTransaction and normalizes it
+ * into the internal trace model, so no trace file has to be exported by hand
+ */
+class TraceFetcher {
+    constructor(configManager, rpcManager) {
+        this.configManager = configManager;
+        this.rpcManager = rpcManager;
+        this.adapter = new CallTracerAdapter();
+    }
+
+    /**
+     * Fetch and normalize the trace of a transaction
+     * @param {string} txHash - Transaction hash
+     * @param {string} chainName - Chain name used to pick the RPC URL
+     * @param {string|null} rpcUrl - RPC URL (defaults to RpcManager.getEnhancedRpcUrl)
+     * @returns {Promise<Object>} Trace data
+     */
+    async fetchTrace(txHash, chainName = 'ethereum', rpcUrl = null) {
+        const bundle = await this.fetchRawTrace(txHash, chainName, rpcUrl);
+        return this.adapter.normalize(bundle);
+    }
+
+    /**
+     * Fetch the raw callTracer and prestateTracer results of a transaction
+     * @param {string} txHash - Transaction hash
+     * @param {string} chainName - Chain name used to pick the RPC URL
+     * @param {string|null} rpcUrl - RPC URL (defaults to RpcManager.getEnhancedRpcUrl)
+     * @returns {Promise<Object>} Bundle with transactionHash, callTrace, prestate and stateDiff
+     */
+    async fetchRawTrace(txHash, chainName = 'ethereum', rpcUrl = null) {
+        if (!/^0x[0-9a-fA-F]{64}$/.test(txHash || '')) {
+            throw new Error(`Invalid transaction hash: ${txHash}`);
+        }
+
+        rpcUrl = rpcUrl || await this.rpcManager.getEnhancedRpcUrl(chainName);
+        const provider = this._createProvider(rpcUrl, chainName);
+        console.log(`Fetching trace for ${txHash} from ${rpcUrl}...`);
+
+        try {
+            let callTrace;
+            try {
+                callTrace = await provider.send('debug_traceTransaction', [
+                    txHash,
+                    { tracer: 'callTracer', tracerConfig: { withLog: true } }
+                ]);
+            } catch (error) {
+                throw new Error(`debug_traceTransaction failed on ${rpcUrl}: ${this._errorMessage(error)}. ` +
+                    'Set RPC_URL to a node that exposes the debug API (archive node or tracing provider)');
+            }
+
+            if (!callTrace) {
+                throw new Error(`Transaction not found: ${txHash}`);
+            }
+
+            // Storage is optional: many providers only expose the callTracer
+            const prestate = await this._tryPrestate(provider, txHash, { diffMode: false });
+            const stateDiff = prestate ? await this._tryPrestate(provider, txHash, { diffMode: true }) : null;
+
+            return { transactionHash: txHash, callTrace, prestate, stateDiff };
+        } finally {
+            provider.destroy();
+        }
+    }
+
+    /**
+     * Run the prestateTracer, returning null when the node does not support it
+     * @param {ethers.JsonRpcProvider} provider - Provider
+     * @param {string} txHash - Transaction hash
+     * @param {Object} tracerConfig - prestateTracer configuration
+     * @returns {Promise<Object|null>} prestateTracer result or null
+     * @private
+     */
+    async _tryPrestate(provider, txHash, tracerConfig) {
+        try {
+            return await provider.send('debug_traceTransaction', [txHash, { tracer: 'prestateTracer', tracerConfig }]);
+        } catch (error) {
+            const mode = tracerConfig.diffMode ? 'diff mode' : 'prestate mode';
+            console.warn(`⚠️  prestateTracer (${mode}) unavailable, storage assertions will be skipped: ${this._errorMessage(error)}`);
+            return null;
+        }
+    }
+
+    /**
+     * Create a provider pinned to the chain's network so no chain id probing is needed
+     * @param {string} rpcUrl - RPC URL
+     * @param {string} chainName - Chain name
+     * @returns {ethers.JsonRpcProvider} Provider
+     * @private
+     */
+    _createProvider(rpcUrl, chainName) {
+        const config = this.configManager.getChainConfig(chainName);
+        const network = config && config.chainId ? ethers.Network.from(config.chainId) : undefined;
+        return new ethers.JsonRpcProvider(rpcUrl, network, { staticNetwork: network || null, batchMaxCount: 1 });
+    }
+
+    /**
+     * Extract a readable message from an ethers RPC error
+     * @param {Error} error - Error
+     * @returns {string} Message
+     * @private
+     */
+    _errorMessage(error) {
+        return (error.error && error.error.message) || error.shortMessage || error.message;
+    }
+}
+
+module.exports = TraceFetcher;
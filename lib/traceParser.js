@@ -1,4 +1,13 @@
 const { ethers } = require('ethers');
+const CallTree = require('./callTree');
+const { CallbackTemplateRegistry } = require('./callbackTemplates');
+const ParamNormalizer = require('./paramNormalizer');
+const CalldataVerifier = require('./calldataVerifier');
+const { ContractDefinition, Block } = require('./solidityEmitter');
+const { decodedParam, isIdentifier, StructRegistry } = require('./abiTypes');
+
+// Integers below this are too common to tell a dataflow from a coincidence
+const MIN_LINKED_VALUE = 65536n;
 
 /**
  * Trace Parser Module
@@ -10,6 +19,11 @@ class TraceParser {
         this.rpcManager = rpcManager;
         this.tokenManager = tokenManager;
         this.abiManager = abiManager;
+        this.callbackTemplates = new CallbackTemplateRegistry();
+        this.paramNormalizer = new ParamNormalizer();
+        this.calldataVerifier = new CalldataVerifier(this.paramNormalizer);
+        // Structs of the test being generated, shared by its interfaces and the literals passed to them
+        this.structRegistry = new StructRegistry();
     }
 
     /**
@@ -18,6 +32,12 @@ class TraceParser {
      * @returns {string|null} Transaction hash or null
      */
     extractTransactionHashFromTrace(traceData) {
+        // Input adapters put the hash on the normalized trace when the source format has it
+        if (traceData && traceData.transactionHash) {
+            console.log(`Found transaction hash in trace: ${traceData.transactionHash}`);
+            return traceData.transactionHash;
+        }
+
         if (!traceData || !traceData.dataMap) return null;
 
         // Look for transaction hash in trace entries
@@ -85,343 +105,614 @@ class TraceParser {
     }
 
     /**
-     * Extract calls within flashloan range that should be in callback
-     * @param {Object} dataMap - Trace data map
-     * @param {number} startId - Start ID of range
-     * @param {number} endId - End ID of range
+     * Resolve the template a callback is generated with
+     * Traced selectors are matched against the template signatures; only callbacks traced
+     * without a selector fall back to their name
+     * @param {string} methodName - Decoded callback name
+     * @param {string} selector - Traced 4-byte selector
+     * @returns {string|null} Callback type, or null when the callback needs the fallback stub
+     */
+    resolveCallbackTemplate(methodName, selector) {
+        const template = selector
+            ? this.callbackTemplates.findBySelector(selector)
+            : this.callbackTemplates.findByFunctionName(methodName || '') ||
+                this.callbackTemplates.get(this.detectCallbackType(methodName || '', '', ''));
+
+        return template ? template.name : null;
+    }
+
+    /**
+     * Build the call tree for trace data
+     * @param {Object} traceData - Trace data object
+     * @returns {CallTree} Call tree reconstructed from mainTrace/parentIdMap
+     */
+    buildCallTree(traceData) {
+        return CallTree.fromTraceData(traceData || {});
+    }
+
+    /**
+     * Extract the calls the main address makes inside a callback node's subtree
+     * @param {CallTree} callTree - Call tree
+     * @param {Object} node - Node whose subtree holds the callback execution
      * @param {string} mainAddress - Main address
      * @param {Map} contracts - Contracts map
      * @param {Map} addressRegistry - Address registry
      * @param {Map} addressCounter - Address counter
-     * @returns {Promise<Array>} Array of calls in callback
+     * @returns {Promise<Array>} Array of calls in callback, in execution order
      */
-    async extractCallsInFlashloanRange(dataMap, startId, endId, mainAddress, contracts, addressRegistry, addressCounter) {
+    async extractCallsInCallback(callTree, node, mainAddress, contracts, addressRegistry, addressCounter) {
         const callsInCallback = [];
 
-        // Look for calls from the main address that happen within the flashloan range
-        for (let id = startId + 1; id < endId; id++) {
-            const entry = dataMap[id];
-            if (!entry) continue;
-
-            // Look for invocations from main address
-            // Handle both plural and singular forms
-            const invocations = entry.invocations || (entry.invocation ? [entry.invocation] : []);
-
-            for (const invocation of invocations) {
-                // Check both 'from' and 'fromAddress' fields
-                const fromAddr = invocation.from || invocation.fromAddress;
-                if (fromAddr && fromAddr.toLowerCase() === mainAddress.toLowerCase()) {
-                    let methodName = 'unknown';
-                    let signature = 'unknown()';
-                    let params = [];
-
-                    // Try to decode the method call
-                    if (invocation.decodedMethod && invocation.decodedMethod.name) {
-                        methodName = invocation.decodedMethod.name;
-                        signature = invocation.decodedMethod.signature || `${methodName}()`;
-                        params = invocation.decodedMethod.callParams || [];
-                    } else if (invocation.selector) {
-                        // Try to decode using ABI first
-                        const abi = this.abiManager.loadContractABI(invocation.to);
-                        const decodedCall = abi && invocation.callData
-                            ? await this.abiManager.decodeFunctionCall(invocation.to, invocation.callData, abi)
-                            : null;
-
-                        if (decodedCall) {
-                            // Successfully decoded using ABI
-                            methodName = decodedCall.name;
-                            signature = decodedCall.signature;
-
-                            // Convert ABI inputs to our parameter format
-                            if (decodedCall.decodedData && decodedCall.inputs) {
-                                params = decodedCall.inputs.map((input, index) => ({
-                                    type: input.type,
-                                    name: input.name || `param${index}`,
-                                    value: decodedCall.decodedData[index]?.toString() || 'unknown'
-                                }));
-                            } else {
-                                // Fallback to raw call data
-                                params = [{
-                                    type: 'bytes',
-                                    value: invocation.callData
-                                }];
-                            }
-                        } else {
-                            // Try API with fallback if we have a selector but no ABI match
-                            let apiDecoded = false;
-                            if (invocation.selector) {
+        for (const callNode of callTree.getNestedCalls(node, mainAddress)) {
+            const call = await this._decodeInvocationCall(callNode.invocation, contracts, addressRegistry, addressCounter);
+            call.nodeId = callNode.id;
+            callsInCallback.push(call);
+        }
+
+        return callsInCallback;
+    }
+
+    /**
+     * Extract the events emitted inside an invocation's subtree, in emission order
+     * Events from reverted frames are dropped since they never reach the transaction logs
+     * @param {CallTree} callTree - Call tree of the trace
+     * @param {Object} node - Invocation node whose subtree is searched
+     * @returns {Array<Object>} Events with contract, topics, logData and, when decodable, name/params/indexed
+     */
+    extractEmittedEvents(callTree, node) {
+        return callTree.getDescendants(node)
+            .filter(descendant => descendant.nodeType === CallTree.NODE_TYPES.EVENT && descendant.event)
+            .filter(descendant => !callTree.isReverted(descendant))
+            .map(descendant => {
+                const event = descendant.event;
+                const decodedLog = event.decodedLog;
+                const params = decodedLog && Array.isArray(decodedLog.params) ? decodedLog.params : null;
+                const indexed = params
+                    ? this.abiManager.inferIndexedEventParams(params, event.topics || [], event.logData)
+                    : null;
+
+                return {
+                    nodeId: descendant.id,
+                    contract: event.contract.toLowerCase(),
+                    topics: event.topics || [],
+                    logData: event.logData || '0x',
+                    name: indexed ? decodedLog.name : null,
+                    signature: indexed ? decodedLog.signature || null : null,
+                    params: indexed ? this.paramNormalizer.normalizeParams(params) : null,
+                    indexed: indexed
+                };
+            });
+    }
+
+    /**
+     * Extract the storage writes made inside an invocation's subtree, in execution order
+     * Writes from reverted frames are dropped since they never reach the final state
+     * @param {CallTree} callTree - Call tree of the trace
+     * @param {Object} node - Invocation node whose subtree is searched
+     * @returns {Array<Object>} Writes with contract, key, prev and current
+     */
+    extractStorageWrites(callTree, node) {
+        return callTree.getDescendants(node)
+            .filter(descendant => descendant.nodeType === CallTree.NODE_TYPES.SLOT_WRITE && descendant.slotWrite)
+            .filter(descendant => !callTree.isReverted(descendant))
+            .map(descendant => ({
+                nodeId: descendant.id,
+                contract: descendant.slotWrite.contract.toLowerCase(),
+                key: descendant.slotWrite.key,
+                prev: descendant.slotWrite.prev,
+                current: descendant.slotWrite.current
+            }));
+    }
+
+    /**
+     * Extract the storage values the transaction observed before changing them
+     * Only the first read of each (contract, slot) counts, and only if the slot was not written earlier
+     * @param {CallTree} callTree - Call tree of the trace
+     * @returns {Array<Object>} Reads with contract, key and value, in execution order
+     */
+    extractPrestateReads(callTree) {
+        const seen = new Set();
+        const reads = [];
+
+        for (const node of callTree.getOrderedNodes()) {
+            const slot = node.slotRead || node.slotWrite;
+            if (!slot || !slot.contract) continue;
+
+            const slotId = `${slot.contract.toLowerCase()}:${slot.key.toLowerCase()}`;
+            if (seen.has(slotId)) continue;
+            seen.add(slotId);
+
+            if (node.nodeType === CallTree.NODE_TYPES.SLOT_READ) {
+                reads.push({
+                    nodeId: node.id,
+                    contract: slot.contract.toLowerCase(),
+                    key: slot.key,
+                    value: slot.value
+                });
+            }
+        }
+
+        return reads;
+    }
+
+    /**
+     * Decode a single invocation into a call description, registering its target
+     * @param {Object} invocation - Invocation data
+     * @param {Map} contracts - Contracts map
+     * @param {Map} addressRegistry - Address registry
+     * @param {Map} addressCounter - Address counter
+     * @returns {Promise<Object>} Call description
+     * @private
+     */
+    async _decodeInvocationCall(invocation, contracts, addressRegistry, addressCounter) {
+        const targetAddress = invocation.to || invocation.address;
+        const tracedCalldata = this.calldataVerifier.getTracedCalldata(invocation);
+        let methodName = 'unknown';
+        let signature = 'unknown()';
+        let params = [];
+
+        // Try to decode the method call
+        if (invocation.decodedMethod && invocation.decodedMethod.name) {
+            methodName = invocation.decodedMethod.name;
+            signature = invocation.decodedMethod.signature || `${methodName}()`;
+            params = invocation.decodedMethod.callParams || [];
+        } else if (invocation.selector) {
+            // Try to decode using ABI first
+            const abi = this.abiManager.loadContractABI(targetAddress);
+            const decodedCall = abi && tracedCalldata !== '0x'
+                ? await this.abiManager.decodeFunctionCall(targetAddress, tracedCalldata, abi)
+                : null;
+
+            if (decodedCall) {
+                // Successfully decoded using ABI
+                methodName = decodedCall.name;
+                signature = decodedCall.signature;
+
+                // Convert ABI inputs to our parameter format
+                if (decodedCall.decodedData && decodedCall.inputs) {
+                    params = decodedCall.inputs.map((input, index) => decodedCall.decodedData[index] === undefined
+                        ? { type: input.type, name: input.name || `param${index}`, value: 'unknown' }
+                        : decodedParam(input, decodedCall.decodedData[index], input.name || `param${index}`));
+                } else {
+                    // Fallback to raw call data
+                    params = [{
+                        type: 'bytes',
+                        value: tracedCalldata
+                    }];
+                }
+            } else {
+                // Try API with fallback if we have a selector but no ABI match
+                let apiDecoded = false;
+                if (invocation.selector) {
+                    try {
+                        const apiResult = await this.abiManager.lookupFunctionSignatureWithFallback(invocation.selector);
+                        if (apiResult) {
+                            methodName = apiResult.functionName;
+                            signature = apiResult.textSignature;
+                            // Mark as decoded since we have function name and signature from API
+                            apiDecoded = true;
+
+                            // Try to decode parameters using the API result
+                            if (tracedCalldata && tracedCalldata.length > 10) {
                                 try {
-                                    const apiResult = await this.abiManager.lookupFunctionSignatureWithFallback(invocation.selector);
-                                    if (apiResult) {
-                                        methodName = apiResult.functionName;
-                                        signature = apiResult.textSignature;
-                                        // Mark as decoded since we have function name and signature from API
-                                        apiDecoded = true;
-
-                                        // Try to decode parameters using the API result
-                                        if (invocation.callData && invocation.callData.length > 10) {
-                                            try {
-                                                const paramData = '0x' + invocation.callData.slice(10);
-                                                const decodedParams = ethers.AbiCoder.defaultAbiCoder().decode(
-                                                    apiResult.parameters,
-                                                    paramData
-                                                );
-
-                                                // Convert to our parameter format
-                                                params = apiResult.parameters.map((paramType, index) => ({
-                                                    type: paramType,
-                                                    name: `param${index}`,
-                                                    value: decodedParams[index]?.toString() || 'unknown'
-                                                }));
-
-                                                console.log(`Successfully decoded ${methodName} with ${params.length} parameters using API`);
-
-                                                // Special handling for known KiloEx functions
-                                                if (methodName === 'decreasePosition' || methodName === 'increasePosition') {
-                                                    try {
-                                                        // KiloEx position functions have complex struct parameters
-                                                        if (params.length >= 2) {
-                                                            // Try to parse the struct parameter (usually first parameter)
-                                                            const structParam = decodedParams[0];
-                                                            if (structParam && typeof structParam === 'object') {
-                                                                // Format as struct call
-                                                                const structFields = Object.keys(structParam)
-                                                                    .filter(key => !key.match(/^\d+$/)) // Filter out numeric indices
-                                                                    .map(key => `${key}: ${structParam[key]}`);
-
-                                                                params[0].value = `{ ${structFields.join(', ')} }`;
-                                                            }
-                                                        }
-                                                    } catch (structError) {
-                                                        console.warn(`Failed to parse struct parameter for ${methodName}: ${structError.message}`);
-                                                        // Keep original decoded parameters
-                                                    }
-                                                } else {
-                                                    // Generic parsing for other functions
-                                                    params.forEach((param, index) => {
-                                                        try {
-                                                            const rawValue = decodedParams[index];
-                                                            if (rawValue !== undefined) {
-                                                                // Handle different data types
-                                                                if (typeof rawValue === 'bigint') {
-                                                                    param.value = rawValue.toString();
-                                                                } else if (Array.isArray(rawValue)) {
-                                                                    param.value = `[${rawValue.join(', ')}]`;
-                                                                } else if (typeof rawValue === 'object' && rawValue !== null) {
-                                                                    // Handle struct-like objects
-                                                                    param.value = JSON.stringify(rawValue);
-                                                                } else {
-                                                                    param.value = rawValue.toString();
-                                                                }
-                                                            }
-                                                        } catch (paramError) {
-                                                            console.warn(`Failed to format parameter ${index}: ${paramError.message}`);
-                                                        }
-                                                    });
+                                    const paramData = '0x' + tracedCalldata.slice(10);
+                                    const decodedParams = ethers.AbiCoder.defaultAbiCoder().decode(
+                                        apiResult.parameters,
+                                        paramData
+                                    );
+
+                                    // Convert to our parameter format
+                                    params = apiResult.parameters.map((paramType, index) => ({
+                                        type: paramType,
+                                        name: `param${index}`,
+                                        value: decodedParams[index]?.toString() || 'unknown'
+                                    }));
+
+                                    console.log(`Successfully decoded ${methodName} with ${params.length} parameters using API`);
+
+                                    // Special handling for known KiloEx functions
+                                    if (methodName === 'decreasePosition' || methodName === 'increasePosition') {
+                                        try {
+                                            // KiloEx position functions have complex struct parameters
+                                            if (params.length >= 2) {
+                                                // Try to parse the struct parameter (usually first parameter)
+                                                const structParam = decodedParams[0];
+                                                if (structParam && typeof structParam === 'object') {
+                                                    // Format as struct call
+                                                    const structFields = Object.keys(structParam)
+                                                        .filter(key => !key.match(/^\d+$/)) // Filter out numeric indices
+                                                        .map(key => `${key}: ${structParam[key]}`);
+
+                                                    params[0].value = `{ ${structFields.join(', ')} }`;
                                                 }
-                                            } catch (decodeError) {
-                                                console.warn(`Failed to decode parameters for ${methodName}: ${decodeError.message}`);
-                                                params = [{ type: 'bytes', value: invocation.callData }];
                                             }
-
-                                            // Mark as decoded so we use the proper function name and interface
-                                            invocation.decodedMethod = {
-                                                name: methodName,
-                                                signature: signature,
-                                                callParams: params
-                                            };
+                                        } catch (structError) {
+                                            console.warn(`Failed to parse struct parameter for ${methodName}: ${structError.message}`);
+                                            // Keep original decoded parameters
                                         }
+                                    } else {
+                                        // Generic parsing for other functions
+                                        params.forEach((param, index) => {
+                                            try {
+                                                const rawValue = decodedParams[index];
+                                                if (rawValue !== undefined) {
+                                                    // Tuples and arrays keep their structure, integers become decimal strings
+                                                    Object.assign(param, decodedParam(param.type, rawValue, param.name));
+                                                }
+                                            } catch (paramError) {
+                                                console.warn(`Failed to format parameter ${index}: ${paramError.message}`);
+                                            }
+                                        });
                                     }
-                                } catch (apiError) {
-                                    console.warn(`API lookup failed for ${invocation.selector}: ${apiError.message}`);
+                                } catch (decodeError) {
+                                    console.warn(`Failed to decode parameters for ${methodName}: ${decodeError.message}`);
+                                    params = [{ type: 'bytes', value: tracedCalldata }];
                                 }
-                            }
 
-                            if (!apiDecoded) {
-                                // Ultimate fallback - use selector as method name
-                                if (invocation.selector) {
-                                    methodName = `method_${invocation.selector.slice(2)}`;
-                                    signature = `${methodName}()`;
-                                }
-                                params = invocation.callData ? [{ type: 'bytes', value: invocation.callData }] : [];
+                                // Mark as decoded so we use the proper function name and interface
+                                invocation.decodedMethod = {
+                                    name: methodName,
+                                    signature: signature,
+                                    callParams: params
+                                };
                             }
                         }
+                    } catch (apiError) {
+                        console.warn(`API lookup failed for ${invocation.selector}: ${apiError.message}`);
                     }
+                }
 
-                    // Register address and update interface
-                    const addressVar = this._registerAddress(invocation.to, addressRegistry, addressCounter);
-                    this._updateContractInterface(invocation.to, signature, contracts);
-
-                    callsInCallback.push({
-                        to: invocation.to,
-                        addressVar: addressVar,
-                        methodName: methodName,
-                        signature: signature,
-                        params: params,
-                        value: invocation.value || '0',
-                        gasUsed: invocation.gasUsed || 'unknown',
-                        callData: invocation.callData
-                    });
+                if (!apiDecoded) {
+                    // Ultimate fallback - use selector as method name
+                    if (invocation.selector) {
+                        methodName = `method_${invocation.selector.slice(2)}`;
+                        signature = `${methodName}()`;
+                    }
+                    params = tracedCalldata !== '0x' ? [{ type: 'bytes', value: tracedCalldata }] : [];
                 }
             }
         }
 
-        return callsInCallback;
+        const call = {
+            to: targetAddress,
+            addressVar: this._registerAddress(targetAddress, addressRegistry, addressCounter),
+            methodName: methodName,
+            signature: signature,
+            params: this.paramNormalizer.normalizeParams(params),
+            returnParams: this.paramNormalizer.normalizeParams(invocation.decodedMethod?.returnParams || []),
+            value: invocation.value || '0',
+            operation: (invocation.operation || 'CALL').toUpperCase(),
+            gasUsed: invocation.gasUsed || 'unknown',
+            callData: tracedCalldata,
+            rawCalldata: null
+        };
+
+        this.verifyCallEncoding(call, invocation, addressRegistry);
+        if (call.signature) {
+            this._updateContractInterface(targetAddress, call.signature, contracts);
+        }
+
+        return call;
     }
 
     /**
-     * Extract callback data from flashloan calldata
-     * @param {string} callData - Flashloan call data
-     * @param {Object} dataMap - Trace data map
-     * @param {number} callId - Call ID
+     * Generate callback functions with actual implementations, rendered on their own
+     * @param {Map} callbacks - Callback type to invocations, each with caller and calls
+     * @param {Map} contracts - Contracts map
+     * @param {Map} addressRegistry - Address registry
      * @param {string} mainAddress - Main address
-     * @returns {Object|null} Callback data or null
-     */
-    extractCallbackData(callData, dataMap, callId, mainAddress) {
-        // Look for subsequent calls that represent the callback execution
-        const callbackCalls = [];
-
-        // Search for calls in the next few entries that come from main address
-        for (let searchId = callId + 1; searchId <= callId + 100; searchId++) {
-            const entry = dataMap[searchId];
-            if (!entry || !entry.invocations) continue;
-
-            // Handle both plural and singular forms
-            const invocations = entry.invocations || (entry.invocation ? [entry.invocation] : []);
-            const relevantCalls = invocations.filter(inv => {
-                const fromAddr = inv.from || inv.fromAddress;
-                return fromAddr && fromAddr.toLowerCase() === mainAddress.toLowerCase();
-            });
+     * @returns {string} Generated callback functions
+     */
+    generateCallbackFunctions(callbacks, contracts, addressRegistry, mainAddress) {
+        const contract = new ContractDefinition('contract', 'Callbacks');
+        this.addCallbackFunctions(contract, callbacks, contracts, addressRegistry, mainAddress);
+        return contract.renderMembers();
+    }
 
-            callbackCalls.push(...relevantCalls);
+    /**
+     * Add the callback functions, with the structs and counters they need, to a contract
+     * Every invocation of a callback is kept; when their bodies differ, the function dispatches
+     * to the right one by caller, or by invocation order when callers repeat
+     * @param {ContractDefinition} contract - Contract receiving the callbacks
+     * @param {Map} callbacks - Callback type to invocations, each with caller and calls
+     * @param {Map} contracts - Contracts map
+     * @param {Map} addressRegistry - Address registry
+     * @param {string} mainAddress - Main address
+     */
+    addCallbackFunctions(contract, callbacks, contracts, addressRegistry, mainAddress) {
+        const templates = [];
+        const structs = new Set();
+
+        for (const [callbackType, invocations] of callbacks.entries()) {
+            if (callbackType === 'fallback' || callbackType === 'receive') {
+                templates.push({ callbackType, invocations: invocations || [] });
+                continue;
+            }
+
+            const template = this.callbackTemplates.get(callbackType);
+            if (!template) {
+                console.warn(`⚠️  No callback template for ${callbackType}, skipping its callback`);
+                continue;
+            }
+            // Aliases resolve to the same function, which can only be declared once
+            if (templates.some(known => known.template && known.template.name === template.name)) continue;
 
-            // Stop if we find a clear end pattern or too many calls
-            if (callbackCalls.length > 20) break;
+            template.structs.forEach(struct => structs.add(struct));
+            templates.push({ callbackType, template, invocations: invocations || [] });
         }
 
-        if (callbackCalls.length === 0) return null;
+        if (structs.size > 0) {
+            structs.forEach(struct => contract.declaration(struct));
+            contract.blank();
+        }
 
-        return {
-            type: 'flashloan_callback',
-            calls: callbackCalls,
-            startId: callId + 1,
-            endId: callId + Math.min(100, callbackCalls.length + 10)
-        };
+        for (const { callbackType, template, invocations } of templates) {
+            if (callbackType === 'fallback') {
+                this._generateFallbackCallback(contract, invocations, contracts, addressRegistry, mainAddress);
+            } else if (callbackType === 'receive') {
+                this._generateReceiveCallback(contract, invocations, contracts, addressRegistry, mainAddress);
+            } else {
+                this._generateTemplateCallback(contract, template, invocations, contracts, addressRegistry, mainAddress);
+            }
+        }
     }
 
     /**
-     * Generate callback functions with actual implementations
-     * @param {Map} callbacks - Map of callback data
+     * Generate the function a template describes, replaying the calls traced inside the callback
+     * The template's repayment is only emitted when the trace has no calls to replay,
+     * since a traced body already repays the lender itself
+     * @param {ContractDefinition} contract - Contract receiving the callback
+     * @param {Object} template - Callback template
+     * @param {Array<Object>} invocations - Traced invocations of the callback, in execution order
      * @param {Map} contracts - Contracts map
      * @param {Map} addressRegistry - Address registry
      * @param {string} mainAddress - Main address
-     * @returns {string} Generated callback functions
+     * @private
      */
-    generateCallbackFunctions(callbacks, contracts, addressRegistry, mainAddress) {
-        let functions = '';
-
-        for (const [callbackType, callbackData] of callbacks.entries()) {
-            if (callbackType === 'aave_flashloan' || callbackType === 'generic_flashloan') {
-                functions += `    // Flash loan callback function\n`;
-                functions += `    function executeOperation(\n`;
-                functions += `        address[] calldata assets,\n`;
-                functions += `        uint256[] calldata amounts,\n`;
-                functions += `        uint256[] calldata premiums,\n`;
-                functions += `        address initiator,\n`;
-                functions += `        bytes calldata params\n`;
-                functions += `    ) external override returns (bool) {\n`;
-
-                if (callbackData && callbackData.length > 0) {
-                    functions += `        // Callback implementation based on trace\n\n`;
-
-                    for (const call of callbackData) {
-                        const addressVar = addressRegistry.get(call.to) || `address(${call.to})`;
-                        const formattedParams = this._formatCallParameters(call.params, addressRegistry, mainAddress);
-
-                        functions += `        // Call ${call.methodName}\n`;
-                        if (call.value && call.value !== '0') {
-                            functions += `        ${addressVar}.call{value: ${call.value}}(\n`;
-                            functions += `            abi.encodeWithSignature("${call.signature}", ${formattedParams})\n`;
-                            functions += `        );\n\n`;
-                        } else {
-                            functions += `        I${this._getInterfaceName(call.to, contracts)}.${call.methodName}(${formattedParams});\n\n`;
-                        }
-                    }
-                } else {
-                    functions += `        // TODO: Implement callback logic based on your requirements\n\n`;
-                }
+    _generateTemplateCallback(contract, template, invocations, contracts, addressRegistry, mainAddress) {
+        const functionName = template.signature.split('(')[0];
+        const callback = contract.createFunction({
+            name: functionName,
+            params: template.parameters,
+            attributes: ['external'],
+            returns: template.returns,
+            multilineParams: true
+        });
+
+        callback.comment(`${template.protocol} callback`);
+        if (template.repayment) {
+            callback.comment(`Repayment: ${template.repayment}`);
+        }
+        if (template.note) {
+            callback.comment(`Note: ${template.note}`);
+        }
 
-                functions += `        return true;\n`;
-                functions += `    }\n\n`;
+        const body = callback.body;
+        if (invocations.some(invocation => invocation.calls && invocation.calls.length > 0)) {
+            body.comment('Callback implementation based on trace');
+        }
 
-            } else if (callbackType === 'morpho_blue_callback') {
-                functions += `    // Morpho Blue callback function\n`;
-                functions += `    function onMorphoFlashLoan(\n`;
-                functions += `        uint256 assets,\n`;
-                functions += `        bytes calldata data\n`;
-                functions += `    ) external {\n`;
+        // Overloaded callbacks (executeOperation, onFlashLoan) each count their own invocations
+        const counter = contract.scope.declare(`${functionName}Calls`);
+        const usesCounter = this._generateInvocationDispatch(body, invocations, counter, addressRegistry, template.reentrant, (block, invocation) => {
+            const calls = invocation.calls || [];
+            if (calls.length === 0) {
+                block.comment('TODO: Implement callback logic based on your requirements');
+                template.repay.forEach(line => block.line(line));
+                return;
+            }
+            calls.forEach(call => this._generateCallbackCall(block, call, contracts, addressRegistry, mainAddress));
+        });
 
-                if (callbackData && callbackData.length > 0) {
-                    functions += `        // Callback implementation based on trace\n\n`;
+        if (template.returnValue) {
+            body.blank().statement(`return ${template.returnValue}`);
+        }
+
+        if (usesCounter) {
+            contract.comment(`Invocations of ${functionName} so far`);
+            contract.declaration(`uint256 internal ${counter};`);
+        }
+        contract.addFunction(callback);
+    }
 
-                    for (const call of callbackData) {
-                        const addressVar = addressRegistry.get(call.to) || `address(${call.to})`;
-                        const formattedParams = this._formatCallParameters(call.params, addressRegistry, mainAddress);
+    /**
+     * Generate a fallback function dispatching callbacks without a template by selector
+     * Each branch replays the callback's calls and returns the traced return data
+     * @param {ContractDefinition} contract - Contract receiving the callbacks
+     * @param {Array<Object>} invocations - Callbacks with selector, signature, output, caller and calls
+     * @param {Map} contracts - Contracts map
+     * @param {Map} addressRegistry - Address registry
+     * @param {string} mainAddress - Main address
+     * @private
+     */
+    _generateFallbackCallback(contract, invocations, contracts, addressRegistry, mainAddress) {
+        const bySelector = new Map();
+        for (const invocation of invocations) {
+            if (!bySelector.has(invocation.selector)) {
+                bySelector.set(invocation.selector, []);
+            }
+            bySelector.get(invocation.selector).push(invocation);
+        }
 
-                        functions += `        // Call ${call.methodName}\n`;
-                        functions += `        I${this._getInterfaceName(call.to, contracts)}.${call.methodName}(${formattedParams});\n\n`;
-                    }
-                }
+        const fallback = contract.createFunction({
+            name: 'fallback',
+            params: ['bytes calldata'],
+            attributes: ['external', 'payable'],
+            returns: 'bytes memory'
+        });
+        fallback.comment('Callbacks without a known interface, dispatched by selector');
+
+        let usesCounter = false;
+        for (const [selector, selectorInvocations] of bySelector.entries()) {
+            fallback.body.comment(selectorInvocations[0].signature || 'Unknown callback');
+            const branch = fallback.body.if(`msg.sig == ${selector}`);
+            const dispatched = this._generateInvocationDispatch(branch, selectorInvocations, 'fallbackCalls[msg.sig]', addressRegistry, false, (block, invocation) => {
+                const output = invocation.output && invocation.output !== '0x' ? invocation.output.slice(2) : '';
+                (invocation.calls || []).forEach(call => this._generateCallbackCall(block, call, contracts, addressRegistry, mainAddress));
+                block.statement(`return hex"${output}"`);
+            });
+            usesCounter = usesCounter || dispatched;
+            fallback.body.blank();
+        }
+        fallback.body.statement('revert("Unexpected callback")');
 
-                functions += `    }\n\n`;
+        if (usesCounter) {
+            contract.comment('Invocations of each fallback callback so far');
+            contract.variable('mapping(bytes4 => uint256) internal', 'fallbackCalls');
+        }
+        contract.addFunction(fallback);
+    }
 
-            } else if (callbackType === 'uniswap_v3_swap') {
-                functions += `    // Uniswap V3 swap callback function\n`;
-                functions += `    function uniswapV3SwapCallback(\n`;
-                functions += `        int256 amount0Delta,\n`;
-                functions += `        int256 amount1Delta,\n`;
-                functions += `        bytes calldata data\n`;
-                functions += `    ) external {\n`;
+    /**
+     * Generate a receive function replaying the calls made when Ether arrived
+     * Every entry is counted, so re-entrant transfers replay their own calls in trace order
+     * @param {ContractDefinition} contract - Contract receiving the transfers
+     * @param {Array<Object>} invocations - Calls into the contract without calldata, with caller and calls
+     * @param {Map} contracts - Contracts map
+     * @param {Map} addressRegistry - Address registry
+     * @param {string} mainAddress - Main address
+     * @private
+     */
+    _generateReceiveCallback(contract, invocations, contracts, addressRegistry, mainAddress) {
+        const receive = contract.createFunction({ name: 'receive', attributes: ['external', 'payable'] });
+        if (!invocations.some(invocation => invocation.calls && invocation.calls.length > 0)) {
+            contract.addFunction(receive);
+            return;
+        }
 
-                if (callbackData && callbackData.length > 0) {
-                    functions += `        // Callback implementation based on trace\n\n`;
+        receive.comment('Ether transfers into the contract, re-entering where the trace did');
+        const usesCounter = this._generateInvocationDispatch(receive.body, invocations, 'receiveCalls', addressRegistry, true, (block, invocation) =>
+            invocation.calls.forEach(call => this._generateCallbackCall(block, call, contracts, addressRegistry, mainAddress))
+        );
 
-                    for (const call of callbackData) {
-                        const addressVar = addressRegistry.get(call.to) || `address(${call.to})`;
-                        const formattedParams = this._formatCallParameters(call.params, addressRegistry, mainAddress);
+        if (usesCounter) {
+            contract.comment('Ether transfers received so far');
+            contract.variable('uint256 internal', 'receiveCalls');
+        }
+        contract.addFunction(receive);
+    }
 
-                        functions += `        // Call ${call.methodName}\n`;
-                        functions += `        I${this._getInterfaceName(call.to, contracts)}.${call.methodName}(${formattedParams});\n\n`;
-                    }
-                }
+    /**
+     * Generate the body of a callback invoked several times
+     * Identical bodies are emitted once. Otherwise each invocation gets a branch, selected by
+     * msg.sender when every invocation has its own caller, or else by an invocation counter;
+     * the counter is incremented on entry, so callbacks nested in one another keep trace order
+     * @param {Block} block - Block receiving the statements
+     * @param {Array<Object>} invocations - Invocations in execution order
+     * @param {string} counter - Solidity expression of the invocation counter
+     * @param {Map} addressRegistry - Address registry
+     * @param {boolean} byOrder - Always dispatch by the counter, as re-entrant hooks do
+     * @param {Function} renderBody - (block, invocation) => adds the statements of one invocation
+     * @returns {boolean} Whether the statements use the counter
+     * @private
+     */
+    _generateInvocationDispatch(block, invocations, counter, addressRegistry, byOrder, renderBody) {
+        const list = invocations.length > 0 ? invocations : [{ calls: [] }];
+        const bodies = list.map(invocation => {
+            const preview = new Block(block.scope.child());
+            renderBody(preview, invocation);
+            return preview.render();
+        });
+        if (bodies.every(body => body === bodies[0])) {
+            renderBody(block, list[0]);
+            return false;
+        }
 
-                functions += `    }\n\n`;
+        const callers = list.map(invocation => (invocation.caller || '').toLowerCase());
+        const bySender = !byOrder && callers.every(caller => caller) && new Set(callers).size === callers.length;
 
-            } else if (callbackType === 'uniswap_v3_flash') {
-                functions += `    // Uniswap V3 flash callback function\n`;
-                functions += `    function uniswapV3FlashCallback(\n`;
-                functions += `        uint256 fee0,\n`;
-                functions += `        uint256 fee1,\n`;
-                functions += `        bytes calldata data\n`;
-                functions += `    ) external {\n`;
+        let invocationIndex = null;
+        if (bySender) {
+            block.comment(`Invoked ${list.length} times, each time by another caller`);
+        } else {
+            block.comment(`Invoked ${list.length} times, told apart by order`);
+            invocationIndex = block.declare('uint256', 'invocation', `${counter}++`);
+        }
 
-                if (callbackData && callbackData.length > 0) {
-                    functions += `        // Callback implementation based on trace\n\n`;
+        list.forEach((invocation, index) => {
+            const condition = bySender
+                ? `msg.sender == ${this._getAddressExpression(invocation.caller, addressRegistry)}`
+                : `${invocationIndex} == ${index}`;
+            renderBody(index === 0 ? block.if(condition) : block.elseIf(condition), invocation);
+        });
 
-                    for (const call of callbackData) {
-                        const addressVar = addressRegistry.get(call.to) || `address(${call.to})`;
-                        const formattedParams = this._formatCallParameters(call.params, addressRegistry, mainAddress);
+        return !bySender;
+    }
 
-                        functions += `        // Call ${call.methodName}\n`;
-                        functions += `        I${this._getInterfaceName(call.to, contracts)}.${call.methodName}(${formattedParams});\n\n`;
-                    }
-                }
+    /**
+     * Generate the statements replaying one call made inside a callback
+     * @param {Block} block - Block receiving the statements
+     * @param {Object} call - Extracted call
+     * @param {Map} contracts - Contracts map
+     * @param {Map} addressRegistry - Address registry
+     * @param {string} mainAddress - Main address
+     * @private
+     */
+    _generateCallbackCall(block, call, contracts, addressRegistry, mainAddress) {
+        const target = this._getAddressExpression(call.to, addressRegistry);
+        const value = call.value && call.value !== '0' ? `{value: ${call.value}}` : '';
 
-                functions += `    }\n\n`;
-            }
+        block.comment(call.methodName);
+
+        if (!call.signature && call.rawCalldata !== null && call.rawCalldata !== undefined) {
+            const [success] = block.declareTuple([{ type: 'bool', name: 'success' }, null], `${target}.call${value}(${this.formatRawCalldata(call.rawCalldata)})`);
+            block.statement(`require(${success}, "Raw call failed")`);
+            return;
+        }
+        this.emitInterfaceCall(block, call, contracts, addressRegistry, mainAddress);
+    }
+
+    /**
+     * Emit a call through the target's interface, declaring the locals that capture its used results
+     * @param {Block} block - Block receiving the statement
+     * @param {Object} call - Call with signature and params, annotated by linkReturnValues
+     * @param {Map} contracts - Contracts map
+     * @param {Map} addressRegistry - Address registry
+     * @param {string} mainAddress - Main address
+     * @param {string} selfExpr - Expression standing in for the main address where the call is emitted
+     */
+    emitInterfaceCall(block, call, contracts, addressRegistry, mainAddress, selfExpr = 'address(this)') {
+        const target = this._getAddressExpression(call.to, addressRegistry);
+        const formattedParams = this._formatCallParameters(call.params, addressRegistry, mainAddress, { block, selfExpr });
+        // Functions sent value are declared payable
+        const value = call.value && call.value !== '0' ? `{value: ${call.value}}` : '';
+        const expression = `${this._getInterfaceName(call.to, contracts)}(${target}).${call.methodName}${value}(${formattedParams})`;
+        const captures = call.captures || [];
+
+        if (captures.length === 0) {
+            block.statement(expression);
+            return;
+        }
+
+        // Locals are named when declared; linked arguments read the name from their capture
+        const localType = returned => this.structRegistry.solidityType(this.structRegistry.typeOf(returned), 'memory', returned.name);
+        if (call.returnParams.length === 1) {
+            captures[0].local = block.declare(localType(call.returnParams[0]), captures[0].name, expression);
+            return;
         }
 
-        return functions;
+        // Tuple results are destructured, leaving the unused ones blank
+        const captureAt = index => captures.find(known => known.index === index);
+        const components = call.returnParams.map((returned, index) =>
+            captureAt(index) ? { type: localType(returned), name: captureAt(index).name } : null
+        );
+        block.declareTuple(components, expression).forEach((local, index) => {
+            if (local !== null) {
+                captureAt(index).local = local;
+            }
+        });
+    }
+
+    /**
+     * Get the Solidity expression of an address: its state variable, or the checksummed literal
+     * @param {string} address - Address
+     * @param {Map} addressRegistry - Address registry
+     * @returns {string} Solidity expression
+     * @private
+     */
+    _getAddressExpression(address, addressRegistry) {
+        const registered = addressRegistry.get(address.toLowerCase());
+        return registered ? registered.toUpperCase() : this.toChecksumAddress(address);
     }
 
     /**
@@ -443,76 +734,221 @@ class TraceParser {
         }
     }
 
+    /**
+     * Check that a call's emitted arguments encode to its traced calldata
+     * A call that does not round-trip is replayed as a raw call of the traced calldata instead;
+     * either way the call records its fidelity: 'exact', 'fallback', 'raw' or 'unchecked'
+     * @param {Object} call - Call with signature and params
+     * @param {Object} invocation - Traced invocation of the call
+     * @param {Map} addressRegistry - Address registry
+     * @param {string} selfExpr - Expression the call will spell its caller with: address(this) when it is
+     * made by the contract standing in for the caller, MAIN_ADDRESS when the test pranks the caller
+     * @returns {Object} The call
+     */
+    verifyCallEncoding(call, invocation, addressRegistry, selfExpr = 'address(this)') {
+        if (!call.signature) {
+            call.fidelity = { status: 'raw', reason: 'unknown function' };
+            return call;
+        }
+
+        // Without traced arguments there is nothing to compare the decoded call with
+        const tracedCalldata = invocation.callData ? this.calldataVerifier.getTracedCalldata(invocation) : null;
+        // The caller is the main address, which the arguments spell as selfExpr
+        const mainAddress = CallTree.getFromAddress(invocation) || ethers.ZeroAddress;
+
+        // Linked arguments hold the traced value, so the literal stands in for them. Array locals are
+        // declared in a scratch block, whose statements tell the verifier what they hold
+        const scratch = new Block();
+        const expressions = (call.params || []).map(param =>
+            this.formatParameterValueForCall({ ...param, link: null }, addressRegistry, mainAddress, null, null, { block: scratch, selfExpr })
+        );
+        const statements = scratch.render().split('\n').filter(Boolean);
+        const result = this.calldataVerifier.verify(call.signature, expressions, tracedCalldata, { addressRegistry, mainAddress, selfExpr, statements });
+
+        if (result.status === 'mismatch') {
+            console.warn(`⚠️  ${call.methodName} does not encode to its traced calldata (${result.reason}), using raw calldata`);
+            Object.assign(call, { signature: null, params: null, returnParams: [], rawCalldata: tracedCalldata });
+            call.fidelity = { status: 'fallback', reason: result.reason };
+            return call;
+        }
+
+        call.fidelity = result;
+        return call;
+    }
+
+    /**
+     * Format raw calldata as the argument of a low-level call, keeping its selector apart
+     * @param {string} calldata - Calldata, selector included
+     * @returns {string} Solidity expression
+     */
+    formatRawCalldata(calldata) {
+        const data = calldata.startsWith('0x') ? calldata.slice(2) : calldata;
+        if (data.length < 8) {
+            return `hex"${data}"`;
+        }
+        return `abi.encodePacked(bytes4(0x${data.slice(0, 8)}), hex"${data.slice(8)}")`;
+    }
+
     /**
      * Format parameter values for function calls with struct awareness
+     * The parameter is normalized first, so display-formatted values from any trace source are accepted
      * @param {Array} params - Parameters array
      * @param {Map} addressRegistry - Address registry
      * @param {string} mainAddress - Main address
      * @param {string} paramType - Parameter type
-     * @param {string} structName - Struct name if applicable
+     * @param {string} structName - Struct name of a tuple, by default the one the struct registry declares
+     * @param {Object} context - Where the value is emitted
+     * @param {Block|null} context.block - Block the call is emitted in, which declares the locals of dynamic arrays
+     * @param {string} context.selfExpr - Expression standing in for the main address there
      * @returns {string} Formatted parameter value
      */
-    formatParameterValueForCall(param, addressRegistry, mainAddress, paramType, structName) {
+    formatParameterValueForCall(param, addressRegistry, mainAddress, paramType, structName, context = {}) {
         if (!param || param.value === undefined) return '""';
 
-        const value = param.value;
+        // Arguments linked to an earlier call's result, named once the result's local is declared
+        if (param.link) {
+            const { capture, element, type } = param.link;
+            const local = capture.local || capture.name;
+            const expression = element === null ? local : `${local}[${element}]`;
+            return type ? this._convertInteger(expression, type, this.paramNormalizer.normalizeType(param.type)) : expression;
+        }
+
+        const { type, value } = this.paramNormalizer.normalizeParam(param);
+        return this._formatNormalizedValue(type || null, value, addressRegistry, mainAddress, structName, param.name, context);
+    }
+
+    /**
+     * Format a canonical value as a Solidity expression
+     * @param {string|null} type - Canonical type, null when unknown
+     * @param {*} value - Canonical value
+     * @param {Map} addressRegistry - Address registry
+     * @param {string} mainAddress - Main address
+     * @param {string} structName - Struct name if applicable
+     * @param {string} hint - Name of the parameter or component holding the value, which names its struct
+     * @param {Object} context - Block declaring the locals of dynamic arrays, and the expression of the main address
+     * @returns {string} Solidity expression
+     * @throws {Error} If a non-empty dynamic array has no block to be declared in
+     * @private
+     */
+    _formatNormalizedValue(type, value, addressRegistry, mainAddress, structName = null, hint = '', context = {}) {
+        const { block = null, selfExpr = 'address(this)' } = context;
 
         // Handle addresses
-        if (param.type === 'address' || (typeof value === 'string' && value.match(/^0x[a-fA-F0-9]{40}$/))) {
-            const addr = value.toLowerCase();
-            if (addr === mainAddress.toLowerCase()) {
-                return 'address(this)';
+        if (type === 'address' || (!type && typeof value === 'string' && /^0x[a-fA-F0-9]{40}$/.test(value))) {
+            if (typeof value !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(value)) {
+                return this._formatStringLiteral(String(value));
             }
-            const registeredVar = addressRegistry.get(addr);
-            return registeredVar || this.toChecksumAddress(value);
+            if (value.toLowerCase() === mainAddress.toLowerCase()) {
+                return selfExpr;
+            }
+            const registeredVar = addressRegistry.get(value.toLowerCase());
+            return registeredVar ? registeredVar.toUpperCase() : this.toChecksumAddress(value);
         }
 
         // Handle numeric values
-        if (param.type?.includes('uint') || param.type?.includes('int')) {
-            return value.toString();
+        if (/^u?int\d*$/.test(type || '')) {
+            return String(value);
         }
 
         // Handle boolean values
-        if (param.type === 'bool') {
-            return value.toString().toLowerCase();
+        if (type === 'bool') {
+            return String(value).toLowerCase();
+        }
+
+        // Handle fixed-size bytes, spelled as hex so 20-byte values are not read as addresses
+        if (/^bytes\d+$/.test(type || '') && /^0x[0-9a-f]*$/.test(value)) {
+            return `${type}(hex"${value.slice(2)}")`;
         }
 
         // Handle bytes and strings
-        if (param.type === 'bytes' || param.type === 'string') {
-            if (typeof value === 'string' && value.startsWith('0x')) {
-                return `hex"${value.slice(2)}"`;
-            }
-            return `"${value}"`;
+        if (type === 'bytes' && typeof value === 'string' && value.startsWith('0x')) {
+            return `hex"${value.slice(2)}"`;
         }
 
-        // Handle arrays
-        if (param.type?.includes('[]')) {
-            if (Array.isArray(value)) {
-                const formattedElements = value.map(v =>
-                    this.formatParameterValueForCall({ value: v, type: param.type.replace('[]', '') }, addressRegistry, mainAddress)
-                );
-                return `[${formattedElements.join(', ')}]`;
+        // Handle arrays, spelled with the struct names the interface declares for their elements
+        const arrayType = type && type.match(/^(.*)\[(\d*)\]$/);
+        if (arrayType && Array.isArray(value)) {
+            const [, elementType, size] = arrayType;
+            const typeTree = this.structRegistry.typeOf({ type, value });
+            const arrayName = (typeTree && this.structRegistry.solidityType(typeTree, null, hint)) || type;
+            const formatElement = element =>
+                this._formatNormalizedValue(elementType, element, addressRegistry, mainAddress, null, hint, context);
+
+            // Dynamic arrays have no literal: a memory array is allocated, then filled element by element
+            if (size === '') {
+                if (value.length === 0) {
+                    return `new ${arrayName}(0)`;
+                }
+                if (!block) {
+                    throw new Error(`${type} values are declared as locals, which needs a block`);
+                }
+                const local = block.declare(`${arrayName} memory`, isIdentifier(hint) ? hint : 'values', `new ${arrayName}(${value.length})`);
+                value.forEach((element, index) => block.statement(`${local}[${index}] = ${formatElement(element)}`));
+                return local;
             }
+
+            // A fixed-size literal takes the type of its first element, so untyped literals are cast
+            const [first, ...rest] = value.map(formatElement);
+            const typedFirst = /^(u?int\d*|bytes|string)$/.test(elementType) ? `${elementType}(${first})` : first;
+            return `[${[typedFirst, ...rest].join(', ')}]`;
         }
 
-        // Handle structs
-        if (structName && typeof value === 'object') {
+        // Handle structs, named as the interface declaring them names them
+        if ((type === 'tuple' || type?.startsWith('(')) && Array.isArray(value)) {
+            const structType = structName ? null : this.structRegistry.typeOf({ type, value });
+            const name = structName || (structType && this.structRegistry.structName(structType, hint));
+            const structFields = value
+                .map(component => this._formatNormalizedValue(component.type || null, component.value, addressRegistry, mainAddress, null, component.name, context))
+                .join(', ');
+            return `${name || ''}(${structFields})`;
+        }
+        if (structName && value && typeof value === 'object') {
             const structFields = Object.entries(value)
                 .filter(([key]) => !key.match(/^\d+$/))
-                .map(([key, val]) => `${val}`)
+                .map(([key, val]) => this._formatNormalizedValue(null, val, addressRegistry, mainAddress, null, '', context))
                 .join(', ');
             return `${structName}(${structFields})`;
         }
 
-        // Default formatting
-        return `"${value}"`;
+        // Untyped integers pass through, anything else becomes a string literal
+        if (!type && (typeof value === 'number' || typeof value === 'bigint' || /^-?\d+$/.test(String(value)))) {
+            return String(value);
+        }
+        return this._formatStringLiteral(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+
+    /**
+     * Format a string literal, escaping quotes, backslashes and control characters
+     * Strings with non-ASCII characters become unicode"..." literals
+     * @param {string} value - String value
+     * @returns {string} Solidity string literal
+     * @private
+     */
+    _formatStringLiteral(value) {
+        const escapes = { '"': '\\"', '\\': '\\\\', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+        let unicode = false;
+        let escaped = '';
+
+        for (const char of value) {
+            const code = char.codePointAt(0);
+            if (escapes[char]) {
+                escaped += escapes[char];
+            } else if (code < 0x20 || code === 0x7f) {
+                escaped += `\\x${code.toString(16).padStart(2, '0')}`;
+            } else {
+                unicode = unicode || code > 0x7f;
+                escaped += char;
+            }
+        }
+
+        return `${unicode ? 'unicode' : ''}"${escaped}"`;
     }
 
     /**
      * Register address in registry and return variable name
      * @param {string} address - Address to register
      * @param {Map} addressRegistry - Address registry
-     * @param {Map} addressCounter - Address counter
+     * @param {Map} addressCounter - Address counter (the optional 'prefix' entry starts every variable name)
      * @returns {string} Variable name
      * @private
      */
@@ -524,7 +960,8 @@ class TraceParser {
             counter++;
             addressCounter.set('total', counter);
 
-            const varName = `addr${counter}`;
+            // Cross-chain incidents qualify variables with their chain
+            const varName = `${addressCounter.get('prefix') || ''}addr${counter}`;
             addressRegistry.set(lowerAddr, varName);
         }
 
@@ -550,17 +987,157 @@ class TraceParser {
      * @param {Array} params - Parameters array
      * @param {Map} addressRegistry - Address registry
      * @param {string} mainAddress - Main address
+     * @param {Object} context - Block the call is emitted in and the expression of the main address there
      * @returns {string} Formatted parameters
      * @private
      */
-    _formatCallParameters(params, addressRegistry, mainAddress) {
+    _formatCallParameters(params, addressRegistry, mainAddress, context = {}) {
         if (!params || params.length === 0) return '';
 
         return params.map(param =>
-            this.formatParameterValueForCall(param, addressRegistry, mainAddress)
+            this.formatParameterValueForCall(param, addressRegistry, mainAddress, null, null, context)
         ).join(', ');
     }
 
+    /**
+     * Link call arguments to the results of earlier calls
+     * Exploits pass a balanceOf or getAmountsOut result straight into the next call. An integer
+     * argument equal to an earlier integer result is replaced by the local holding that result,
+     * converted where its type does not convert implicitly to the argument's, so the replay keeps
+     * working when the fork state drifts slightly. Calls whose result is used get `captures`
+     * proposing a name for each local to declare; linked arguments get a `link` to their capture,
+     * which takes whatever name is unique where the local is declared
+     * @param {Array<Object>} calls - Calls in execution order, with params and returnParams
+     * @returns {number} Number of linked arguments
+     */
+    linkReturnValues(calls) {
+        const results = new Map();
+        const links = [];
+
+        for (const call of calls) {
+            // Arguments first, since a call never consumes its own result
+            (call.params || []).forEach((param, paramIndex) => {
+                const value = this._getLinkableInteger(param);
+                if (value !== null && results.has(value)) {
+                    links.push({ call, paramIndex, result: results.get(value) });
+                }
+            });
+
+            if (!this._canCaptureResult(call)) continue;
+
+            call.returnParams.forEach((returned, index) => {
+                const elements = returned.type.endsWith('[]') && Array.isArray(returned.value)
+                    ? returned.value.map((value, element) => ({ value, element }))
+                    : [{ value: returned.value, element: null }];
+
+                const type = this.paramNormalizer.normalizeType(returned.type.replace(/\[\]$/, ''));
+                for (const { value, element } of elements) {
+                    const linkable = this._getLinkableInteger({ type, value });
+                    // The latest call producing a value is the one the next call consumed
+                    if (linkable !== null) {
+                        results.set(linkable, { call, index, element, type });
+                    }
+                }
+            });
+        }
+
+        for (const { call, paramIndex, result } of links) {
+            const producer = result.call;
+            producer.captures = producer.captures || [];
+
+            let capture = producer.captures.find(known => known.index === result.index);
+            if (!capture) {
+                capture = { index: result.index, name: this._getLocalName(producer, result.index) };
+                producer.captures.push(capture);
+            }
+
+            const link = { capture, element: result.element, type: result.type };
+            call.params = call.params.map((param, index) => index === paramIndex ? { ...param, link } : param);
+        }
+
+        return links.length;
+    }
+
+    /**
+     * Get the canonical value of an integer parameter worth linking
+     * Small numbers such as fee tiers, indices and decimals repeat by coincidence, so they are never linked
+     * @param {Object} param - Parameter with type and value
+     * @returns {string|null} Canonical decimal value, or null
+     * @private
+     */
+    _getLinkableInteger(param) {
+        if (!param || !/^u?int\d*$/.test(param.type || '') || param.value === undefined || param.value === null) {
+            return null;
+        }
+
+        const text = this.paramNormalizer.normalizeValue(this.paramNormalizer.normalizeType(param.type), param.value);
+        if (!/^-?\d+$/.test(text)) return null;
+
+        const value = BigInt(text);
+        return (value < 0n ? -value : value) >= MIN_LINKED_VALUE ? value.toString() : null;
+    }
+
+    /**
+     * Convert an integer expression to a parameter's type
+     * Solidity converts implicitly only to a type of the same signedness that is at least as wide;
+     * otherwise the sign changes at the wider of both widths, e.g. uint128(uint256(amount)), so a traced
+     * value that fits the parameter keeps its value
+     * @param {string} expression - Integer expression
+     * @param {string} from - Canonical type of the expression
+     * @param {string} to - Canonical parameter type
+     * @returns {string} Expression of a type that converts implicitly to the parameter type
+     * @private
+     */
+    _convertInteger(expression, from, to) {
+        const integer = type => {
+            const match = type.match(/^(u?)int(\d*)$/);
+            return match && { signed: match[1] === '', bits: Number(match[2] || 256) };
+        };
+        const source = integer(from);
+        const target = integer(to);
+        if (!source || !target || (source.signed === target.signed && target.bits >= source.bits)) {
+            return expression;
+        }
+
+        const width = Math.max(source.bits, target.bits);
+        const name = (signed, bits) => `${signed ? 'int' : 'uint'}${bits}`;
+        let converted = expression;
+        if (source.bits < width) converted = `${name(source.signed, width)}(${converted})`;
+        if (source.signed !== target.signed) converted = `${name(target.signed, width)}(${converted})`;
+        return target.bits < width ? `${to}(${converted})` : converted;
+    }
+
+    /**
+     * Check whether a call's results can be captured into locals
+     * Only interface calls returning elementary values or arrays of them qualify
+     * @param {Object} call - Call
+     * @returns {boolean} True when the results can be captured
+     * @private
+     */
+    _canCaptureResult(call) {
+        return !!call.signature &&
+            call.kind !== 'deployment' &&
+            Array.isArray(call.returnParams) &&
+            call.returnParams.length > 0 &&
+            call.returnParams.every(returned => /^(u?int\d*|address|bool|bytes([1-9]|[12]\d|3[0-2]))(\[\])?$/.test(returned.type || ''));
+    }
+
+    /**
+     * Propose a local name for one of a call's results, e.g. balanceOfResult or getReservesReserve0
+     * @param {Object} call - Producing call
+     * @param {number} index - Index of the result
+     * @returns {string} Local name
+     * @private
+     */
+    _getLocalName(call, index) {
+        const returned = call.returnParams[index];
+        const named = returned.name && /^[A-Za-z_]\w*$/.test(returned.name) && !/^(param|output)\d*$/.test(returned.name);
+        const suffix = named
+            ? returned.name.charAt(0).toUpperCase() + returned.name.slice(1)
+            : `Result${call.returnParams.length > 1 ? index : ''}`;
+        return `${call.methodName}${suffix}`;
+    }
+
     /**
      * Get interface name for contract
      * @param {string} address - Contract address
@@ -569,11 +1146,9 @@ class TraceParser {
      * @private
      */
     _getInterfaceName(address, contracts) {
-        const signatures = contracts.get(address);
-        if (signatures) {
-            return this.abiManager.generateInterfaceName(address, Array.from(signatures));
-        }
-        return `Contract${address.slice(-6)}`;
+        const key = [...contracts.keys()].find(known => known.toLowerCase() === address.toLowerCase());
+        const signatures = key ? Array.from(contracts.get(key)) : [];
+        return this.abiManager.generateInterfaceName(address, signatures);
     }
 }
 
@@ -1,5 +1,6 @@
 import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
 import AbiManager from '../../lib/abiManager.js';
+import { StructRegistry } from '../../lib/abiTypes.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -79,17 +80,39 @@ describe('AbiManager Additional Coverage', () => {
 
     test('should fix interface signatures for Solidity compatibility', () => {
         const signature = 'transfer(address,uint256)';
-        const structDefs = new Set();
-        const fixed = abiManager.fixInterfaceSignature(signature, structDefs);
-        expect(typeof fixed).toBe('string');
+        const structs = new StructRegistry();
+        const fixed = abiManager.fixInterfaceSignature(signature, structs);
+        expect(fixed).toBe('transfer(address,uint256)');
+        expect(structs.declarations()).toEqual([]);
     });
 
     test('should handle complex tuple types in interface signatures', () => {
         const signature = 'swap((address,uint256),bytes)';
-        const structDefs = new Set();
-        const fixed = abiManager.fixInterfaceSignature(signature, structDefs);
-        expect(typeof fixed).toBe('string');
-        // Should create struct definitions for complex tuples
+        const structs = new StructRegistry();
+        const fixed = abiManager.fixInterfaceSignature(signature, structs);
+        expect(fixed).toBe('swap(Struct calldata,bytes calldata)');
+        expect(structs.declarations()).toEqual(['struct Struct {\n    address field0;\n    uint256 field1;\n}']);
+    });
+
+    test('should name structs after the decoded parameters and share them across signatures', () => {
+        const structs = new StructRegistry();
+        const order = {
+            name: 'order',
+            type: '((address,uint256)[],uint256[2])',
+            value: [
+                { name: 'legs', type: '(address,uint256)[]', value: [[{ name: 'token', type: 'address', value: '0xaa' }, { name: 'amount', type: 'uint256', value: '1' }]] },
+                { name: 'deadlines', type: 'uint256[2]', value: ['1', '2'] }
+            ]
+        };
+
+        expect(abiManager.fixInterfaceSignature('fill(((address,uint256)[],uint256[2]),bool)', structs, [order, { name: 'strict', type: 'bool', value: true }]))
+            .toBe('fill(Order calldata,bool)');
+        expect(abiManager.fixInterfaceSignature('cancel(((address,uint256)[],uint256[2]))', structs, [{ ...order, name: 'orders' }]))
+            .toBe('cancel(Order calldata)');
+        expect(structs.declarations()).toEqual([
+            'struct Leg {\n    address token;\n    uint256 amount;\n}',
+            'struct Order {\n    Leg[] legs;\n    uint256[2] deadlines;\n}'
+        ]);
     });
 
     test('should generate meaningful interface names', () => {
@@ -226,4 +249,74 @@ describe('AbiManager Additional Coverage', () => {
 
         expect(retrieved).toEqual(testAbi);
     });
+
+    describe('creation data', () => {
+        const traceData = JSON.parse(fs.readFileSync(path.join(__dirname, '../../trace.json'), 'utf8'));
+        const creationData = traceData.dataMap['2'].invocation.callData;
+
+        test('should split init code from constructor arguments after the metadata trailer', () => {
+            const { initCode, constructorArgs } = abiManager.splitCreationData(creationData);
+
+            expect(initCode.endsWith('64736f6c634300081e0033')).toBe(true);
+            expect(constructorArgs).toBe('0x0000000000000000000000003f4d749675b3e48bccd932033808a7079328eb48');
+            expect(initCode + constructorArgs.slice(2)).toBe(creationData.toLowerCase());
+        });
+
+        test('should prefer constructor arguments provided by the trace', () => {
+            const { initCode, constructorArgs } = abiManager.splitCreationData('0x6080aabb' + '00'.repeat(31) + '01', '0x' + '00'.repeat(31) + '01');
+
+            expect(initCode).toBe('0x6080aabb');
+            expect(constructorArgs).toBe('0x' + '00'.repeat(31) + '01');
+        });
+
+        test('should keep everything as init code when no metadata trailer is found', () => {
+            expect(abiManager.splitCreationData('0x6080604052')).toEqual({ initCode: '0x6080604052', constructorArgs: '0x' });
+        });
+
+        test('should decode constructor arguments word by word', () => {
+            const params = abiManager.decodeConstructorArguments(
+                '0x0000000000000000000000003f4d749675b3e48bccd932033808a7079328eb48' + '0'.repeat(62) + '64'
+            );
+
+            expect(params).toEqual([
+                { type: 'address', name: 'arg0', value: '0x3f4d749675b3e48bccd932033808a7079328eb48' },
+                { type: 'uint256', name: 'arg1', value: '100' }
+            ]);
+            expect(abiManager.decodeConstructorArguments('0x')).toEqual([]);
+        });
+
+        test('should decode constructor arguments with known types', () => {
+            const params = abiManager.decodeConstructorArguments('0x' + '0'.repeat(63) + '1', ['bool']);
+            expect(params).toEqual([{ type: 'bool', name: 'arg0', value: 'true' }]);
+        });
+    });
+
+    describe('events', () => {
+        const traceData = JSON.parse(fs.readFileSync(path.join(__dirname, '../../trace.json'), 'utf8'));
+
+        test('should infer indexed parameters from topics and log data', () => {
+            const { decodedLog, topics, logData } = traceData.dataMap['54'].event;
+
+            expect(abiManager.inferIndexedEventParams(decodedLog.params, topics, logData)).toEqual([true, true, false, false]);
+        });
+
+        test('should return null when no layout reproduces the log', () => {
+            const params = [{ name: 'value', type: 'uint256', value: '1' }];
+
+            expect(abiManager.inferIndexedEventParams(params, ['0x' + '0'.repeat(64)], '0x' + '0'.repeat(64))).toBeNull();
+            expect(abiManager.inferIndexedEventParams(params, [], '0x')).toBeNull();
+        });
+
+        test('should create event declarations', () => {
+            const declaration = abiManager.createEventDeclaration('Transfer', [
+                { name: 'from', type: 'address' },
+                { name: 'to', type: 'address' },
+                { name: 'value', type: 'uint256' }
+            ], [true, true, false]);
+
+            expect(declaration).toBe('event Transfer(address indexed from, address indexed to, uint256 value);');
+            expect(abiManager.createEventDeclaration('Set', [{ name: 'address', type: 'address' }], [false]))
+                .toBe('event Set(address);');
+        });
+    });
 });
\ No newline at end of file
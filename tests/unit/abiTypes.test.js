@@ -0,0 +1,59 @@
+import { describe, test, expect } from 'bun:test';
+import { ethers } from 'ethers';
+import { parseType, canonicalType, decodedParam, StructRegistry } from '../../lib/abiTypes.js';
+
+describe('AbiTypes', () => {
+    test('should parse nested tuples, fixed arrays and named components', () => {
+        const type = parseType('tuple(address token, (uint256,int24)[2][] ticks, bytes)');
+
+        expect(canonicalType(type)).toBe('(address,(uint256,int24)[2][],bytes)');
+        expect(type.components.map(component => component.name)).toEqual(['token', 'ticks', '']);
+        expect(type.components[1].type).toMatchObject({ kind: 'array', length: null, element: { kind: 'array', length: 2 } });
+        expect(canonicalType(parseType('uint[]'))).toBe('uint256[]');
+        expect(() => parseType('(address,uint256')).toThrow('Unbalanced ABI type');
+    });
+
+    test('should read component names from ABI JSON', () => {
+        const input = {
+            name: 'params',
+            type: 'tuple[]',
+            components: [
+                { name: 'recipient', type: 'address' },
+                { name: 'path', type: 'tuple', components: [{ name: 'fee', type: 'uint24' }] }
+            ]
+        };
+        const [value] = ethers.AbiCoder.defaultAbiCoder().decode(
+            ['tuple(address,tuple(uint24))[]'],
+            ethers.AbiCoder.defaultAbiCoder().encode(['tuple(address,tuple(uint24))[]'], [[['0x1111111111111111111111111111111111111111', [3000n]]]])
+        );
+
+        expect(decodedParam(input, value, 'params')).toEqual({
+            name: 'params',
+            type: '(address,(uint24))[]',
+            value: [[
+                { name: 'recipient', type: 'address', value: '0x1111111111111111111111111111111111111111' },
+                { name: 'path', type: '(uint24)', value: [{ name: 'fee', type: 'uint24', value: '3000' }] }
+            ]]
+        });
+    });
+
+    test('should share structs with the same fields and number different ones', () => {
+        const structs = new StructRegistry();
+        structs.reset(['Exploit']);
+        const named = structs.typeOf({ type: '(address,uint256)', value: [{ name: 'token', value: '0x11' }, { name: 'amount', value: '1' }] });
+
+        expect(structs.solidityType(named, 'calldata', 'order')).toBe('Order calldata');
+        expect(structs.solidityType(named, 'memory', 'quote')).toBe('Order memory');
+        expect(structs.solidityType(parseType('(address,uint256)'), null, 'order')).toBe('Order2');
+        expect(structs.solidityType(parseType('(bool)'), null, 'exploit')).toBe('Exploit2');
+        expect(structs.solidityType(parseType('(uint8)[]'), 'memory', 'test')).toBe('Test2[] memory');
+        expect(structs.solidityType(parseType('uint256'), 'memory')).toBe('uint256');
+        expect(structs.typeOf({ type: 'tuple', value: [{ name: 'x', value: '1' }] })).toBe(null);
+        expect(structs.declarations()).toEqual([
+            'struct Order {\n    address token;\n    uint256 amount;\n}',
+            'struct Order2 {\n    address field0;\n    uint256 field1;\n}',
+            'struct Exploit2 {\n    bool field0;\n}',
+            'struct Test2 {\n    uint8 field0;\n}'
+        ]);
+    });
+});
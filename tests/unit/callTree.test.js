@@ -0,0 +1,150 @@
+import { describe, test, expect } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import CallTree from '../../lib/callTree.js';
+
+const traceData = JSON.parse(fs.readFileSync(path.join(__dirname, '../../trace.json'), 'utf8'));
+const ATTACKER = '0x2073111e6ebb6826f7e9c6192c6304aa5af5e340';
+const SENDER = '0x5b9b4b4dafbcfceea7afba56958fcbb37d82d4a2';
+
+describe('CallTree', () => {
+    describe('building from mainTrace', () => {
+        const tree = CallTree.fromTraceData(traceData);
+
+        test('should reconstruct parent, depth and order', () => {
+            const node = tree.getNode(44);
+
+            expect(node.parent.id).toBe(36);
+            expect(node.depth).toBe(4);
+            expect(node.order).toBe(44);
+            expect(tree.getAncestors(node).map(ancestor => ancestor.id)).toEqual([36, 34, 19, 0, -1]);
+        });
+
+        test('should resolve node types from dataMap entries', () => {
+            expect(tree.getNode(1).nodeType).toBe(CallTree.NODE_TYPES.SLOT_READ);
+            expect(tree.getNode(29).nodeType).toBe(CallTree.NODE_TYPES.SLOT_WRITE);
+            expect(tree.getNode(33).nodeType).toBe(CallTree.NODE_TYPES.EVENT);
+            // mainTrace marks static calls as type 5, the dataMap says it is an invocation
+            expect(tree.getNode(3).nodeType).toBe(CallTree.NODE_TYPES.INVOCATION);
+            expect(tree.isInvocation(tree.getNode(3))).toBe(true);
+        });
+
+        test('should return invocations in execution order', () => {
+            const ids = tree.getInvocations().map(node => node.id);
+            expect(ids).toEqual([...ids].sort((a, b) => a - b));
+            expect(ids).toContain(47);
+        });
+
+        test('should find outermost calls from an address', () => {
+            expect(tree.getTopLevelCalls(ATTACKER).map(node => node.id)).toEqual([2, 7, 13, 19]);
+            expect(tree.getTopLevelCalls(SENDER).map(node => node.id)).toEqual([0]);
+        });
+
+        test('should take the sender from the root call', () => {
+            // The contract the attacker deploys makes the most calls in the trace
+            const created = '0x08947cedf35f9669012bda6fda9d03c399b017ab';
+            expect(tree.getCallsFrom(created).length).toBeGreaterThan(tree.getCallsFrom(SENDER).length);
+
+            expect(tree.getSender()).toBe(SENDER);
+        });
+
+        test('should find calls nested under a node', () => {
+            const root = tree.getNode(0);
+            expect(tree.getNestedCalls(root, ATTACKER).map(node => node.id)).toEqual([2, 7, 13, 19]);
+            expect(tree.getNestedCalls(tree.getNode(19), ATTACKER)).toEqual([]);
+        });
+
+        test('should report statistics', () => {
+            const stats = tree.getStats();
+            expect(stats.events).toBe(4);
+            expect(stats.slotWrites).toBe(7);
+            expect(stats.maxDepth).toBe(6);
+        });
+    });
+
+    describe('building from parentIdMap', () => {
+        const { mainTrace, ...withoutMainTrace } = traceData;
+        const tree = CallTree.fromTraceData(withoutMainTrace);
+
+        test('should match the mainTrace structure', () => {
+            const fromMainTrace = CallTree.fromTraceData(traceData);
+
+            expect(tree.getNode(53).parent.id).toBe(47);
+            expect(tree.getNode(53).depth).toBe(fromMainTrace.getNode(53).depth);
+            expect(tree.getInvocations().map(node => node.id))
+                .toEqual(fromMainTrace.getInvocations().map(node => node.id));
+        });
+    });
+
+    describe('flat fallback', () => {
+        test('should treat every entry as a root when nesting is unknown', () => {
+            const tree = CallTree.fromTraceData({
+                dataMap: {
+                    '2': { invocation: { fromAddress: ATTACKER, address: SENDER } },
+                    '1': { invocation: { from: ATTACKER, to: SENDER } }
+                }
+            });
+
+            expect(tree.roots.map(node => node.id)).toEqual([1, 2]);
+            expect(tree.getTopLevelCalls(ATTACKER).length).toBe(2);
+        });
+
+        test('should split legacy entries with several invocations', () => {
+            const tree = CallTree.fromTraceData({
+                dataMap: {
+                    '0': { invocations: [{ from: ATTACKER, to: SENDER }, { from: SENDER, to: ATTACKER }] }
+                }
+            });
+
+            expect(tree.getInvocations().length).toBe(2);
+            expect(tree.getNode('0:1').invocation.from).toBe(SENDER);
+        });
+
+        test('should handle empty trace data', () => {
+            const tree = CallTree.fromTraceData({});
+            expect(tree.getInvocations()).toEqual([]);
+            expect(tree.getSender()).toBeNull();
+            expect(tree.getStats().totalNodes).toBe(0);
+        });
+    });
+
+    test('should flag nodes inside reverted frames', () => {
+        const tree = CallTree.fromTraceData({
+            dataMap: {
+                '-1': { nodeType: 0, invocation: { address: SENDER, status: false, revert: false } },
+                0: { nodeType: 0, invocation: { fromAddress: SENDER, address: ATTACKER, status: true, revert: false } },
+                1: { nodeType: 0, invocation: { fromAddress: ATTACKER, address: '0xbbb', status: false, revert: true } },
+                2: { nodeType: 4, slotWriteData: { contract: '0xbbb', key: '0x01', prev: '0x00', current: '0x01' } },
+                3: { nodeType: 4, slotWriteData: { contract: ATTACKER, key: '0x01', prev: '0x00', current: '0x01' } }
+            },
+            parentIdMap: { 0: -1, 1: 0, 2: 1, 3: 0 }
+        });
+
+        expect(tree.isReverted(tree.getNode(2))).toBe(true);
+        // The synthetic sender node is not a reverted frame
+        expect(tree.isReverted(tree.getNode(3))).toBe(false);
+    });
+
+    test('should find callbacks by their position in the tree', () => {
+        const tree = CallTree.fromTraceData({
+            dataMap: {
+                0: { nodeType: 0, invocation: { fromAddress: SENDER, address: ATTACKER } },
+                1: { nodeType: 0, invocation: { fromAddress: ATTACKER, address: '0xbbb' } },
+                2: { nodeType: 0, invocation: { fromAddress: '0xbbb', address: '0xccc' } },
+                3: { nodeType: 0, invocation: { fromAddress: '0xccc', address: ATTACKER } },
+                4: { nodeType: 0, invocation: { fromAddress: ATTACKER, address: ATTACKER } }
+            },
+            parentIdMap: { 0: -1, 1: 0, 2: 1, 3: 2, 4: 3 }
+        });
+
+        // The sender's call into the attacker is not made inside one of the attacker's calls
+        expect(tree.getCallbacksInto(ATTACKER).map(node => node.id)).toEqual([3]);
+    });
+
+    test('should read sender and target addresses from either field name', () => {
+        expect(CallTree.getFromAddress({ fromAddress: '0xABC' })).toBe('0xabc');
+        expect(CallTree.getTargetAddress({ to: '0xDEF' })).toBe('0xdef');
+        expect(CallTree.getTargetAddress({ address: '0xDEF' })).toBe('0xdef');
+        expect(CallTree.getFromAddress(null)).toBe(null);
+    });
+});
@@ -0,0 +1,188 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import { ethers } from 'ethers';
+import { CallbackTemplateRegistry, BUILT_IN_TEMPLATES } from '../../lib/callbackTemplates.js';
+import TraceParser from '../../lib/traceParser.js';
+import FoundryGenerator from '../../lib/foundryGenerator.js';
+import ConfigManager from '../../lib/configManager.js';
+import RpcManager from '../../lib/rpcManager.js';
+import TokenManager from '../../lib/tokenManager.js';
+import AbiManager from '../../lib/abiManager.js';
+
+const MAIN = '0x1111111111111111111111111111111111111111';
+
+describe('CallbackTemplateRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new CallbackTemplateRegistry();
+    });
+
+    test('should cover the major flash loan and swap callbacks', () => {
+        const functions = BUILT_IN_TEMPLATES.map(template => template.signature.split('(')[0]);
+        for (const name of ['onFlashLoan', 'receiveFlashLoan', 'callFunction', 'uniswapV2Call', 'pancakeCall',
+            'DVMFlashLoanCall', 'DPPFlashLoanCall', 'pancakeV3SwapCallback', 'algebraSwapCallback', 'onVatDaiFlashLoan']) {
+            expect(functions).toContain(name);
+        }
+    });
+
+    test('should declare parameters matching every signature', () => {
+        for (const template of BUILT_IN_TEMPLATES) {
+            const types = template.parameters.map(parameter => parameter.split(' ')[0]);
+            const structs = (template.structs || []).map(struct => struct.match(/struct (\w+)/)[1]);
+            const expected = template.signature.slice(template.signature.indexOf('(') + 1, -1).split(/,(?![^(]*\))/);
+
+            expect(types.length).toBe(expected.length);
+            types.forEach((type, i) => {
+                expect(structs.includes(type) ? expected[i].startsWith('(') : type === expected[i]).toBe(true);
+            });
+        }
+    });
+
+    test('should find templates by selector, function name and alias', () => {
+        expect(registry.findBySelector('0xF04F2707').name).toBe('balancer_flashloan');
+        expect(registry.findBySelector('0x8b418713').name).toBe('dydx_flashloan');
+        expect(registry.findBySelector('0x12345678')).toBeNull();
+        expect(registry.findByFunctionName('DPPFlashLoanCall').name).toBe('dodo_dpp_flashloan');
+        expect(registry.get('generic_flashloan').name).toBe('aave_flashloan');
+        expect(registry.get('missing')).toBeNull();
+    });
+
+    test('should register new templates and replace existing ones by name', () => {
+        const template = {
+            name: 'silo_flashloan',
+            signature: 'onSiloFlashLoan(uint256,bytes)',
+            parameters: ['uint256 amount', 'bytes calldata data']
+        };
+
+        expect(registry.register(template)).toBe(registry);
+        expect(registry.findBySelector(ethers.id(template.signature).slice(0, 10)).name).toBe('silo_flashloan');
+
+        const count = registry.getNames().length;
+        registry.register({ ...template, protocol: 'Silo' });
+        expect(registry.getNames().length).toBe(count);
+        expect(registry.get('silo_flashloan').protocol).toBe('Silo');
+
+        expect(() => registry.register({ name: 'broken' })).toThrow('Callback templates must provide name, signature and parameters');
+    });
+});
+
+describe('TraceParser - callback templates', () => {
+    let traceParser;
+
+    beforeEach(() => {
+        const configManager = new ConfigManager();
+        const rpcManager = new RpcManager(configManager);
+        const tokenManager = new TokenManager(configManager, rpcManager);
+        traceParser = new TraceParser(configManager, rpcManager, tokenManager, new AbiManager());
+    });
+
+    test('should return the value the lender checks and repay when the trace has no calls', () => {
+        const code = traceParser.generateCallbackFunctions(new Map([['erc3156_flashloan', [{ calls: [] }]]]), new Map(), new Map(), MAIN);
+
+        expect(code).toContain('    // Repayment: the lender pulls amount + fee\n    function onFlashLoan(\n        address initiator,');
+        expect(code).toContain(') external returns (bytes32) {');
+        expect(code).toContain('(bool repaid, ) = token.call(abi.encodeWithSignature("approve(address,uint256)", msg.sender, amount + fee));');
+        expect(code).toContain('return keccak256("ERC3156FlashBorrower.onFlashLoan");');
+        expect(code).not.toContain('override');
+    });
+
+    test('should replay traced calls instead of the template repayment', () => {
+        const token = '0x3333333333333333333333333333333333333333';
+        const callbacks = new Map([['balancer_flashloan', [{ calls: [{ to: token, methodName: 'transfer', signature: 'transfer(uint256)', params: [], value: '0' }] }]]]);
+        const contracts = new Map([[token, new Set(['transfer(uint256)'])]]);
+
+        const code = traceParser.generateCallbackFunctions(callbacks, contracts, new Map([[token, 'addr1']]), MAIN);
+
+        expect(code).toContain('function receiveFlashLoan(');
+        expect(code).toContain('        // transfer\n        ITransferContract(ADDR1).transfer();\n');
+        expect(code).not.toContain('repaid');
+    });
+
+    test('should declare the structs a template needs once', () => {
+        const code = traceParser.generateCallbackFunctions(new Map([['dydx_flashloan', []]]), new Map(), new Map(), MAIN);
+
+        expect(code.startsWith('    struct AccountInfo { address owner; uint256 number; }\n')).toBe(true);
+        expect(code).toContain('AccountInfo calldata accountInfo');
+    });
+
+    test('should tell re-entrant hook invocations apart by entry order whatever their caller', () => {
+        const callbacks = new Map([['erc777_tokens_received', [
+            { caller: '0x2222222222222222222222222222222222222222', calls: [] },
+            { caller: '0x3333333333333333333333333333333333333333', calls: [{ to: MAIN, methodName: 'swap', signature: 'swap()', params: [] }] }
+        ]]]);
+
+        const code = traceParser.generateCallbackFunctions(callbacks, new Map(), new Map(), MAIN);
+
+        expect(code).toContain('    // Note: only called once this contract is registered as ERC777TokensRecipient in the ERC-1820 registry\n');
+        expect(code).toContain('uint256 invocation = tokensReceivedCalls++;');
+        expect(code).not.toContain('msg.sender ==');
+    });
+
+    test('should count the invocations of overloaded callbacks apart', () => {
+        const twice = [{ caller: MAIN, calls: [] }, { caller: MAIN, calls: [{ to: MAIN, methodName: 'swap', signature: 'swap()', params: [] }] }];
+        const callbacks = new Map([
+            ['aave_flashloan', twice], ['aave_flashloan_simple', twice], ['erc3156_flashloan', twice], ['euler_flashloan', twice]
+        ]);
+
+        const code = traceParser.generateCallbackFunctions(callbacks, new Map(), new Map(), MAIN);
+
+        expect(code).toContain('    uint256 internal executeOperationCalls;\n');
+        expect(code).toContain('    uint256 internal executeOperationCalls2;\n');
+        expect(code).toContain('uint256 invocation = executeOperationCalls2++;');
+        expect(code).toContain('    uint256 internal onFlashLoanCalls;\n');
+        expect(code).toContain('uint256 invocation = onFlashLoanCalls2++;');
+    });
+
+    test('should generate callbacks from templates registered at runtime', () => {
+        traceParser.callbackTemplates.register({
+            name: 'silo_flashloan',
+            protocol: 'Silo flash loan',
+            signature: 'onSiloFlashLoan(uint256,bytes)',
+            parameters: ['uint256 amount', 'bytes calldata data'],
+            returns: 'bool',
+            returnValue: 'true'
+        });
+
+        expect(traceParser.resolveCallbackTemplate('onSiloFlashLoan', ethers.id('onSiloFlashLoan(uint256,bytes)').slice(0, 10))).toBe('silo_flashloan');
+
+        const code = traceParser.generateCallbackFunctions(new Map([['silo_flashloan', []]]), new Map(), new Map(), MAIN);
+        expect(code).toContain('    // Silo flash loan callback\n    function onSiloFlashLoan(\n        uint256 amount,\n        bytes calldata data\n    ) external returns (bool) {');
+    });
+});
+
+describe('FoundryGenerator - callback templates', () => {
+    const sender = '0x9999999999999999999999999999999999999999';
+    const lender = '0x2222222222222222222222222222222222222222';
+    const token = '0x3333333333333333333333333333333333333333';
+    const traceData = {
+        dataMap: {
+            '0': { nodeType: 0, invocation: { fromAddress: sender, address: MAIN, operation: 'CALL', selector: '0x12345678' } },
+            '1': { nodeType: 0, invocation: { fromAddress: MAIN, address: lender, operation: 'CALL', selector: '0x5cffe9de', decodedMethod: { name: 'flashLoan', signature: 'flashLoan(uint256)', callParams: [{ name: 'amount', type: 'uint256', value: '100' }] } } },
+            '2': { nodeType: 0, invocation: { fromAddress: lender, address: MAIN, operation: 'CALL', selector: '0x23e30c8b', decodedMethod: { name: 'onFlashLoan', signature: 'onFlashLoan(address,address,uint256,uint256,bytes)', callParams: [] } } },
+            '3': { nodeType: 0, invocation: { fromAddress: MAIN, address: token, operation: 'CALL', selector: '0x095ea7b3', decodedMethod: { name: 'approve', signature: 'approve(uint256)', callParams: [{ name: 'amount', type: 'uint256', value: '100' }] } } }
+        },
+        parentIdMap: { '0': -1, '1': 0, '2': 1, '3': 2 }
+    };
+
+    test('should generate an ERC-3156 borrower calling the traced contracts through their interfaces', async () => {
+        const configManager = new ConfigManager();
+        const rpcManager = new RpcManager(configManager);
+        const tokenManager = new TokenManager(configManager, rpcManager);
+        const abiManager = new AbiManager();
+        tokenManager.batchFetchTokenInfo = async () => new Map();
+        const foundryGenerator = new FoundryGenerator(
+            configManager, rpcManager, tokenManager, abiManager, new TraceParser(configManager, rpcManager, tokenManager, abiManager)
+        );
+
+        const testContent = await foundryGenerator.generateFoundryTest(
+            traceData, MAIN, 12345, 'http://localhost:8545', { mode: 'exploit', txDetails: null }
+        );
+        const exploitContract = testContent.slice(testContent.indexOf('contract Exploit {'), testContent.indexOf('contract TraceReproduction'));
+
+        expect(exploitContract).toContain('function onFlashLoan(');
+        expect(exploitContract).toContain('IApproveContract(ADDR2).approve(100);');
+        expect(exploitContract).toContain('return keccak256("ERC3156FlashBorrower.onFlashLoan");');
+        expect(exploitContract).not.toContain('fallback(');
+        expect(testContent).toContain('interface IApproveContract {');
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import { ethers } from 'ethers';
+import CalldataVerifier from '../../lib/calldataVerifier.js';
+import ParamNormalizer from '../../lib/paramNormalizer.js';
+
+const MAIN = '0x1111111111111111111111111111111111111111';
+const TOKEN = '0x2222222222222222222222222222222222222222';
+
+describe('CalldataVerifier', () => {
+    let verifier;
+    let context;
+
+    beforeEach(() => {
+        verifier = new CalldataVerifier(new ParamNormalizer());
+        context = { addressRegistry: new Map([[TOKEN, 'addr1']]), mainAddress: MAIN, selfExpr: 'address(this)' };
+    });
+
+    test('should put the selector Phalcon keeps apart back in front of the arguments', () => {
+        expect(verifier.getTracedCalldata({ selector: '0x70A08231', callData: '0x00ab' })).toBe('0x70a0823100ab');
+        expect(verifier.getTracedCalldata({ selector: '0x70a08231', callData: '0x70a0823100ab' })).toBe('0x70a0823100ab');
+        expect(verifier.getTracedCalldata({ callData: '0x1234' })).toBe('0x1234');
+        expect(verifier.getTracedCalldata({ selector: '0x82b2e257' })).toBe('0x82b2e257');
+    });
+
+    test('should read emitted literals back into the traced calldata', () => {
+        const signature = 'swap((address,uint256)[],bytes32,bool,string,int24,uint256[2])';
+        const traced = new ethers.Interface([`function ${signature}`]).encodeFunctionData('swap', [
+            [[TOKEN, 1000n], [MAIN, 0n]], `0x${'ab'.repeat(32)}`, true, 'gm "ser"\n☀️', -887220n, [1n, 300n]
+        ]);
+        const expressions = [
+            'legs',
+            `bytes32(hex"${'ab'.repeat(32)}")`,
+            'true',
+            'unicode"gm \\"ser\\"\\n☀️"',
+            '-887220',
+            '[uint256(1), 300]'
+        ];
+        const statements = [
+            'Leg[] memory legs = new Leg[](2);',
+            'legs[0] = Leg(ADDR1, 1000);',
+            'legs[1] = Leg(address(this), 0);'
+        ];
+
+        expect(verifier.verify(signature, expressions, traced, { ...context, statements })).toEqual({ status: 'exact', reason: null });
+    });
+
+    test('should only read what compiles as the parameter type', () => {
+        const traced = new ethers.Interface(['function swap(uint256[],uint256[2],(address,uint256))'])
+            .encodeFunctionData('swap', [[1n, 2n], [1n, 300n], [MAIN, 5n]]);
+        const verify = (expressions, statements = []) => verifier.verify('swap(uint256[],uint256[2],(address,uint256))', expressions, traced, { ...context, statements });
+
+        expect(verify(['amounts', '[uint256(1), 300]', 'Order(address(this), 5)'], ['uint256[] memory amounts = new uint256[](2);', 'amounts[0] = 1;', 'amounts[1] = 2;']).status).toBe('exact');
+        // Dynamic arrays have no literal, and an untyped literal is no uint256[2]
+        expect(verify(['[1, 2]', '[uint256(1), 300]', 'Order(address(this), 5)']).reason).toBe('cannot read [1, 2] as uint256[]');
+        expect(verify(['amounts', '[1, 300]', 'Order(address(this), 5)'], ['uint256[] memory amounts = new uint256[](2);', 'amounts[0] = 1;', 'amounts[1] = 2;']).reason)
+            .toBe('cannot read [1, 300] as uint256[2]');
+        expect(verify(['amounts', '[uint256(1), 300]', 'Order(address(this), 5)'], ['uint256[] memory amounts = new uint256[](2);', 'amounts[0] = 1;']).reason)
+            .toBe('amounts is not filled completely');
+        expect(verify(['amounts', '[uint256(1), 300]', '(address(this), 5)'], ['uint256[] memory amounts = new uint256[](2);', 'amounts[0] = 1;', 'amounts[1] = 2;']).reason)
+            .toBe('cannot read (address(this), 5) as tuple(address,uint256)');
+    });
+
+    test('should read the main address only as the expression standing in for it', () => {
+        const traced = new ethers.Interface(['function balanceOf(address)']).encodeFunctionData('balanceOf', [MAIN]);
+
+        expect(verifier.verify('balanceOf(address)', ['MAIN_ADDRESS'], traced, { ...context, selfExpr: 'MAIN_ADDRESS' }).status).toBe('exact');
+        // While the test pranks the main address, address(this) is the test contract
+        expect(verifier.verify('balanceOf(address)', ['address(this)'], traced, { ...context, selfExpr: 'MAIN_ADDRESS' }).reason)
+            .toBe('cannot read address(this) as address');
+    });
+
+    test('should report what differs', () => {
+        const traced = new ethers.Interface(['function approve(address,uint256)']).encodeFunctionData('approve', [TOKEN, 5n]);
+
+        expect(verifier.verify('approve(address,uint256)', ['ADDR1', '6'], traced, context))
+            .toEqual({ status: 'mismatch', reason: 'arguments differ from word 1' });
+        expect(verifier.verify('approve(uint256)', ['5'], traced, context).reason)
+            .toBe('approve(uint256) has selector 0xb759f954, traced 0x095ea7b3');
+        expect(verifier.verify('approve(address,uint256)', ['ADDR1'], traced, context).reason)
+            .toBe('approve(address,uint256) takes 2 arguments, 1 emitted');
+        expect(verifier.verify('approve(address,uint256)', ['ADDR9', '5'], traced, context).reason)
+            .toBe('cannot read ADDR9 as address');
+        expect(verifier.verify('approve(address,uint256)', ['ADDR1', '5'], '0x', context).status).toBe('unchecked');
+    });
+});
@@ -0,0 +1,316 @@
+import { describe, test, expect, beforeEach, afterEach, spyOn } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Cli from '../../lib/cli.js';
+import { PhalconTraceParser } from '../../index.js';
+
+const TRACE_FILE = path.join(__dirname, '../../trace.json');
+const ATTACKER = '0x2073111e6ebb6826f7e9c6192c6304aa5af5e340';
+const TX_HASH = '0x' + 'ab'.repeat(32);
+
+describe('Cli', () => {
+    let output;
+    let errors;
+    let logSpy;
+    let errorSpy;
+    let processCalls;
+    let parser;
+    let cli;
+
+    beforeEach(() => {
+        output = [];
+        errors = [];
+        logSpy = spyOn(console, 'log').mockImplementation((...args) => output.push(args.join(' ')));
+        errorSpy = spyOn(console, 'error').mockImplementation((...args) => errors.push(args.join(' ')));
+
+        processCalls = [];
+        parser = new PhalconTraceParser();
+        parser.process = async (...args) => {
+            processCalls.push(args);
+            return { testContent: '// generated test' };
+        };
+        cli = new Cli(() => parser);
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        errorSpy.mockRestore();
+    });
+
+    describe('help and usage errors', () => {
+        test('should print help and exit 2 without arguments', async () => {
+            expect(await cli.run([])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(errors.join('\n')).toContain('Commands:');
+        });
+
+        test('should print general and command help with exit 0', async () => {
+            expect(await cli.run(['--help'])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(output.join('\n')).toContain('inspect');
+
+            expect(await cli.run(['generate', '--help'])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(output.join('\n')).toContain('--dry-run');
+        });
+
+        test('should reject unknown commands, unknown flags and missing values', async () => {
+            expect(await cli.run(['inspekt'])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(errors[0]).toContain('Unknown command: inspekt');
+
+            expect(await cli.run(['generate', '--bogus'])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(await cli.run(['generate', '--trace'])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(processCalls).toHaveLength(0);
+        });
+
+        test('should validate flag values before doing any work', async () => {
+            expect(await cli.run(['generate'])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(await cli.run(['generate', '--trace', TRACE_FILE, '--attacker', '0x1234'])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(await cli.run(['generate', '--trace', TRACE_FILE, '--block', 'latest'])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(await cli.run(['generate', '--tx', '0x1234'])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(await cli.run(['generate', '--trace', TRACE_FILE, '--chain', 'solana'])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(await cli.run(['generate', '--trace', TRACE_FILE, '--format', 'etherscan'])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(await cli.run(['generate', '--trace', TRACE_FILE, '--verify-prestate', 'maybe'])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(await cli.run(['generate', '--trace', TRACE_FILE, '--fork-at', 'slot'])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(processCalls).toHaveLength(0);
+            expect(errors.join('\n')).toContain('Invalid --chain: solana');
+        });
+    });
+
+    describe('generate', () => {
+        test('should map named flags onto process()', async () => {
+            const exitCode = await cli.run([
+                'generate', '--trace', TRACE_FILE, '--attacker', ATTACKER, '--out', 'test/Exploit.t.sol',
+                '--block', '18500000', '--chain', 'base', '--rpc', 'http://localhost:8545',
+                '--mode', 'exploit', '--expect-events', '--verify-prestate', 'warn', '--fork-at', 'tx'
+            ]);
+
+            expect(exitCode).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(processCalls[0]).toEqual([TRACE_FILE, ATTACKER, 'test/Exploit.t.sol', 18500000, null, {
+                chain: 'base',
+                rpcUrl: 'http://localhost:8545',
+                mode: 'exploit',
+                forkAt: 'tx',
+                verifyPrestate: 'warn',
+                expectEvents: true
+            }]);
+        });
+
+        test('should fetch by transaction hash and accept flags without the command name', async () => {
+            expect(await cli.run(['--tx', TX_HASH])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(processCalls[0]).toEqual([null, null, null, null, TX_HASH, {}]);
+        });
+
+        test('should keep the legacy positional form working', async () => {
+            expect(await cli.run([TRACE_FILE, ATTACKER, 'out.t.sol', '123'])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(processCalls[0]).toEqual([TRACE_FILE, ATTACKER, 'out.t.sol', 123, null, {}]);
+        });
+
+        test('should pass repeated sources on as one incident', async () => {
+            const SETUP_TX = '0x' + 'cd'.repeat(32);
+
+            expect(await cli.run(['generate', '--tx', SETUP_TX, '--tx', TX_HASH])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(processCalls[0]).toEqual([null, null, null, null, [SETUP_TX, TX_HASH], {}]);
+
+            expect(await cli.run(['generate', '--trace', 'setup.json', '--trace', 'attack.json', '--attacker', ATTACKER])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(processCalls[1]).toEqual([['setup.json', 'attack.json'], ATTACKER, null, null, null, {}]);
+
+            expect(await cli.run(['generate', '--trace', 'setup.json', '--trace', 'attack.json', '--tx', TX_HASH])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(processCalls).toHaveLength(2);
+        });
+
+        test('should pass one chain and RPC per transaction on as lists', async () => {
+            const SETUP_TX = '0x' + 'cd'.repeat(32);
+
+            expect(await cli.run([
+                'generate', '--tx', SETUP_TX, '--chain', 'ethereum', '--rpc', 'http://localhost:8545',
+                '--tx', TX_HASH, '--chain', 'Base', '--rpc', 'http://localhost:8546'
+            ])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(processCalls[0]).toEqual([null, null, null, null, [SETUP_TX, TX_HASH], {
+                chain: ['ethereum', 'base'],
+                rpcUrl: ['http://localhost:8545', 'http://localhost:8546']
+            }]);
+
+            expect(await cli.run(['generate', '--tx', SETUP_TX, '--tx', TX_HASH, '--chain', 'base'])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(processCalls[1][5]).toEqual({ chain: 'base' });
+
+            expect(await cli.run(['generate', '--tx', TX_HASH, '--chain', 'ethereum', '--chain', 'base'])).toBe(Cli.EXIT_CODES.USAGE);
+            expect(processCalls).toHaveLength(2);
+        });
+
+        test('should pass the project directory and --force through', async () => {
+            await cli.run(['generate', '--trace', TRACE_FILE, '--out-dir', 'incidents/euler', '--force']);
+
+            expect(processCalls[0]).toEqual([TRACE_FILE, null, null, null, null, { outDir: 'incidents/euler', force: true }]);
+        });
+
+        test('should print the test on a dry run', async () => {
+            await cli.run(['generate', '--trace', TRACE_FILE, '--dry-run']);
+
+            expect(processCalls[0][5]).toEqual({ dryRun: true });
+            expect(output).toContain('// generated test');
+        });
+
+        test('should exit 1 when processing fails', async () => {
+            parser.process = async () => {
+                throw new Error('Trace file not found: missing.json');
+            };
+
+            expect(await cli.run(['generate', '--trace', 'missing.json'])).toBe(Cli.EXIT_CODES.FAILURE);
+            expect(errors.join('\n')).toContain('Trace file not found: missing.json');
+        });
+    });
+
+    describe('other commands', () => {
+        test('should summarize a trace with inspect', async () => {
+            expect(await cli.run(['inspect', '--trace', TRACE_FILE])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(output.join('\n')).toContain('Sender:       0x5b9b4b4dafbcfceea7afba56958fcbb37d82d4a2');
+
+            expect(await cli.run(['inspect', '--trace', TRACE_FILE, '--attacker', ATTACKER])).toBe(Cli.EXIT_CODES.SUCCESS);
+            const summary = output.join('\n');
+            expect(summary).toContain('Format:       phalcon');
+            expect(summary).toContain(`Top-level calls of ${ATTACKER}:`);
+            expect(summary).toContain('#2 CREATE 0x08947cedf35f9669012bda6fda9d03c399b017ab');
+        });
+
+        test('should look up selectors and fail on unknown ones', async () => {
+            parser.abiManager.lookupFunctionSignatureWithFallback = async selector =>
+                selector === '0xa9059cbb' ? { textSignature: 'transfer(address,uint256)' } : null;
+
+            expect(await cli.run(['signatures', 'a9059cbb'])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(output).toContain('0xa9059cbb  transfer(address,uint256)');
+
+            expect(await cli.run(['signatures', '0xa9059cbb', '0xdeadbeef'])).toBe(Cli.EXIT_CODES.FAILURE);
+            expect(await cli.run(['signatures', '0x12'])).toBe(Cli.EXIT_CODES.USAGE);
+        });
+
+        test('should validate the given RPC URL', async () => {
+            parser.rpcManager.validateRpcUrl = async url => ({ valid: url.includes('good'), error: 'Timeout', blockNumber: 1 });
+
+            expect(await cli.run(['rpc', '--rpc', 'https://good.node'])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(await cli.run(['rpc', '--rpc', 'https://bad.node'])).toBe(Cli.EXIT_CODES.FAILURE);
+            expect(await cli.run(['rpc', '--count', '0'])).toBe(Cli.EXIT_CODES.USAGE);
+        });
+
+        test('should show and clear caches', async () => {
+            let cleared = false;
+            parser.clearCaches = () => {
+                cleared = true;
+            };
+
+            expect(await cli.run(['cache'])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(output.join('\n')).toContain('"abiManager"');
+            expect(await cli.run(['cache', 'clear'])).toBe(Cli.EXIT_CODES.SUCCESS);
+            expect(cleared).toBe(true);
+            expect(await cli.run(['cache', 'purge'])).toBe(Cli.EXIT_CODES.USAGE);
+        });
+    });
+});
+
+describe('PhalconTraceParser - output directory', () => {
+    let tmpDir;
+    let parser;
+    let logSpy;
+
+    const run = (outputFile, options) => parser.process(TRACE_FILE, ATTACKER, outputFile, 18500000, null, {
+        rpcUrl: 'http://localhost:8545',
+        ...options
+    });
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-out-'));
+        logSpy = spyOn(console, 'log').mockImplementation(() => {});
+
+        parser = new PhalconTraceParser();
+        parser.tokenManager.fetchTransactionDetails = async () => null;
+        parser.foundryGenerator.generateFoundryTest = async () => '// generated test';
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should scaffold a Foundry project and refuse to overwrite it without --force', async () => {
+        const outDir = path.join(tmpDir, 'incident');
+        const result = await run(null, { outDir });
+
+        expect(result.testOutputPath).toBe(path.join(outDir, 'test/TraceReproduction.t.sol'));
+        expect(fs.readFileSync(result.testOutputPath, 'utf8')).toBe('// generated test');
+        expect(fs.readFileSync(path.join(outDir, 'remappings.txt'), 'utf8')).toContain('forge-std/=lib/forge-std/src/');
+        expect(fs.existsSync(path.join(outDir, 'src'))).toBe(true);
+
+        fs.writeFileSync(path.join(outDir, 'README.md'), 'my notes');
+        await expect(run(null, { outDir })).rejects.toThrow('Refusing to overwrite existing files');
+        expect(fs.readFileSync(path.join(outDir, 'README.md'), 'utf8')).toBe('my notes');
+
+        await run(null, { outDir, force: true });
+        expect(fs.readFileSync(path.join(outDir, 'README.md'), 'utf8')).toContain('# Trace Reproduction');
+        await expect(run('../escape.t.sol', { outDir })).rejects.toThrow('must be relative to the output directory');
+    });
+
+    test('should take the main address from the root call when none is given', async () => {
+        const result = await parser.process(TRACE_FILE, null, null, 18500000, null, {
+            rpcUrl: 'http://localhost:8545',
+            dryRun: true
+        });
+
+        // The transaction sender, not the contract it deploys, which makes the most calls
+        expect(result.mainAddress).toBe('0x5b9b4b4dafbcfceea7afba56958fcbb37d82d4a2');
+    });
+
+    test('should generate one incident test from several traces', async () => {
+        let incident = null;
+        parser.foundryGenerator.generateIncidentTest = async (transactions, blockNumber) => {
+            incident = { transactions, blockNumber };
+            return '// incident test';
+        };
+
+        const result = await parser.process([TRACE_FILE, TRACE_FILE], [ATTACKER, ATTACKER], null, 18500000, null, {
+            rpcUrl: 'http://localhost:8545',
+            dryRun: true
+        });
+
+        expect(result.testContent).toBe('// incident test');
+        expect(incident.blockNumber).toBe(18500000);
+        expect(incident.transactions.map(transaction => transaction.mainAddress)).toEqual([ATTACKER, ATTACKER]);
+        await expect(parser.process([TRACE_FILE, TRACE_FILE], [ATTACKER], null, 1))
+            .rejects.toThrow('Expected one trace file, transaction hash and main address per transaction (2 transactions)');
+    });
+
+    test('should load every transaction of a cross-chain incident from its own chain', async () => {
+        let incident = null;
+        parser.foundryGenerator.generateIncidentTest = async transactions => {
+            incident = transactions;
+            return '// incident test';
+        };
+
+        const result = await parser.process([TRACE_FILE, TRACE_FILE], ATTACKER, null, 18500000, null, {
+            chain: ['ethereum', 'base'],
+            rpcUrl: ['http://localhost:8545', 'http://localhost:8546'],
+            dryRun: true
+        });
+
+        expect(result.chain).toBe('ethereum');
+        expect(incident.map(transaction => [transaction.chain, transaction.rpcUrl])).toEqual([
+            ['ethereum', 'http://localhost:8545'],
+            ['base', 'http://localhost:8546']
+        ]);
+        await expect(parser.process([TRACE_FILE, TRACE_FILE], ATTACKER, null, 1, null, { chain: ['ethereum', 'base'], rpcUrl: 'http://localhost:8545' }))
+            .rejects.toThrow('Transactions on different chains need one RPC URL per transaction');
+    });
+
+    test('should keep existing supporting files in the current directory', async () => {
+        const cwd = process.cwd();
+        fs.writeFileSync(path.join(tmpDir, 'README.md'), '# My Tool');
+        process.chdir(tmpDir);
+
+        try {
+            const result = await run(null, {});
+
+            expect(result.files).not.toContain('README.md');
+            expect(result.files).toContain('foundry.toml');
+            expect(fs.readFileSync('README.md', 'utf8')).toBe('# My Tool');
+        } finally {
+            process.chdir(cwd);
+        }
+    });
+});
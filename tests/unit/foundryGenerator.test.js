@@ -1,29 +1,52 @@
-import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { describe, test, expect, beforeEach, afterEach, spyOn } from 'bun:test';
 import FoundryGenerator from '../../lib/foundryGenerator.js';
 import ConfigManager from '../../lib/configManager.js';
 import RpcManager from '../../lib/rpcManager.js';
 import TokenManager from '../../lib/tokenManager.js';
 import AbiManager from '../../lib/abiManager.js';
 import TraceParser from '../../lib/traceParser.js';
+import { Block, ContractDefinition } from '../../lib/solidityEmitter.js';
+import fs from 'fs';
+import path from 'path';
+
+// Generator whose token and signature lookups stay offline
+const makeGenerator = () => {
+    const configManager = new ConfigManager();
+    const rpcManager = new RpcManager(configManager);
+    const tokenManager = new TokenManager(configManager, rpcManager);
+    const abiManager = new AbiManager();
+    const traceParser = new TraceParser(configManager, rpcManager, tokenManager, abiManager);
+    tokenManager.batchFetchTokenInfo = async () => new Map();
+    abiManager.lookupFunctionSignatureWithFallback = async () => null;
+    return new FoundryGenerator(configManager, rpcManager, tokenManager, abiManager, traceParser);
+};
+
+// Trace data from [parent id, node] pairs, ids counting up from 0 and top-level nodes having parent -1
+const buildTrace = nodes => ({
+    dataMap: Object.fromEntries(nodes.map(([, node], id) => [id, node])),
+    parentIdMap: Object.fromEntries(nodes.map(([parentId], id) => [id, parentId]))
+});
 
 describe('FoundryGenerator', () => {
+    // Recorded incident: the attacker deploys a drainer contract and calls it
+    const recordedTrace = JSON.parse(fs.readFileSync(path.join(__dirname, '../../trace.json'), 'utf8'));
+    const recordedAttacker = '0x2073111e6ebb6826f7e9c6192c6304aa5af5e340';
     let foundryGenerator;
-    let configManager;
-    let rpcManager;
-    let tokenManager;
-    let abiManager;
     let traceParser;
 
     beforeEach(() => {
-        configManager = new ConfigManager();
-        rpcManager = new RpcManager(configManager);
-        tokenManager = new TokenManager(configManager, rpcManager);
-        abiManager = new AbiManager();
-        traceParser = new TraceParser(configManager, rpcManager, tokenManager, abiManager);
-        foundryGenerator = new FoundryGenerator(configManager, rpcManager, tokenManager, abiManager, traceParser);
+        foundryGenerator = makeGenerator();
+        traceParser = foundryGenerator.traceParser;
     });
 
     test('should initialize correctly', () => {
+        const configManager = new ConfigManager();
+        const rpcManager = new RpcManager(configManager);
+        const tokenManager = new TokenManager(configManager, rpcManager);
+        const abiManager = new AbiManager();
+        const traceParser = new TraceParser(configManager, rpcManager, tokenManager, abiManager);
+        const foundryGenerator = new FoundryGenerator(configManager, rpcManager, tokenManager, abiManager, traceParser);
+
         expect(foundryGenerator.configManager).toBe(configManager);
         expect(foundryGenerator.rpcManager).toBe(rpcManager);
         expect(foundryGenerator.tokenManager).toBe(tokenManager);
@@ -68,6 +91,18 @@ describe('FoundryGenerator', () => {
         expect(typeof readme).toBe('string');
     });
 
+    test('should lay out a self-contained project with the forge-std remapping', () => {
+        const files = foundryGenerator.generateProjectFiles('// test', 'test/Exploit.t.sol');
+
+        expect(Array.from(files.keys())).toEqual([
+            'foundry.toml', 'remappings.txt', '.env.example', '.gitignore', 'package.json', 'README.md', 'src/.gitkeep', 'test/Exploit.t.sol'
+        ]);
+        expect(files.get('test/Exploit.t.sol')).toBe('// test');
+        expect(files.get('foundry.toml')).toContain('remappings = ["forge-std/=lib/forge-std/src/"]');
+        expect(files.get('remappings.txt')).toBe('forge-std/=lib/forge-std/src/\n');
+        expect(files.get('README.md')).toContain('`test/Exploit.t.sol` - Main test contract');
+    });
+
     test('should handle trace data processing', async () => {
         const mockTraceData = {
             dataMap: {
@@ -271,7 +306,9 @@ describe('FoundryGenerator', () => {
         const tokenInfoMap = new Map();
         const mainAddress = '0x1234567890123456789012345678901234567890';
 
-        const stateVars = foundryGenerator._generateStateVariables(addressRegistry, tokenInfoMap, mainAddress);
+        const contract = new ContractDefinition('contract', 'TraceReproduction');
+        foundryGenerator._generateStateVariables(contract, addressRegistry, tokenInfoMap, mainAddress);
+        const stateVars = contract.renderMembers();
 
         expect(stateVars).toContain('MAIN_ADDRESS');
         expect(stateVars).toContain('ADDR1');
@@ -280,7 +317,9 @@ describe('FoundryGenerator', () => {
     });
 
     test('should generate setup function correctly', () => {
-        const setup = foundryGenerator._generateSetupFunction(12345, 1);
+        const contract = new ContractDefinition('contract', 'TraceReproduction');
+        foundryGenerator._generateSetupFunction(contract, 12345, 1);
+        const setup = contract.renderMembers();
 
         expect(setup).toContain('function setUp()');
         expect(setup).toContain('vm.createFork');
@@ -290,23 +329,972 @@ describe('FoundryGenerator', () => {
     });
 
     test('should find callback ranges correctly', () => {
-        const dataMap = {
-            '0': {
-                invocation: {
-                    fromAddress: '0x1234567890123456789012345678901234567890',
-                    address: '0x0987654321098765432109876543210987654321',
-                    decodedMethod: { name: 'flashloan' },
-                    callData: '0xabcdef'
-                }
+        const mainAddress = '0x1234567890123456789012345678901234567890';
+        const lender = '0x0987654321098765432109876543210987654321';
+        const traceData = buildTrace([
+            [-1, { nodeType: 0, invocation: { fromAddress: mainAddress, address: lender, decodedMethod: { name: 'flashloan' }, callData: '0xabcdef' } }],
+            [0, { nodeType: 0, invocation: { fromAddress: lender, address: mainAddress, selector: '0x920f5c84', decodedMethod: { name: 'executeOperation' } } }]
+        ]);
+
+        const ranges = foundryGenerator._findCallbackRanges(traceParser.buildCallTree(traceData), mainAddress);
+
+        expect(Array.isArray(ranges)).toBe(true);
+        expect(ranges.length).toBe(1);
+        expect(ranges[0].type).toBe('aave_flashloan');
+        expect(ranges[0].nodeId).toBe(1);
+        expect(ranges[0].contractAddress).toBe(lender);
+    });
+
+    test('should detect callbacks by call tree position instead of method name', () => {
+        const mainAddress = '0x1111111111111111111111111111111111111111';
+        const pool = '0x2222222222222222222222222222222222222222';
+        const traceData = buildTrace([
+            // Neither name mentions a flash loan
+            [-1, { nodeType: 0, invocation: { fromAddress: mainAddress, address: pool, selector: '0x022c0d9f', decodedMethod: { name: 'swap' } } }],
+            [0, { nodeType: 0, invocation: { fromAddress: pool, address: mainAddress, selector: '0x10d1e85c', decodedMethod: { name: 'uniswapV2Call', signature: 'uniswapV2Call(address,uint256,uint256,bytes)' }, output: '0x' } }],
+            // A call into the main address that is not nested in one of its calls is no callback
+            [-1, { nodeType: 0, invocation: { fromAddress: pool, address: mainAddress, selector: '0xdeadbeef' } }],
+            // The main address calling itself is no callback either
+            [0, { nodeType: 0, invocation: { fromAddress: mainAddress, address: mainAddress, selector: '0x12345678' } }]
+        ]);
+
+        const ranges = foundryGenerator._findCallbackRanges(traceParser.buildCallTree(traceData), mainAddress);
+
+        expect(ranges.map(range => [range.nodeId, range.type, range.selector])).toEqual([[1, 'uniswap_v2_call', '0x10d1e85c']]);
+        expect(ranges[0].signature).toBe('uniswapV2Call(address,uint256,uint256,bytes)');
+    });
+
+    test('should only use a template when the traced selector is the template\'s', () => {
+        expect(traceParser.resolveCallbackTemplate('executeOperation', '0x920f5c84')).toBe('aave_flashloan');
+        expect(traceParser.resolveCallbackTemplate('uniswapV3SwapCallback', '0xfa461e33')).toBe('uniswap_v3_swap');
+        // Same name, different parameters
+        expect(traceParser.resolveCallbackTemplate('executeOperation', '0x1b11d0ff')).toBe('aave_flashloan_simple');
+        expect(traceParser.resolveCallbackTemplate('onFlashLoan', '0x23e30c8b')).toBe('erc3156_flashloan');
+        expect(traceParser.resolveCallbackTemplate('onFlashLoan', '0xc4850ea8')).toBe('euler_flashloan');
+        // Recognized by name, but traced with parameters no template has
+        expect(traceParser.resolveCallbackTemplate('receiveFlashLoan', '0x12345678')).toBeNull();
+    });
+
+    test('should only replay outermost calls from the main address', async () => {
+        const mainAddress = '0x1111111111111111111111111111111111111111';
+        const lender = '0x2222222222222222222222222222222222222222';
+        const token = '0x3333333333333333333333333333333333333333';
+        const traceData = buildTrace([
+            [-1, { nodeType: 0, invocation: { fromAddress: mainAddress, address: lender, operation: 'CALL', decodedMethod: { name: 'flashLoan', signature: 'flashLoan(uint256)', callParams: [] } } }],
+            [0, { nodeType: 0, invocation: { fromAddress: lender, address: mainAddress, operation: 'CALL', decodedMethod: { name: 'executeOperation', signature: 'executeOperation()', callParams: [] } } }],
+            [1, { nodeType: 0, invocation: { fromAddress: mainAddress, address: token, operation: 'CALL', decodedMethod: { name: 'approve', signature: 'approve()', callParams: [] } } }],
+            [-1, { nodeType: 0, invocation: { fromAddress: mainAddress, address: token, operation: 'CALL', decodedMethod: { name: 'transfer', signature: 'transfer()', callParams: [] } } }]
+        ]);
+
+        const callTree = traceParser.buildCallTree(traceData);
+        const methodCalls = [];
+        await foundryGenerator._processTraceData(callTree, mainAddress, new Map(), methodCalls, new Map(), new Map());
+
+        expect(methodCalls.map(call => call.methodName)).toEqual(['flashLoan', 'transfer']);
+        expect(methodCalls.map(call => call.nodeId)).toEqual([0, 3]);
+
+        const ranges = foundryGenerator._findCallbackRanges(callTree, mainAddress);
+        const callbackCalls = await traceParser.extractCallsInCallback(
+            callTree, callTree.getNode(ranges[0].nodeId), mainAddress, new Map(), new Map(), new Map()
+        );
+        expect(callbackCalls.map(call => call.methodName)).toEqual(['approve']);
+    });
+
+    describe('exploit contract mode', () => {
+        const attacker = '0x1111111111111111111111111111111111111111';
+        const sender = '0x9999999999999999999999999999999999999999';
+        const lender = '0x2222222222222222222222222222222222222222';
+        const token = '0x3333333333333333333333333333333333333333';
+        const traceData = buildTrace([
+            [-1, { nodeType: 0, invocation: { fromAddress: sender, address: attacker, operation: 'CALL', selector: '0x12345678' } }],
+            [0, { nodeType: 0, invocation: { fromAddress: attacker, address: lender, operation: 'CALL', decodedMethod: { name: 'flashLoan', signature: 'flashLoan(uint256)', callParams: [{ name: 'amount', type: 'uint256', value: '100' }] } } }],
+            [1, { nodeType: 0, invocation: { fromAddress: lender, address: attacker, operation: 'CALL', decodedMethod: { name: 'executeOperation', signature: 'executeOperation()', callParams: [] } } }],
+            [2, { nodeType: 0, invocation: { fromAddress: attacker, address: token, operation: 'CALL', decodedMethod: { name: 'approve', signature: 'approve(address,uint256)', callParams: [{ name: 'spender', type: 'address', value: lender }, { name: 'amount', type: 'uint256', value: '100' }] } } }]
+        ]);
+
+        test('should emit a deployable Exploit contract holding the attacker calls and callbacks', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                traceData, attacker, 12345, 'http://localhost:8545', { mode: 'exploit' }
+            );
+
+            const exploitContract = testContent.slice(testContent.indexOf('contract Exploit {'), testContent.indexOf('contract TraceReproduction'));
+            expect(exploitContract).toContain('function attack() external payable');
+            expect(exploitContract).toContain('.flashLoan(100)');
+            expect(exploitContract).toContain('function executeOperation(');
+            expect(exploitContract).toContain('receive() external payable {}');
+
+            const testContract = testContent.slice(testContent.indexOf('contract TraceReproduction'));
+            expect(testContract).toContain('exploit = new Exploit();');
+            expect(testContract).toContain('exploit.attack();');
+            expect(testContract).not.toContain('vm.startPrank');
+            expect(testContract).not.toContain('function executeOperation(');
+        });
+
+        test('should resolve the attacker contract when given the transaction sender', async () => {
+            const callTree = traceParser.buildCallTree(traceData);
+
+            expect(foundryGenerator._resolveAttackerContract(callTree, sender)).toBe(attacker);
+            expect(foundryGenerator._resolveAttackerContract(callTree, attacker)).toBe(attacker);
+
+            const testContent = await foundryGenerator.generateFoundryTest(
+                traceData, sender, 12345, 'http://localhost:8545', { mode: 'exploit' }
+            );
+            expect(testContent).toContain('.flashLoan(100)');
+        });
+
+        test('should keep prank mode as the default', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(traceData, attacker, 12345, 'http://localhost:8545');
+
+            expect(testContent).not.toContain('contract Exploit');
+            expect(testContent).toContain('vm.startPrank(MAIN_ADDRESS);');
+        });
+    });
+
+    describe('callbacks without a template', () => {
+        const attacker = '0x1111111111111111111111111111111111111111';
+        const sender = '0x9999999999999999999999999999999999999999';
+        const lender = '0x2222222222222222222222222222222222222222';
+        const token = '0x3333333333333333333333333333333333333333';
+        const magic = '0x439148f0bbc682ca079e46d6e2c2f0c1e3b820f1a291b069d8882abf8cf18dd9';
+        const traceData = buildTrace([
+            [-1, { nodeType: 0, invocation: { fromAddress: sender, address: attacker, operation: 'CALL', selector: '0x12345678' } }],
+            [0, { nodeType: 0, invocation: { fromAddress: attacker, address: lender, operation: 'CALL', selector: '0x5cffe9de', decodedMethod: { name: 'flashLoan', signature: 'flashLoan(uint256)', callParams: [{ name: 'amount', type: 'uint256', value: '100' }] } } }],
+            // Protocol specific callback: no template, and its return value is checked by the lender
+            [1, { nodeType: 0, invocation: { fromAddress: lender, address: attacker, operation: 'CALL', selector: '0x19ba8909', output: magic, decodedMethod: { name: 'onSwapHook', signature: 'onSwapHook(address,uint256,bytes)', callParams: [] } } }],
+            [2, { nodeType: 0, invocation: { fromAddress: attacker, address: token, operation: 'CALL', selector: '0x095ea7b3', decodedMethod: { name: 'approve', signature: 'approve(uint256)', callParams: [{ name: 'amount', type: 'uint256', value: '100' }] } } }],
+            // Undecoded callback
+            [1, { nodeType: 0, invocation: { fromAddress: lender, address: attacker, operation: 'CALL', selector: '0xabcdef01', output: '0x' } }]
+        ]);
+
+        test('should dispatch them by selector from a fallback stub returning the traced data', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                traceData, attacker, 12345, 'http://localhost:8545', { mode: 'exploit', txDetails: null }
+            );
+            const exploitContract = testContent.slice(testContent.indexOf('contract Exploit {'), testContent.indexOf('contract TraceReproduction'));
+
+            expect(exploitContract).toContain('fallback(bytes calldata) external payable returns (bytes memory) {');
+            expect(exploitContract).toContain('// onSwapHook(address,uint256,bytes)\n        if (msg.sig == 0x19ba8909) {');
+            expect(exploitContract).toContain('IApproveContract(ADDR2).approve(100);');
+            expect(exploitContract).toContain(`return hex"${magic.slice(2)}";`);
+            expect(exploitContract).toContain('// Unknown callback\n        if (msg.sig == 0xabcdef01) {\n            return hex"";');
+            expect(exploitContract).toContain('revert("Unexpected callback");');
+            // The callback's calls run inside the stub, not as top-level calls
+            expect(exploitContract.indexOf('.approve(100)')).toBeGreaterThan(exploitContract.indexOf('fallback('));
+        });
+    });
+
+    describe('repeated and nested callbacks', () => {
+        const attacker = '0x1111111111111111111111111111111111111111';
+        const sender = '0x9999999999999999999999999999999999999999';
+        const vault = '0x2222222222222222222222222222222222222222';
+        const token = '0x3333333333333333333333333333333333333333';
+        const pair = '0x4444444444444444444444444444444444444444';
+        const call = (from, to, name, amount) => ({
+            nodeType: 0,
+            invocation: { fromAddress: from, address: to, operation: 'CALL', decodedMethod: { name, signature: `${name}(uint256)`, callParams: [{ name: 'amount', type: 'uint256', value: amount }] } }
+        });
+        const callback = (from, selector, signature) => ({
+            nodeType: 0,
+            invocation: { fromAddress: from, address: attacker, operation: 'CALL', selector, output: '0x', decodedMethod: { name: signature.split('(')[0], signature, callParams: [] } }
+        });
+        // Two Balancer flash loans from the same vault; the first takes a Uniswap V2 flash swap inside it
+        const traceData = buildTrace([
+            [-1, { nodeType: 0, invocation: { fromAddress: sender, address: attacker, operation: 'CALL', selector: '0x12345678' } }],
+            [0, call(attacker, vault, 'flashLoan', '100')],
+            [1, callback(vault, '0xf04f2707', 'receiveFlashLoan(address[],uint256[],uint256[],bytes)')],
+            [2, call(attacker, pair, 'swap', '5')],
+            [3, callback(pair, '0x10d1e85c', 'uniswapV2Call(address,uint256,uint256,bytes)')],
+            [4, call(attacker, token, 'transfer', '1')],
+            [2, call(attacker, token, 'approve', '100')],
+            [0, call(attacker, vault, 'flashLoan', '200')],
+            [7, callback(vault, '0xf04f2707', 'receiveFlashLoan(address[],uint256[],uint256[],bytes)')],
+            [8, call(attacker, token, 'approve', '200')]
+        ]);
+
+        const generate = async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                traceData, attacker, 12345, 'http://localhost:8545', { mode: 'exploit', txDetails: null }
+            );
+            const exploitContract = testContent.slice(testContent.indexOf('contract Exploit {'), testContent.indexOf('contract TraceReproduction'));
+            const functionBody = name => {
+                const start = exploitContract.indexOf(`function ${name}(`);
+                return exploitContract.slice(start, exploitContract.indexOf('\n    }\n', start));
+            };
+            return { exploitContract, functionBody };
+        };
+
+        test('should keep every invocation and dispatch them in trace order', async () => {
+            const { exploitContract, functionBody } = await generate();
+            const receiveFlashLoan = functionBody('receiveFlashLoan');
+
+            expect(exploitContract).toContain('    uint256 internal receiveFlashLoanCalls;\n');
+            expect(receiveFlashLoan).toContain('uint256 invocation = receiveFlashLoanCalls++;');
+            const first = receiveFlashLoan.indexOf('if (invocation == 0) {');
+            const second = receiveFlashLoan.indexOf('} else if (invocation == 1) {');
+            expect(first).toBeGreaterThan(-1);
+            expect(receiveFlashLoan.indexOf('.swap(5);')).toBeGreaterThan(first);
+            expect(receiveFlashLoan.indexOf('.approve(100);')).toBeLessThan(second);
+            expect(receiveFlashLoan.indexOf('.approve(200);')).toBeGreaterThan(second);
+        });
+
+        test('should give callbacks nested in another callback their own body', async () => {
+            const { functionBody } = await generate();
+
+            expect(functionBody('uniswapV2Call')).toContain('.transfer(1);');
+            expect(functionBody('receiveFlashLoan')).not.toContain('.transfer(1);');
+        });
+
+        test('should concatenate the invocations of every step in order', () => {
+            const steps = [
+                { callbacks: new Map([['balancer_flashloan', [{ nodeId: 2, calls: [] }]]]) },
+                { callbacks: new Map([['balancer_flashloan', [{ nodeId: 5, calls: [] }]], ['fallback', [{ nodeId: 7, selector: '0xabcdef01', calls: [] }]]]) }
+            ];
+
+            const callbacks = foundryGenerator._mergeStepCallbacks(steps);
+
+            expect(callbacks.get('balancer_flashloan').map(invocation => invocation.nodeId)).toEqual([2, 5]);
+            expect(callbacks.get('fallback').map(invocation => invocation.nodeId)).toEqual([7]);
+        });
+    });
+
+    describe('reentrancy hooks', () => {
+        const attacker = '0x1111111111111111111111111111111111111111';
+        const sender = '0x9999999999999999999999999999999999999999';
+        const vault = '0x2222222222222222222222222222222222222222';
+        const nft = '0x3333333333333333333333333333333333333333';
+        const withdraw = { name: 'withdraw', signature: 'withdraw(uint256)', callParams: [{ name: 'amount', type: 'uint256', value: '1' }] };
+        const mint = { name: 'mint', signature: 'mint(uint256)', callParams: [{ name: 'amount', type: 'uint256', value: '1' }] };
+        const onReceived = { name: 'onERC721Received', signature: 'onERC721Received(address,address,uint256,bytes)', callParams: [] };
+        // withdraw() sends Ether before updating the balance, so the attacker re-enters it once from receive();
+        // mint() calls the ERC721 hook, which mints once more
+        const traceData = buildTrace([
+            [-1, { nodeType: 0, invocation: { fromAddress: sender, address: attacker, operation: 'CALL', selector: '0x12345678' } }],
+            [0, { nodeType: 0, invocation: { fromAddress: attacker, address: vault, operation: 'CALL', decodedMethod: withdraw } }],
+            [1, { nodeType: 0, invocation: { fromAddress: vault, address: attacker, operation: 'CALL', value: '1' } }],
+            [2, { nodeType: 0, invocation: { fromAddress: attacker, address: vault, operation: 'CALL', decodedMethod: withdraw } }],
+            [3, { nodeType: 0, invocation: { fromAddress: vault, address: attacker, operation: 'CALL', value: '1' } }],
+            [0, { nodeType: 0, invocation: { fromAddress: attacker, address: nft, operation: 'CALL', decodedMethod: mint } }],
+            [5, { nodeType: 0, invocation: { fromAddress: nft, address: attacker, operation: 'CALL', selector: '0x150b7a02', output: '0x150b7a02', decodedMethod: onReceived } }],
+            [6, { nodeType: 0, invocation: { fromAddress: attacker, address: nft, operation: 'CALL', decodedMethod: mint } }],
+            [7, { nodeType: 0, invocation: { fromAddress: nft, address: attacker, operation: 'CALL', selector: '0x150b7a02', output: '0x150b7a02', decodedMethod: onReceived } }]
+        ]);
+
+        let exploitContract;
+
+        beforeEach(async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                traceData, attacker, 12345, 'http://localhost:8545', { mode: 'exploit', txDetails: null }
+            );
+            exploitContract = testContent.slice(testContent.indexOf('contract Exploit {'), testContent.indexOf('contract TraceReproduction'));
+        });
+
+        test('should re-enter from receive() on the traced entry only', () => {
+            expect(exploitContract).toContain('    uint256 internal receiveCalls;\n');
+            expect(exploitContract).toContain(
+                '    receive() external payable {\n' +
+                '        // Invoked 2 times, told apart by order\n' +
+                '        uint256 invocation = receiveCalls++;\n' +
+                '        if (invocation == 0) {\n' +
+                '            // withdraw\n' +
+                '            IWithdrawContract(ADDR1).withdraw(1);\n' +
+                '        } else if (invocation == 1) {\n' +
+                '        }\n' +
+                '    }\n'
+            );
+            expect(exploitContract.match(/receive\(\)/g).length).toBe(1);
+            // Only the outermost call is replayed from attack()
+            expect(exploitContract.match(/\.withdraw\(1\)/g).length).toBe(2);
+        });
+
+        test('should count the entries of token hooks and return their selector', () => {
+            const hook = exploitContract.slice(exploitContract.indexOf('function onERC721Received('));
+
+            expect(hook).toContain('uint256 invocation = onERC721ReceivedCalls++;');
+            expect(hook).toContain(') external returns (bytes4) {');
+            expect(hook.indexOf('.mint(1);')).toBeLessThan(hook.indexOf('} else if (invocation == 1) {'));
+            expect(hook).toContain('return this.onERC721Received.selector;');
+            expect(exploitContract).not.toContain('fallback(');
+        });
+    });
+
+    describe('return value dataflow', () => {
+        const attacker = '0x1111111111111111111111111111111111111111';
+        const token = '0x3333333333333333333333333333333333333333';
+        const router = '0x4444444444444444444444444444444444444444';
+        const balance = '11,907,874,713,019,104,529,057,960';
+        const traceData = buildTrace([
+            [-1, { nodeType: 0, invocation: { fromAddress: attacker, address: token, operation: 'STATICCALL', decodedMethod: { name: 'balanceOf', signature: 'balanceOf(address)', callParams: [{ name: 'account', type: 'address', value: attacker }], returnParams: [{ name: '', type: 'uint256', value: balance }] } } }],
+            [-1, { nodeType: 0, invocation: { fromAddress: attacker, address: router, operation: 'CALL', decodedMethod: { name: 'swap', signature: 'swap(uint256)', callParams: [{ name: 'amountIn', type: 'uint256', value: balance }] } } }]
+        ]);
+
+        test('should capture results into typed locals and pass them on', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(traceData, attacker, 12345, 'http://localhost:8545', { txDetails: null });
+
+            expect(testContent).toContain('    function balanceOf(address) external view returns (uint256);');
+            expect(testContent).toMatch(/uint256 balanceOfResult = I\w+\(ADDR1\)\.balanceOf\(MAIN_ADDRESS\);/);
+            expect(testContent).toMatch(/\.swap\(balanceOfResult\);/);
+            expect(testContent).not.toContain('11,907');
+        });
+    });
+
+    describe('calldata fidelity', () => {
+        const attacker = '0x1111111111111111111111111111111111111111';
+        const token = '0x3333333333333333333333333333333333333333';
+        const word = value => value.toString(16).padStart(64, '0');
+        // Phalcon keeps the selector apart from the arguments
+        const traceData = buildTrace([
+            [-1, { nodeType: 0, invocation: { fromAddress: attacker, address: token, operation: 'STATICCALL', selector: '0x70a08231', callData: `0x${word(attacker.slice(2))}`, decodedMethod: { name: 'balanceOf', signature: 'balanceOf(address)', callParams: [{ name: 'account', type: 'address', value: attacker }] } } }],
+            [-1, { nodeType: 0, invocation: { fromAddress: attacker, address: token, operation: 'CALL', selector: '0xb6b55f25', callData: `0x${word(5)}`, decodedMethod: { name: 'deposit', signature: 'deposit(uint256)', callParams: [{ name: 'amount', type: 'uint256', value: '6' }] } } }],
+            [-1, { nodeType: 0, invocation: { fromAddress: attacker, address: token, operation: 'CALL', selector: '0xdeadbeef', callData: `0x${word(7)}` } }]
+        ]);
+
+        test('should replay calls that do not encode to the traced calldata raw, selector included', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(traceData, attacker, 12345, 'http://localhost:8545', { txDetails: null });
+
+            expect(testContent).toMatch(/I\w+\(ADDR1\)\.balanceOf\(MAIN_ADDRESS\);/);
+            expect(testContent).toContain('// ⚠️  arguments differ from word 0 when re-encoded - using raw calldata');
+            expect(testContent).toContain(`abi.encodePacked(bytes4(0xb6b55f25), hex"${word(5)}")`);
+            expect(testContent).toContain(`abi.encodePacked(bytes4(0xdeadbeef), hex"${word(7)}")`);
+            expect(testContent).not.toContain('deposit(uint256)');
+        });
+
+        test('should report the fidelity of every call', async () => {
+            await foundryGenerator.generateFoundryTest(traceData, attacker, 12345, 'http://localhost:8545', { txDetails: null });
+
+            expect(foundryGenerator.fidelityReport.map(entry => entry.status)).toEqual(['exact', 'fallback', 'raw']);
+            expect(foundryGenerator.formatFidelityReport()).toBe([
+                'Calldata fidelity: 1 exact, 1 raw fallback, 1 raw, 0 unchecked',
+                '  ✅ balanceOf on 0x3333333333333333333333333333333333333333: exact',
+                '  ⚠️  deposit on 0x3333333333333333333333333333333333333333: fallback (arguments differ from word 0)',
+                '  ⚠️  unknownFunction_0xdeadbeef on 0x3333333333333333333333333333333333333333: raw (unknown function)'
+            ].join('\n'));
+        });
+
+        test('should give every raw call in the test function its own locals', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(traceData, attacker, 12345, 'http://localhost:8545', { txDetails: null });
+
+            expect(testContent.match(/\(bool success, bytes memory result\)/g).length).toBe(1);
+            expect(testContent).toContain('(bool success2, bytes memory result2) = ADDR1.call(');
+            expect(testContent).toContain('require(success2, "Raw call failed");\n        console.logBytes(result2);');
+        });
+    });
+
+    describe('call order', () => {
+        const attacker = '0x1111111111111111111111111111111111111111';
+        const token = '0x3333333333333333333333333333333333333333';
+        const router = '0x4444444444444444444444444444444444444444';
+        const approve = amount => ({ name: 'approve', signature: 'approve(uint256)', callParams: [{ name: 'amount', type: 'uint256', value: amount }] });
+        const traceData = buildTrace([
+            [-1, { nodeType: 0, invocation: { fromAddress: attacker, address: token, operation: 'CALL', decodedMethod: approve('100') } }],
+            [-1, { nodeType: 0, invocation: { fromAddress: attacker, address: router, operation: 'CALL', decodedMethod: { name: 'swap', signature: 'swap(uint256)', callParams: [{ name: 'amount', type: 'uint256', value: '100' }] } } }],
+            [-1, { nodeType: 0, invocation: { fromAddress: attacker, address: token, operation: 'CALL', decodedMethod: approve('0') } }]
+        ]);
+
+        const callLines = testContent => testContent.split('\n')
+            .filter(line => /^\s+I\w+\(ADDR\d\)\./.test(line))
+            .map(line => line.trim().replace(/^I\w+\((ADDR\d)\)/, '$1'));
+
+        test('should replay calls in trace order even when a contract is called again later', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(traceData, attacker, 12345, 'http://localhost:8545');
+
+            expect(callLines(testContent)).toEqual(['ADDR1.approve(100);', 'ADDR2.swap(100);', 'ADDR1.approve(0);']);
+            expect(testContent.match(/\/\/ Calls to ADDR1/g)).toHaveLength(2);
+            expect(testContent).not.toContain('Calls by contract');
+        });
+
+        test('should only add an overview comment when grouping by contract', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                traceData, attacker, 12345, 'http://localhost:8545', { groupByContract: true }
+            );
+
+            expect(callLines(testContent)).toEqual(['ADDR1.approve(100);', 'ADDR2.swap(100);', 'ADDR1.approve(0);']);
+            expect(testContent).toContain('//   ADDR1: approve (#1), approve (#3)');
+            expect(testContent).toContain('//   ADDR2: swap (#2)');
+        });
+
+        test('should sort calls by their trace position', () => {
+            const calls = [{ order: 5, to: token }, { order: 2, to: router }, { nodeId: '3', to: token }];
+
+            expect(foundryGenerator._sortByTraceOrder(calls).map(call => call.order ?? call.nodeId)).toEqual([2, '3', 5]);
+        });
+    });
+
+    describe('transaction context', () => {
+        const sender = '0x9999999999999999999999999999999999999999';
+        const attacker = '0x1111111111111111111111111111111111111111';
+        const token = '0x3333333333333333333333333333333333333333';
+        const traceData = buildTrace([
+            [-1, { nodeType: 0, invocation: { fromAddress: sender, address: attacker, operation: 'CALL', selector: '0x12345678' } }],
+            [0, { nodeType: 0, invocation: { fromAddress: attacker, address: token, operation: 'CALL', decodedMethod: { name: 'skim', signature: 'skim()', callParams: [] } } }]
+        ]);
+        const txDetails = {
+            from: sender,
+            gasPrice: '30000000000',
+            effectiveGasPrice: '25000000000',
+            blockNumber: 14000000,
+            block: {
+                number: 14000000,
+                timestamp: 1641997888,
+                baseFeePerGas: '20000000000',
+                coinbase: '0xea674fdde714fd979de3edf0f56aa9716b898ec8',
+                prevRandao: '0x' + 'ab'.repeat(32),
+                difficulty: '12676125934536458',
+                gasLimit: '30000000'
             }
         };
 
-        const mainAddress = '0x1234567890123456789012345678901234567890';
-        const ranges = foundryGenerator._findCallbackRanges(dataMap, mainAddress);
+        test('should replay the block environment and prank with the original tx.origin', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                traceData, attacker, 14000000, 'http://localhost:8545', { txDetails }
+            );
 
-        expect(Array.isArray(ranges)).toBe(true);
-        if (ranges.length > 0) {
-            expect(ranges[0].type).toBe('flashloan');
-        }
+            expect(testContent).toContain('address constant TX_ORIGIN = 0x9999999999999999999999999999999999999999;');
+            expect(testContent).toContain('vm.roll(14000000);');
+            expect(testContent).toContain('vm.warp(1641997888);');
+            expect(testContent).toContain('vm.fee(20000000000);');
+            // The receipt's effective gas price is what tx.gasprice returned
+            expect(testContent).toContain('vm.txGasPrice(25000000000);');
+            expect(testContent).toContain('vm.coinbase(0xEA674fdDe714fd979de3EdF0F56AA9716B898ec8);');
+            // Pre-merge blocks report their difficulty through the same opcode
+            expect(testContent).toContain('vm.prevrandao(bytes32(uint256(12676125934536458)));');
+            expect(testContent).toContain('vm.startPrank(MAIN_ADDRESS, TX_ORIGIN);');
+        });
+
+        test('should set tx.origin for the Exploit contract and skip fields the block lacks', async () => {
+            const legacyDetails = { ...txDetails, effectiveGasPrice: undefined, block: { ...txDetails.block, baseFeePerGas: null, difficulty: '0' } };
+            const testContent = await foundryGenerator.generateFoundryTest(
+                traceData, sender, 14000000, 'http://localhost:8545', { mode: 'exploit', txDetails: legacyDetails }
+            );
+
+            expect(testContent).toContain('vm.prank(address(this), TX_ORIGIN);\n        exploit.attack();');
+            expect(testContent).toContain('vm.txGasPrice(30000000000);');
+            expect(testContent).toContain(`vm.prevrandao(bytes32(0x${'ab'.repeat(32)}));`);
+            expect(testContent).not.toContain('vm.fee(');
+        });
+
+        test('should fork right before the transaction when forking at the transaction', async () => {
+            const txHash = '0x' + 'cd'.repeat(32);
+            const testContent = await foundryGenerator.generateFoundryTest(
+                traceData, attacker, 14000000, 'http://localhost:8545', { forkAt: 'tx', txHash, txDetails }
+            );
+
+            expect(testContent).toContain(`vm.createSelectFork(vm.envString("RPC_URL"), bytes32(${txHash}));`);
+            expect(testContent).not.toContain('vm.createFork(');
+        });
+
+        test('should fall back to the block fork with a warning when the hash is unknown', async () => {
+            const warnSpy = spyOn(console, 'warn').mockImplementation(() => {});
+
+            try {
+                const testContent = await foundryGenerator.generateFoundryTest(
+                    traceData, attacker, 14000000, 'http://localhost:8545', { forkAt: 'tx', txDetails: null }
+                );
+
+                expect(testContent).toContain('vm.createFork(vm.envString("RPC_URL"), 14000000);');
+                expect(testContent).toContain('// Transaction hash unknown: earlier transactions in the block are not included');
+                expect(warnSpy.mock.calls[0][0]).toContain('Transaction hash unknown, forking at block 14000000 instead');
+            } finally {
+                warnSpy.mockRestore();
+            }
+        });
+
+        test('should keep the plain prank when the transaction is unknown', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                traceData, sender, 14000000, 'http://localhost:8545', { txDetails: null }
+            );
+
+            expect(testContent).toContain('vm.startPrank(MAIN_ADDRESS);');
+            expect(testContent).not.toContain('TX_ORIGIN');
+            expect(testContent).not.toContain('vm.warp(');
+        });
+    });
+
+    describe('multi-transaction incidents', () => {
+        const deployer = '0x5555555555555555555555555555555555555555';
+        const attacker = '0x1111111111111111111111111111111111111111';
+        const token = '0x3333333333333333333333333333333333333333';
+        const pool = '0x4444444444444444444444444444444444444444';
+        const slot = '0x' + '0'.repeat(63) + '7';
+        const word = value => '0x' + value.toString(16).padStart(64, '0');
+        const call = (from, to, name, value) => ({
+            nodeType: 0,
+            invocation: { fromAddress: from, address: to, operation: 'CALL', decodedMethod: { name, signature: `${name}(uint256)`, callParams: [{ name: 'amount', type: 'uint256', value }] } }
+        });
+        const write = (prev, current) => ({ nodeType: 4, slotWriteData: { contract: token, key: slot, prev: word(prev), current: word(current) } });
+
+        const setupTrace = buildTrace([
+            [-1, call(deployer, token, 'approve', '100')],
+            [0, write(0, 1)]
+        ]);
+        const attackTrace = buildTrace([
+            [-1, call(attacker, pool, 'swap', '100')],
+            [0, call(pool, token, 'approve', '0')],
+            [1, write(1, 2)]
+        ]);
+        const details = (from, number, timestamp) => ({ from, blockNumber: number, gasPrice: '1', block: { number, timestamp, baseFeePerGas: '1' } });
+
+        const generate = (options = {}) => foundryGenerator.generateIncidentTest([
+            { traceData: setupTrace, mainAddress: deployer, txHash: '0x' + '01'.repeat(32), txDetails: details(deployer, 100, 1000) },
+            { traceData: attackTrace, mainAddress: attacker, txHash: '0x' + '02'.repeat(32), txDetails: details(attacker, 105, 1060) }
+        ], 100, 'http://localhost:8545', options);
+
+        test('should replay every transaction as a step under its own sender and block', async () => {
+            const testContent = await generate();
+            const testFunction = testContent.slice(testContent.indexOf('function testReproduceTrace()'));
+
+            expect(testContent).toContain(`address constant MAIN_ADDRESS = ${traceParser.toChecksumAddress(deployer)};`);
+            // Both steps share one variable per address and one interface per contract
+            expect(testContent).toContain(`address constant ADDR3 = ${attacker};`);
+            expect(testContent.match(/interface \w+ \{/g)).toHaveLength(2);
+
+            expect(testFunction).toContain(`// Step 1/2: 0x${'01'.repeat(32)} at block 100`);
+            expect(testFunction).toContain('vm.roll(100);\n        vm.warp(1000);');
+            expect(testFunction).toContain('vm.startPrank(MAIN_ADDRESS, MAIN_ADDRESS);');
+            expect(testFunction).toContain(`// Step 2/2: 0x${'02'.repeat(32)} at block 105`);
+            expect(testFunction).toContain('vm.roll(105);\n        vm.warp(1060);');
+            expect(testFunction).toContain('vm.startPrank(ADDR3, ADDR3);');
+            expect(testFunction.indexOf('.approve(100)')).toBeLessThan(testFunction.indexOf('.swap(100)'));
+            expect(testFunction.match(/vm\.stopPrank\(\);/g)).toHaveLength(2);
+
+            // The environment changes per step instead of once in setUp
+            const setUp = testContent.slice(testContent.indexOf('function setUp()'), testContent.indexOf('function testReproduceTrace()'));
+            expect(setUp).toContain('vm.createFork(vm.envString("RPC_URL"), 100);');
+            expect(setUp).not.toContain('vm.warp(');
+        });
+
+        test('should assert the net storage change over all steps', async () => {
+            const testContent = await generate({ assertStorage: true, assertStoragePrev: true });
+
+            expect(testContent).toContain(`assertEq(vm.load(ADDR1, bytes32(${slot})), bytes32(${word(0)})`);
+            expect(testContent).toContain(`assertEq(vm.load(ADDR1, bytes32(${slot})), bytes32(${word(2)})`);
+            expect(testContent).not.toContain(`bytes32(${word(1)})`);
+        });
+
+        test('should keep exploit mode to a single transaction', async () => {
+            await expect(generate({ mode: 'exploit' })).rejects.toThrow('Exploit mode reproduces a single transaction');
+        });
+    });
+
+    describe('cross-chain incidents', () => {
+        const deployer = '0x5555555555555555555555555555555555555555';
+        const attacker = '0x1111111111111111111111111111111111111111';
+        const token = '0x3333333333333333333333333333333333333333';
+        const pool = '0x4444444444444444444444444444444444444444';
+        const slot = '0x' + '0'.repeat(63) + '7';
+        const word = value => '0x' + value.toString(16).padStart(64, '0');
+        const call = (from, to, name, value) => ({
+            nodeType: 0,
+            invocation: { fromAddress: from, address: to, operation: 'CALL', decodedMethod: { name, signature: `${name}(uint256)`, callParams: [{ name: 'amount', type: 'uint256', value }] } }
+        });
+        const write = (prev, current) => ({ nodeType: 4, slotWriteData: { contract: token, key: slot, prev: word(prev), current: word(current) } });
+
+        // The token lives at the same address on both chains
+        const depositTrace = buildTrace([
+            [-1, call(deployer, token, 'approve', '100')],
+            [0, write(0, 1)]
+        ]);
+        const withdrawTrace = buildTrace([
+            [-1, call(attacker, token, 'approve', '0')],
+            [0, write(5, 6)],
+            [-1, call(attacker, pool, 'swap', '100')]
+        ]);
+        const details = (from, number, timestamp) => ({ from, blockNumber: number, gasPrice: '1', block: { number, timestamp, baseFeePerGas: '1' } });
+        const depositHash = '0x' + '01'.repeat(32);
+        const withdrawHash = '0x' + '02'.repeat(32);
+
+        const generate = (options = {}) => foundryGenerator.generateIncidentTest([
+            { traceData: depositTrace, mainAddress: deployer, txHash: depositHash, txDetails: details(deployer, 100, 1000), chain: 'ethereum', rpcUrl: 'http://localhost:8545' },
+            { traceData: withdrawTrace, mainAddress: attacker, txHash: withdrawHash, txDetails: details(attacker, 2000, 1060), chain: 'base', rpcUrl: 'http://localhost:8546' }
+        ], 100, 'http://localhost:8545', options);
+
+        test('should create one fork per chain and select it for each step', async () => {
+            const testContent = await generate();
+            const setUp = testContent.slice(testContent.indexOf('function setUp()'), testContent.indexOf('function testReproduceTrace()'));
+            const testFunction = testContent.slice(testContent.indexOf('function testReproduceTrace()'));
+
+            expect(testContent).toContain('uint256 internal ethereumFork;\n    uint256 internal baseFork;');
+            expect(setUp).toContain('ethereumFork = vm.createFork(vm.envString("RPC_URL"), 100);');
+            expect(setUp).toContain('baseFork = vm.createFork(vm.envString("BASE_RPC_URL"), 2000);');
+            expect(setUp).toContain('vm.selectFork(ethereumFork);');
+            expect(setUp).not.toContain('vm.selectFork(0)');
+
+            expect(testFunction).toContain(`// Step 1/2: ${depositHash} at block 100 on ethereum\n        vm.selectFork(ethereumFork);`);
+            expect(testFunction).toContain(`// Step 2/2: ${withdrawHash} at block 2000 on base\n        vm.selectFork(baseFork);`);
+            expect(testFunction).toContain('vm.startPrank(BASE_ADDR3, BASE_ADDR3);');
+        });
+
+        test('should qualify address variables with their chain', async () => {
+            const testContent = await generate();
+
+            expect(testContent).toContain('// Addresses on ethereum\n    address constant ETHEREUM_ADDR1 = 0x3333333333333333333333333333333333333333;');
+            expect(testContent).toContain('// Addresses on base\n    address constant BASE_ADDR1 = 0x3333333333333333333333333333333333333333;');
+            expect(testContent).toContain('address constant BASE_ADDR2 = 0x4444444444444444444444444444444444444444;');
+            expect(testContent).toContain('IApproveContract(ETHEREUM_ADDR1).approve(100);');
+            expect(testContent).toContain('IApproveContract(BASE_ADDR1).approve(0);');
+            expect(testContent).toContain('ISwapContract(BASE_ADDR2).swap(100);');
+            // One interface per contract, whichever chains it is called on
+            expect(testContent.match(/interface \w+ \{/g)).toHaveLength(2);
+        });
+
+        test('should fork each chain right before its first transaction with --fork-at tx', async () => {
+            const testContent = await generate({ forkAt: 'tx' });
+
+            expect(testContent).toContain(`ethereumFork = vm.createFork(vm.envString("RPC_URL"), bytes32(${depositHash}));`);
+            expect(testContent).toContain(`baseFork = vm.createFork(vm.envString("BASE_RPC_URL"), bytes32(${withdrawHash}));`);
+        });
+
+        test('should assert storage on the fork of its chain', async () => {
+            const testContent = await generate({ assertStorage: true, assertStoragePrev: true });
+            const setUp = testContent.slice(testContent.indexOf('function setUp()'), testContent.indexOf('function testReproduceTrace()'));
+            const testFunction = testContent.slice(testContent.indexOf('function testReproduceTrace()'));
+
+            // The same slot of the same address is a separate change on each chain
+            expect(setUp).toContain(`// Storage must hold the traced values from before the transaction\n        assertEq(vm.load(ETHEREUM_ADDR1, bytes32(${slot})), bytes32(${word(0)})`);
+            expect(setUp).toContain(`vm.selectFork(baseFork);\n        assertEq(vm.load(BASE_ADDR1, bytes32(${slot})), bytes32(${word(5)})`);
+            // setUp leaves the first chain selected for the first step
+            expect(setUp.lastIndexOf('vm.selectFork(ethereumFork);')).toBeGreaterThan(setUp.indexOf('vm.selectFork(baseFork);'));
+
+            const assertions = testFunction.slice(testFunction.indexOf('// Storage must end up'));
+            expect(assertions).toContain(`vm.selectFork(ethereumFork);\n        assertEq(vm.load(ETHEREUM_ADDR1, bytes32(${slot})), bytes32(${word(1)})`);
+            expect(assertions).toContain(`vm.selectFork(baseFork);\n        assertEq(vm.load(BASE_ADDR1, bytes32(${slot})), bytes32(${word(6)})`);
+            expect(assertions.match(/vm\.selectFork/g)).toHaveLength(2);
+        });
+
+        test('should keep a single chain free of fork variables', async () => {
+            const testContent = await foundryGenerator.generateIncidentTest([
+                { traceData: depositTrace, mainAddress: deployer, txHash: depositHash, txDetails: null, chain: 'base' },
+                { traceData: withdrawTrace, mainAddress: attacker, txHash: withdrawHash, txDetails: null, chain: 'base' }
+            ], 100, 'http://localhost:8545');
+
+            expect(testContent).toContain('address constant ADDR1 = ');
+            expect(testContent).not.toContain('BASE_ADDR');
+            expect(testContent).not.toContain('Fork;');
+            expect(testContent).toContain('vm.selectFork(0);');
+        });
+    });
+
+    describe('deployments', () => {
+        test('should turn CREATE invocations into deployments', async () => {
+            const callTree = traceParser.buildCallTree(recordedTrace);
+            const methodCalls = [];
+            const addressRegistry = new Map();
+            await foundryGenerator._processTraceData(callTree, recordedAttacker, new Map(), methodCalls, addressRegistry, new Map());
+
+            const deployment = methodCalls[0];
+            expect(deployment.kind).toBe('deployment');
+            expect(deployment.operation).toBe('CREATE');
+            expect(deployment.deployMode).toBe('etch');
+            expect(deployment.runtimeCode.startsWith('0x608060405234801561000f')).toBe(true);
+            expect(deployment.constructorParams).toEqual([
+                { type: 'address', name: 'arg0', value: '0x3f4d749675b3e48bccd932033808a7079328eb48' }
+            ]);
+            expect(addressRegistry.has('0x3f4d749675b3e48bccd932033808a7079328eb48')).toBe(true);
+            // Later calls hit the created contract through the same variable
+            expect(methodCalls[1].addressVar).toBe(deployment.addressVar);
+        });
+
+        test('should not register a constructor argument holding the deployer', async () => {
+            const deployer = '0x1111111111111111111111111111111111111111';
+            const traceData = buildTrace([
+                [-1, { nodeType: 0, invocation: { fromAddress: deployer, address: '0x4444444444444444444444444444444444444444', operation: 'CREATE', callData: '0x6080', output: '0x6080', decodedMethod: { callParams: [{ name: 'owner', type: 'address', value: deployer }] } } }]
+            ]);
+            const methodCalls = [];
+            const addressRegistry = new Map();
+            await foundryGenerator._processTraceData(traceParser.buildCallTree(traceData), deployer, new Map(), methodCalls, addressRegistry, new Map());
+
+            expect(methodCalls[0].kind).toBe('deployment');
+            // The deployer is the main address, which has an expression of its own
+            expect(addressRegistry.has(deployer)).toBe(false);
+        });
+
+        test('should etch runtime bytecode in prank mode', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(recordedTrace, recordedAttacker, 12345, 'http://localhost:8545');
+
+            expect(testContent).toContain('vm.etch(ADDR1, hex"608060405234801561000f');
+            expect(testContent).toContain('address constant ADDR1 = 0x08947cedf35f9669012bDA6FdA9d03c399B017Ab;');
+            expect(testContent).not.toContain('hex"60e06040');
+        });
+
+        test('should deploy init code with constructor arguments in create mode', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                recordedTrace, recordedAttacker, 12345, 'http://localhost:8545', { deployMode: 'create' }
+            );
+
+            expect(testContent).toContain('address internal ADDR1; // Deployed during replay');
+            expect(testContent).toContain('bytes memory addr1InitCode = abi.encodePacked(');
+            expect(testContent).toMatch(/hex"60e06040[0-9a-f]*64736f6c634300081e0033",/);
+            expect(testContent).toContain('abi.encode(');
+            expect(testContent).toContain('addr1Deployed := create(0, add(addr1InitCode, 0x20), mload(addr1InitCode))');
+            expect(testContent).toContain('ADDR1 = addr1Deployed;');
+        });
+
+        test('should always deploy for real inside the Exploit contract', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                recordedTrace, recordedAttacker, 12345, 'http://localhost:8545', { mode: 'exploit', deployMode: 'etch' }
+            );
+
+            expect(testContent).not.toContain('vm.etch');
+            expect(testContent).toContain('ADDR1 = addr1Deployed;');
+        });
+
+        test('should replay constructor storage writes when etching', () => {
+            const block = new Block();
+            foundryGenerator._generateDeployment(block, {
+                operation: 'CREATE',
+                addressVar: 'addr1',
+                deployMode: 'etch',
+                runtimeCode: '0x6080',
+                constructorStorage: [{ key: '0x' + '0'.repeat(64), value: '0x' + '0'.repeat(63) + '1' }]
+            }, new Map(), recordedAttacker);
+            const code = block.render(2);
+
+            expect(code).toContain('vm.etch(ADDR1, hex"6080");');
+            expect(code).toContain(`vm.store(ADDR1, bytes32(0x${'0'.repeat(64)}), bytes32(0x${'0'.repeat(63)}1));`);
+        });
+    });
+
+    describe('event expectations', () => {
+        test('should not assert events by default', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(recordedTrace, recordedAttacker, 12345, 'http://localhost:8545');
+
+            expect(testContent).not.toContain('vm.expectEmit');
+            expect(testContent).toContain('pragma solidity ^0.8.19;');
+        });
+
+        test('should expect the traced events before the call emitting them', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                recordedTrace, recordedAttacker, 12345, 'http://localhost:8545', { expectEvents: true }
+            );
+
+            expect(testContent).toContain('pragma solidity ^0.8.21;');
+            expect(testContent).toContain('event Transfer(address indexed from, address indexed to, uint256 value);');
+            expect(testContent).toContain('vm.expectEmit(true, true, false, true, ADDR3);\n        emit IContract296350.Transfer(ADDR2, ADDR1, 11907874713019104529057960);');
+            expect(testContent).toContain('log1(add(logData, 0x20), mload(logData), 0x3c92b007d4471ad421225950d1da74d65f1a432fb12bfc964eb21095a41c3b5a)');
+
+            // Expectations come right before the call that emits them
+            const lastExpectation = testContent.lastIndexOf('vm.expectEmit');
+            expect(testContent.indexOf('unknownFunction_0x643a0e92', lastExpectation)).toBeGreaterThan(lastExpectation);
+            expect(testContent.indexOf('getTokenBalance();')).toBeLessThan(testContent.indexOf('vm.expectEmit'));
+        });
+
+        test('should report unpredictable events before attack() in exploit mode', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                recordedTrace, recordedAttacker, 12345, 'http://localhost:8545', { mode: 'exploit', expectEvents: true }
+            );
+            const testFunction = testContent.slice(testContent.indexOf('function testReproduceTrace()'));
+
+            // Every log comes from a call chain through the Exploit contract, which stands in for the attacker
+            // contract at another address and deploys ADDR1 itself, so none of them can be predicted
+            expect(testFunction.indexOf('// Transfer: involves a contract deployed during replay, not asserted'))
+                .toBeLessThan(testFunction.indexOf('exploit.attack();'));
+            expect(testContent).not.toContain('vm.expectEmit');
+        });
+
+        test('should not expect events deriving from contracts the replay deploys anew', async () => {
+            for (const options of [{ deployMode: 'create' }, { mode: 'exploit', deployMode: 'create' }]) {
+                const testContent = await foundryGenerator.generateFoundryTest(
+                    recordedTrace, recordedAttacker, 12345, 'http://localhost:8545', { ...options, expectEvents: true }
+                );
+                const testFunction = testContent.slice(testContent.indexOf('function testReproduceTrace()'));
+
+                // The claim root hashes the address of the created contract
+                expect(testFunction).toContain('// NewClaimRootAdded: involves a contract deployed during replay, not asserted');
+                expect(testFunction).not.toContain('.NewClaimRootAdded(');
+            }
+        });
+    });
+
+    describe('storage assertions', () => {
+        const slotZero = '0x' + '0'.repeat(64);
+
+        test('should merge writes into one change per slot', () => {
+            const callTree = traceParser.buildCallTree(recordedTrace);
+            const methodCalls = [{ nodeId: 19 }];
+            const changes = foundryGenerator._collectStorageChanges(callTree, recordedAttacker, methodCalls, new Map(), new Map());
+            const counter = changes.find(change => change.key === '0x9b779b17422d0df92223018b32b4d1fa46e071723d6817e2486d003becc55f00');
+
+            // Written 1 -> 2 and then 2 -> 1 within the transaction
+            expect(counter.prev).toBe('0x' + '0'.repeat(63) + '1');
+            expect(counter.current).toBe('0x' + '0'.repeat(63) + '1');
+            expect(counter.createdInTrace).toBe(false);
+            expect(changes.every(change => change.contract !== recordedAttacker)).toBe(true);
+        });
+
+        test('should assert traced final storage after the replay', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                recordedTrace, recordedAttacker, 12345, 'http://localhost:8545', { assertStorage: true }
+            );
+            const testFunction = testContent.slice(testContent.indexOf('function testReproduceTrace()'));
+
+            expect(testFunction).toContain(
+                `assertEq(vm.load(ADDR2, bytes32(${slotZero})), bytes32(0x93f3c0d0d71a7c606fe87524887594a106b44c65d46fa72a42d80bd6259ade7e), "ADDR2 slot ${slotZero}");`
+            );
+            expect(testFunction.indexOf('vm.stopPrank();')).toBeLessThan(testFunction.indexOf('assertEq(vm.load'));
+            expect(testContent.slice(0, testContent.indexOf('function testReproduceTrace()'))).not.toContain('assertEq(vm.load');
+        });
+
+        test('should assert traced previous storage in setUp', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                recordedTrace, recordedAttacker, 12345, 'http://localhost:8545', { assertStoragePrev: true }
+            );
+            const setup = testContent.slice(testContent.indexOf('function setUp()'), testContent.indexOf('function testReproduceTrace()'));
+
+            expect(setup).toContain(
+                `assertEq(vm.load(ADDR2, bytes32(${slotZero})), bytes32(0x9bddda3825a4928a2bf9c0919e5179e621a7f8784dcff371d3b52d67807725b1), "ADDR2 slot ${slotZero}");`
+            );
+            expect(setup.indexOf('vm.selectFork(0);')).toBeLessThan(setup.indexOf('assertEq(vm.load'));
+        });
+
+        test('should skip contracts deployed at a different address during replay', () => {
+            const block = new Block();
+            foundryGenerator._generateStorageAssertions(
+                block, [{ contract: '0xccc', key: slotZero, prev: slotZero, current: slotZero }],
+                'current', new Map([['0xccc', 'addr4']]), recordedAttacker, new Set(['0xccc'])
+            );
+
+            expect(block.render(2)).toBe('        // ADDR4 is deployed during replay at a different address, its storage is not asserted\n');
+        });
+
+        test('should skip slots deriving from contracts the replay deploys anew', async () => {
+            // Balance of the created contract, hashed from its traced address
+            const balanceSlot = '0xbb6d0121e99dbd8a36c6db18f1d7e2e39181c8afe56d28107e052f614968d590';
+
+            for (const options of [{ deployMode: 'create' }, { mode: 'exploit', deployMode: 'create' }]) {
+                const testContent = await foundryGenerator.generateFoundryTest(
+                    recordedTrace, recordedAttacker, 12345, 'http://localhost:8545', { ...options, assertStorage: true }
+                );
+                const testFunction = testContent.slice(testContent.indexOf('function testReproduceTrace()'));
+
+                expect(testFunction).toContain(`// ADDR3 slot ${balanceSlot} involves an address that differs during replay, not asserted`);
+                expect(testFunction).not.toContain(`bytes32(${balanceSlot})`);
+                // The created contract hashes its own address into the claim root it stores in ADDR2 slot 0
+                expect(testFunction).toContain(`// ADDR2 slot ${slotZero} involves an address that differs during replay, not asserted`);
+                expect(testFunction).not.toContain(`assertEq(vm.load(ADDR2, bytes32(${slotZero}))`);
+            }
+        });
+    });
+
+    describe('pre-state verification', () => {
+        const slotZero = '0x' + '0'.repeat(64);
+        const ownerWord = '0x0000000000000000000000005b9b4b4dafbcfceea7afba56958fcbb37d82d4a2';
+
+        test('should skip contracts created by the transaction', () => {
+            const callTree = traceParser.buildCallTree(recordedTrace);
+            const reads = foundryGenerator._collectPrestateReads(callTree, recordedAttacker, new Map(), new Map());
+
+            expect(reads.length).toBeGreaterThan(0);
+            expect(reads.some(read => read.contract === '0x08947cedf35f9669012bda6fda9d03c399b017ab')).toBe(false);
+            expect(new Set(reads.map(read => `${read.contract}:${read.key}`)).size).toBe(reads.length);
+        });
+
+        test('should warn about forked state that differs from the trace', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                recordedTrace, recordedAttacker, 12345, 'http://localhost:8545', { verifyPrestate: 'warn' }
+            );
+            const setup = testContent.slice(testContent.indexOf('function setUp()'), testContent.indexOf('function testReproduceTrace()'));
+
+            expect(setup).toContain(`if (vm.load(MAIN_ADDRESS, bytes32(${slotZero})) != bytes32(${ownerWord})) {`);
+            expect(setup).toContain(`console.log("Warning: Pre-state mismatch (wrong fork block?): MAIN_ADDRESS slot ${slotZero}");`);
+            expect(setup).not.toContain('assertEq');
+        });
+
+        test('should fail on forked state that differs from the trace', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(
+                recordedTrace, recordedAttacker, 12345, 'http://localhost:8545', { verifyPrestate: 'fail' }
+            );
+
+            expect(testContent).toContain(
+                `assertEq(vm.load(MAIN_ADDRESS, bytes32(${slotZero})), bytes32(${ownerWord}), "Pre-state mismatch (wrong fork block?): MAIN_ADDRESS slot ${slotZero}");`
+            );
+        });
+
+        test('should not give the main address a variable of its own', async () => {
+            for (const options of [{ verifyPrestate: 'fail' }, { verifyPrestate: 'fail', mode: 'exploit' }]) {
+                const testContent = await foundryGenerator.generateFoundryTest(
+                    recordedTrace, recordedAttacker, 12345, 'http://localhost:8545', options
+                );
+
+                expect(testContent).not.toMatch(/address constant ADDR\d+ = 0x2073111E6Ebb6826F7e9c6192C6304Aa5aF5E340;/);
+            }
+        });
+
+        test('should skip slots of and keyed by addresses that differ during replay', () => {
+            const callTree = traceParser.buildCallTree(recordedTrace);
+            const created = '0x08947cedf35f9669012bda6fda9d03c399b017ab';
+            const reads = foundryGenerator._collectPrestateReads(callTree, recordedAttacker, new Map(), new Map());
+            const createMode = foundryGenerator._collectPrestateReads(callTree, recordedAttacker, new Map(), new Map(), new Set([created]));
+            const exploitMode = foundryGenerator._collectPrestateReads(callTree, recordedAttacker, new Map(), new Map(), new Set([recordedAttacker, created]));
+
+            // The created contract's token balance, hashed from its traced address
+            expect(reads.some(read => read.key.startsWith('0xbb6d0121'))).toBe(true);
+            expect(reads.some(read => read.contract !== recordedAttacker)).toBe(true);
+            // Every other read happens below a call made by the created contract
+            expect(createMode.map(read => read.contract)).toEqual([recordedAttacker]);
+            expect(exploitMode).toEqual([]);
+        });
+    });
+
+    describe('struct parameters', () => {
+        const attacker = '0x1111111111111111111111111111111111111111';
+        const router = '0x4444444444444444444444444444444444444444';
+        const pool = '0x5555555555555555555555555555555555555555';
+        const order = amount => ({ name: 'order', type: 'tuple', value: [{ name: 'token', type: 'address', value: pool }, { name: 'amount', type: 'uint256', value: amount }] });
+        const traceData = buildTrace([
+            [-1, { nodeType: 0, invocation: { fromAddress: attacker, address: router, operation: 'CALL', decodedMethod: { name: 'swap', signature: 'swap((address,uint256))', callParams: [order('5')] } } }],
+            [-1, { nodeType: 0, invocation: { fromAddress: attacker, address: pool, operation: 'CALL', decodedMethod: { name: 'fill', signature: 'fill((address,uint256)[1],bool)', callParams: [{ name: 'orders', type: '(address,uint256)[1]', value: [order('7').value] }, { name: 'strict', type: 'bool', value: 'true' }] } } }]
+        ]);
+
+        test('should declare one struct for identical tuples and pass struct literals', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(traceData, attacker, 12345, 'http://localhost:8545', { txDetails: null });
+
+            expect(testContent).toContain('import "forge-std/console.sol";\n\nstruct Order {\n    address token;\n    uint256 amount;\n}\n\ninterface ');
+            expect(testContent.match(/struct Order \{/g)).toHaveLength(1);
+            expect(testContent).toContain('    function swap(Order calldata) external;');
+            expect(testContent).toContain('    function fill(Order[1] calldata,bool) external;');
+            expect(testContent).toMatch(/\.swap\(Order\(ADDR2, 5\)\);/);
+            expect(testContent).toMatch(/\.fill\(\[Order\(ADDR2, 7\)\], true\);/);
+        });
+    });
+
+    describe('typed interfaces', () => {
+        const attacker = '0x1111111111111111111111111111111111111111';
+        const pair = '0x3333333333333333333333333333333333333333';
+        const weth = '0x4444444444444444444444444444444444444444';
+        const vault = '0x5555555555555555555555555555555555555555';
+        const invocation = (address, operation, decodedMethod, extra = {}) => ({ nodeType: 0, invocation: { fromAddress: attacker, address, operation, decodedMethod, ...extra } });
+        const traceData = buildTrace([
+            [-1, invocation(pair, 'STATICCALL', { name: 'getReserves', signature: 'getReserves()', callParams: [], returnParams: [{ name: '_reserve0', type: 'uint112', value: '1,000' }, { name: '_reserve1', type: 'uint112', value: '2,000' }, { name: '_blockTimestampLast', type: 'uint32', value: '7' }] })],
+            [-1, invocation(pair, 'CALL', { name: 'sync', signature: 'sync()', callParams: [] })],
+            [-1, invocation(pair, 'STATICCALL', { name: 'sync', signature: 'sync()', callParams: [] })],
+            [-1, invocation(weth, 'CALL', { name: 'deposit', signature: 'deposit()', callParams: [] }, { value: '1000000000000000000' })],
+            [-1, invocation(vault, 'STATICCALL', { name: 'position', signature: 'position(address)', callParams: [{ name: 'owner', type: 'address', value: attacker }] })]
+        ]);
+
+        test('should declare returns, view and payable from the trace', async () => {
+            const testContent = await foundryGenerator.generateFoundryTest(traceData, attacker, 12345, 'http://localhost:8545', { txDetails: null });
+
+            expect(testContent).toContain('    function getReserves() external view returns (uint112, uint112, uint32);');
+            // Reached by CALL as well, so it may write state
+            expect(testContent).toContain('    function sync() external;');
+            expect(testContent).toContain('    function deposit() external payable;');
+            expect(testContent).toMatch(/I\w+\(ADDR2\)\.deposit\{value: 1000000000000000000\}\(\);/);
+            expect(testContent).not.toContain('abi.encodeWithSignature');
+            expect(testContent).toContain('    function position(address) external view;');
+        });
+
+        test('should prefer the mutability and outputs of a known ABI', async () => {
+            foundryGenerator.abiManager.addKnownContract(vault, 'vault', [{
+                type: 'function',
+                name: 'position',
+                stateMutability: 'view',
+                inputs: [{ name: 'owner', type: 'address' }],
+                outputs: [{ name: 'position', type: 'tuple', components: [{ name: 'collateral', type: 'uint256' }, { name: 'debts', type: 'uint256[]' }] }]
+            }]);
+
+            const testContent = await foundryGenerator.generateFoundryTest(traceData, attacker, 12345, 'http://localhost:8545', { txDetails: null });
+
+            expect(testContent).toContain('struct Position {\n    uint256 collateral;\n    uint256[] debts;\n}');
+            expect(testContent).toContain('    function position(address) external view returns (Position memory);');
+        });
     });
-});
\ No newline at end of file
+});
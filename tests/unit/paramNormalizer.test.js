@@ -0,0 +1,62 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import ParamNormalizer from '../../lib/paramNormalizer.js';
+
+describe('ParamNormalizer', () => {
+    let normalizer;
+
+    beforeEach(() => {
+        normalizer = new ParamNormalizer();
+    });
+
+    test('should turn display-formatted integers into decimal strings', () => {
+        expect(normalizer.normalizeValue('uint256', '11,907,874,713,019,104,529,057,960')).toBe('11907874713019104529057960');
+        expect(normalizer.normalizeValue('int24', '-887,220')).toBe('-887220');
+        expect(normalizer.normalizeValue('uint256', '0x0de0b6b3a7640000')).toBe('1000000000000000000');
+        expect(normalizer.normalizeValue('int256', 12n)).toBe('12');
+        expect(normalizer.normalizeValue('uint8', 18)).toBe('18');
+        expect(normalizer.normalizeValue('uint256', 'unknown')).toBe('unknown');
+    });
+
+    test('should canonicalize addresses, booleans and bytes', () => {
+        expect(normalizer.normalizeValue('address', '0xAbCdEf0000000000000000000000000000000001')).toBe('0xabcdef0000000000000000000000000000000001');
+        expect(normalizer.normalizeValue('bool', 'True')).toBe(true);
+        expect(normalizer.normalizeValue('bool', '0')).toBe(false);
+        expect(normalizer.normalizeValue('bytes4', '0xDEADBEEF')).toBe('0xdeadbeef');
+        expect(normalizer.normalizeValue('bytes32', '0x01')).toBe(`0x01${'0'.repeat(62)}`);
+        expect(normalizer.normalizeValue('bytes', '0xABCD')).toBe('0xabcd');
+    });
+
+    test('should parse nested arrays from values and display strings', () => {
+        expect(normalizer.normalizeValue('uint256[][]', [['1,000', '2'], []])).toEqual([['1000', '2'], []]);
+        expect(normalizer.normalizeValue('uint256[2]', '[1000, 0x10]')).toEqual(['1000', '16']);
+        expect(normalizer.normalizeValue('string[]', '["a, b", "c"]')).toEqual(['a, b', 'c']);
+    });
+
+    test('should normalize tuples into component parameters', () => {
+        const type = normalizer.normalizeType('tuple(address, uint)');
+        expect(type).toBe('(address,uint256)');
+
+        expect(normalizer.normalizeValue(type, ['0xAAAA567890123456789012345678901234567890', '1,000'])).toEqual([
+            { name: '', type: 'address', value: '0xaaaa567890123456789012345678901234567890' },
+            { name: '', type: 'uint256', value: '1000' }
+        ]);
+
+        // Named results carry every value twice, once by index
+        expect(normalizer.normalizeValue('tuple', { amount: '5', '0': '5' })).toEqual([{ name: 'amount', value: '5' }]);
+
+        // Decoded components keep their own names and types
+        expect(normalizer.normalizeValue('tuple', [{ name: 'fee', type: 'uint', value: '3,000' }])).toEqual([
+            { name: 'fee', type: 'uint256', value: '3000' }
+        ]);
+    });
+
+    test('should keep strings untouched and be idempotent', () => {
+        const param = { name: 'memo', type: 'string', value: 'say "gm" ✓' };
+        const normalized = normalizer.normalizeParam(param);
+
+        expect(normalized).toEqual(param);
+        expect(normalized).not.toBe(param);
+        expect(normalizer.normalizeParams([normalized])).toEqual([normalized]);
+        expect(normalizer.normalizeParams(null)).toBeNull();
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, test, expect } from 'bun:test';
+import { SourceUnit, ContractDefinition, Block, Scope } from '../../lib/solidityEmitter.js';
+
+describe('SolidityEmitter', () => {
+    test('should number names taken in the scope or an enclosing one', () => {
+        const scope = new Scope();
+        const nested = scope.child();
+        const sibling = scope.child();
+
+        expect(scope.declare('success')).toBe('success');
+        expect(scope.declare('success')).toBe('success2');
+        expect(nested.declare('success')).toBe('success3');
+        expect(nested.declare('result')).toBe('result');
+        // A sibling block may reuse what another block declared
+        expect(sibling.declare('result')).toBe('result');
+        expect(() => scope.claim('success')).toThrow('Identifier already declared: success');
+    });
+
+    test('should indent nested blocks and tidy blank lines', () => {
+        const block = new Block();
+        block.blank().comment('Raw call');
+        const [success, result] = block.declareTuple(
+            [{ type: 'bool', name: 'success' }, { type: 'bytes memory', name: 'result' }],
+            'TARGET.call(\n    hex"01"\n)'
+        );
+        block.blank().blank();
+        const branch = block.if(`!${success}`);
+        branch.statement(`console.logBytes(${result})`, 'Revert data');
+        block.else().block('assembly').line('revert(0, 0)');
+        block.blank();
+
+        expect(block.render(2)).toBe([
+            '        // Raw call',
+            '        (bool success, bytes memory result) = TARGET.call(',
+            '            hex"01"',
+            '        );',
+            '',
+            '        if (!success) {',
+            '            console.logBytes(result); // Revert data',
+            '        } else {',
+            '            assembly {',
+            '                revert(0, 0)',
+            '            }',
+            '        }',
+            ''
+        ].join('\n'));
+    });
+
+    test('should keep locals apart from state variables and parameters', () => {
+        const contract = new ContractDefinition('contract', 'Exploit');
+        contract.variable('uint256 internal', 'invocation');
+        const callback = contract.function({
+            name: 'onFlashLoan',
+            params: ['address token', 'bytes calldata data'],
+            attributes: ['external'],
+            returns: 'bytes32',
+            multilineParams: true
+        });
+        callback.comment('ERC-3156 flash loan callback');
+
+        expect(callback.body.declare('uint256', 'invocation', 'invocation++')).toBe('invocation2');
+        expect(callback.body.declare('bytes memory', 'data', '""')).toBe('data2');
+        expect(() => contract.variable('address constant', 'invocation')).toThrow();
+
+        contract.function({ name: 'receive', attributes: ['external', 'payable'] });
+
+        expect(contract.renderMembers()).toBe([
+            '    uint256 internal invocation;',
+            '',
+            '    // ERC-3156 flash loan callback',
+            '    function onFlashLoan(',
+            '        address token,',
+            '        bytes calldata data',
+            '    ) external returns (bytes32) {',
+            '        uint256 invocation2 = invocation++;',
+            '        bytes memory data2 = "";',
+            '    }',
+            '',
+            '    receive() external payable {}',
+            ''
+        ].join('\n'));
+    });
+
+    test('should render a source unit with its header, interfaces and contracts', () => {
+        const unit = new SourceUnit({ pragma: '^0.8.19' });
+        unit.import('forge-std/Test.sol');
+        unit.interface('IToken')
+            .declaration('function transfer(address,uint256) external;')
+            .blank()
+            .comment('Struct definitions')
+            .declaration('struct Param0Struct {\n        address field0;\n        uint256 field1;\n    }');
+        unit.contract('TraceReproduction', ['Test']).function({ name: 'setUp', attributes: ['public'] }).body
+            .statement('vm.selectFork(0)');
+
+        expect(unit.render()).toBe([
+            '// SPDX-License-Identifier: MIT',
+            'pragma solidity ^0.8.19;',
+            '',
+            'import "forge-std/Test.sol";',
+            '',
+            'interface IToken {',
+            '    function transfer(address,uint256) external;',
+            '',
+            '    // Struct definitions',
+            '    struct Param0Struct {',
+            '        address field0;',
+            '        uint256 field1;',
+            '    }',
+            '}',
+            '',
+            'contract TraceReproduction is Test {',
+            '    function setUp() public {',
+            '        vm.selectFork(0);',
+            '    }',
+            '}',
+            ''
+        ].join('\n'));
+        expect(() => unit.interface('IToken')).toThrow('Identifier already declared: IToken');
+    });
+});
@@ -1,7 +1,11 @@
-import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { describe, test, expect, beforeEach, afterEach, spyOn } from 'bun:test';
 import TokenManager from '../../lib/tokenManager.js';
 import ConfigManager from '../../lib/configManager.js';
 import RpcManager from '../../lib/rpcManager.js';
+import { createRequire } from 'module';
+
+// TokenManager loads the CommonJS build of ethers, whose provider class differs from the ES module one
+const { ethers } = createRequire(import.meta.url)('ethers');
 
 describe('TokenManager Additional Coverage', () => {
     let configManager;
@@ -293,4 +297,105 @@ describe('TokenManager Additional Coverage', () => {
             expect(error).toBeDefined();
         }
     }, 3000);
-});
\ No newline at end of file
+
+    describe('fetchTransactionDetails', () => {
+        const txHash = '0x' + 'ab'.repeat(32);
+        const tx = {
+            hash: txHash,
+            from: '0x1111111111111111111111111111111111111111',
+            to: '0x2222222222222222222222222222222222222222',
+            value: 5n,
+            gasLimit: 300000n,
+            gasPrice: 30000000000n,
+            maxFeePerGas: null,
+            maxPriorityFeePerGas: null,
+            nonce: 7,
+            blockNumber: 12345,
+            blockHash: '0x' + 'cd'.repeat(32)
+        };
+        let spies;
+
+        // Answer the provider's lookups with the given receipt and block instead of the RPC
+        const stubProvider = ({ receipt, block }) => {
+            const provider = ethers.JsonRpcProvider.prototype;
+            spies = [
+                spyOn(provider, 'getTransaction').mockImplementation(async () => tx),
+                spyOn(provider, 'getTransactionReceipt').mockImplementation(async () => receipt),
+                spyOn(provider, 'getBlock').mockImplementation(async () => {
+                    if (block instanceof Error) throw block;
+                    return block;
+                })
+            ];
+        };
+
+        afterEach(() => {
+            spies.forEach(spy => spy.mockRestore());
+        });
+
+        test('should report the effective gas price and the block environment', async () => {
+            stubProvider({
+                receipt: { gasPrice: 25000000000n, status: 1, gasUsed: 210000n },
+                block: {
+                    number: 12345,
+                    timestamp: 1700000000,
+                    baseFeePerGas: 20000000000n,
+                    miner: '0x3333333333333333333333333333333333333333',
+                    prevRandao: '0x' + 'ef'.repeat(32),
+                    difficulty: 0n,
+                    gasLimit: 30000000n
+                }
+            });
+
+            const details = await tokenManager.fetchTransactionDetails(txHash, 'http://localhost:8545');
+
+            expect(details.gasPrice).toBe('30000000000');
+            expect(details.effectiveGasPrice).toBe('25000000000');
+            expect(details.gasUsed).toBe('210000');
+            expect(details.block).toEqual({
+                number: 12345,
+                timestamp: 1700000000,
+                baseFeePerGas: '20000000000',
+                coinbase: '0x3333333333333333333333333333333333333333',
+                prevRandao: '0x' + 'ef'.repeat(32),
+                difficulty: '0',
+                gasLimit: '30000000'
+            });
+        });
+
+        test('should leave the base fee out of pre-London blocks', async () => {
+            stubProvider({
+                receipt: { status: 1, gasUsed: 21000n },
+                block: {
+                    number: 12345,
+                    timestamp: 1600000000,
+                    miner: '0x3333333333333333333333333333333333333333',
+                    prevRandao: null,
+                    difficulty: 3000000000000000n,
+                    gasLimit: 12500000n
+                }
+            });
+
+            const details = await tokenManager.fetchTransactionDetails(txHash, 'http://localhost:8545');
+
+            expect(details.effectiveGasPrice).toBeUndefined();
+            expect(details.block.baseFeePerGas).toBe(null);
+            expect(details.block.difficulty).toBe('3000000000000000');
+        });
+
+        test('should keep the transaction details when the block cannot be fetched', async () => {
+            stubProvider({ receipt: { status: 1, gasUsed: 21000n }, block: new Error('block unavailable') });
+            const warnSpy = spyOn(console, 'warn').mockImplementation(() => {});
+
+            try {
+                const details = await tokenManager.fetchTransactionDetails(txHash, 'http://localhost:8545');
+
+                expect(details.from).toBe('0x1111111111111111111111111111111111111111');
+                expect(details.blockNumber).toBe(12345);
+                expect(details.block).toBe(null);
+                expect(warnSpy).toHaveBeenCalledWith(`Failed to fetch block 12345 for ${txHash}: block unavailable`);
+            } finally {
+                warnSpy.mockRestore();
+            }
+        });
+    });
+});
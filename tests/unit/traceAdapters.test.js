@@ -0,0 +1,194 @@
+import { describe, test, expect, beforeEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import { TraceAdapterRegistry, TraceBuilder } from '../../lib/adapters/index.js';
+import CallTree from '../../lib/callTree.js';
+import TraceParser from '../../lib/traceParser.js';
+import FoundryGenerator from '../../lib/foundryGenerator.js';
+import ConfigManager from '../../lib/configManager.js';
+import RpcManager from '../../lib/rpcManager.js';
+import TokenManager from '../../lib/tokenManager.js';
+import AbiManager from '../../lib/abiManager.js';
+
+const loadFixture = (name) => JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/traces', name), 'utf8'));
+const phalconTrace = JSON.parse(fs.readFileSync(path.join(__dirname, '../../trace.json'), 'utf8'));
+
+const EOA = '0x1111111111111111111111111111111111111111';
+const ATTACKER = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const TOKEN = '0x7070707070707070707070707070707070707070';
+const POOL = '0xb0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0';
+
+describe('TraceAdapterRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new TraceAdapterRegistry();
+    });
+
+    test('should detect every supported format', () => {
+        expect(registry.detect(phalconTrace)).toBe('phalcon');
+        expect(registry.detect(loadFixture('callTracer.json'))).toBe('callTracer');
+        expect(registry.detect(loadFixture('tenderly.json'))).toBe('tenderly');
+        expect(registry.detect(loadFixture('foundry.json'))).toBe('foundry');
+        expect(registry.detect({ foo: 'bar' })).toBeNull();
+    });
+
+    test('should pass Phalcon traces through unchanged', () => {
+        expect(registry.normalize(phalconTrace)).toBe(phalconTrace);
+    });
+
+    test('should honour an explicit format and reject unknown ones', () => {
+        expect(() => registry.normalize({ foo: 'bar' })).toThrow('Unrecognized trace format');
+        expect(() => registry.normalize(phalconTrace, 'etherscan')).toThrow('Unknown trace format: etherscan');
+    });
+
+    test('should surface JSON-RPC errors saved instead of a trace', () => {
+        expect(() => registry.normalize({ jsonrpc: '2.0', id: 1, error: { message: 'transaction not found' } }))
+            .toThrow('transaction not found');
+    });
+
+    test('should let custom adapters be registered ahead of detection', () => {
+        registry.register({
+            name: 'custom',
+            detect: raw => raw.custom === true,
+            normalize: () => ({ dataMap: {} })
+        });
+
+        expect(registry.getFormats()).toContain('custom');
+        expect(registry.detect({ custom: true })).toBe('custom');
+        expect(() => registry.register({ name: 'broken' })).toThrow('Trace adapters must provide');
+    });
+});
+
+describe('CallTracerAdapter', () => {
+    const traceData = new TraceAdapterRegistry().normalize(loadFixture('callTracer.json'));
+    const tree = CallTree.fromTraceData(traceData);
+
+    test('should rebuild the frame tree with Phalcon invocations', () => {
+        const root = tree.roots[0];
+        expect(root.invocation.fromAddress).toBe(EOA);
+        expect(root.invocation.address).toBe(ATTACKER);
+
+        const [balanceOf, flashLoan, approve] = tree.getTopLevelCalls(ATTACKER);
+        expect(balanceOf.invocation.operation).toBe('STATICCALL');
+        expect(balanceOf.invocation.selector).toBe('0x70a08231');
+        // Phalcon keeps calldata without the selector
+        expect(balanceOf.invocation.callData).toBe(`0x000000000000000000000000${POOL.slice(2)}`);
+        expect(flashLoan.invocation.gasUsed).toBe(40000);
+        expect(approve.invocation.revert).toBe(true);
+        expect(approve.invocation.revertMessage).toBe('execution reverted');
+    });
+
+    test('should place logs by their position among the sub-calls', () => {
+        const events = tree.getNodesByType(CallTree.NODE_TYPES.EVENT);
+
+        expect(events).toHaveLength(2);
+        expect(events[0].parent.invocation.address).toBe(TOKEN);
+        expect(events[0].event.contract).toBe(TOKEN);
+        expect(events[0].event.topics[0]).toBe('0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef');
+        expect(events[0].event.decodedLog).toBeNull();
+    });
+});
+
+describe('TenderlyAdapter', () => {
+    const registry = new TraceAdapterRegistry();
+    const traceData = registry.normalize(loadFixture('tenderly.json'));
+    const tree = CallTree.fromTraceData(traceData);
+
+    test('should carry decoded methods and the transaction hash', () => {
+        const flashLoan = tree.getTopLevelCalls(ATTACKER)[1];
+
+        expect(traceData.transactionHash).toBe('0x' + 'ab'.repeat(32));
+        expect(flashLoan.invocation.decodedMethod).toEqual({
+            name: 'flashLoan',
+            signature: 'flashLoan(uint256)',
+            callParams: [{ name: 'amount', type: 'uint256', value: '1000' }],
+            returnParams: []
+        });
+    });
+
+    test('should convert decoded logs and state diffs', () => {
+        const [firstTransfer] = tree.getNodesByType(CallTree.NODE_TYPES.EVENT);
+        const [write] = tree.getNodesByType(CallTree.NODE_TYPES.SLOT_WRITE);
+
+        expect(firstTransfer.event.decodedLog.signature).toBe('Transfer(address,address,uint256)');
+        expect(firstTransfer.event.decodedLog.params[0]).toEqual({ name: 'from', type: 'address', value: POOL });
+        expect(write.slotWrite).toEqual({
+            contract: TOKEN,
+            key: '0x' + '12'.repeat(32),
+            prev: '0x' + '0'.repeat(61) + '3e8',
+            current: '0x' + '0'.repeat(64)
+        });
+    });
+
+    test('should attach transaction-level logs to the matching calls', () => {
+        const raw = loadFixture('tenderly.json');
+        const stripLogs = (call) => {
+            delete call.logs;
+            (call.calls || []).forEach(stripLogs);
+        };
+        stripLogs(raw.transaction.transaction_info.call_trace);
+
+        const fallbackTree = CallTree.fromTraceData(registry.normalize(raw));
+        const parents = fallbackTree.getNodesByType(CallTree.NODE_TYPES.EVENT)
+            .map(event => event.parent.invocation.decodedMethod.callParams[0].value);
+
+        // Each Transfer lands in its own transfer() call, never in the static balanceOf()
+        expect(parents).toEqual([ATTACKER, POOL]);
+    });
+});
+
+describe('FoundryAdapter', () => {
+    const registry = new TraceAdapterRegistry();
+
+    test('should follow the arena ordering and strip number annotations', () => {
+        const tree = CallTree.fromTraceData(registry.normalize(loadFixture('foundry.json')));
+        const flashLoan = tree.getTopLevelCalls(ATTACKER)[1];
+
+        expect(flashLoan.invocation.decodedMethod.callParams).toEqual([{ name: 'param0', type: 'uint256', value: '1000' }]);
+        expect(tree.getNestedCalls(flashLoan, ATTACKER)).toHaveLength(1);
+        expect(tree.getNodesByType(CallTree.NODE_TYPES.EVENT).map(event => event.parent.depth)).toEqual([2, 3]);
+        expect(tree.getTopLevelCalls(ATTACKER)[2].invocation.status).toBe(false);
+    });
+
+    test('should read arenas wrapped in [kind, trace] pairs and emit delegated logs from the caller', () => {
+        const arena = [
+            { parent: null, children: [1], idx: 0, logs: [], ordering: [{ Call: 0 }],
+                trace: { caller: EOA, address: ATTACKER, kind: 'CALL', data: '0x', output: '0x', value: '0x0', gas_used: 1, success: true } },
+            { parent: 0, children: [], idx: 1, logs: [{ raw_log: { topics: ['0x01'], data: '0x' } }], ordering: [{ Log: 0 }],
+                trace: { caller: ATTACKER, address: TOKEN, kind: 'DELEGATECALL', data: '0x', output: '0x', value: '0x0', gas_used: 1, success: true } }
+        ];
+        const traceData = registry.normalize([['Deployment', { arena: [] }], ['Execution', { arena }]]);
+
+        expect(traceData.format).toBe('foundry');
+        expect(traceData.dataMap[2].event.contract).toBe(ATTACKER);
+    });
+});
+
+describe('TraceBuilder', () => {
+    test('should normalize values and words', () => {
+        expect(TraceBuilder.normalizeValue('0x3e8')).toBe('1000');
+        expect(TraceBuilder.normalizeValue(undefined)).toBe('0');
+        expect(TraceBuilder.toWord('0x1')).toBe('0x' + '0'.repeat(63) + '1');
+        expect(TraceBuilder.splitSignatureTypes('swap((address,uint256)[],bytes)')).toEqual(['(address,uint256)[]', 'bytes']);
+    });
+});
+
+describe('Adapters - generation', () => {
+    test('should generate a reproduction from a normalized Tenderly trace', async () => {
+        const configManager = new ConfigManager();
+        const rpcManager = new RpcManager(configManager);
+        const tokenManager = new TokenManager(configManager, rpcManager);
+        const abiManager = new AbiManager();
+        const traceParser = new TraceParser(configManager, rpcManager, tokenManager, abiManager);
+        tokenManager.batchFetchTokenInfo = async () => new Map();
+        abiManager.lookupFunctionSignatureWithFallback = async () => null;
+        const foundryGenerator = new FoundryGenerator(configManager, rpcManager, tokenManager, abiManager, traceParser);
+
+        const traceData = new TraceAdapterRegistry().normalize(loadFixture('tenderly.json'));
+        const testContent = await foundryGenerator.generateFoundryTest(traceData, ATTACKER, 18500000, 'http://localhost:8545');
+
+        expect(testContent).toContain('IFlashLoanContract(ADDR2).flashLoan(1000);');
+        expect(testContent).toContain('function flashLoan(uint256) external;');
+    });
+});
@@ -0,0 +1,177 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from 'bun:test';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import TraceFetcher from '../../lib/traceFetcher.js';
+import CallTree from '../../lib/callTree.js';
+import ConfigManager from '../../lib/configManager.js';
+import RpcManager from '../../lib/rpcManager.js';
+import TokenManager from '../../lib/tokenManager.js';
+import AbiManager from '../../lib/abiManager.js';
+import TraceParser from '../../lib/traceParser.js';
+import FoundryGenerator from '../../lib/foundryGenerator.js';
+
+const TX_HASH = '0x' + 'ab'.repeat(32);
+const TOKEN = '0x7070707070707070707070707070707070707070';
+const ATTACKER = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const SLOT = '0x' + '12'.repeat(32);
+
+const callTrace = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/traces/callTracer.json'), 'utf8')).result;
+
+describe('TraceFetcher', () => {
+    let server;
+    let rpcUrl;
+    let requests;
+    let handlers;
+    let fetcher;
+    let previousRpcUrl;
+
+    beforeAll(async () => {
+        // Minimal JSON-RPC node answering debug_traceTransaction from the handlers of the current test
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                const payload = JSON.parse(body);
+                const reply = (request) => {
+                    requests.push(request);
+                    const tracer = request.params[1]?.tracer;
+                    const key = tracer === 'prestateTracer' && request.params[1].tracerConfig?.diffMode ? 'stateDiff' : tracer;
+                    const handler = handlers[request.method === 'debug_traceTransaction' ? key : request.method];
+                    if (!handler) {
+                        return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: 'the method does not exist/is not available' } };
+                    }
+                    return { jsonrpc: '2.0', id: request.id, result: handler(request) };
+                };
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(Array.isArray(payload) ? payload.map(reply) : reply(payload)));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        rpcUrl = `http://127.0.0.1:${server.address().port}`;
+
+        previousRpcUrl = process.env.RPC_URL;
+        process.env.RPC_URL = rpcUrl;
+    });
+
+    afterAll(async () => {
+        if (previousRpcUrl === undefined) {
+            delete process.env.RPC_URL;
+        } else {
+            process.env.RPC_URL = previousRpcUrl;
+        }
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        handlers = {
+            callTracer: () => callTrace,
+            prestateTracer: () => ({ [TOKEN]: { balance: '0x0', storage: { [SLOT]: '0x00000000000000000000000000000000000000000000000000000000000003e8' } } }),
+            stateDiff: () => ({
+                pre: { [TOKEN]: { storage: { [SLOT]: '0x00000000000000000000000000000000000000000000000000000000000003e8' } } },
+                post: { [TOKEN]: { nonce: 1 } }
+            })
+        };
+
+        const configManager = new ConfigManager();
+        fetcher = new TraceFetcher(configManager, new RpcManager(configManager));
+    });
+
+    test('should trace the transaction on the RPC chosen by RpcManager', async () => {
+        const traceData = await fetcher.fetchTrace(TX_HASH);
+        const tree = CallTree.fromTraceData(traceData);
+
+        expect(requests[0].method).toBe('debug_traceTransaction');
+        expect(requests[0].params).toEqual([TX_HASH, { tracer: 'callTracer', tracerConfig: { withLog: true } }]);
+        expect(traceData.format).toBe('callTracer');
+        expect(traceData.transactionHash).toBe(TX_HASH);
+        expect(tree.getInvocations()).toHaveLength(7);
+        expect(tree.getNodesByType(CallTree.NODE_TYPES.EVENT)).toHaveLength(2);
+    });
+
+    test('should turn prestateTracer results into slot reads and writes', async () => {
+        const tree = CallTree.fromTraceData(await fetcher.fetchTrace(TX_HASH));
+        const [read] = tree.getNodesByType(CallTree.NODE_TYPES.SLOT_READ);
+        const [write] = tree.getNodesByType(CallTree.NODE_TYPES.SLOT_WRITE);
+
+        expect(read.slotRead).toEqual({ contract: TOKEN, key: SLOT, value: '0x' + '0'.repeat(61) + '3e8' });
+        // The slot is missing from the modified account's post state, so it was cleared
+        expect(write.slotWrite.current).toBe('0x' + '0'.repeat(64));
+
+        // Reads land in the first call into the token, writes in the last successful one
+        const tokenCalls = tree.getInvocations().filter(node => node.invocation.address === TOKEN);
+        expect(read.parent).toBe(tokenCalls[0]);
+        expect(write.parent).toBe(tokenCalls.filter(node => node.invocation.status && node.invocation.operation !== 'STATICCALL').pop());
+    });
+
+    test('should fall back to the call trace when the prestateTracer is unavailable', async () => {
+        delete handlers.prestateTracer;
+
+        const tree = CallTree.fromTraceData(await fetcher.fetchTrace(TX_HASH));
+
+        expect(tree.getNodesByType(CallTree.NODE_TYPES.SLOT_READ)).toHaveLength(0);
+        expect(tree.getInvocations()).toHaveLength(7);
+        expect(requests.filter(request => request.params[1].tracer === 'prestateTracer')).toHaveLength(1);
+    });
+
+    test('should explain when the node has no debug API', async () => {
+        handlers = {};
+
+        await expect(fetcher.fetchTrace(TX_HASH)).rejects.toThrow('node that exposes the debug API');
+    });
+
+    test('should reject unknown transactions and malformed hashes', async () => {
+        handlers.callTracer = () => null;
+
+        await expect(fetcher.fetchTrace(TX_HASH)).rejects.toThrow(`Transaction not found: ${TX_HASH}`);
+        await expect(fetcher.fetchTrace('0x1234')).rejects.toThrow('Invalid transaction hash');
+    });
+
+    test('should feed the fetched trace straight into FoundryGenerator', async () => {
+        const EOA = '0x1111111111111111111111111111111111111111';
+        const COINBASE = '0x4838b106fce9647bdf1e7877bf73ce8b0bad5f97';
+        const hash = '0x' + 'cd'.repeat(32);
+        Object.assign(handlers, {
+            eth_chainId: () => '0x1',
+            eth_getTransactionByHash: () => ({
+                hash: TX_HASH, blockHash: hash, blockNumber: '0x11a49a0', transactionIndex: '0x0', type: '0x2',
+                from: EOA, to: ATTACKER, gas: '0x7a120', gasPrice: '0x3b9aca00', maxFeePerGas: '0x77359400',
+                maxPriorityFeePerGas: '0x5f5e100', input: '0x', nonce: '0x5', value: '0x0', chainId: '0x1',
+                v: '0x0', r: hash, s: '0x' + '1'.repeat(64), accessList: []
+            }),
+            eth_getTransactionReceipt: () => ({
+                transactionHash: TX_HASH, blockHash: hash, blockNumber: '0x11a49a0', transactionIndex: '0x0', type: '0x2',
+                from: EOA, to: ATTACKER, contractAddress: null, gasUsed: '0x5208', cumulativeGasUsed: '0x5208',
+                effectiveGasPrice: '0x3b9aca00', logs: [], logsBloom: '0x' + '0'.repeat(512), status: '0x1'
+            }),
+            eth_getBlockByNumber: () => ({
+                hash, parentHash: hash, number: '0x11a49a0', timestamp: '0x6543a2f0', nonce: '0x0000000000000000',
+                difficulty: '0x0', gasLimit: '0x1c9c380', gasUsed: '0x5208', miner: COINBASE, extraData: '0x',
+                baseFeePerGas: '0x3b9aca00', mixHash: '0x' + '42'.repeat(32), transactions: [TX_HASH]
+            })
+        });
+
+        const configManager = new ConfigManager();
+        const rpcManager = new RpcManager(configManager);
+        const tokenManager = new TokenManager(configManager, rpcManager);
+        const abiManager = new AbiManager();
+        tokenManager.batchFetchTokenInfo = async () => new Map();
+        abiManager.lookupFunctionSignatureWithFallback = async () => null;
+        const traceParser = new TraceParser(configManager, rpcManager, tokenManager, abiManager);
+        const foundryGenerator = new FoundryGenerator(configManager, rpcManager, tokenManager, abiManager, traceParser);
+
+        const traceData = await fetcher.fetchTrace(TX_HASH);
+        const testContent = await foundryGenerator.generateFoundryTest(traceData, ATTACKER, 18500000, rpcUrl, { assertStorage: true });
+
+        // The transaction's sender, gas price and block header come from TokenManager
+        expect(testContent).toContain('vm.startPrank(MAIN_ADDRESS, TX_ORIGIN);');
+        expect(testContent).toContain(`address constant TX_ORIGIN = 0x${'1'.repeat(40)};`);
+        expect(testContent).toContain('vm.warp(1698931440);');
+        expect(testContent).toContain('vm.fee(1000000000);');
+        expect(testContent).toContain('vm.txGasPrice(1000000000);');
+        expect(testContent).toContain('vm.coinbase(0x4838B106FCe9647Bdf1E7877BF73cE8B0BAD5f97);');
+        expect(testContent).toContain(`vm.prevrandao(bytes32(0x${'42'.repeat(32)}));`);
+        expect(testContent).toContain(`assertEq(vm.load(ADDR1, bytes32(${SLOT})), bytes32(0x${'0'.repeat(64)})`);
+    });
+});
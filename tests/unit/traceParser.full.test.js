@@ -4,6 +4,9 @@ import ConfigManager from '../../lib/configManager.js';
 import RpcManager from '../../lib/rpcManager.js';
 import TokenManager from '../../lib/tokenManager.js';
 import AbiManager from '../../lib/abiManager.js';
+import { ethers } from 'ethers';
+import solc from 'solc';
+import { Block } from '../../lib/solidityEmitter.js';
 
 describe('TraceParser - Full Coverage', () => {
     let traceParser;
@@ -56,7 +59,16 @@ describe('TraceParser - Full Coverage', () => {
         });
     });
 
-    describe('extractCallsInFlashloanRange', () => {
+    describe('extractCallsInCallback', () => {
+        // Calls nested in a flash loan the main address takes at node 0
+        const extractCalls = (dataMap, mainAddress) => {
+            const callTree = traceParser.buildCallTree({
+                dataMap: { 0: { invocation: { from: mainAddress, to: '0x2222222222222222222222222222222222222222', selector: '0x5cffe9de' } }, ...dataMap },
+                parentIdMap: { 0: -1, 1: 0 }
+            });
+            return traceParser.extractCallsInCallback(callTree, callTree.getNode(0), mainAddress, new Map(), new Map(), new Map());
+        };
+
         test('should extract calls with invocations array', async () => {
             const dataMap = {
                 '1': {
@@ -74,13 +86,7 @@ describe('TraceParser - Full Coverage', () => {
             };
 
             const mainAddress = '0x1234567890123456789012345678901234567890';
-            const contracts = new Map();
-            const addressRegistry = new Map();
-            const addressCounter = new Map();
-
-            const calls = await traceParser.extractCallsInFlashloanRange(
-                dataMap, 0, 2, mainAddress, contracts, addressRegistry, addressCounter
-            );
+            const calls = await extractCalls(dataMap, mainAddress);
 
             expect(calls.length).toBe(1);
             expect(calls[0].to).toBe('0xaaaa567890123456789012345678901234567890');
@@ -100,9 +106,7 @@ describe('TraceParser - Full Coverage', () => {
             };
 
             const mainAddress = '0x1234567890123456789012345678901234567890';
-            const calls = await traceParser.extractCallsInFlashloanRange(
-                dataMap, 0, 2, mainAddress, new Map(), new Map(), new Map()
-            );
+            const calls = await extractCalls(dataMap, mainAddress);
 
             expect(calls.length).toBe(1);
         });
@@ -134,15 +138,12 @@ describe('TraceParser - Full Coverage', () => {
                         from: '0x1234567890123456789012345678901234567890',
                         to: '0xcccc567890123456789012345678901234567890',
                         selector: '0xa9059cbb',
-                        callData: '0xa9059cbb00000000000000000000000099999999999999999999999999999999999999990000000000000000000000000000000000000000000000000000000000003e8'
+                        callData: '0xa9059cbb000000000000000000000000999999999999999999999999999999999999999900000000000000000000000000000000000000000000000000000000000003e8'
                     }]
                 }
             };
 
-            const calls = await traceParser.extractCallsInFlashloanRange(
-                dataMap, 0, 2, '0x1234567890123456789012345678901234567890',
-                new Map(), new Map(), new Map()
-            );
+            const calls = await extractCalls(dataMap, '0x1234567890123456789012345678901234567890');
 
             expect(calls[0].methodName).toBe('transfer');
             expect(calls[0].params.length).toBe(2);
@@ -162,16 +163,13 @@ describe('TraceParser - Full Coverage', () => {
                     invocations: [{
                         from: '0x1234567890123456789012345678901234567890',
                         to: '0xdddd567890123456789012345678901234567890',
-                        selector: '0x12345678',
-                        callData: '0x123456780000000000000000000000000000000000000000000000000000000000000064000000000000000000000000eeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee'
+                        selector: '0xc0207190',
+                        callData: '0xc02071900000000000000000000000000000000000000000000000000000000000000064000000000000000000000000eeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee'
                     }]
                 }
             };
 
-            const calls = await traceParser.extractCallsInFlashloanRange(
-                dataMap, 0, 2, '0x1234567890123456789012345678901234567890',
-                new Map(), new Map(), new Map()
-            );
+            const calls = await extractCalls(dataMap, '0x1234567890123456789012345678901234567890');
 
             expect(calls[0].methodName).toBe('specialFunction');
             expect(calls[0].signature).toBe('specialFunction(uint256,address)');
@@ -196,10 +194,7 @@ describe('TraceParser - Full Coverage', () => {
                 }
             };
 
-            const calls = await traceParser.extractCallsInFlashloanRange(
-                dataMap, 0, 2, '0x1234567890123456789012345678901234567890',
-                new Map(), new Map(), new Map()
-            );
+            const calls = await extractCalls(dataMap, '0x1234567890123456789012345678901234567890');
 
             expect(calls[0].methodName).toBe('decreasePosition');
         });
@@ -214,10 +209,7 @@ describe('TraceParser - Full Coverage', () => {
                 }
             };
 
-            const calls = await traceParser.extractCallsInFlashloanRange(
-                dataMap, 0, 2, '0x1234567890123456789012345678901234567890',
-                new Map(), new Map(), new Map()
-            );
+            const calls = await extractCalls(dataMap, '0x1234567890123456789012345678901234567890');
 
             expect(calls[0].methodName).toBe('unknown');
         });
@@ -232,112 +224,22 @@ describe('TraceParser - Full Coverage', () => {
                 }
             };
 
-            const calls = await traceParser.extractCallsInFlashloanRange(
-                dataMap, 0, 2, '0x1234567890123456789012345678901234567890',
-                new Map(), new Map(), new Map()
-            );
+            const calls = await extractCalls(dataMap, '0x1234567890123456789012345678901234567890');
 
             expect(calls.length).toBe(0);
         });
     });
 
-    describe('extractCallbackData', () => {
-        test('should extract callback calls from dataMap', () => {
-            const dataMap = {
-                '11': {
-                    invocations: [
-                        {
-                            from: '0x1234567890123456789012345678901234567890',
-                            to: '0xaaaa567890123456789012345678901234567890'
-                        }
-                    ]
-                },
-                '12': {
-                    invocations: [
-                        {
-                            from: '0x1234567890123456789012345678901234567890',
-                            to: '0xbbbb567890123456789012345678901234567890'
-                        }
-                    ]
-                }
-            };
-
-            const callbackData = traceParser.extractCallbackData(
-                '0xdata', dataMap, 10, '0x1234567890123456789012345678901234567890'
-            );
-
-            expect(callbackData).toBeTruthy();
-            expect(callbackData.type).toBe('flashloan_callback');
-            expect(callbackData.calls.length).toBe(2);
-        });
-
-        test('should handle singular invocation field', () => {
-            const dataMap = {
-                '11': {
-                    // No invocations field, so it will check for singular invocation
-                    invocation: {
-                        fromAddress: '0x1234567890123456789012345678901234567890',
-                        to: '0xcccc567890123456789012345678901234567890'
-                    }
-                }
-            };
-
-            const callbackData = traceParser.extractCallbackData(
-                '0xdata', dataMap, 10, '0x1234567890123456789012345678901234567890'
-            );
-
-            // This will return null because the code checks for entry.invocations first
-            expect(callbackData).toBe(null);
-        });
-
-        test('should return null when no callback calls found', () => {
-            const dataMap = {
-                '11': {
-                    invocations: [{
-                        from: '0x9999999999999999999999999999999999999999',
-                        to: '0xaaaa567890123456789012345678901234567890'
-                    }]
-                }
-            };
-
-            const callbackData = traceParser.extractCallbackData(
-                '0xdata', dataMap, 10, '0x1234567890123456789012345678901234567890'
-            );
-
-            expect(callbackData).toBe(null);
-        });
-
-        test('should limit callback calls to 20', () => {
-            const dataMap = {};
-            for (let i = 11; i < 50; i++) {
-                dataMap[i] = {
-                    invocations: [{
-                        from: '0x1234567890123456789012345678901234567890',
-                        to: `0x${'a'.repeat(40)}`
-                    }]
-                };
-            }
-
-            const callbackData = traceParser.extractCallbackData(
-                '0xdata', dataMap, 10, '0x1234567890123456789012345678901234567890'
-            );
-
-            // The function breaks when calls.length > 20, so it can actually return 21 calls
-            expect(callbackData.calls.length).toBeGreaterThan(20);
-            expect(callbackData.calls.length).toBeLessThanOrEqual(39); // All calls from 11-49
-        });
-    });
-
     describe('generateCallbackFunctions', () => {
         test('should generate aave flashloan callback', () => {
             const callbacks = new Map();
-            callbacks.set('aave_flashloan', [{
+            callbacks.set('aave_flashloan', [{ calls: [{
                 to: '0xaaaa567890123456789012345678901234567890',
                 methodName: 'transfer',
                 signature: 'transfer(address,uint256)',
                 params: [],
                 value: '0'
-            }]);
+            }] }]);
 
             const contracts = new Map();
             contracts.set('0xaaaa567890123456789012345678901234567890', new Set(['transfer(address,uint256)']));
@@ -355,13 +257,13 @@ describe('TraceParser - Full Coverage', () => {
 
         test('should generate generic flashloan callback', () => {
             const callbacks = new Map();
-            callbacks.set('generic_flashloan', [{
+            callbacks.set('generic_flashloan', [{ calls: [{
                 to: '0xbbbb567890123456789012345678901234567890',
                 methodName: 'approve',
                 signature: 'approve(address,uint256)',
                 params: [],
                 value: '1000000000000000000'
-            }]);
+            }] }]);
 
             const code = traceParser.generateCallbackFunctions(
                 callbacks, new Map(), new Map(), '0x1111111111111111111111111111111111111111'
@@ -373,12 +275,12 @@ describe('TraceParser - Full Coverage', () => {
 
         test('should generate morpho blue callback', () => {
             const callbacks = new Map();
-            callbacks.set('morpho_blue_callback', [{
+            callbacks.set('morpho_blue_callback', [{ calls: [{
                 to: '0xcccc567890123456789012345678901234567890',
                 methodName: 'repay',
                 signature: 'repay(uint256)',
                 params: []
-            }]);
+            }] }]);
 
             const code = traceParser.generateCallbackFunctions(
                 callbacks, new Map(), new Map(), '0x1111111111111111111111111111111111111111'
@@ -390,12 +292,12 @@ describe('TraceParser - Full Coverage', () => {
 
         test('should generate uniswap v3 swap callback', () => {
             const callbacks = new Map();
-            callbacks.set('uniswap_v3_swap', [{
+            callbacks.set('uniswap_v3_swap', [{ calls: [{
                 to: '0xdddd567890123456789012345678901234567890',
                 methodName: 'swap',
                 signature: 'swap(uint256,uint256)',
                 params: []
-            }]);
+            }] }]);
 
             const code = traceParser.generateCallbackFunctions(
                 callbacks, new Map(), new Map(), '0x1111111111111111111111111111111111111111'
@@ -407,12 +309,12 @@ describe('TraceParser - Full Coverage', () => {
 
         test('should generate uniswap v3 flash callback', () => {
             const callbacks = new Map();
-            callbacks.set('uniswap_v3_flash', [{
+            callbacks.set('uniswap_v3_flash', [{ calls: [{
                 to: '0xeeee567890123456789012345678901234567890',
                 methodName: 'flash',
                 signature: 'flash(uint256)',
                 params: []
-            }]);
+            }] }]);
 
             const code = traceParser.generateCallbackFunctions(
                 callbacks, new Map(), new Map(), '0x1111111111111111111111111111111111111111'
@@ -432,6 +334,258 @@ describe('TraceParser - Full Coverage', () => {
 
             expect(code).toContain('TODO: Implement callback logic');
         });
+
+        const transferCall = amount => ({
+            to: '0xaaaa567890123456789012345678901234567890',
+            methodName: 'transfer',
+            signature: 'transfer(uint256)',
+            params: [{ type: 'uint256', value: amount }],
+            value: '0'
+        });
+
+        test('should send value through the payable interface', () => {
+            const deposit = {
+                to: '0xbbbb567890123456789012345678901234567890',
+                methodName: 'deposit',
+                signature: 'deposit()',
+                params: [],
+                value: '1'
+            };
+            const callbacks = new Map([['uniswap_v3_swap', [{ calls: [deposit, { ...deposit, value: '2' }] }]]]);
+
+            const code = traceParser.generateCallbackFunctions(callbacks, new Map(), new Map(), '0x1111111111111111111111111111111111111111');
+
+            expect(code).toContain('        IContract567890(0xbBbB567890123456789012345678901234567890).deposit{value: 1}();\n');
+            expect(code).toContain('        IContract567890(0xbBbB567890123456789012345678901234567890).deposit{value: 2}();\n');
+            expect(code).not.toContain('abi.encodeWithSignature');
+        });
+
+        test('should emit identical invocations once', () => {
+            const callbacks = new Map([['uniswap_v3_swap', [{ caller: '0xcccc567890123456789012345678901234567890', calls: [transferCall('1')] }, { caller: '0xcccc567890123456789012345678901234567890', calls: [transferCall('1')] }]]]);
+
+            const code = traceParser.generateCallbackFunctions(callbacks, new Map(), new Map(), '0x1111111111111111111111111111111111111111');
+
+            expect(code.match(/\.transfer\(1\)/g).length).toBe(1);
+            expect(code).not.toContain('invocation');
+        });
+
+        test('should dispatch invocations from different callers by msg.sender', () => {
+            const callbacks = new Map([['uniswap_v3_swap', [
+                { caller: '0xcccc567890123456789012345678901234567890', calls: [transferCall('1')] },
+                { caller: '0xdddd567890123456789012345678901234567890', calls: [transferCall('2')] }
+            ]]]);
+            const addressRegistry = new Map([['0xcccc567890123456789012345678901234567890', 'addr1']]);
+
+            const code = traceParser.generateCallbackFunctions(callbacks, new Map(), addressRegistry, '0x1111111111111111111111111111111111111111');
+
+            expect(code).toContain('        if (msg.sender == ADDR1) {\n            // transfer\n');
+            expect(code).toContain('        } else if (msg.sender == 0xDdDd567890123456789012345678901234567890) {\n');
+            expect(code).not.toContain('uniswapV3SwapCallbackCalls');
+        });
+
+        test('should dispatch invocations from the same caller by invocation order', () => {
+            const pool = '0xcccc567890123456789012345678901234567890';
+            const callbacks = new Map([
+                ['balancer_flashloan', [{ caller: pool, calls: [transferCall('1')] }, { caller: pool, calls: [transferCall('2')] }]],
+                ['fallback', [
+                    { caller: pool, selector: '0xabcdef01', output: '0x01', calls: [] },
+                    { caller: pool, selector: '0xabcdef01', output: '0x02', calls: [] }
+                ]]
+            ]);
+
+            const code = traceParser.generateCallbackFunctions(callbacks, new Map(), new Map(), '0x1111111111111111111111111111111111111111');
+
+            expect(code).toContain('    uint256 internal receiveFlashLoanCalls;\n');
+            expect(code).toContain('        uint256 invocation = receiveFlashLoanCalls++;\n        if (invocation == 0) {\n');
+            expect(code.indexOf('} else if (invocation == 1) {')).toBeLessThan(code.indexOf('.transfer(2)'));
+            expect(code).toContain('    mapping(bytes4 => uint256) internal fallbackCalls;\n');
+            expect(code).toContain('            uint256 invocation = fallbackCalls[msg.sig]++;\n            if (invocation == 0) {\n                return hex"01";');
+        });
+    });
+
+    describe('linkReturnValues', () => {
+        const uint = (value, name = '') => ({ name, type: 'uint256', value });
+        const main = '0x1111111111111111111111111111111111111111';
+        const call = (methodName, params, returnParams = [], extra = {}) => ({
+            to: '0xaaaa567890123456789012345678901234567890', methodName, signature: `${methodName}()`, params, returnParams, value: '0', ...extra
+        });
+        const emit = (...calls) => {
+            const block = new Block();
+            calls.forEach(emitted => traceParser.emitInterfaceCall(block, emitted, new Map(), new Map(), main));
+            return block.render();
+        };
+
+        test('should pass earlier results on instead of their traced values', () => {
+            const amount = uint('11,907,874,713,019,104,529,057,960', 'amount');
+            const balanceOf = call('balanceOf', [], [uint('11,907,874,713,019,104,529,057,960')]);
+            const swap = call('swap', [amount, uint('11907874713019104529057960')]);
+
+            expect(traceParser.linkReturnValues([balanceOf, swap])).toBe(2);
+            expect(balanceOf.captures).toEqual([{ index: 0, name: 'balanceOfResult' }]);
+            expect(emit(balanceOf)).toContain('uint256 balanceOfResult = ');
+            expect(traceParser._formatCallParameters(swap.params, new Map(), '0x1111111111111111111111111111111111111111')).toBe('balanceOfResult, balanceOfResult');
+            // The trace's own parameter objects are left untouched
+            expect(amount.link).toBeUndefined();
+        });
+
+        test('should convert linked results whose type does not convert implicitly to the parameter', () => {
+            const swap = call('swap', [], [
+                { name: 'swapAmount0', type: 'int256', value: '5000000' },
+                { name: 'liquidity', type: 'uint128', value: '6000000' },
+                { name: 'reserve', type: 'uint112', value: '7000000' }
+            ]);
+            const mint = call('mint', [
+                { type: 'uint128', value: '5000000' },
+                { type: 'int256', value: '6000000' },
+                { type: 'uint96', value: '7000000' },
+                { type: 'uint256', value: '7000000' }
+            ]);
+            traceParser.linkReturnValues([swap, mint]);
+
+            const block = new Block();
+            traceParser.emitInterfaceCall(block, swap, new Map(), new Map(), main);
+            const args = traceParser._formatCallParameters(mint.params, new Map(), main);
+            expect(args).toBe('uint128(uint256(swapSwapAmount0)), int256(uint256(swapLiquidity)), uint96(swapReserve), swapReserve');
+
+            const source = [
+                '// SPDX-License-Identifier: MIT',
+                'pragma solidity ^0.8.19;',
+                'interface IPool { function swap() external returns (int256, uint128, uint112); function mint(uint128, int256, uint96, uint256) external; }',
+                'contract Harness {',
+                '    function run(IPool pool) external {',
+                block.render(2).replace(/\w+\(0x[0-9a-fA-F]+\)\.swap/, 'pool.swap'),
+                `        pool.mint(${args});`,
+                '    }',
+                '}'
+            ].join('\n');
+            const output = JSON.parse(solc.compile(JSON.stringify({
+                language: 'Solidity',
+                sources: { 'Harness.sol': { content: source } },
+                settings: { outputSelection: {} }
+            })));
+            expect((output.errors || []).filter(error => error.severity === 'error').map(error => error.formattedMessage)).toEqual([]);
+        });
+
+        test('should index into array results and destructure tuple results', () => {
+            const getAmountsOut = call('getAmountsOut', [], [{ name: 'amounts', type: 'uint256[]', value: ['1000000', '2500000'] }]);
+            const getReserves = call('getReserves', [], [
+                { name: 'reserve0', type: 'uint112', value: '7000000' },
+                { name: 'reserve1', type: 'uint112', value: '8000000' },
+                { name: 'blockTimestampLast', type: 'uint32', value: '1700000000' }
+            ]);
+            const swap = call('swap', [uint('2500000'), uint('7000000')]);
+
+            traceParser.linkReturnValues([getAmountsOut, getReserves, swap]);
+
+            expect(traceParser._formatCallParameters(swap.params, new Map(), main)).toBe('getAmountsOutAmounts[1], getReservesReserve0');
+            expect(emit(getAmountsOut)).toContain('uint256[] memory getAmountsOutAmounts = ');
+            expect(emit(getReserves)).toContain('(uint112 getReservesReserve0, , ) = ');
+        });
+
+        test('should only link large integers from calls that ran earlier', () => {
+            const decimals = call('decimals', [], [uint('18')]);
+            const deposit = call('deposit', [], [uint('5000000')], { value: '1' });
+            const later = call('quote', [], [uint('9000000')]);
+            const swap = call('swap', [uint('18'), uint('5000000'), uint('9000000')]);
+
+            expect(traceParser.linkReturnValues([decimals, deposit, swap, later])).toBe(1);
+            expect(emit(decimals)).not.toContain(' = ');
+            // Value-bearing calls go through the payable interface, so their results are captured too
+            expect(emit(deposit, swap)).toMatch(/uint256 depositResult = \w+\(\w+\)\.deposit\{value: 1\}\(\);\n.*\.swap\(18, depositResult, 9000000\);/);
+        });
+
+        test('should keep local names unique within a function', () => {
+            const first = [call('balanceOf', [], [uint('1000000')]), call('transfer', [uint('1000000')])];
+            const second = [call('balanceOf', [], [uint('2000000')]), call('transfer', [uint('2000000')])];
+
+            traceParser.linkReturnValues(first);
+            traceParser.linkReturnValues(second);
+            const code = emit(...first, ...second);
+
+            expect(code).toContain('uint256 balanceOfResult = ');
+            expect(code).toContain('.transfer(balanceOfResult);');
+            expect(code).toContain('uint256 balanceOfResult2 = ');
+            expect(code).toContain('.transfer(balanceOfResult2);');
+        });
+    });
+
+    describe('array arguments', () => {
+        const main = '0x1111111111111111111111111111111111111111';
+        const target = '0x3333333333333333333333333333333333333333';
+        const leg = (token, amount) => [{ name: 'token', type: 'address', value: token }, { name: 'amount', type: 'uint256', value: amount }];
+        const params = [
+            { name: 'amounts', type: 'uint256[]', value: ['1', '300'] },
+            { name: 'path', type: 'address[]', value: [main] },
+            { name: 'pair', type: 'uint256[2]', value: ['1', '300'] },
+            { name: 'nested', type: 'uint256[][]', value: [['1'], ['2', '70000']] },
+            { name: 'legs', type: '(address,uint256)[]', value: [leg(target, '1'), leg(main, '2')] },
+            {
+                name: 'route',
+                type: '((uint256[2],bytes)[],string[2])',
+                value: [
+                    { name: 'hops', type: '(uint256[2],bytes)[]', value: [[{ name: 'fees', type: 'uint256[2]', value: ['500', '3000'] }, { name: 'data', type: 'bytes', value: '0xab' }]] },
+                    { name: 'notes', type: 'string[2]', value: ['gm', 'gn'] }
+                ]
+            }
+        ];
+        const signature = 'swap(uint256[],address[],uint256[2],uint256[][],(address,uint256)[],((uint256[2],bytes)[],string[2]))';
+
+        test('should declare dynamic arrays as locals and type fixed-size literals, in code that compiles', () => {
+            traceParser.structRegistry.reset(['Harness', 'ITarget']);
+            const types = params.map(param => traceParser.structRegistry.solidityType(traceParser.structRegistry.typeOf(param), 'memory', param.name));
+            const block = new Block();
+            const args = traceParser._formatCallParameters(params, new Map([[target, 'addr1']]), main, { block });
+
+            expect(args).toBe('amounts, path, [uint256(1), 300], nested, legs, Route(hops, [string("gm"), "gn"])');
+            expect(block.render()).toContain('uint256[][] memory nested = new uint256[][](2);\nuint256[] memory nested2 = new uint256[](1);\nnested2[0] = 1;\nnested[0] = nested2;\n');
+            expect(block.render()).toContain('Hop[] memory hops = new Hop[](1);\nhops[0] = Hop([uint256(500), 3000], hex"ab");\n');
+
+            const source = [
+                '// SPDX-License-Identifier: MIT',
+                'pragma solidity ^0.8.19;',
+                ...traceParser.structRegistry.declarations(),
+                `interface ITarget { function swap(${types.join(', ')}) external; }`,
+                'contract Harness {',
+                `    address constant ADDR1 = ${target};`,
+                '    function run() external {',
+                block.render(2),
+                `        ITarget(ADDR1).swap(${args});`,
+                '    }',
+                '}'
+            ].join('\n');
+            const output = JSON.parse(solc.compile(JSON.stringify({
+                language: 'Solidity',
+                sources: { 'Harness.sol': { content: source } },
+                settings: { outputSelection: {} }
+            })));
+
+            expect((output.errors || []).filter(error => error.severity === 'error').map(error => error.formattedMessage)).toEqual([]);
+        });
+
+        test('should keep array locals unique within a function', () => {
+            const swap = { to: target, methodName: 'swap', signature: 'swap(address[])', params: [params[1]], value: '0' };
+            const block = new Block();
+            block.declare('uint256', 'path', '1');
+
+            traceParser._generateCallbackCall(block, swap, new Map(), new Map(), main);
+            traceParser._generateCallbackCall(block, swap, new Map(), new Map(), main);
+            const code = block.render();
+
+            // The first name is taken by another local
+            expect(code).toContain('address[] memory path2 = new address[](1);\n');
+            expect(code).toContain('.swap(path2);\n');
+            expect(code).toContain('address[] memory path3 = new address[](1);\n');
+            expect(code).toContain('.swap(path3);\n');
+        });
+
+        test('should verify array locals against the traced calldata', () => {
+            const values = [[1n, 300n], [main], [1n, 300n], [[1n], [2n, 70000n]], [[target, 1n], [main, 2n]], [[[[500n, 3000n], '0xab']], ['gm', 'gn']]];
+            const callData = new ethers.Interface([`function ${signature}`]).encodeFunctionData('swap', values);
+            const call = { to: target, methodName: 'swap', signature, params, value: '0' };
+
+            traceParser.verifyCallEncoding(call, { fromAddress: main, callData }, new Map([[target, 'addr1']]));
+            expect(call.fidelity).toEqual({ status: 'exact', reason: null });
+        });
     });
 
     describe('toChecksumAddress', () => {
@@ -478,15 +632,19 @@ describe('TraceParser - Full Coverage', () => {
                 ]
             };
 
+            const block = new Block();
             const formatted = traceParser.formatParameterValueForCall(
-                arrayParam, new Map(), '0x0000000000000000000000000000000000000000'
+                { ...arrayParam, name: 'path' }, new Map(), '0x0000000000000000000000000000000000000000', null, null, { block }
             );
 
-            expect(formatted).toContain('[');
-            expect(formatted).toContain(']');
+            expect(formatted).toBe('path');
             // The addresses will be checksummed
-            expect(formatted).toContain('0xaAaA567890123456789012345678901234567890');
-            expect(formatted).toContain('0xbBbB567890123456789012345678901234567890');
+            expect(block.render()).toBe([
+                'address[] memory path = new address[](2);',
+                'path[0] = 0xaAaA567890123456789012345678901234567890;',
+                'path[1] = 0xbBbB567890123456789012345678901234567890;',
+                ''
+            ].join('\n'));
         });
 
         test('should handle string type without 0x prefix', () => {
@@ -513,6 +671,82 @@ describe('TraceParser - Full Coverage', () => {
 
             expect(formatted).toBe('""');
         });
+
+        test('should format display-formatted values as Solidity literals', () => {
+            const zero = '0x0000000000000000000000000000000000000000';
+            const format = (type, value) => traceParser.formatParameterValueForCall({ type, value }, new Map(), zero);
+
+            expect(format('uint256', '11,907,874,713,019,104,529,057,960')).toBe('11907874713019104529057960');
+            expect(format('int24', '-887,220')).toBe('-887220');
+            expect(format('bytes20', '0xAAAA567890123456789012345678901234567890')).toBe('bytes20(hex"aaaa567890123456789012345678901234567890")');
+            expect(format('uint256[2][2]', '[["1,000", "2"], ["3", "4"]]')).toBe('[[uint256(1000), 2], [uint256(3), 4]]');
+            expect(format('bytes32[]', [])).toBe('new bytes32[](0)');
+        });
+
+        test('should escape strings and mark non-ASCII ones as unicode literals', () => {
+            const zero = '0x0000000000000000000000000000000000000000';
+            const format = value => traceParser.formatParameterValueForCall({ type: 'string', value }, new Map(), zero);
+
+            expect(format('say "gm" \\o/')).toBe('"say \\"gm\\" \\\\o/"');
+            expect(format('line\nbreak\u0001')).toBe('"line\\nbreak\\x01"');
+            expect(format('gm ☀️')).toBe('unicode"gm ☀️"');
+        });
+
+        test('should format tuples component by component', () => {
+            const addressRegistry = new Map([['0xaaaa567890123456789012345678901234567890', 'addr3']]);
+            const param = { type: 'tuple(address,uint256,bool)', value: ['0xAAAA567890123456789012345678901234567890', '1,000', 'false'] };
+
+            const formatted = traceParser.formatParameterValueForCall(
+                param, addressRegistry, '0x0000000000000000000000000000000000000000', param.type, 'Order'
+            );
+
+            expect(formatted).toBe('Order(ADDR3, 1000, false)');
+        });
+
+        test('should name nested struct literals as the struct registry declares them', () => {
+            const zero = '0x0000000000000000000000000000000000000000';
+            const leg = (token, amount) => [{ name: 'token', type: 'address', value: token }, { name: 'amount', type: 'uint256', value: amount }];
+            const param = {
+                name: 'route',
+                type: 'tuple((address,uint256)[2],bytes)',
+                value: [
+                    { name: 'legs', type: '(address,uint256)[2]', value: [leg(zero, '1,000'), leg(zero, '0')] },
+                    { name: 'data', type: 'bytes', value: '0xAB' }
+                ]
+            };
+
+            expect(traceParser.formatParameterValueForCall(param, new Map(), '0x1111111111111111111111111111111111111111'))
+                .toBe('Route([Leg(0x0000000000000000000000000000000000000000, 1000), Leg(0x0000000000000000000000000000000000000000, 0)], hex"ab")');
+            expect(traceParser.structRegistry.declarations()).toEqual([
+                'struct Leg {\n    address token;\n    uint256 amount;\n}',
+                'struct Route {\n    Leg[2] legs;\n    bytes data;\n}'
+            ]);
+        });
+    });
+
+    describe('verifyCallEncoding', () => {
+        const main = '0x1111111111111111111111111111111111111111';
+        const token = '0x3333333333333333333333333333333333333333';
+
+        test('should turn callback calls that do not round-trip into raw calls', () => {
+            const invocation = { fromAddress: main, selector: '0xb6b55f25', callData: `0x${'0'.repeat(63)}5` };
+            const call = { to: token, methodName: 'deposit', signature: 'deposit(uint256)', params: [{ type: 'uint256', value: '6' }], value: '0' };
+
+            traceParser.verifyCallEncoding(call, invocation, new Map());
+            expect(call.fidelity).toEqual({ status: 'fallback', reason: 'arguments differ from word 0' });
+
+            const code = traceParser.generateCallbackFunctions(new Map([['balancer_flashloan', [{ calls: [call] }]]]), new Map(), new Map([[token, 'addr1']]), main);
+            expect(code).toContain(`(bool success, ) = ADDR1.call(abi.encodePacked(bytes4(0xb6b55f25), hex"${'0'.repeat(63)}5"));`);
+            expect(code).toContain('require(success, "Raw call failed");');
+        });
+
+        test('should leave calls without traced calldata unchecked', () => {
+            const call = { to: token, methodName: 'deposit', signature: 'deposit(uint256)', params: [{ type: 'uint256', value: '6' }] };
+
+            traceParser.verifyCallEncoding(call, { fromAddress: main, selector: '0xb6b55f25' }, new Map());
+            expect(call.fidelity.status).toBe('unchecked');
+            expect(call.signature).toBe('deposit(uint256)');
+        });
     });
 
     describe('private methods', () => {
@@ -599,7 +833,7 @@ describe('TraceParser - Full Coverage', () => {
                 new Map()
             );
 
-            expect(name).toBe('Contract567890');
+            expect(name).toBe('IContract567890');
         });
     });
 });
\ No newline at end of file
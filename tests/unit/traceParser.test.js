@@ -4,6 +4,7 @@ import ConfigManager from '../../lib/configManager.js';
 import RpcManager from '../../lib/rpcManager.js';
 import TokenManager from '../../lib/tokenManager.js';
 import AbiManager from '../../lib/abiManager.js';
+import { Block } from '../../lib/solidityEmitter.js';
 
 describe('TraceParser', () => {
     let traceParser;
@@ -49,8 +50,17 @@ describe('TraceParser', () => {
         expect(nullHash).toBe(null);
     });
 
-    test('should extract calls in flashloan range', async () => {
+    test('should extract calls in a flashloan callback', async () => {
         const dataMap = {
+            '0': {
+                // Flash loan whose callback the calls below run in
+                invocation: {
+                    from: '0x1234567890123456789012345678901234567890',
+                    to: '0x2222222222222222222222222222222222222222',
+                    selector: '0x5cffe9de',
+                    callData: '0x5cffe9de'
+                }
+            },
             '1': {
                 invocation: {
                     from: '0x1234567890123456789012345678901234567890',
@@ -78,10 +88,11 @@ describe('TraceParser', () => {
         const addressRegistry = new Map();
         const addressCounter = new Map();
 
-        const calls = await traceParser.extractCallsInFlashloanRange(
-            dataMap,
-            0,
-            3,
+        const callTree = traceParser.buildCallTree({ dataMap, parentIdMap: { 0: -1, 1: 0, 2: 0 } });
+
+        const calls = await traceParser.extractCallsInCallback(
+            callTree,
+            callTree.getNode(0),
             mainAddress,
             contracts,
             addressRegistry,
@@ -127,7 +138,7 @@ describe('TraceParser', () => {
             value: '0x1234567890123456789012345678901234567890'
         };
         const formattedAddress = traceParser.formatParameterValueForCall(addressParam, addressRegistry, mainAddress);
-        expect(formattedAddress).toBe('addr1');
+        expect(formattedAddress).toBe('ADDR1');
 
         // Test uint256 parameter
         const uint256Param = {
@@ -166,7 +177,7 @@ describe('TraceParser', () => {
             value: '0x1234567890123456789012345678901234567890'
         };
         const registered = traceParser.formatParameterValueForCall(addressParam, addressRegistry, mainAddress);
-        expect(registered).toBe('addr1');
+        expect(registered).toBe('ADDR1');
 
         // Test main address
         const mainParam = {
@@ -276,10 +287,17 @@ describe('TraceParser', () => {
             value: ['100', '200', '300']
         };
 
-        const formatted = traceParser.formatParameterValueForCall(arrayParam, addressRegistry, mainAddress);
-        expect(typeof formatted).toBe('string');
-        // The actual implementation may format arrays differently
-        expect(formatted.length).toBeGreaterThan(0);
+        const block = new Block();
+        const formatted = traceParser.formatParameterValueForCall(arrayParam, addressRegistry, mainAddress, null, null, { block });
+        expect(formatted).toBe('values');
+        expect(block.render()).toBe([
+            'uint256[] memory values = new uint256[](3);',
+            'values[0] = 100;',
+            'values[1] = 200;',
+            'values[2] = 300;',
+            ''
+        ].join('\n'));
+        expect(() => traceParser.formatParameterValueForCall(arrayParam, addressRegistry, mainAddress)).toThrow('needs a block');
     });
 
     test('should handle string parameters with proper escaping', () => {
@@ -298,6 +316,15 @@ describe('TraceParser', () => {
 
     test('should handle callback analysis with different patterns', async () => {
         const dataMap = {
+            '0': {
+                // Flash loan whose callback the calls below run in
+                invocation: {
+                    from: '0x1234567890123456789012345678901234567890',
+                    to: '0x2222222222222222222222222222222222222222',
+                    selector: '0x5cffe9de',
+                    callData: '0x5cffe9de'
+                }
+            },
             '1': {
                 invocation: {
                     from: '0x1234567890123456789012345678901234567890',
@@ -313,10 +340,11 @@ describe('TraceParser', () => {
         const addressRegistry = new Map();
         const addressCounter = new Map();
 
-        const calls = await traceParser.extractCallsInFlashloanRange(
-            dataMap,
-            0,
-            2,
+        const callTree = traceParser.buildCallTree({ dataMap, parentIdMap: { 0: -1, 1: 0 } });
+
+        const calls = await traceParser.extractCallsInCallback(
+            callTree,
+            callTree.getNode(0),
             mainAddress,
             contracts,
             addressRegistry,
@@ -325,4 +353,77 @@ describe('TraceParser', () => {
 
         expect(Array.isArray(calls)).toBe(true);
     }, 3000);
-});
\ No newline at end of file
+
+    test('should extract emitted events with inferred indexed parameters', () => {
+        const transfer = {
+            contract: '0xBA5BDE662C17E2ADFF1075610382B9B691296350',
+            decodedLog: {
+                name: 'Transfer',
+                signature: 'Transfer(address,address,uint256)',
+                params: [
+                    { name: 'from', type: 'address', value: '0x3f4d749675b3e48bccd932033808a7079328eb48' },
+                    { name: 'to', type: 'address', value: '0x08947cedf35f9669012bda6fda9d03c399b017ab' },
+                    { name: 'value', type: 'uint256', value: '1,000' }
+                ]
+            },
+            topics: [
+                '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+                '0x0000000000000000000000003f4d749675b3e48bccd932033808a7079328eb48',
+                '0x00000000000000000000000008947cedf35f9669012bda6fda9d03c399b017ab'
+            ],
+            logData: '0x' + (1000).toString(16).padStart(64, '0'),
+            revert: false
+        };
+        const callTree = traceParser.buildCallTree({
+            dataMap: {
+                0: { nodeType: 0, invocation: { fromAddress: '0xaaa', address: '0xbbb', operation: 'CALL' } },
+                1: { nodeType: 1, event: transfer },
+                2: { nodeType: 1, event: { ...transfer, revert: true } },
+                3: { nodeType: 1, event: { contract: '0xccc', decodedLog: null, topics: ['0x01'], logData: '0x' } }
+            },
+            parentIdMap: { 1: 0, 2: 0, 3: 0 }
+        });
+
+        const events = traceParser.extractEmittedEvents(callTree, callTree.getNode(0));
+
+        expect(events).toHaveLength(2);
+        expect(events[0].contract).toBe('0xba5bde662c17e2adff1075610382b9b691296350');
+        expect(events[0].name).toBe('Transfer');
+        expect(events[0].indexed).toEqual([true, true, false]);
+        expect(events[1].name).toBeNull();
+        expect(events[1].topics).toEqual(['0x01']);
+    });
+
+    test('should extract storage writes outside reverted frames', () => {
+        const callTree = traceParser.buildCallTree({
+            dataMap: {
+                0: { nodeType: 0, invocation: { fromAddress: '0xaaa', address: '0xbbb', operation: 'CALL', status: true } },
+                1: { nodeType: 4, slotWriteData: { contract: '0xBBB', key: '0x01', prev: '0x00', current: '0x02' } },
+                2: { nodeType: 0, invocation: { fromAddress: '0xbbb', address: '0xccc', operation: 'CALL', revert: true } },
+                3: { nodeType: 4, slotWriteData: { contract: '0xccc', key: '0x01', prev: '0x00', current: '0x05' } }
+            },
+            parentIdMap: { 1: 0, 2: 0, 3: 2 }
+        });
+
+        expect(traceParser.extractStorageWrites(callTree, callTree.getNode(0))).toEqual([
+            { nodeId: 1, contract: '0xbbb', key: '0x01', prev: '0x00', current: '0x02' }
+        ]);
+    });
+
+    test('should extract first reads of slots not written before', () => {
+        const callTree = traceParser.buildCallTree({
+            dataMap: {
+                0: { nodeType: 0, invocation: { fromAddress: '0xaaa', address: '0xbbb', operation: 'CALL' } },
+                1: { nodeType: 3, slotReadData: { contract: '0xBBB', key: '0x01', value: '0x05' } },
+                2: { nodeType: 3, slotReadData: { contract: '0xbbb', key: '0x01', value: '0x05' } },
+                3: { nodeType: 4, slotWriteData: { contract: '0xbbb', key: '0x02', prev: '0x00', current: '0x07' } },
+                4: { nodeType: 3, slotReadData: { contract: '0xbbb', key: '0x02', value: '0x07' } }
+            },
+            parentIdMap: { 1: 0, 2: 0, 3: 0, 4: 0 }
+        });
+
+        expect(traceParser.extractPrestateReads(callTree)).toEqual([
+            { nodeId: 1, contract: '0xbbb', key: '0x01', value: '0x05' }
+        ]);
+    });
+});